@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+const Web3 = require('web3')
+
+const { parseArgs, run, usage, UsageError } = require('../lib/cli')
+
+const argv = process.argv.slice(2)
+
+// malformed arguments are reported by run
+let options = {}
+try {
+  options = parseArgs(argv).options
+} catch (error) {}
+
+run(argv, new Web3(options.rpc || 'http://localhost:8545'), process.env)
+  .then(result => {
+    if (result && result.usage) console.log(result.usage)
+    else console.log(JSON.stringify(result, null, 2))
+    if (result && result.warning) console.error(`Warning: ${result.warning}`)
+    process.exit(0)
+  })
+  .catch(error => {
+    const output = { error: error.message }
+    if (error.code !== undefined) output.code = error.code
+    console.error(JSON.stringify(output, null, 2))
+    if (error instanceof UsageError) console.error(`\n${usage}`)
+    process.exit(1)
+  })
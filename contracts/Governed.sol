@@ -0,0 +1,109 @@
+pragma solidity ^0.5.0;
+
+/// @title Lets a governor change the bounded parameters of a contract, after a delay.
+/// @dev Inheriting contracts declare their parameters with addParameter from their constructor, and store changes to
+/// them in setParameter. Changes are proposed by the governor, and can be applied by anyone once
+/// PARAMETER_CHANGE_DELAY seconds have passed, which gives users time to react to them.
+contract Governed {
+    uint public constant PARAMETER_CHANGE_DELAY = 2 days;
+
+    address public governor;
+
+    struct Parameter {
+        uint minimum;
+        uint maximum;
+        uint pendingValue;
+        uint effectiveAt; // 0 if no change is pending
+    }
+
+    mapping (bytes32 => Parameter) public parameters;
+
+    constructor () public {
+        governor = msg.sender;
+        emit GovernanceTransferred(address(0), msg.sender);
+    }
+
+    modifier _isGovernor() {
+        require(msg.sender == governor, "Only the governor can call this function.");
+        _;
+    }
+
+    modifier _parameterExists(bytes32 name) {
+        require(parameters[name].maximum > 0, "The parameter does not exist.");
+        _;
+    }
+
+    /// @dev Declares a governed parameter, must be called from the constructor of inheriting contracts.
+    /// @param name The name of the parameter, i.e. the name of its public getter.
+    /// @param minimum The smallest value the parameter can be set to.
+    /// @param maximum The largest value the parameter can be set to, must be positive.
+    function addParameter(bytes32 name, uint minimum, uint maximum) internal {
+        require(maximum > 0 && minimum <= maximum, "Invalid bounds.");
+        parameters[name] = Parameter(minimum, maximum, 0, 0);
+    }
+
+    /// @dev Stores the new value of a parameter, implemented by inheriting contracts.
+    /// @param name The name of the parameter.
+    /// @param value The new value of the parameter, within its bounds.
+    /// @return The old value of the parameter.
+    function setParameter(bytes32 name, uint value) internal returns (uint oldValue);
+
+    /// @notice Allows the governor to hand governance to another address.
+    /// @dev Passing the zero address renounces governance, freezing every parameter.
+    /// @param newGovernor The address of the new governor.
+    function transferGovernance(address newGovernor) public _isGovernor {
+        emit GovernanceTransferred(governor, newGovernor);
+        governor = newGovernor;
+    }
+
+    /// @notice Allows the governor to propose a new value for a parameter.
+    /// @dev Replaces any pending change of the parameter, restarting the delay.
+    /// @param name The name of the parameter.
+    /// @param value The proposed value, which must be within the bounds of the parameter.
+    function proposeParameterChange(bytes32 name, uint value) public _isGovernor _parameterExists(name) {
+        Parameter storage parameter = parameters[name];
+        require(value >= parameter.minimum && value <= parameter.maximum, "The value is out of bounds.");
+
+        parameter.pendingValue = value;
+        // solium-disable-next-line security/no-block-members
+        parameter.effectiveAt = block.timestamp + PARAMETER_CHANGE_DELAY;
+
+        emit ParameterChangeProposed(name, value, parameter.effectiveAt);
+    }
+
+    /// @notice Allows the governor to withdraw a pending change of a parameter.
+    /// @param name The name of the parameter.
+    function cancelParameterChange(bytes32 name) public _isGovernor {
+        Parameter storage parameter = parameters[name];
+        require(parameter.effectiveAt > 0, "No change is pending.");
+
+        emit ParameterChangeCancelled(name, parameter.pendingValue);
+
+        parameter.pendingValue = 0;
+        parameter.effectiveAt = 0;
+    }
+
+    /// @notice Applies the pending change of a parameter once its delay has passed.
+    /// @dev Can be called by anyone.
+    /// @param name The name of the parameter.
+    function applyParameterChange(bytes32 name) public {
+        Parameter storage parameter = parameters[name];
+        require(parameter.effectiveAt > 0, "No change is pending.");
+        // solium-disable-next-line security/no-block-members
+        require(block.timestamp >= parameter.effectiveAt, "The change cannot be applied yet.");
+
+        uint newValue = parameter.pendingValue;
+        parameter.pendingValue = 0;
+        parameter.effectiveAt = 0;
+
+        emit ParameterChanged(name, setParameter(name, newValue), newValue);
+    }
+
+
+    // Events //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    event GovernanceTransferred(address indexed oldGovernor, address indexed newGovernor);
+    event ParameterChangeProposed(bytes32 indexed name, uint value, uint effectiveAt);
+    event ParameterChangeCancelled(bytes32 indexed name, uint value);
+    event ParameterChanged(bytes32 indexed name, uint oldValue, uint newValue);
+}
@@ -1,12 +1,15 @@
 pragma solidity ^0.5.0;
 
 import "./SignatureVerifier.sol";
+import "./Governed.sol";
 import "./AddressSet/AddressSet.sol";
+import "./interfaces/ResolverInterface.sol";
+import "./interfaces/RecoveryResolverInterface.sol";
 
 /// @title The ERC-1484 Identity Registry.
 /// @author Noah Zinsmeister
 /// @author Andy Chorlian
-contract IdentityRegistry is SignatureVerifier {
+contract IdentityRegistry is SignatureVerifier, Governed {
     using AddressSet for AddressSet.Set;
 
 
@@ -41,11 +44,58 @@ contract IdentityRegistry is SignatureVerifier {
     }
 
 
+    // EIP-712 Types ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+    bytes32 private constant CREATE_IDENTITY_TYPEHASH = keccak256(
+        "CreateIdentity(address recoveryAddress,address associatedAddress,address[] providers,address[] resolvers,uint256 timestamp)"
+    );
+    // signed by the approving address
+    bytes32 private constant ADD_ASSOCIATED_ADDRESS_TYPEHASH = keccak256(
+        "AddAssociatedAddress(uint256 ein,address addressToAdd,uint256 timestamp)"
+    );
+    // signed by the address to add
+    bytes32 private constant JOIN_IDENTITY_TYPEHASH = keccak256(
+        "JoinIdentity(uint256 ein,address addressToAdd,uint256 timestamp)"
+    );
+    bytes32 private constant REMOVE_ASSOCIATED_ADDRESS_TYPEHASH = keccak256(
+        "RemoveAssociatedAddress(uint256 ein,address addressToRemove,uint256 timestamp)"
+    );
+    bytes32 private constant TRIGGER_RECOVERY_TYPEHASH = keccak256(
+        "TriggerRecovery(uint256 ein,address newAssociatedAddress,uint256 timestamp)"
+    );
+
+    constructor () public {
+        setDomainSeparator("IdentityRegistry", "1");
+
+        addParameter("signatureTimeout", 10 minutes, 7 days);
+        addParameter("recoveryTimeout", 1 days, 90 days);
+        addParameter("maxAssociatedAddresses", 1, 100);
+    }
+
+
+    // Governed Parameters /////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @dev Stores changes to signatureTimeout, recoveryTimeout and maxAssociatedAddresses, see Governed.
+    function setParameter(bytes32 name, uint value) internal returns (uint oldValue) {
+        if (name == "signatureTimeout") {
+            oldValue = signatureTimeout;
+            signatureTimeout = value;
+        } else if (name == "recoveryTimeout") {
+            oldValue = recoveryTimeout;
+            recoveryTimeout = value;
+        } else if (name == "maxAssociatedAddresses") {
+            oldValue = maxAssociatedAddresses;
+            maxAssociatedAddresses = value;
+        }
+    }
+
+
     // Recovery Address Change Logging /////////////////////////////////////////////////////////////////////////////////
 
     struct RecoveryAddressChange {
         uint timestamp;
         address oldRecoveryAddress;
+        uint recoveryTimeout; // the recoveryTimeout at the time of the change
     }
 
     mapping (uint => RecoveryAddressChange) private recoveryAddressChangeLogs;
@@ -56,6 +106,7 @@ contract IdentityRegistry is SignatureVerifier {
     struct Recovery {
         uint timestamp;
         bytes32 hashedOldAssociatedAddresses;
+        uint recoveryTimeout; // the recoveryTimeout at the time of the recovery
     }
 
     mapping (uint => Recovery) private recoveryLogs;
@@ -66,15 +117,19 @@ contract IdentityRegistry is SignatureVerifier {
     uint public recoveryTimeout = 2 weeks;
 
     /// @dev Checks if the passed EIN has changed their recovery address within recoveryTimeout seconds of now.
+    /// Uses the recoveryTimeout in force when the change was triggered, so governance cannot alter it in-flight.
     function canChangeRecoveryAddress(uint ein) private view returns (bool) {
+        RecoveryAddressChange storage change = recoveryAddressChangeLogs[ein];
         // solium-disable-next-line security/no-block-members
-        return block.timestamp > recoveryAddressChangeLogs[ein].timestamp + recoveryTimeout;
+        return block.timestamp > change.timestamp + change.recoveryTimeout;
     }
 
     /// @dev Checks if the passed EIN has recovered within recoveryTimeout seconds of now.
+    /// Uses the recoveryTimeout in force when the recovery was triggered, so governance cannot alter it in-flight.
     function canRecover(uint ein) private view returns (bool) {
+        Recovery storage recovery = recoveryLogs[ein];
         // solium-disable-next-line security/no-block-members
-        return block.timestamp > recoveryLogs[ein].timestamp + recoveryTimeout;
+        return block.timestamp > recovery.timestamp + recovery.recoveryTimeout;
     }
 
 
@@ -146,10 +201,15 @@ contract IdentityRegistry is SignatureVerifier {
     /// @dev Ensures that the msg.sender is a provider for the passed EIN.
     /// @param ein The EIN to check.
     modifier _isProviderFor(uint ein) {
-        require(isProviderFor(ein, msg.sender), "The identity has not set the passed provider.");
+        requireProvider(ein);
         _;
     }
 
+    // the check of _isProviderFor, called rather than inlined into every provider function to keep the registry small
+    function requireProvider(uint ein) private view {
+        require(isProviderFor(ein, msg.sender), "The identity has not set the passed provider.");
+    }
+
     /// @notice Checks whether the passed resolver is set for the passed EIN.
     /// @dev Does not throw.
     /// @param ein The EIN to check.
@@ -179,6 +239,16 @@ contract IdentityRegistry is SignatureVerifier {
         );
     }
 
+    /// @notice Gets the latest recovery of the passed EIN.
+    /// @dev Throws if the passed EIN does not exist. Old associated addresses can trigger destruction until
+    /// timestamp + timeout, since governance changes to recoveryTimeout do not apply to recoveries in progress.
+    /// @param ein The EIN to get the recovery of.
+    /// @return The timestamp of the recovery, or 0 if the EIN was never recovered, and the recoveryTimeout at the time.
+    function getRecovery(uint ein) public view _identityExists(ein) returns (uint timestamp, uint timeout) {
+        Recovery storage recovery = recoveryLogs[ein];
+        return (recovery.timestamp, recovery.recoveryTimeout);
+    }
+
 
     // Identity Management Functions ///////////////////////////////////////////////////////////////////////////////////
 
@@ -228,6 +298,33 @@ contract IdentityRegistry is SignatureVerifier {
         return createIdentity(recoveryAddress, associatedAddress, providers, resolvers, true);
     }
 
+    /// @notice Allows creation of a new Identity for the passed associatedAddress with an EIP-712 signature.
+    /// @dev The signed message is a CreateIdentity struct, see createIdentityDelegated for the parameters.
+    function createIdentityDelegatedTyped(
+        address recoveryAddress, address associatedAddress, address[] memory providers, address[] memory resolvers,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp) returns (uint ein)
+    {
+        require(
+            isSigned(
+                associatedAddress,
+                hashTypedData(
+                    keccak256(
+                        abi.encode(
+                            CREATE_IDENTITY_TYPEHASH, recoveryAddress, associatedAddress,
+                            keccak256(abi.encodePacked(providers)), keccak256(abi.encodePacked(resolvers)), timestamp
+                        )
+                    )
+                ),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+
+        return createIdentity(recoveryAddress, associatedAddress, providers, resolvers, true);
+    }
+
     /// @dev Common logic for all identity creation.
     function createIdentity(
         address recoveryAddress,
@@ -290,6 +387,43 @@ contract IdentityRegistry is SignatureVerifier {
         emit AssociatedAddressAdded(msg.sender, ein, approvingAddress, addressToAdd, false);
     }
 
+    /// @notice Allows an associated address to add another associated address to its Identity with an EIP-712
+    /// signature.
+    /// @dev The signed message is a JoinIdentity struct if sent by the approvingAddress, and an AddAssociatedAddress
+    /// struct otherwise, see addAssociatedAddress for the parameters.
+    function addAssociatedAddressTyped(
+        address approvingAddress, address addressToAdd, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        bool fromApprovingAddress = msg.sender == approvingAddress;
+        require(
+            fromApprovingAddress || msg.sender == addressToAdd, "One or both of the passed addresses are malformed."
+        );
+
+        uint ein = getEIN(approvingAddress);
+
+        require(
+            isSigned(
+                fromApprovingAddress ? addressToAdd : approvingAddress,
+                hashTypedData(
+                    keccak256(
+                        abi.encode(
+                            fromApprovingAddress ? JOIN_IDENTITY_TYPEHASH : ADD_ASSOCIATED_ADDRESS_TYPEHASH,
+                            ein, addressToAdd, timestamp
+                        )
+                    )
+                ),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+
+        addAssociatedAddress(ein, addressToAdd);
+
+        emit AssociatedAddressAdded(msg.sender, ein, approvingAddress, addressToAdd, false);
+    }
+
     /// @notice Allows addition of an associated address to an Identity.
     /// @dev The first signature must be that of the approvingAddress.
     /// @param approvingAddress An associated address for an Identity.
@@ -340,6 +474,41 @@ contract IdentityRegistry is SignatureVerifier {
         emit AssociatedAddressAdded(msg.sender, ein, approvingAddress, addressToAdd, true);
     }
 
+    /// @notice Allows addition of an associated address to an Identity with EIP-712 signatures.
+    /// @dev The first signature must be of an AddAssociatedAddress struct by the approvingAddress, the second of a
+    /// JoinIdentity struct by the addressToAdd, see addAssociatedAddressDelegated for the parameters.
+    function addAssociatedAddressDelegatedTyped(
+        address approvingAddress, address addressToAdd,
+        uint8[2] memory v, bytes32[2] memory r, bytes32[2] memory s, uint[2] memory timestamp
+    )
+        public ensureSignatureTimeValid(timestamp[0]) ensureSignatureTimeValid(timestamp[1])
+    {
+        uint ein = getEIN(approvingAddress);
+
+        require(
+            isSigned(
+                approvingAddress,
+                hashTypedData(
+                    keccak256(abi.encode(ADD_ASSOCIATED_ADDRESS_TYPEHASH, ein, addressToAdd, timestamp[0]))
+                ),
+                v[0], r[0], s[0]
+            ),
+            "Permission denied from approving address."
+        );
+        require(
+            isSigned(
+                addressToAdd,
+                hashTypedData(keccak256(abi.encode(JOIN_IDENTITY_TYPEHASH, ein, addressToAdd, timestamp[1]))),
+                v[1], r[1], s[1]
+            ),
+            "Permission denied from address to add."
+        );
+
+        addAssociatedAddress(ein, addressToAdd);
+
+        emit AssociatedAddressAdded(msg.sender, ein, approvingAddress, addressToAdd, true);
+    }
+
     /// @dev Common logic for all address addition.
     function addAssociatedAddress(uint ein, address addressToAdd) private _hasIdentity(addressToAdd, false) {
         require(
@@ -390,6 +559,32 @@ contract IdentityRegistry is SignatureVerifier {
         emit AssociatedAddressRemoved(msg.sender, ein, addressToRemove, true);
     }
 
+    /// @notice Allows removal of an associated address from an Identity with an EIP-712 signature.
+    /// @dev The signed message is a RemoveAssociatedAddress struct, see removeAssociatedAddressDelegated for the
+    /// parameters.
+    function removeAssociatedAddressDelegatedTyped(
+        address addressToRemove, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = getEIN(addressToRemove);
+
+        require(
+            isSigned(
+                addressToRemove,
+                hashTypedData(
+                    keccak256(abi.encode(REMOVE_ASSOCIATED_ADDRESS_TYPEHASH, ein, addressToRemove, timestamp))
+                ),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+
+        removeAssociatedAddress(ein, addressToRemove);
+
+        emit AssociatedAddressRemoved(msg.sender, ein, addressToRemove, true);
+    }
+
     /// @dev Common logic for all address removal.
     function removeAssociatedAddress(uint ein, address addressToRemove) private {
         identityDirectory[ein].associatedAddresses.remove(addressToRemove);
@@ -454,15 +649,61 @@ contract IdentityRegistry is SignatureVerifier {
         addResolvers(ein, resolvers, true);
     }
 
-    /// @dev Common logic for all resolver adding.
+    /// @notice Allows providers to add a resolver to an Identity, passing initialisation data to its onAddition.
+    /// @param ein The EIN to add the resolver to.
+    /// @param resolver The resolver.
+    /// @param data The data passed to the onAddition of the resolver, see ResolverInterface.
+    function addResolverFor(uint ein, address resolver, bytes memory data) public _isProviderFor(ein) {
+        addResolver(ein, resolver, data, true);
+    }
+
+    /// @notice Allows providers to add resolvers to an Identity, passing initialisation data to the onAddition of each.
+    /// @dev Lists of bytes need the experimental ABI encoder, so the data of the resolvers is passed concatenated.
+    /// @param ein The EIN to add resolvers to.
+    /// @param resolvers A list of resolvers.
+    /// @param data The data passed to the onAddition of each resolver, concatenated in the order of resolvers.
+    /// @param dataLengths The length in bytes of the data of each resolver.
+    function addResolversWithDataFor(
+        uint ein, address[] calldata resolvers, bytes calldata data, uint[] calldata dataLengths
+    )
+        external _isProviderFor(ein)
+    {
+        uint length;
+        for (uint i; i < dataLengths.length; i++) {
+            length += dataLengths[i];
+        }
+        require(resolvers.length == dataLengths.length && length == data.length, "Malformed resolver data.");
+
+        uint offset;
+        for (uint i; i < resolvers.length; i++) {
+            bytes memory resolverData = new bytes(dataLengths[i]);
+            for (uint j; j < resolverData.length; j++) {
+                resolverData[j] = data[offset + j];
+            }
+            offset += resolverData.length;
+            addResolver(ein, resolvers[i], resolverData, true);
+        }
+    }
+
+    /// @dev Common logic for adding lists of resolvers, whose callbacks get no data.
     function addResolvers(uint ein, address[] memory resolvers, bool delegated) private {
-        Identity storage _identity = identityDirectory[ein];
         for (uint i; i < resolvers.length; i++) {
-            _identity.resolvers.insert(resolvers[i]);
-            emit ResolverAdded(msg.sender, ein, resolvers[i], delegated);
+            addResolver(ein, resolvers[i], "", delegated);
         }
     }
 
+    /// @dev Common logic for all resolver adding.
+    function addResolver(uint ein, address resolver, bytes memory data, bool delegated) private {
+        Identity storage _identity = identityDirectory[ein];
+        bool wasSet = _identity.resolvers.contains(resolver);
+        _identity.resolvers.insert(resolver);
+        emit ResolverAdded(msg.sender, ein, resolver, delegated);
+        require(
+            wasSet || callResolver(resolver, ResolverInterface(0).onAddition.selector, ein, data, 0),
+            "Resolver refused the addition."
+        );
+    }
+
     /// @notice Allows an associated address to remove resolvers from its Identity.
     /// @param resolvers A list of resolvers.
     function removeResolvers(address[] memory resolvers) public {
@@ -476,12 +717,97 @@ contract IdentityRegistry is SignatureVerifier {
         removeResolvers(ein, resolvers, true);
     }
 
-    /// @dev Common logic for all resolver removal.
+    /// @notice Allows providers to remove a resolver from an Identity, passing data to its onRemoval.
+    /// @param ein The EIN to remove the resolver from.
+    /// @param resolver The resolver.
+    /// @param data The data passed to the onRemoval of the resolver, see ResolverInterface.
+    function removeResolverFor(uint ein, address resolver, bytes memory data) public _isProviderFor(ein) {
+        removeResolver(ein, resolver, data, true);
+    }
+
+    /// @dev Common logic for removing lists of resolvers, whose callbacks get no data.
     function removeResolvers(uint ein, address[] memory resolvers, bool delegated) private {
+        for (uint i; i < resolvers.length; i++) {
+            removeResolver(ein, resolvers[i], "", delegated);
+        }
+    }
+
+    /// @dev Common logic for all resolver removal.
+    function removeResolver(uint ein, address resolver, bytes memory data, bool delegated) private {
         Identity storage _identity = identityDirectory[ein];
+        bool wasSet = _identity.resolvers.contains(resolver);
+        _identity.resolvers.remove(resolver);
+        emit ResolverRemoved(msg.sender, ein, resolver, delegated);
+        if (wasSet) notifyRemoval(ein, resolver, data);
+    }
+
+
+    // Resolver Callbacks //////////////////////////////////////////////////////////////////////////////////////////////
+
+    // the ERC-165 ID of the ResolverInterface callbacks
+    bytes4 private constant RESOLVER_INTERFACE_ID = (
+        bytes4(keccak256("onAddition(uint256,bytes)")) ^ bytes4(keccak256("onRemoval(uint256,bytes)"))
+    );
+
+    // the gas that onRemoval and onRecovery callbacks keep back for the calling transaction to finish. onAddition
+    // callbacks keep none back, since additions revert when they fail, and gas estimates do not cover gas kept back.
+    uint private constant CALLBACK_GAS_RESERVE = 50000;
+
+    /// @dev Calls onAddition or onRemoval of a resolver if it implements them, as its ERC-165 supportsInterface says.
+    /// Resolvers without supportsInterface, and addresses without code, have no callbacks to call.
+    /// @param reserve The gas to keep back from the resolver, see callForBool.
+    /// @return false if the callback reverted or did not return true, or if too little gas was left to call it, true
+    /// otherwise.
+    function callResolver(address resolver, bytes4 selector, uint ein, bytes memory data, uint reserve)
+        private returns (bool)
+    {
+        if (gasleft() <= reserve) return false;
+        if (!supportsCallback(resolver, RESOLVER_INTERFACE_ID, reserve)) return true;
+        return callForBool(resolver, abi.encodeWithSelector(selector, ein, data), reserve);
+    }
+
+    /// @dev Calls onRemoval of a removed resolver, ignoring failures so that resolvers cannot block their removal.
+    /// The resolver is removed before it is called, and callForBool keeps CALLBACK_GAS_RESERVE gas back to finish.
+    function notifyRemoval(uint ein, address resolver, bytes memory data) private {
+        if (!callResolver(resolver, ResolverInterface(0).onRemoval.selector, ein, data, CALLBACK_GAS_RESERVE)) {
+            emit ResolverRemovalFailed(ein, resolver);
+        }
+    }
+
+    /// @dev Calls onRecovery of the resolvers of a recovered Identity that implement RecoveryResolverInterface,
+    /// ignoring failures so that resolvers cannot block recoveries. Resolvers that are reached with less than
+    /// CALLBACK_GAS_RESERVE gas left count as failed, so recoveries should be sent with enough gas for the callbacks.
+    function notifyRecovery(uint ein, address[] memory resolvers) private {
+        bytes4 interfaceId = RecoveryResolverInterface(0).onRecovery.selector;
+        bytes memory onRecoveryCall = abi.encodeWithSelector(interfaceId, ein);
         for (uint i; i < resolvers.length; i++) {
-            _identity.resolvers.remove(resolvers[i]);
-            emit ResolverRemoved(msg.sender, ein, resolvers[i], delegated);
+            if (
+                gasleft() <= CALLBACK_GAS_RESERVE ||
+                supportsCallback(resolvers[i], interfaceId, CALLBACK_GAS_RESERVE) &&
+                !callForBool(resolvers[i], onRecoveryCall, CALLBACK_GAS_RESERVE)
+            ) {
+                emit ResolverRecoveryFailed(ein, resolvers[i]);
+            }
+        }
+    }
+
+    /// @dev Calls the ERC-165 supportsInterface of a resolver through callForBool, since the gas estimation of ganache
+    /// fails on calls with a fixed gas limit.
+    /// @return true if the call succeeded and returned true, false otherwise.
+    function supportsCallback(address resolver, bytes4 interfaceId, uint reserve) private returns (bool) {
+        return callForBool(
+            resolver, abi.encodeWithSelector(bytes4(keccak256("supportsInterface(bytes4)")), interfaceId), reserve
+        );
+    }
+
+    /// @dev Calls a resolver with all but reserve gas, copying at most 32 bytes of what it returns, so that resolvers
+    /// can neither use up the gas of the caller nor make it copy large return data.
+    /// @return true if the call succeeded and returned true, false otherwise.
+    function callForBool(address resolver, bytes memory data, uint reserve) private returns (bool result) {
+        if (gasleft() <= reserve) return false;
+        assembly {
+            let success := call(sub(gas(), reserve), resolver, 0, add(data, 0x20), mload(data), 0, 0x20)
+            result := and(success, and(eq(returndatasize(), 0x20), iszero(iszero(mload(0)))))
         }
     }
 
@@ -510,7 +836,9 @@ contract IdentityRegistry is SignatureVerifier {
         require(canChangeRecoveryAddress(ein), "Cannot trigger a change in recovery address yet.");
 
          // solium-disable-next-line security/no-block-members
-        recoveryAddressChangeLogs[ein] = RecoveryAddressChange(block.timestamp, _identity.recoveryAddress);
+        recoveryAddressChangeLogs[ein] = RecoveryAddressChange(
+            block.timestamp, _identity.recoveryAddress, recoveryTimeout
+        );
 
         emit RecoveryAddressChangeTriggered(msg.sender, ein, _identity.recoveryAddress, newRecoveryAddress, delegated);
 
@@ -527,6 +855,37 @@ contract IdentityRegistry is SignatureVerifier {
     /// @param timestamp The timestamp of the signature.
     function triggerRecovery(uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
         public _identityExists(ein) _hasIdentity(newAssociatedAddress, false) ensureSignatureTimeValid(timestamp)
+    {
+        triggerRecovery(
+            ein, newAssociatedAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "I authorize being added to this Identity via recovery.",
+                    ein, newAssociatedAddress, timestamp
+                )
+            ),
+            v, r, s
+        );
+    }
+
+    /// @notice Allows recovery addresses to trigger the recovery process for an Identity with an EIP-712 signature.
+    /// @dev The signed message is a TriggerRecovery struct, see triggerRecovery for the parameters.
+    function triggerRecoveryTyped(
+        uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public _identityExists(ein) _hasIdentity(newAssociatedAddress, false) ensureSignatureTimeValid(timestamp)
+    {
+        triggerRecovery(
+            ein, newAssociatedAddress,
+            hashTypedData(keccak256(abi.encode(TRIGGER_RECOVERY_TYPEHASH, ein, newAssociatedAddress, timestamp))),
+            v, r, s
+        );
+    }
+
+    /// @dev Common logic for all recoveries.
+    function triggerRecovery(uint ein, address newAssociatedAddress, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        private
     {
         require(canRecover(ein), "Cannot trigger recovery yet.");
         Identity storage _identity = identityDirectory[ein];
@@ -543,32 +902,21 @@ contract IdentityRegistry is SignatureVerifier {
             );
         }
 
-        require(
-            isSigned(
-                newAssociatedAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize being added to this Identity via recovery.",
-                        ein, newAssociatedAddress, timestamp
-                    )
-                ),
-                v, r, s
-            ),
-            "Permission denied."
-        );
+        require(isSigned(newAssociatedAddress, messageHash, v, r, s), "Permission denied.");
 
         // log the old associated addresses to facilitate destruction if necessary
         recoveryLogs[ein] = Recovery(
             block.timestamp, // solium-disable-line security/no-block-members
-            keccak256(abi.encodePacked(_identity.associatedAddresses.members))
+            keccak256(abi.encodePacked(_identity.associatedAddresses.members)),
+            recoveryTimeout
         );
 
         emit RecoveryTriggered(msg.sender, ein, _identity.associatedAddresses.members, newAssociatedAddress);
 
         // remove identity data, and add the new address as the sole associated address
-        resetIdentityData(_identity, msg.sender, false);
+        resetIdentityData(ein, _identity, msg.sender, false);
         addAssociatedAddress(ein, newAssociatedAddress);
+        notifyRecovery(ein, _identity.resolvers.members);
     }
 
     /// @notice Allows associated addresses recently removed via recovery to permanently disable their old Identity.
@@ -593,18 +941,26 @@ contract IdentityRegistry is SignatureVerifier {
 
         emit IdentityDestroyed(msg.sender, ein, _identity.recoveryAddress, resetResolvers);
 
-        resetIdentityData(_identity, address(0), resetResolvers);
+        resetIdentityData(ein, _identity, address(0), resetResolvers);
     }
 
-    /// @dev Common logic for clearing the data of an Identity.
-    function resetIdentityData(Identity storage identity, address newRecoveryAddress, bool resetResolvers) private {
+    /// @dev Common logic for clearing the data of an Identity. Removed resolvers are notified via onRemoval.
+    function resetIdentityData(uint ein, Identity storage identity, address newRecoveryAddress, bool resetResolvers)
+        private
+    {
         for (uint i; i < identity.associatedAddresses.members.length; i++) {
             delete associatedAddressDirectory[identity.associatedAddresses.members[i]];
         }
         delete identity.associatedAddresses;
         delete identity.providers;
-        if (resetResolvers) delete identity.resolvers;
         identity.recoveryAddress = newRecoveryAddress;
+        if (resetResolvers) {
+            address[] memory resolvers = identity.resolvers.members;
+            delete identity.resolvers;
+            for (uint i; i < resolvers.length; i++) {
+                notifyRemoval(ein, resolvers[i], "");
+            }
+        }
     }
 
 
@@ -622,6 +978,8 @@ contract IdentityRegistry is SignatureVerifier {
     event ProviderRemoved(address indexed initiator, uint indexed ein, address provider, bool delegated);
     event ResolverAdded(address indexed initiator, uint indexed ein, address resolvers, bool delegated);
     event ResolverRemoved(address indexed initiator, uint indexed ein, address resolvers, bool delegated);
+    event ResolverRemovalFailed(uint indexed ein, address resolver);
+    event ResolverRecoveryFailed(uint indexed ein, address resolver);
     event RecoveryAddressChangeTriggered(
         address indexed initiator, uint indexed ein,
         address oldRecoveryAddress, address newRecoveryAddress, bool delegated
@@ -0,0 +1,164 @@
+pragma solidity ^0.5.0;
+
+import "./AddressSet/AddressSet.sol";
+
+/// @title A catalog of resolvers and providers, describing what each contract is and whether it was reviewed.
+/// @dev Anyone can list an address that is not listed yet, and becomes the author of its entry. Authors update their
+/// entries, which clears the verified flag, and the curator verifies entries and removes misleading ones, e.g. entries
+/// listed by someone other than the contract's developer.
+contract ResolverCatalog {
+    using AddressSet for AddressSet.Set;
+
+    // the kinds of catalog entries
+    uint8 public constant KIND_RESOLVER = 1;
+    uint8 public constant KIND_PROVIDER = 2;
+
+    address public curator;
+
+    struct Entry {
+        address author;
+        uint8 kind;
+        string name;
+        string description;
+        bytes4 interfaceId; // the ERC-165 interface the contract implements, 0 if there is none
+        string version;
+        bool verified;
+    }
+
+    mapping (address => Entry) internal entries;
+    AddressSet.Set internal listed;
+
+    constructor () public {
+        curator = msg.sender;
+        emit CurationTransferred(address(0), msg.sender);
+    }
+
+    modifier _isCurator() {
+        require(msg.sender == curator, "Only the curator can call this function.");
+        _;
+    }
+
+    modifier _isAuthor(address entryAddress) {
+        require(entries[entryAddress].author == msg.sender, "Only the author can call this function.");
+        _;
+    }
+
+    // Catalog View Functions //////////////////////////////////////////////////////////////////////////////////////////
+
+    function isListed(address entryAddress) public view returns (bool) {
+        return listed.contains(entryAddress);
+    }
+
+    function isVerified(address entryAddress) public view returns (bool) {
+        return entries[entryAddress].verified;
+    }
+
+    /// @notice Gets the entry of an address.
+    /// @dev Unlisted addresses have an empty entry, with a kind of 0.
+    function getEntry(address entryAddress) public view returns (
+        address author, uint8 kind, string memory name, string memory description, bytes4 interfaceId,
+        string memory version, bool verified
+    )
+    {
+        Entry storage entry = entries[entryAddress];
+        return (
+            entry.author, entry.kind, entry.name, entry.description, entry.interfaceId, entry.version, entry.verified
+        );
+    }
+
+    /// @notice Lists every address in the catalog, in no particular order.
+    function getListed() public view returns (address[] memory) {
+        return listed.members;
+    }
+
+    // Author Functions ////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Lists a resolver or provider in the catalog, making the sender the author of its entry.
+    /// @param entryAddress The address of the resolver or provider.
+    /// @param kind KIND_RESOLVER or KIND_PROVIDER.
+    /// @param name The name of the contract, e.g. its NAME constant.
+    /// @param description What the contract does.
+    /// @param interfaceId The ERC-165 interface the contract implements, 0 if there is none.
+    /// @param version The version of the contract, e.g. 1.0.0.
+    function addEntry(
+        address entryAddress, uint8 kind, string memory name, string memory description, bytes4 interfaceId,
+        string memory version
+    )
+        public
+    {
+        require(!isListed(entryAddress), "The address is already listed.");
+        require(kind == KIND_RESOLVER || kind == KIND_PROVIDER, "Invalid kind.");
+        require(bytes(name).length > 0, "The name cannot be empty.");
+
+        listed.insert(entryAddress);
+        entries[entryAddress] = Entry(msg.sender, kind, name, description, interfaceId, version, false);
+
+        emit EntryAdded(entryAddress, msg.sender, kind, name, version);
+    }
+
+    /// @notice Allows the author of an entry to update it, e.g. for a new version.
+    /// @dev Updated entries have to be verified again.
+    function updateEntry(
+        address entryAddress, string memory name, string memory description, bytes4 interfaceId,
+        string memory version
+    )
+        public _isAuthor(entryAddress)
+    {
+        require(bytes(name).length > 0, "The name cannot be empty.");
+
+        Entry storage entry = entries[entryAddress];
+        (entry.name, entry.description, entry.interfaceId, entry.version) = (name, description, interfaceId, version);
+        if (entry.verified) {
+            entry.verified = false;
+            emit VerificationChanged(entryAddress, false);
+        }
+
+        emit EntryUpdated(entryAddress, name, version);
+    }
+
+    /// @notice Allows the author of an entry to hand it to another address.
+    function transferAuthorship(address entryAddress, address newAuthor) public _isAuthor(entryAddress) {
+        require(newAuthor != address(0), "The author cannot be the zero address.");
+        entries[entryAddress].author = newAuthor;
+        emit AuthorshipTransferred(entryAddress, msg.sender, newAuthor);
+    }
+
+    /// @notice Allows the author of an entry, or the curator, to remove it from the catalog.
+    function removeEntry(address entryAddress) public {
+        require(isListed(entryAddress), "The address is not listed.");
+        require(
+            msg.sender == entries[entryAddress].author || msg.sender == curator,
+            "Only the author or the curator can call this function."
+        );
+
+        listed.remove(entryAddress);
+        delete entries[entryAddress];
+
+        emit EntryRemoved(entryAddress, msg.sender);
+    }
+
+    // Curator Functions ///////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Allows the curator to mark an entry as reviewed, or to withdraw the mark.
+    function setVerified(address entryAddress, bool verified) public _isCurator {
+        require(isListed(entryAddress), "The address is not listed.");
+        entries[entryAddress].verified = verified;
+        emit VerificationChanged(entryAddress, verified);
+    }
+
+    /// @notice Allows the curator to hand curation to another address.
+    /// @dev Passing the zero address renounces curation, freezing every verified flag.
+    function transferCuration(address newCurator) public _isCurator {
+        emit CurationTransferred(curator, newCurator);
+        curator = newCurator;
+    }
+
+    // Events //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    event EntryAdded(address indexed entryAddress, address indexed author, uint8 kind, string name, string version);
+    event EntryUpdated(address indexed entryAddress, string name, string version);
+    event EntryRemoved(address indexed entryAddress, address indexed removedBy);
+    event AuthorshipTransferred(address indexed entryAddress, address indexed oldAuthor, address indexed newAuthor);
+    event VerificationChanged(address indexed entryAddress, bool verified);
+    event CurationTransferred(address indexed oldCurator, address indexed newCurator);
+}
@@ -2,17 +2,48 @@ pragma solidity ^0.5.0;
 
 /// @title Provides helper functions to determine the validity of passed signatures.
 /// @author Noah Zinsmeister
-/// @dev Supports both prefixed and un-prefixed signatures.
+/// @dev Supports both prefixed and un-prefixed signatures, as well as EIP-712 typed data signatures. Contracts sign via
+/// EIP-1271 instead.
 contract SignatureVerifier {
-    /// @notice Determines whether the passed signature of `messageHash` was made by the private key of `_address`.
+    // bytes4(keccak256("isValidSignature(bytes32,bytes)")), returned by EIP-1271 contracts for signatures they accept
+    bytes4 internal constant EIP1271_MAGIC_VALUE = 0x1626ba7e;
+
+    // EIP-712 Domain //////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // chainId is left out of the domain since the EVM targeted by solc 0.5.0 cannot read it, see EIP-1344
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,address verifyingContract)"
+    );
+
+    bytes32 public domainSeparator;
+
+    /// @dev Sets the EIP-712 domain separator, must be called from the constructor of inheriting contracts.
+    /// @param name The name of the signing domain, i.e. the name of the contract.
+    /// @param version The major version of the signing domain.
+    function setDomainSeparator(string memory name, string memory version) internal {
+        domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(name)), keccak256(bytes(version)), address(this))
+        );
+    }
+
+    /// @notice Gets the EIP-712 hash of the passed struct hash, i.e. the hash that is signed by eth_signTypedData.
+    /// @param structHash The EIP-712 hashStruct of a typed message.
+    /// @return The hash to pass to isSigned.
+    function hashTypedData(bytes32 structHash) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(byte(0x19), byte(0x01), domainSeparator, structHash));
+    }
+
+    /// @notice Determines whether the passed signature of `messageHash` was made by the private key of `_address`, or
+    /// is accepted by `_address` if it is a contract.
     /// @param _address The address that may or may not have signed the passed messageHash.
     /// @param messageHash The messageHash that may or may not have been signed.
     /// @param v The v component of the signature.
     /// @param r The r component of the signature.
     /// @param s The s component of the signature.
     /// @return true if the signature can be verified, false otherwise.
-    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public pure returns (bool) {
-        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s);
+    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public view returns (bool) {
+        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s) ||
+            _isSignedByContract(_address, messageHash, v, r, s);
     }
 
     /// @dev Checks unprefixed signatures.
@@ -29,4 +60,20 @@ contract SignatureVerifier {
         bytes memory prefix = "\x19Ethereum Signed Message:\n32";
         return _isSigned(_address, keccak256(abi.encodePacked(prefix, messageHash)), v, r, s);
     }
+
+    /// @dev Checks signatures of contracts by calling their EIP-1271 isValidSignature function, which is passed the
+    /// unprefixed messageHash and the 65 byte signature (r, s, v).
+    function _isSignedByContract(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        internal view returns (bool)
+    {
+        uint size;
+        assembly { size := extcodesize(_address) }
+        if (size == 0) return false;
+
+        // solium-disable-next-line security/no-low-level-calls
+        (bool success, bytes memory result) = _address.staticcall(
+            abi.encodeWithSelector(EIP1271_MAGIC_VALUE, messageHash, abi.encodePacked(r, s, v))
+        );
+        return success && result.length == 32 && abi.decode(result, (bytes4)) == EIP1271_MAGIC_VALUE;
+    }
 }
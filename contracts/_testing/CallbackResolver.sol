@@ -0,0 +1,58 @@
+pragma solidity ^0.5.0;
+
+import "../interfaces/ResolverInterface.sol";
+import "../interfaces/RecoveryResolverInterface.sol";
+
+/// @title A resolver recording the callbacks of the IdentityRegistry, used to test them.
+/// @dev Refuses additions whose data is "refuse", and reverts on removal and recovery while failRemovals and
+/// failRecoveries are set.
+contract CallbackResolver is ResolverInterface, RecoveryResolverInterface {
+    address public identityRegistry;
+    bool public failRemovals;
+    bool public failRecoveries;
+
+    mapping (uint => bytes) public additionData;
+    mapping (uint => bytes) public removalData;
+    mapping (uint => uint) public removals;
+    mapping (uint => uint) public recoveries;
+
+    constructor (address identityRegistryAddress) public {
+        identityRegistry = identityRegistryAddress;
+    }
+
+    function setFailRemovals(bool _failRemovals) public {
+        failRemovals = _failRemovals;
+    }
+
+    function setFailRecoveries(bool _failRecoveries) public {
+        failRecoveries = _failRecoveries;
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return (
+            interfaceId == this.onAddition.selector ^ this.onRemoval.selector ||
+            interfaceId == this.onRecovery.selector
+        );
+    }
+
+    function onAddition(uint ein, bytes calldata data) external returns (bool) {
+        require(msg.sender == identityRegistry, "Only the IdentityRegistry can call this function.");
+        additionData[ein] = data;
+        return keccak256(data) != keccak256("refuse");
+    }
+
+    function onRemoval(uint ein, bytes calldata data) external returns (bool) {
+        require(msg.sender == identityRegistry, "Only the IdentityRegistry can call this function.");
+        require(!failRemovals, "Removals fail.");
+        removalData[ein] = data;
+        removals[ein] += 1;
+        return true;
+    }
+
+    function onRecovery(uint ein) external returns (bool) {
+        require(msg.sender == identityRegistry, "Only the IdentityRegistry can call this function.");
+        require(!failRecoveries, "Recoveries fail.");
+        recoveries[ein] += 1;
+        return true;
+    }
+}
@@ -0,0 +1,49 @@
+pragma solidity ^0.5.0;
+
+import "../SignatureVerifier.sol";
+
+/// @title A minimal EIP-1271 contract wallet, used to test contract signers.
+/// @dev Accepts signatures of its owner, and hashes the owner approved on-chain regardless of the signature.
+contract ContractWallet is SignatureVerifier {
+    address public owner;
+    mapping (bytes32 => bool) public approvedHashes;
+
+    constructor (address _owner) public {
+        owner = _owner;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only the owner can call this function.");
+        _;
+    }
+
+    function approveHash(bytes32 messageHash) public onlyOwner {
+        approvedHashes[messageHash] = true;
+    }
+
+    function execute(address destination, bytes memory data) public onlyOwner {
+        // solium-disable-next-line security/no-low-level-calls
+        (bool success, ) = destination.call(data);
+        require(success, "Call was not successful.");
+    }
+
+    /// @notice EIP-1271 signature validation.
+    /// @param messageHash The signed hash.
+    /// @param signature The 65 byte signature (r, s, v).
+    /// @return EIP1271_MAGIC_VALUE if the signature is accepted, 0 otherwise.
+    function isValidSignature(bytes32 messageHash, bytes memory signature) public view returns (bytes4) {
+        if (approvedHashes[messageHash]) return EIP1271_MAGIC_VALUE;
+        if (signature.length != 65) return bytes4(0);
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 32))
+            s := mload(add(signature, 64))
+            v := byte(0, mload(add(signature, 96)))
+        }
+        return _isSigned(owner, messageHash, v, r, s) || _isSignedPrefixed(owner, messageHash, v, r, s) ?
+            EIP1271_MAGIC_VALUE : bytes4(0);
+    }
+}
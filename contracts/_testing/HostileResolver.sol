@@ -0,0 +1,44 @@
+pragma solidity ^0.5.0;
+
+import "../interfaces/ResolverInterface.sol";
+import "../interfaces/RecoveryResolverInterface.sol";
+
+/// @title A resolver whose callbacks attack the IdentityRegistry, used to test that it cannot block removals and
+/// recoveries.
+/// @dev While burnGas is set, onRemoval and onRecovery use up all the gas they are given. Otherwise they return a
+/// megabyte of data.
+contract HostileResolver is ResolverInterface, RecoveryResolverInterface {
+    bool public burnGas;
+
+    constructor (bool _burnGas) public {
+        burnGas = _burnGas;
+    }
+
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return (
+            interfaceId == this.onAddition.selector ^ this.onRemoval.selector ||
+            interfaceId == this.onRecovery.selector
+        );
+    }
+
+    function onAddition(uint, bytes calldata) external returns (bool) {
+        return true;
+    }
+
+    function onRemoval(uint, bytes calldata) external returns (bool) {
+        attack();
+    }
+
+    function onRecovery(uint) external returns (bool) {
+        attack();
+    }
+
+    function attack() private view {
+        if (burnGas) {
+            while (true) {} // solium-disable-line no-empty-blocks
+        }
+        assembly {
+            return(0, 0x100000)
+        }
+    }
+}
@@ -0,0 +1,215 @@
+pragma solidity ^0.5.0;
+
+import "../../../interfaces/IdentityRegistryInterface.sol";
+
+/// @title Runs ordered lists of registry and resolver calls atomically, on behalf of a single Identity.
+/// @dev Steps are called from this provider, so it must be a provider of the approving Identity (e.g. by being passed
+/// to a createIdentityDelegated step). If any step reverts, the whole batch reverts with "Step <i> failed: <reason>".
+contract BatchProvider {
+    IdentityRegistryInterface identityRegistry;
+
+    // registry functions that can be batched, they either check signatures themselves or act on the approving EIN
+    bytes4 private constant CREATE_IDENTITY_DELEGATED = bytes4(keccak256(
+        "createIdentityDelegated(address,address,address[],address[],uint8,bytes32,bytes32,uint256)"
+    ));
+    bytes4 private constant CREATE_IDENTITY_DELEGATED_TYPED = bytes4(keccak256(
+        "createIdentityDelegatedTyped(address,address,address[],address[],uint8,bytes32,bytes32,uint256)"
+    ));
+    bytes4 private constant ADD_ASSOCIATED_ADDRESS_DELEGATED = bytes4(keccak256(
+        "addAssociatedAddressDelegated(address,address,uint8[2],bytes32[2],bytes32[2],uint256[2])"
+    ));
+    bytes4 private constant ADD_ASSOCIATED_ADDRESS_DELEGATED_TYPED = bytes4(keccak256(
+        "addAssociatedAddressDelegatedTyped(address,address,uint8[2],bytes32[2],bytes32[2],uint256[2])"
+    ));
+    bytes4 private constant REMOVE_ASSOCIATED_ADDRESS_DELEGATED = bytes4(keccak256(
+        "removeAssociatedAddressDelegated(address,uint8,bytes32,bytes32,uint256)"
+    ));
+    bytes4 private constant REMOVE_ASSOCIATED_ADDRESS_DELEGATED_TYPED = bytes4(keccak256(
+        "removeAssociatedAddressDelegatedTyped(address,uint8,bytes32,bytes32,uint256)"
+    ));
+    // the EIN argument of these is replaced by the EIN of the approving address
+    bytes4 private constant ADD_PROVIDERS_FOR = bytes4(keccak256("addProvidersFor(uint256,address[])"));
+    bytes4 private constant REMOVE_PROVIDERS_FOR = bytes4(keccak256("removeProvidersFor(uint256,address[])"));
+    bytes4 private constant ADD_RESOLVERS_FOR = bytes4(keccak256("addResolversFor(uint256,address[])"));
+    bytes4 private constant REMOVE_RESOLVERS_FOR = bytes4(keccak256("removeResolversFor(uint256,address[])"));
+    bytes4 private constant ADD_RESOLVER_FOR = bytes4(keccak256("addResolverFor(uint256,address,bytes)"));
+    bytes4 private constant REMOVE_RESOLVER_FOR = bytes4(keccak256("removeResolverFor(uint256,address,bytes)"));
+    bytes4 private constant ADD_RESOLVERS_WITH_DATA_FOR = bytes4(keccak256(
+        "addResolversWithDataFor(uint256,address[],bytes,uint256[])"
+    ));
+
+    // signed by executeBatchDelegated, and incremented whenever a signature of the approving address is used
+    mapping (address => uint) public nonceTracker;
+
+    event BatchExecuted(address indexed approvingAddress, uint indexed ein, uint steps, bool delegated);
+
+    constructor (address identityRegistryAddress) public {
+        identityRegistry = IdentityRegistryInterface(identityRegistryAddress);
+    }
+
+    /// @notice Runs a batch approved by the sender.
+    /// @param destinations The contract called by each step, either the registry or a resolver of the sender's EIN.
+    /// @param data The calldata of every step, concatenated.
+    /// @param dataLengths The length of the calldata of each step.
+    function executeBatch(address[] memory destinations, bytes memory data, uint[] memory dataLengths) public {
+        executeBatch(msg.sender, destinations, data, dataLengths, false);
+    }
+
+    /// @notice Runs a batch approved by the signature of approvingAddress.
+    /// @dev approvingAddress need not have an Identity before the batch runs, but must have one once it is done.
+    /// @param approvingAddress The address that signed the batch, whose EIN the batch acts on.
+    /// @param destinations The contract called by each step, either the registry or a resolver of the approving EIN.
+    /// @param data The calldata of every step, concatenated.
+    /// @param dataLengths The length of the calldata of each step.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    function executeBatchDelegated(
+        address approvingAddress, address[] memory destinations, bytes memory data, uint[] memory dataLengths,
+        uint8 v, bytes32 r, bytes32 s
+    )
+        public
+    {
+        require(
+            identityRegistry.isSigned(
+                approvingAddress, getMessageHash(approvingAddress, destinations, data, dataLengths), v, r, s
+            ),
+            "Permission denied."
+        );
+        nonceTracker[approvingAddress] += 1;
+
+        executeBatch(approvingAddress, destinations, data, dataLengths, true);
+    }
+
+    // hashes the message signed for executeBatchDelegated, separately to keep the stack of the caller shallow
+    function getMessageHash(
+        address approvingAddress, address[] memory destinations, bytes memory data, uint[] memory dataLengths
+    )
+        private view returns (bytes32)
+    {
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize this batch.",
+                approvingAddress, destinations, data, dataLengths, nonceTracker[approvingAddress]
+            )
+        );
+    }
+
+    // Batch Execution /////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @dev Common logic for all batches.
+    function executeBatch(
+        address approvingAddress, address[] memory destinations, bytes memory data, uint[] memory dataLengths,
+        bool delegated
+    )
+        private
+    {
+        require(destinations.length == dataLengths.length, "Malformed batch.");
+
+        uint offset = 0;
+        for (uint step = 0; step < destinations.length; step++) {
+            require(dataLengths[step] <= data.length - offset, "Malformed batch.");
+            executeStep(approvingAddress, step, destinations[step], slice(data, offset, dataLengths[step]));
+            offset += dataLengths[step];
+        }
+        require(offset == data.length, "Malformed batch.");
+
+        emit BatchExecuted(approvingAddress, identityRegistry.getEIN(approvingAddress), destinations.length, delegated);
+    }
+
+    /// @dev Checks that a step may be run for approvingAddress, and runs it.
+    function executeStep(address approvingAddress, uint step, address destination, bytes memory stepData) private {
+        if (destination == address(identityRegistry)) {
+            bytes4 selector = stepData.length < 4 ? bytes4(0) : getSelector(stepData);
+            if (
+                selector == ADD_PROVIDERS_FOR || selector == REMOVE_PROVIDERS_FOR ||
+                selector == ADD_RESOLVERS_FOR || selector == REMOVE_RESOLVERS_FOR ||
+                selector == ADD_RESOLVER_FOR || selector == REMOVE_RESOLVER_FOR ||
+                selector == ADD_RESOLVERS_WITH_DATA_FOR
+            ) {
+                if (stepData.length < 36) revert(stepFailure(step, "Malformed step."));
+                uint ein = getApprovingEIN(approvingAddress, step);
+                assembly { mstore(add(stepData, 36), ein) }
+            } else if (
+                selector != CREATE_IDENTITY_DELEGATED && selector != CREATE_IDENTITY_DELEGATED_TYPED &&
+                selector != ADD_ASSOCIATED_ADDRESS_DELEGATED && selector != ADD_ASSOCIATED_ADDRESS_DELEGATED_TYPED &&
+                selector != REMOVE_ASSOCIATED_ADDRESS_DELEGATED && selector != REMOVE_ASSOCIATED_ADDRESS_DELEGATED_TYPED
+            ) {
+                revert(stepFailure(step, "Function cannot be batched."));
+            }
+        } else {
+            uint ein = getApprovingEIN(approvingAddress, step);
+            if (!identityRegistry.isResolverFor(ein, destination)) {
+                revert(stepFailure(step, "Destination is not a resolver for the approving EIN."));
+            }
+            // resolvers act on the EIN or associated address of their first argument, which is bound to the approver
+            uint firstArgument = stepData.length < 36 ? 0 : getFirstArgument(stepData);
+            if (firstArgument == 0 || firstArgument != ein && firstArgument != uint(uint160(approvingAddress))) {
+                revert(stepFailure(step, "Resolver steps must act on the approving EIN."));
+            }
+        }
+
+        // solium-disable-next-line security/no-low-level-calls
+        (bool success, bytes memory returnData) = destination.call(stepData);
+        if (!success) revert(stepFailure(step, getRevertReason(returnData)));
+    }
+
+    function getApprovingEIN(address approvingAddress, uint step) private view returns (uint) {
+        if (!identityRegistry.hasIdentity(approvingAddress)) {
+            revert(stepFailure(step, "The approving address does not have an identity."));
+        }
+        return identityRegistry.getEIN(approvingAddress);
+    }
+
+    // Helpers /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    function getSelector(bytes memory stepData) private pure returns (bytes4 selector) {
+        assembly {
+            selector := and(
+                mload(add(stepData, 32)), 0xffffffff00000000000000000000000000000000000000000000000000000000
+            )
+        }
+    }
+
+    function getFirstArgument(bytes memory stepData) private pure returns (uint argument) {
+        assembly { argument := mload(add(stepData, 36)) }
+    }
+
+    function slice(bytes memory data, uint start, uint length) private pure returns (bytes memory result) {
+        result = new bytes(length);
+        for (uint i = 0; i < length; i++) {
+            result[i] = data[start + i];
+        }
+    }
+
+    // decodes the reason of require/revert calls, i.e. Error(string) revert data, returning "" if there is none
+    function getRevertReason(bytes memory returnData) private pure returns (string memory) {
+        if (returnData.length < 68 || getSelector(returnData) != bytes4(keccak256("Error(string)"))) return "";
+        assembly {
+            let length := mload(returnData)
+            returnData := add(returnData, 4)
+            mstore(returnData, sub(length, 4))
+        }
+        return abi.decode(returnData, (string));
+    }
+
+    function stepFailure(uint step, string memory reason) private pure returns (string memory) {
+        if (bytes(reason).length == 0) return string(abi.encodePacked("Step ", toString(step), " failed."));
+        return string(abi.encodePacked("Step ", toString(step), " failed: ", reason));
+    }
+
+    function toString(uint value) private pure returns (string memory) {
+        if (value == 0) return "0";
+
+        uint digits = 0;
+        for (uint remaining = value; remaining > 0; remaining /= 10) digits++;
+
+        bytes memory result = new bytes(digits);
+        for (uint i = digits; i > 0; i--) {
+            result[i - 1] = byte(uint8(48 + value % 10));
+            value /= 10;
+        }
+        return string(result);
+    }
+}
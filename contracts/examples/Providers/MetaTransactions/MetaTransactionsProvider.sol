@@ -1,17 +1,23 @@
 pragma solidity ^0.5.0;
 
 import "./ExternalProxy.sol";
+import "../../../SignatureVerifier.sol";
 import "../../../interfaces/IdentityRegistryInterface.sol";
 
-contract MetaTransactionsProvider is Forwarder {
+contract MetaTransactionsProvider is Forwarder, SignatureVerifier {
     IdentityRegistryInterface identityRegistry;
 
+    bytes32 private constant CALL_VIA_PROXY_TYPEHASH = keccak256(
+        "CallViaProxy(uint256 ein,address destination,bytes data,bool viaExternal,uint256 nonce)"
+    );
+
     // external proxy registry and nonce tracker mapping EINs to proxies/nonces
     mapping (uint => address) public externalProxyDirectory;
     mapping (uint => uint) public nonceTracker;
 
     constructor (address identityRegistryAddress) public {
         identityRegistry = IdentityRegistryInterface(identityRegistryAddress);
+        setDomainSeparator("MetaTransactionsProvider", "1");
     }
 
 
@@ -39,6 +45,20 @@ contract MetaTransactionsProvider is Forwarder {
         );
     }
 
+    // create identity with an EIP-712 signed meta-transaction
+    function createIdentityDelegatedTyped(
+        address recoveryAddress, address associatedAddress, address[] memory resolvers,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public returns (uint ein)
+    {
+        address[] memory providers = new address[](1);
+        providers[0] = address(this);
+        return identityRegistry.createIdentityDelegatedTyped(
+            recoveryAddress, associatedAddress, providers, resolvers, v, r, s, timestamp
+        );
+    }
+
     // internal logic for claiming an external proxy
     function claimProxy(uint ein) private {
         ExternalProxy externalProxy = new ExternalProxy(ein, address(this));
@@ -78,6 +98,33 @@ contract MetaTransactionsProvider is Forwarder {
         callViaProxy(ein, destination, data, viaExternal);
     }
 
+    // call via proxy from approvingAddress with an EIP-712 signed meta-transaction
+    function callViaProxyDelegatedTyped(
+        address approvingAddress, address destination, bytes memory data, bool viaExternal,
+        uint8 v, bytes32 r, bytes32 s
+    )
+        public
+    {
+        uint ein = identityRegistry.getEIN(approvingAddress);
+        require(
+            identityRegistry.isSigned(
+                approvingAddress,
+                hashTypedData(
+                    keccak256(
+                        abi.encode(
+                            CALL_VIA_PROXY_TYPEHASH, ein, destination, keccak256(data), viaExternal, nonceTracker[ein]
+                        )
+                    )
+                ),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+        nonceTracker[ein] += 1;
+
+        callViaProxy(ein, destination, data, viaExternal);
+    }
+
     // internal logic for calling proxy
     function callViaProxy(uint ein, address destination, bytes memory data, bool viaExternal)
         private isProviderFor(ein) returns (bytes memory returnData)
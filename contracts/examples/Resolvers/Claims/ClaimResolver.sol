@@ -0,0 +1,377 @@
+pragma solidity ^0.5.0;
+
+import "../../../SignatureVerifier.sol";
+import "../../../interfaces/IdentityRegistryInterface.sol";
+import "../../../interfaces/ResolverInterface.sol";
+
+/// @title Stores ERC-735-style claims about Identities, signed by issuers that are themselves Identities.
+/// @dev A claim is signed by an associated address of its issuer's EIN, and is valid while that address stays
+/// associated, the issuer is trusted for the claim's topic, and the claim has neither expired nor been revoked. The
+/// curator registers each topic to a manager EIN, which then manages the topic's issuers.
+contract ClaimResolver is SignatureVerifier, ResolverInterface {
+    string public constant NAME = "ClaimResolver";
+
+    // the ERC-735 scheme of ECDSA signatures, raw, eth_sign-prefixed or accepted by an EIP-1271 contract
+    uint public constant SCHEME_ECDSA = 1;
+
+    IdentityRegistryInterface identityRegistry;
+
+    address public curator;
+
+    struct Claim {
+        uint ein;
+        uint topic;
+        uint scheme;
+        address issuer; // the associated address that signed the claim
+        uint issuerEin;
+        bytes signature; // the 65 byte r, s, v signature of getClaimHash
+        bytes data;
+        string uri;
+        uint expiry; // 0 for claims that never expire
+    }
+
+    // keyed by the claim ID, see getClaimId
+    mapping(bytes32 => Claim) internal claims;
+
+    // the IDs of the claims of each EIN
+    mapping(uint => bytes32[]) internal einToClaimIds;
+    mapping(bytes32 => uint) internal claimIdIndices; // 1-indexed positions in einToClaimIds
+
+    // the claim hashes each issuer EIN has revoked
+    mapping(uint => mapping(bytes32 => bool)) internal revocations;
+
+    constructor (address identityRegistryAddress) public {
+        identityRegistry = IdentityRegistryInterface(identityRegistryAddress);
+        curator = msg.sender;
+        emit CurationTransferred(address(0), msg.sender);
+    }
+
+    modifier isResolverFor(uint ein) {
+        require(identityRegistry.isResolverFor(ein, address(this)), "The calling identity does not have this resolver set.");
+        _;
+    }
+
+    modifier identityExists(uint ein) {
+        require(identityRegistry.identityExists(ein), "The referenced identity does not exist.");
+        _;
+    }
+
+    modifier isCurator() {
+        require(msg.sender == curator, "Only the curator can call this function.");
+        _;
+    }
+
+    // Issuer Registry /////////////////////////////////////////////////////////////////////////////////////////////////
+
+    struct Topic {
+        uint managerEin; // 0 if the topic was not registered
+        uint[] issuerEins;
+        mapping(uint => uint) issuerIndices; // 1-indexed positions in issuerEins
+    }
+
+    mapping(uint => Topic) internal topics;
+
+    modifier isTopicManager(uint topic) {
+        require(
+            topics[topic].managerEin != 0 && topics[topic].managerEin == identityRegistry.getEIN(msg.sender),
+            "Only the manager of the topic can call this function."
+        );
+        _;
+    }
+
+    /// @notice Allows the curator to register a topic, making an Identity the manager of its issuers.
+    /// @dev Registration is curated so that nobody can claim a topic ahead of the Identity meant to manage it.
+    function registerTopic(uint topic, uint managerEin) external isCurator identityExists(managerEin) {
+        require(topics[topic].managerEin == 0, "The topic is already registered.");
+        topics[topic].managerEin = managerEin;
+        emit TopicRegistered(topic, managerEin);
+    }
+
+    /// @notice Allows the curator to hand curation to another address.
+    /// @dev Passing the zero address renounces curation, so that no more topics can be registered.
+    function transferCuration(address newCurator) external isCurator {
+        emit CurationTransferred(curator, newCurator);
+        curator = newCurator;
+    }
+
+    /// @notice Allows the manager of a topic to hand it to another Identity.
+    function transferTopic(uint topic, uint newManagerEin)
+        external isTopicManager(topic) identityExists(newManagerEin)
+    {
+        emit TopicTransferred(topic, topics[topic].managerEin, newManagerEin);
+        topics[topic].managerEin = newManagerEin;
+    }
+
+    /// @notice Allows the manager of a topic to trust an Identity to issue claims about it.
+    function addIssuer(uint topic, uint issuerEin) external isTopicManager(topic) identityExists(issuerEin) {
+        Topic storage _topic = topics[topic];
+        require(_topic.issuerIndices[issuerEin] == 0, "The issuer is already trusted.");
+        _topic.issuerIndices[issuerEin] = _topic.issuerEins.push(issuerEin);
+        emit IssuerAdded(topic, issuerEin);
+    }
+
+    /// @notice Allows the manager of a topic to stop trusting an issuer, which invalidates every claim it issued about
+    /// the topic.
+    function removeIssuer(uint topic, uint issuerEin) external isTopicManager(topic) {
+        Topic storage _topic = topics[topic];
+        uint index = _topic.issuerIndices[issuerEin];
+        require(index != 0, "The issuer is not trusted.");
+
+        // replace the issuer with the last one
+        uint lastIssuerEin = _topic.issuerEins[_topic.issuerEins.length - 1];
+        _topic.issuerEins[index - 1] = lastIssuerEin;
+        _topic.issuerIndices[lastIssuerEin] = index;
+        delete _topic.issuerIndices[issuerEin];
+        _topic.issuerEins.pop();
+
+        emit IssuerRemoved(topic, issuerEin);
+    }
+
+    function getTopicManager(uint topic) public view returns (uint) {
+        return topics[topic].managerEin;
+    }
+
+    function getIssuers(uint topic) public view returns (uint[] memory) {
+        return topics[topic].issuerEins;
+    }
+
+    function isTrustedIssuer(uint topic, uint issuerEin) public view returns (bool) {
+        return topics[topic].issuerIndices[issuerEin] != 0;
+    }
+
+    // Claim Hashes ////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Gets the ID of a claim, which is unique for each subject, issuer and topic like in ERC-735.
+    function getClaimId(uint ein, uint issuerEin, uint topic) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(ein, issuerEin, topic));
+    }
+
+    /// @notice Gets the hash an issuer signs to attest a claim, raw or eth_sign-prefixed.
+    /// @dev The uri is not signed, since it only tells where to find the data.
+    function getClaimHash(uint ein, uint topic, uint scheme, uint expiry, bytes memory data)
+        public view returns (bytes32)
+    {
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I attest to this claim.",
+                ein, topic, scheme, expiry, data
+            )
+        );
+    }
+
+    /// @dev Checks a 65 byte r, s, v signature of a claim hash.
+    function isClaimSigned(address issuer, bytes32 claimHash, bytes memory signature) private view returns (bool) {
+        if (signature.length != 65) {
+            return false;
+        }
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 32))
+            s := mload(add(signature, 64))
+            v := byte(0, mload(add(signature, 96)))
+        }
+        return isSigned(issuer, claimHash, v, r, s);
+    }
+
+    // Adding Claims ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Allows adding a claim about the sender's Identity, replacing any claim of the issuer about the topic.
+    /// @param topic The topic of the claim.
+    /// @param scheme The signature scheme, SCHEME_ECDSA.
+    /// @param issuer The associated address of the issuing Identity that signed the claim.
+    /// @param signature The 65 byte r, s, v signature of getClaimHash by the issuer.
+    /// @param data The claimed data, or its hash.
+    /// @param uri Where to find the data, may be empty.
+    /// @param expiry The timestamp from which the claim is no longer valid, or 0 if it never expires.
+    /// @return The ID of the claim.
+    function addClaim(
+        uint topic, uint scheme, address issuer, bytes calldata signature, bytes calldata data, string calldata uri,
+        uint expiry
+    )
+        external returns (bytes32)
+    {
+        return _addClaim(
+            Claim(identityRegistry.getEIN(msg.sender), topic, scheme, issuer, 0, signature, data, uri, expiry), false
+        );
+    }
+
+    /// @notice Allows providers to add a claim about an Identity, see addClaim for the parameters.
+    function addClaimFor(
+        uint ein, uint topic, uint scheme, address issuer, bytes calldata signature, bytes calldata data,
+        string calldata uri, uint expiry
+    )
+        external returns (bytes32)
+    {
+        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+        return _addClaim(Claim(ein, topic, scheme, issuer, 0, signature, data, uri, expiry), true);
+    }
+
+    function _addClaim(Claim memory claim, bool delegated) private isResolverFor(claim.ein) returns (bytes32 claimId) {
+        require(claim.scheme == SCHEME_ECDSA, "Unknown signature scheme.");
+        // solium-disable-next-line security/no-block-members
+        require(claim.expiry == 0 || claim.expiry > block.timestamp, "Expiry must be in the future.");
+        require(
+            isClaimSigned(
+                claim.issuer, getClaimHash(claim.ein, claim.topic, claim.scheme, claim.expiry, claim.data),
+                claim.signature
+            ),
+            "Invalid issuer signature."
+        );
+        claim.issuerEin = identityRegistry.getEIN(claim.issuer);
+
+        claimId = getClaimId(claim.ein, claim.issuerEin, claim.topic);
+        if (claimIdIndices[claimId] == 0) {
+            claimIdIndices[claimId] = einToClaimIds[claim.ein].push(claimId);
+        }
+        claims[claimId] = claim;
+
+        emit ClaimAdded(claimId, claim.ein, claim.topic, claim.issuerEin, claim.issuer, delegated);
+    }
+
+    // Removing Claims /////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Allows removing a claim about the sender's Identity.
+    function removeClaim(bytes32 claimId) external {
+        _removeClaim(identityRegistry.getEIN(msg.sender), claimId, false);
+    }
+
+    /// @notice Allows providers to remove a claim about an Identity.
+    function removeClaimFor(uint ein, bytes32 claimId) external {
+        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+        _removeClaim(ein, claimId, true);
+    }
+
+    function _removeClaim(uint ein, bytes32 claimId, bool delegated) private isResolverFor(ein) {
+        require(claimIdIndices[claimId] != 0 && claims[claimId].ein == ein, "Claim is not a claim of the identity.");
+        deleteClaim(ein, claimId, delegated);
+    }
+
+    /// @dev Deletes a claim of an Identity, replacing its ID with the last one.
+    function deleteClaim(uint ein, bytes32 claimId, bool delegated) private {
+        bytes32[] storage claimIds = einToClaimIds[ein];
+        uint index = claimIdIndices[claimId];
+        bytes32 lastClaimId = claimIds[claimIds.length - 1];
+        claimIds[index - 1] = lastClaimId;
+        claimIdIndices[lastClaimId] = index;
+        delete claimIdIndices[claimId];
+        claimIds.pop();
+
+        emit ClaimRemoved(claimId, ein, claims[claimId].topic, claims[claimId].issuerEin, delegated);
+        delete claims[claimId];
+    }
+
+    // Revocations /////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Allows an issuer to revoke a claim hash it signed, invalidating the claim wherever it was added.
+    /// @dev Hashes can be revoked before the claim is added, and stay revoked if it is removed and added again.
+    /// @param claimHash The hash of the claim, see getClaimHash.
+    function revokeClaim(bytes32 claimHash) external {
+        uint issuerEin = identityRegistry.getEIN(msg.sender);
+        require(!revocations[issuerEin][claimHash], "The claim is already revoked.");
+        revocations[issuerEin][claimHash] = true;
+        emit ClaimRevoked(issuerEin, claimHash, msg.sender);
+    }
+
+    function isRevoked(uint issuerEin, bytes32 claimHash) public view returns (bool) {
+        return revocations[issuerEin][claimHash];
+    }
+
+    // Claim View Functions ////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Gets a claim, with the fields of ERC-735.
+    function getClaim(bytes32 claimId) public view returns (
+        uint topic, uint scheme, address issuer, bytes memory signature, bytes memory data, string memory uri
+    )
+    {
+        Claim storage claim = claims[claimId];
+        return (claim.topic, claim.scheme, claim.issuer, claim.signature, claim.data, claim.uri);
+    }
+
+    /// @notice Gets the Identities a claim binds, and its expiry.
+    /// @return The EIN of the subject and of the issuer of the claim, both 0 if the claim does not exist.
+    function getClaimBinding(bytes32 claimId) public view returns (uint ein, uint issuerEin, uint expiry) {
+        Claim storage claim = claims[claimId];
+        return (claim.ein, claim.issuerEin, claim.expiry);
+    }
+
+    function getClaimIds(uint ein) public view returns (bytes32[] memory) {
+        return einToClaimIds[ein];
+    }
+
+    /// @notice Lists the IDs of the claims of an Identity about a topic.
+    function getClaimIdsByTopic(uint ein, uint topic) public view returns (bytes32[] memory claimIds) {
+        bytes32[] storage allClaimIds = einToClaimIds[ein];
+        uint count = 0;
+        for (uint i = 0; i < allClaimIds.length; i++) {
+            if (claims[allClaimIds[i]].topic == topic) {
+                count++;
+            }
+        }
+        claimIds = new bytes32[](count);
+        for (uint i = allClaimIds.length; i > 0; i--) {
+            if (claims[allClaimIds[i - 1]].topic == topic) {
+                claimIds[--count] = allClaimIds[i - 1];
+            }
+        }
+    }
+
+    /// @notice Checks if a claim exists and is valid: unexpired, not revoked, signed by an address still associated
+    /// with its issuer, and issued by an issuer trusted for its topic.
+    function isClaimValid(bytes32 claimId) public view returns (bool) {
+        Claim storage claim = claims[claimId];
+        bytes32 claimHash = getClaimHash(claim.ein, claim.topic, claim.scheme, claim.expiry, claim.data);
+        return (
+            claim.ein != 0 &&
+            // solium-disable-next-line security/no-block-members
+            (claim.expiry == 0 || block.timestamp < claim.expiry) &&
+            !revocations[claim.issuerEin][claimHash] &&
+            identityRegistry.isAssociatedAddressFor(claim.issuerEin, claim.issuer) &&
+            isTrustedIssuer(claim.topic, claim.issuerEin)
+        );
+    }
+
+    // Resolver Callbacks //////////////////////////////////////////////////////////////////////////////////////////////
+
+    modifier onlyIdentityRegistry() {
+        require(msg.sender == address(identityRegistry), "Only the IdentityRegistry can call this function.");
+        _;
+    }
+
+    /// @notice ERC-165 support, announcing the ResolverInterface callbacks to the IdentityRegistry.
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return (
+            interfaceId == this.supportsInterface.selector ||
+            interfaceId == this.onAddition.selector ^ this.onRemoval.selector
+        );
+    }
+
+    /// @dev No state needs to be initialised when the resolver is added.
+    function onAddition(uint, bytes calldata) external onlyIdentityRegistry returns (bool) {
+        return true;
+    }
+
+    /// @dev Removes every claim about the Identity, which has withdrawn its consent to them.
+    function onRemoval(uint ein, bytes calldata) external onlyIdentityRegistry returns (bool) {
+        bytes32[] storage claimIds = einToClaimIds[ein];
+        while (claimIds.length > 0) {
+            deleteClaim(ein, claimIds[claimIds.length - 1], true);
+        }
+        return true;
+    }
+
+    // Events //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    event CurationTransferred(address indexed oldCurator, address indexed newCurator);
+    event TopicRegistered(uint indexed topic, uint indexed managerEin);
+    event TopicTransferred(uint indexed topic, uint indexed oldManagerEin, uint indexed newManagerEin);
+    event IssuerAdded(uint indexed topic, uint indexed issuerEin);
+    event IssuerRemoved(uint indexed topic, uint indexed issuerEin);
+    event ClaimAdded(
+        bytes32 indexed claimId, uint indexed ein, uint indexed topic, uint issuerEin, address issuer, bool delegated
+    );
+    event ClaimRemoved(bytes32 indexed claimId, uint indexed ein, uint indexed topic, uint issuerEin, bool delegated);
+    event ClaimRevoked(uint indexed issuerEin, bytes32 indexed claimHash, address revokedBy);
+}
@@ -1,9 +1,13 @@
 pragma solidity ^0.5.0;
 
 import "../../../interfaces/IdentityRegistryInterface.sol";
+import "../../../interfaces/RecoveryResolverInterface.sol";
 import "./EthereumDIDRegistryInterface.sol";
 
-contract ERC1056 {
+/// @title An ERC-1484 resolver managing ERC-1056 DIDs on behalf of EINs.
+/// @dev Each EIN can bind several DIDs under distinct labels. The resolver owns bound DIDs in the EthereumDIDRegistry
+/// until they are detached, and the functions without a label act on the DID bound under the zero label.
+contract ERC1056 is RecoveryResolverInterface {
     IdentityRegistryInterface identityRegistry;
     EthereumDIDRegistryInterface ethereumDIDRegistry;
 
@@ -12,47 +16,163 @@ contract ERC1056 {
         ethereumDIDRegistry = EthereumDIDRegistryInterface(ethereumDIDRegistryAddress);
     }
 
-    mapping(uint => address) public einToDID;
     mapping(uint => uint) public actionNonce;
 
+    // DID Bindings ////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    mapping(uint => mapping(bytes32 => address)) internal einToDIDs;
+    mapping(uint => bytes32[]) internal einToLabels;
+    mapping(uint => mapping(bytes32 => uint)) internal labelIndices; // 1-indexed positions in einToLabels
+    mapping(address => uint) public didToEIN;
+    mapping(address => bytes32) public didToLabel;
+
+    event DIDBound(uint indexed ein, address indexed did, bytes32 label, address approvingAddress);
+    event DIDDetached(
+        uint indexed ein, address indexed did, bytes32 label, address newOwner, address approvingAddress, bool delegated
+    );
+    event DIDChanged(
+        uint indexed ein, address indexed did, bytes32 label, bytes4 action, address approvingAddress, bool delegated
+    );
+    event DIDRecovered(uint indexed ein, address indexed did, bytes32 label);
+
+    /// @notice Returns the DID bound by initialize, i.e. under the zero label.
+    function einToDID(uint ein) public view returns (address) {
+        return einToDIDs[ein][bytes32(0)];
+    }
+
+    /// @notice Returns the DID an EIN bound under a label, or the zero address if there is none.
+    function getDID(uint ein, bytes32 label) public view returns (address) {
+        return einToDIDs[ein][label];
+    }
+
+    /// @notice Lists the labels of the DIDs bound by an EIN.
+    function getLabels(uint ein) public view returns (bytes32[] memory) {
+        return einToLabels[ein];
+    }
+
     function initialize(address identity, uint8 v, bytes32 r, bytes32 s) public {
+        bindDID(bytes32(0), identity, v, r, s);
+    }
+
+    /// @notice Binds a DID to the sender's EIN under a label, making the resolver its owner.
+    /// @param label The label, unique per EIN.
+    /// @param identity The DID to bind.
+    /// @param v The v component of the current owner's changeOwnerSigned signature, with the resolver as new owner.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    function bindDID(bytes32 label, address identity, uint8 v, bytes32 r, bytes32 s) public {
         uint ein = identityRegistry.getEIN(msg.sender);
-        require(einToDID[ein] == address(0), "This EIN has already been initialized");
+        require(einToDIDs[ein][label] == address(0), "This EIN has already been initialized with this label");
+        require(didToEIN[identity] == 0, "This DID is already bound to an EIN");
         ethereumDIDRegistry.changeOwnerSigned(identity, v, r, s, address(this));
-        einToDID[ein] = identity;
+
+        einToDIDs[ein][label] = identity;
+        labelIndices[ein][label] = einToLabels[ein].push(label);
+        didToEIN[identity] = ein;
+        didToLabel[identity] = label;
+
+        emit DIDBound(ein, identity, label, msg.sender);
     }
 
+    function unbindDID(uint ein, bytes32 label, address did) private {
+        bytes32[] storage labels = einToLabels[ein];
+        uint index = labelIndices[ein][label];
+        // replace the label with the last one
+        bytes32 lastLabel = labels[labels.length - 1];
+        labels[index - 1] = lastLabel;
+        labelIndices[ein][lastLabel] = index;
+        labels.length--;
+
+        delete labelIndices[ein][label];
+        delete einToDIDs[ein][label];
+        delete didToEIN[did];
+        delete didToLabel[did];
+    }
+
+    function getBoundDID(uint ein, bytes32 label) private view returns (address did) {
+        did = einToDIDs[ein][label];
+        require(did != address(0), "This EIN has not been initialized");
+    }
+
+    /// @dev Checks the signature of a delegated call, and uses up the action nonce of the EIN.
+    function useSignature(uint ein, address approvingAddress, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        private
+    {
+        require(
+            identityRegistry.isSigned(approvingAddress, messageHash, v, r, s),
+            "Function execution is incorrectly signed."
+        );
+        actionNonce[ein]++;
+    }
+
+    // Owner ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
     function changeOwner(address newOwner) public {
-        uint ein = identityRegistry.getEIN(msg.sender);
-        _changeOwner(einToDID[ein], newOwner);
+        _changeOwner(identityRegistry.getEIN(msg.sender), bytes32(0), newOwner, msg.sender, false);
+    }
+
+    /// @notice Changes the owner of a DID of the sender's EIN. Any owner but the resolver detaches the DID from the
+    /// EIN, handing it back to a plain owner.
+    function changeDIDOwner(bytes32 label, address newOwner) public {
+        _changeOwner(identityRegistry.getEIN(msg.sender), label, newOwner, msg.sender, false);
     }
 
     function changeOwnerDelegated(address approvingAddress, address newOwner, uint8 v, bytes32 r, bytes32 s) public {
         uint ein = identityRegistry.getEIN(approvingAddress);
-        require(
-            identityRegistry.isSigned(
-                approvingAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this), "changeOwnerDelegated", newOwner, actionNonce[ein]
-                    )
-                ),
-                v, r, s
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this), "changeOwnerDelegated", newOwner, actionNonce[ein]
+                )
             ),
-            "Function execution is incorrectly signed."
+            v, r, s
         );
-        actionNonce[ein]++;
-        _changeOwner(einToDID[ein], newOwner);
+        _changeOwner(ein, bytes32(0), newOwner, approvingAddress, true);
+    }
+
+    function changeDIDOwnerDelegated(
+        address approvingAddress, bytes32 label, address newOwner, uint8 v, bytes32 r, bytes32 s
+    )
+        public
+    {
+        uint ein = identityRegistry.getEIN(approvingAddress);
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this), "changeDIDOwnerDelegated", label, newOwner, actionNonce[ein]
+                )
+            ),
+            v, r, s
+        );
+        _changeOwner(ein, label, newOwner, approvingAddress, true);
     }
 
-    function _changeOwner(address _did, address _newOwner) internal {
-        require(_did != address(0), "This EIN has not been initialized");
-        ethereumDIDRegistry.changeOwner(_did, _newOwner);
+    function _changeOwner(uint ein, bytes32 label, address newOwner, address approvingAddress, bool delegated)
+        private
+    {
+        address did = getBoundDID(ein, label);
+        ethereumDIDRegistry.changeOwner(did, newOwner);
+        if (newOwner == address(this)) {
+            emit DIDChanged(
+                ein, did, label, ethereumDIDRegistry.changeOwner.selector, approvingAddress, delegated
+            );
+        } else {
+            unbindDID(ein, label, did);
+            emit DIDDetached(ein, did, label, newOwner, approvingAddress, delegated);
+        }
     }
 
+    // Delegates ///////////////////////////////////////////////////////////////////////////////////////////////////////
+
     function addDelegate(bytes32 delegateType, address delegate, uint validity) public {
         uint ein = identityRegistry.getEIN(msg.sender);
-        _addDelegate(einToDID[ein], delegateType, delegate, validity);
+        _addDelegate(ein, bytes32(0), delegateType, delegate, validity, msg.sender, false);
+    }
+
+    function addDIDDelegate(bytes32 label, bytes32 delegateType, address delegate, uint validity) public {
+        _addDelegate(identityRegistry.getEIN(msg.sender), label, delegateType, delegate, validity, msg.sender, false);
     }
 
     function addDelegateDelegated(
@@ -61,31 +181,56 @@ contract ERC1056 {
         public
     {
         uint ein = identityRegistry.getEIN(approvingAddress);
-        require(
-            identityRegistry.isSigned(
-                approvingAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "addDelegateDelegated", delegateType, delegate, validity, actionNonce[ein]
-                    )
-                ),
-                v, r, s
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "addDelegateDelegated", delegateType, delegate, validity, actionNonce[ein]
+                )
             ),
-            "Function execution is incorrectly signed."
+            v, r, s
         );
-        actionNonce[ein]++;
-        _addDelegate(einToDID[ein], delegateType, delegate, validity);
+        _addDelegate(ein, bytes32(0), delegateType, delegate, validity, approvingAddress, true);
+    }
+
+    function addDIDDelegateDelegated(
+        address approvingAddress, bytes32 label, bytes32 delegateType, address delegate, uint validity,
+        uint8 v, bytes32 r, bytes32 s
+    )
+        public
+    {
+        uint ein = identityRegistry.getEIN(approvingAddress);
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "addDIDDelegateDelegated", label, delegateType, delegate, validity, actionNonce[ein]
+                )
+            ),
+            v, r, s
+        );
+        _addDelegate(ein, label, delegateType, delegate, validity, approvingAddress, true);
     }
 
-    function _addDelegate(address _did, bytes32 _delegateType, address _delegate, uint _validity) internal {
-        require(_did != address(0), "This EIN has not been initialized");
-        ethereumDIDRegistry.addDelegate(_did, _delegateType, _delegate, _validity);
+    function _addDelegate(
+        uint ein, bytes32 label, bytes32 delegateType, address delegate, uint validity,
+        address approvingAddress, bool delegated
+    )
+        private
+    {
+        address did = getBoundDID(ein, label);
+        ethereumDIDRegistry.addDelegate(did, delegateType, delegate, validity);
+        emit DIDChanged(ein, did, label, ethereumDIDRegistry.addDelegate.selector, approvingAddress, delegated);
     }
 
     function revokeDelegate(bytes32 delegateType, address delegate) public {
-        uint ein = identityRegistry.getEIN(msg.sender);
-        _revokeDelegate(einToDID[ein], delegateType, delegate);
+        _revokeDelegate(identityRegistry.getEIN(msg.sender), bytes32(0), delegateType, delegate, msg.sender, false);
+    }
+
+    function revokeDIDDelegate(bytes32 label, bytes32 delegateType, address delegate) public {
+        _revokeDelegate(identityRegistry.getEIN(msg.sender), label, delegateType, delegate, msg.sender, false);
     }
 
     function revokeDelegateDelegated(
@@ -94,31 +239,56 @@ contract ERC1056 {
         public
     {
         uint ein = identityRegistry.getEIN(approvingAddress);
-        require(
-            identityRegistry.isSigned(
-                approvingAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "revokeDelegateDelegated", delegateType, delegate, actionNonce[ein]
-                    )
-                ),
-                v, r, s
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "revokeDelegateDelegated", delegateType, delegate, actionNonce[ein]
+                )
             ),
-            "Function execution is incorrectly signed."
+            v, r, s
         );
-        actionNonce[ein]++;
-        _revokeDelegate(einToDID[ein], delegateType, delegate);
+        _revokeDelegate(ein, bytes32(0), delegateType, delegate, approvingAddress, true);
     }
 
-    function _revokeDelegate(address _did, bytes32 _delegateType, address _delegate) internal {
-        require(_did != address(0), "This EIN has not been initialized");
-        ethereumDIDRegistry.revokeDelegate(_did, _delegateType, _delegate);
+    function revokeDIDDelegateDelegated(
+        address approvingAddress, bytes32 label, bytes32 delegateType, address delegate, uint8 v, bytes32 r, bytes32 s
+    )
+        public
+    {
+        uint ein = identityRegistry.getEIN(approvingAddress);
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "revokeDIDDelegateDelegated", label, delegateType, delegate, actionNonce[ein]
+                )
+            ),
+            v, r, s
+        );
+        _revokeDelegate(ein, label, delegateType, delegate, approvingAddress, true);
     }
 
+    function _revokeDelegate(
+        uint ein, bytes32 label, bytes32 delegateType, address delegate, address approvingAddress, bool delegated
+    )
+        private
+    {
+        address did = getBoundDID(ein, label);
+        ethereumDIDRegistry.revokeDelegate(did, delegateType, delegate);
+        emit DIDChanged(ein, did, label, ethereumDIDRegistry.revokeDelegate.selector, approvingAddress, delegated);
+    }
+
+    // Attributes //////////////////////////////////////////////////////////////////////////////////////////////////////
+
     function setAttribute(bytes32 name, bytes memory value, uint validity) public {
-        uint ein = identityRegistry.getEIN(msg.sender);
-        _setAttribute(einToDID[ein], name, value, validity);
+        _setAttribute(identityRegistry.getEIN(msg.sender), bytes32(0), name, value, validity, msg.sender, false);
+    }
+
+    function setDIDAttribute(bytes32 label, bytes32 name, bytes memory value, uint validity) public {
+        _setAttribute(identityRegistry.getEIN(msg.sender), label, name, value, validity, msg.sender, false);
     }
 
     function setAttributeDelegated(
@@ -127,31 +297,58 @@ contract ERC1056 {
         public
     {
         uint ein = identityRegistry.getEIN(approvingAddress);
-        require(
-            identityRegistry.isSigned(
-                approvingAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "setAttributeDelegated", name, value, validity, actionNonce[ein]
-                    )
-                ),
-                v, r, s
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "setAttributeDelegated", name, value, validity, actionNonce[ein]
+                )
             ),
-            "Function execution is incorrectly signed."
+            v, r, s
         );
-        actionNonce[ein]++;
-        _setAttribute(einToDID[ein], name, value, validity);
+        _setAttribute(ein, bytes32(0), name, value, validity, approvingAddress, true);
     }
 
-    function _setAttribute(address _did, bytes32 _name, bytes memory _value, uint _validity) internal {
-        require(_did != address(0), "This EIN has not been initialized");
-        ethereumDIDRegistry.setAttribute(_did, _name, _value, _validity);
+    function setDIDAttributeDelegated(
+        address approvingAddress, bytes32 label, bytes32 name, bytes memory value, uint validity,
+        uint8 v, bytes32 r, bytes32 s
+    )
+        public
+    {
+        uint ein = identityRegistry.getEIN(approvingAddress);
+        useSignature(ein, approvingAddress, setDIDAttributeHash(ein, label, name, value, validity), v, r, s);
+        _setAttribute(ein, label, name, value, validity, approvingAddress, true);
+    }
+
+    function setDIDAttributeHash(uint ein, bytes32 label, bytes32 name, bytes memory value, uint validity)
+        private view returns (bytes32)
+    {
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "setDIDAttributeDelegated", label, name, value, validity, actionNonce[ein]
+            )
+        );
+    }
+
+    function _setAttribute(
+        uint ein, bytes32 label, bytes32 name, bytes memory value, uint validity,
+        address approvingAddress, bool delegated
+    )
+        private
+    {
+        address did = getBoundDID(ein, label);
+        ethereumDIDRegistry.setAttribute(did, name, value, validity);
+        emit DIDChanged(ein, did, label, ethereumDIDRegistry.setAttribute.selector, approvingAddress, delegated);
     }
 
     function revokeAttribute(bytes32 name, bytes memory value) public {
-        uint ein = identityRegistry.getEIN(msg.sender);
-        _revokeAttribute(einToDID[ein], name, value);
+        _revokeAttribute(identityRegistry.getEIN(msg.sender), bytes32(0), name, value, msg.sender, false);
+    }
+
+    function revokeDIDAttribute(bytes32 label, bytes32 name, bytes memory value) public {
+        _revokeAttribute(identityRegistry.getEIN(msg.sender), label, name, value, msg.sender, false);
     }
 
     function revokeAttributeDelegated(
@@ -160,25 +357,64 @@ contract ERC1056 {
         public
     {
         uint ein = identityRegistry.getEIN(approvingAddress);
-        require(
-            identityRegistry.isSigned(
-                approvingAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "revokeAttributeDelegated", name, value, actionNonce[ein]
-                    )
-                ),
-                v, r, s
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "revokeAttributeDelegated", name, value, actionNonce[ein]
+                )
             ),
-            "Function execution is incorrectly signed."
+            v, r, s
         );
-        actionNonce[ein]++;
-        _revokeAttribute(einToDID[ein], name, value);
+        _revokeAttribute(ein, bytes32(0), name, value, approvingAddress, true);
+    }
+
+    function revokeDIDAttributeDelegated(
+        address approvingAddress, bytes32 label, bytes32 name, bytes memory value, uint8 v, bytes32 r, bytes32 s
+    )
+        public
+    {
+        uint ein = identityRegistry.getEIN(approvingAddress);
+        useSignature(
+            ein, approvingAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "revokeDIDAttributeDelegated", label, name, value, actionNonce[ein]
+                )
+            ),
+            v, r, s
+        );
+        _revokeAttribute(ein, label, name, value, approvingAddress, true);
+    }
+
+    function _revokeAttribute(
+        uint ein, bytes32 label, bytes32 name, bytes memory value, address approvingAddress, bool delegated
+    )
+        private
+    {
+        address did = getBoundDID(ein, label);
+        ethereumDIDRegistry.revokeAttribute(did, name, value);
+        emit DIDChanged(ein, did, label, ethereumDIDRegistry.revokeAttribute.selector, approvingAddress, delegated);
     }
 
-    function _revokeAttribute(address _did, bytes32 _name, bytes memory _value) internal {
-        require(_did != address(0), "This EIN has not been initialized");
-        ethereumDIDRegistry.revokeAttribute(_did, _name, _value);
+    // Recovery Callback ///////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice ERC-165 support, announcing the RecoveryResolverInterface callback to the IdentityRegistry.
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == this.supportsInterface.selector || interfaceId == this.onRecovery.selector;
+    }
+
+    /// @dev Records which DIDs passed to the new associated address of a recovered EIN, and invalidates the delegated
+    /// signatures made before the recovery.
+    function onRecovery(uint ein) external returns (bool) {
+        require(msg.sender == address(identityRegistry), "Only the IdentityRegistry can call this function.");
+        actionNonce[ein]++;
+        bytes32[] storage labels = einToLabels[ein];
+        for (uint i = 0; i < labels.length; i++) {
+            emit DIDRecovered(ein, einToDIDs[ein][labels[i]], labels[i]);
+        }
+        return true;
     }
 }
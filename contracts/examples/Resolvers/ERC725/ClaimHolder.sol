@@ -62,10 +62,7 @@ contract ClaimHolder is KeyHolder, ERC735 {
         return claimId;
     }
 
-    function removeClaim(bytes32 _claimId) public returns (bool success) {
-        if (msg.sender != address(this)) {
-            require(keyHasPurpose(keccak256(abi.encodePacked(msg.sender)), 1), "Sender does not have management key");
-        }
+    function removeClaim(bytes32 _claimId) public onlyManagement returns (bool success) {
 
         emit ClaimRemoved(
             _claimId,
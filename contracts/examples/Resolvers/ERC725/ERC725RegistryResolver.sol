@@ -1,34 +1,144 @@
 pragma solidity ^0.5.0;
 
 import "./ClaimHolder.sol";
+import "../../../AddressSet/AddressSet.sol";
+import "../../../SignatureVerifier.sol";
 import "../../../interfaces/IdentityRegistryInterface.sol";
+import "../../../interfaces/RecoveryResolverInterface.sol";
+
+contract ERC725RegistryResolver is SignatureVerifier, RecoveryResolverInterface {
+    using AddressSet for AddressSet.Set;
+
+    // the purpose and type of the keys the resolver gives associated addresses
+    uint public constant MANAGEMENT_KEY = 1;
+    uint public constant ECDSA_TYPE = 1;
 
-contract ERC725RegistryResolver {
     IdentityRegistryInterface registry;
 
     constructor (address _identityRegistryAddress) public {
         registry = IdentityRegistryInterface(_identityRegistryAddress);
     }
 
-    mapping(uint => address) einTo725;
+    mapping(uint => address payable) einTo725;
+    // the associated addresses of each EIN that the resolver keeps a management key of its 725 for
+    mapping(uint => AddressSet.Set) einToManagedAddresses;
+
+    // Signature Timeout ///////////////////////////////////////////////////////////////////////////////////////////////
 
+    /// @notice The number of seconds signatures are valid for, as governed by the IdentityRegistry.
+    function signatureTimeout() public view returns (uint) {
+        return registry.signatureTimeout();
+    }
+
+    /// @dev Enforces that the passed timestamp is within signatureTimeout seconds of now.
+    /// @param timestamp The timestamp to check the validity of.
+    modifier ensureSignatureTimeValid(uint timestamp) {
+        require(
+            // solium-disable-next-line security/no-block-members
+            block.timestamp >= timestamp && block.timestamp < timestamp + signatureTimeout(), "Timestamp is not valid."
+        );
+        _;
+    }
+
+    // Signature Nonces ////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // signed by every delegated function, and incremented whenever a signature of the associated address is used
+    mapping (address => uint) public nonceTracker;
+
+    event SignatureCancelled(address indexed addr, uint nonce);
+
+    /// @notice Invalidates all signatures of the sender that have not been used yet, by incrementing its nonce.
+    function cancelSignature() external {
+        emit SignatureCancelled(msg.sender, nonceTracker[msg.sender]);
+        nonceTracker[msg.sender] += 1;
+    }
+
+    /// @dev Checks the signature of a delegated call by associatedAddress, and uses up its nonce.
+    /// @return The EIN of associatedAddress.
+    function useSignature(address associatedAddress, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        private returns (uint ein)
+    {
+        ein = registry.getEIN(associatedAddress);
+        require(registry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+        require(isSigned(associatedAddress, messageHash, v, r, s), "Permission denied.");
+        nonceTracker[associatedAddress] += 1;
+    }
+
+    modifier isResolverFor(uint ein) {
+        require(registry.isResolverFor(ein, address(this)), "The calling identity does not have this resolver set.");
+        _;
+    }
+
+    // 725 Management //////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Creates a 725 for the sender's EIN, with a management key for each of its associated addresses.
+    /// @return The address of the 725.
     function create725() public returns(address) {
-        uint ein = registry.getEIN(msg.sender);
+        return create725(registry.getEIN(msg.sender));
+    }
 
+    /// @notice Allows providers to create a 725 for an Identity.
+    /// @param associatedAddress An associated address of the Identity (must have produced the signature).
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    /// @return The address of the 725.
+    function create725Delegated(address associatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
+        public ensureSignatureTimeValid(timestamp) returns(address)
+    {
+        bytes32 messageHash = keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the creation of an ERC-725 identity on my behalf.",
+                nonceTracker[associatedAddress], timestamp
+            )
+        );
+        return create725(useSignature(associatedAddress, messageHash, v, r, s));
+    }
+
+    function create725(uint ein) private isResolverFor(ein) returns(address) {
         require(einTo725[ein] == address(0), "You already have a 725");
 
         ClaimHolder claim = new ClaimHolder();
-        // TODO: change this if addKey implementation changes s.t. it can return false
-        claim.addKey(keccak256(abi.encodePacked(msg.sender)), 1, 1);
-
         einTo725[ein] = address(claim);
+        syncKeys(ein, claim);
 
         return(address(claim));
     }
 
-    function claim725(address _contract) public returns(bool) {
-        uint ein = registry.getEIN(msg.sender);
+    /// @notice Links an existing 725 to the sender's EIN. If the resolver holds a management key of the 725, its keys
+    /// are synced with the associated addresses of the EIN, see sync.
+    /// @param _contract The address of the 725, which must hold a key of an associated address of the EIN.
+    /// @return true if the 725 was linked, false if none of the associated addresses hold a key of it.
+    function claim725(address payable _contract) public returns(bool) {
+        return claim725(registry.getEIN(msg.sender), _contract);
+    }
+
+    /// @notice Allows providers to link an existing 725 to an Identity.
+    /// @param associatedAddress An associated address of the Identity (must have produced the signature).
+    /// @param _contract The address of the 725, see claim725.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    /// @return true if the 725 was linked, false if none of the associated addresses hold a key of it.
+    function claim725Delegated(
+        address associatedAddress, address payable _contract, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp) returns(bool)
+    {
+        bytes32 messageHash = keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize linking this ERC-725 identity to my Identity.",
+                _contract, nonceTracker[associatedAddress], timestamp
+            )
+        );
+        return claim725(useSignature(associatedAddress, messageHash, v, r, s), _contract);
+    }
 
+    function claim725(uint ein, address payable _contract) private isResolverFor(ein) returns(bool) {
         address[] memory ownedAddresses;
         (,ownedAddresses,,) = registry.getIdentity(ein);
 
@@ -41,6 +151,7 @@ contract ERC725RegistryResolver {
             (,,key) = claim.getKey(keccak256(abi.encodePacked(ownedAddresses[x])));
             if (key == keccak256(abi.encodePacked(ownedAddresses[x]))) {
                 einTo725[ein] = _contract;
+                if (holdsManagementKey(claim)) syncKeys(ein, claim);
                 return true;
             }
         }
@@ -48,14 +159,84 @@ contract ERC725RegistryResolver {
         return false;
     }
 
+    /// @notice Unlinks the 725 of the sender's EIN. Its keys are left as they are.
     function remove725() public {
-        uint ein = registry.getEIN(msg.sender);
+        remove725(registry.getEIN(msg.sender));
+    }
 
+    function remove725(uint ein) private isResolverFor(ein) {
         einTo725[ein] = address(0);
+        delete einToManagedAddresses[ein];
     }
 
     function get725(uint _ein) public view returns(address) {
         return einTo725[_ein];
     }
 
+    // Key Synchronisation /////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Gives every associated address of an EIN a management key of its 725, and removes the management keys
+    /// the resolver gave addresses that have since left the EIN. Anyone can call it.
+    /// @dev The resolver must hold a management key of the 725, which it does for the 725s it created.
+    /// @param ein The EIN to sync the 725 of.
+    function sync(uint ein) public {
+        ClaimHolder claim = ClaimHolder(einTo725[ein]);
+        require(address(claim) != address(0), "The identity does not have a 725.");
+        require(holdsManagementKey(claim), "The resolver does not hold a management key of the 725.");
+        syncKeys(ein, claim);
+    }
+
+    /// @notice Checks if an associated address was given a management key of the 725 of an EIN by the resolver.
+    /// @param ein The EIN to check.
+    /// @param _address The address to check.
+    /// @return true if the resolver keeps a management key for the address, false otherwise.
+    function isManagedAddressFor(uint ein, address _address) public view returns(bool) {
+        return einToManagedAddresses[ein].contains(_address);
+    }
+
+    function holdsManagementKey(ClaimHolder claim) private view returns(bool) {
+        return claim.keyHasPurpose(keccak256(abi.encodePacked(address(this))), MANAGEMENT_KEY);
+    }
+
+    function syncKeys(uint ein, ClaimHolder claim) private {
+        AddressSet.Set storage managedAddresses = einToManagedAddresses[ein];
+
+        // remove the keys of departed addresses
+        uint i = 0;
+        while (i < managedAddresses.length()) {
+            address managedAddress = managedAddresses.members[i];
+            if (registry.isAssociatedAddressFor(ein, managedAddress)) {
+                i++;
+            } else {
+                bytes32 key = keccak256(abi.encodePacked(managedAddress));
+                if (claim.keyHasPurpose(key, MANAGEMENT_KEY)) claim.removeKey(key, MANAGEMENT_KEY);
+                // the last address is moved to position i
+                managedAddresses.remove(managedAddress);
+            }
+        }
+
+        // add keys for the current ones
+        address[] memory associatedAddresses;
+        (,associatedAddresses,,) = registry.getIdentity(ein);
+        for (uint x = 0; x < associatedAddresses.length; x++) {
+            bytes32 key = keccak256(abi.encodePacked(associatedAddresses[x]));
+            if (!claim.keyHasPurpose(key, MANAGEMENT_KEY)) claim.addKey(key, MANAGEMENT_KEY, ECDSA_TYPE);
+            managedAddresses.insert(associatedAddresses[x]);
+        }
+    }
+
+    // Recovery Callback ///////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice ERC-165 support, announcing the RecoveryResolverInterface callback to the IdentityRegistry.
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == this.supportsInterface.selector || interfaceId == this.onRecovery.selector;
+    }
+
+    /// @dev Hands the 725 of a recovered Identity over to its new associated address, if the resolver manages it.
+    function onRecovery(uint ein) external returns (bool) {
+        require(msg.sender == address(registry), "Only the IdentityRegistry can call this function.");
+        ClaimHolder claim = ClaimHolder(einTo725[ein]);
+        if (address(claim) != address(0) && holdsManagementKey(claim)) syncKeys(ein, claim);
+        return true;
+    }
 }
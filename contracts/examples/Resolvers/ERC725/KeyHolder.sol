@@ -12,9 +12,13 @@ contract KeyHolder is ERC725 {
 
     struct KeyHolderData {
         uint256 executionNonce;
+        uint256 executionTimeout;
         mapping (bytes32 => Key) keys;
         mapping (uint256 => bytes32[]) keysByPurpose;
         mapping (uint256 => Execution) executions;
+        mapping (uint256 => uint256) thresholds; // the approvals needed by purpose, 0 meaning 1
+        uint256[] pendingExecutions;
+        mapping (uint256 => uint256) pendingIndices; // 1-indexed positions in pendingExecutions
     }
 
     KeyHolderData keyHolderData;
@@ -23,11 +27,16 @@ contract KeyHolder is ERC725 {
         address to;
         uint256 value;
         bytes data;
-        bool approved;
+        uint256 purpose; // MANAGEMENT_KEY for executions on the KeyHolder itself, ACTION_KEY otherwise
+        uint256 expiry;
+        bytes32[] approvals; // the keys that approved the execution
         bool executed;
     }
 
     event ExecutionFailed(uint256 indexed executionId, address indexed to, uint256 indexed value, bytes data);
+    event ApprovalChanged(uint256 indexed executionId, bytes32 indexed key, bool approved, uint256 approvals);
+    event ThresholdChanged(uint256 indexed purpose, uint256 threshold);
+    event ExecutionTimeoutChanged(uint256 executionTimeout);
 
     constructor() public {
         bytes32 _key = keccak256(abi.encodePacked(msg.sender));
@@ -35,9 +44,22 @@ contract KeyHolder is ERC725 {
         keyHolderData.keys[_key].purposes.push(1);
         keyHolderData.keys[_key].keyType = 1;
         keyHolderData.keysByPurpose[1].push(_key);
+        keyHolderData.executionTimeout = 7 days;
         emit KeyAdded(_key, 1, 1);
     }
 
+    function () external payable {}
+
+    /// @dev Management functions can be called by the KeyHolder itself, via an execution approved by enough management
+    /// keys. While a single approval is enough, management keys can also call them directly.
+    modifier onlyManagement() {
+        if (msg.sender != address(this)) {
+            require(keyHasPurpose(keccak256(abi.encodePacked(msg.sender)), 1), "Sender does not have management key");
+            require(getThreshold(MANAGEMENT_KEY) == 1, "Management requires an approved execution");
+        }
+        _;
+    }
+
     function getKey(bytes32 _key)
         public
         view
@@ -64,12 +86,9 @@ contract KeyHolder is ERC725 {
 
     function addKey(bytes32 _key, uint256 _purpose, uint256 _type)
         public
+        onlyManagement
         returns (bool success)
     {
-        if (msg.sender != address(this)) {
-            require(keyHasPurpose(keccak256(abi.encodePacked(msg.sender)), 1), "Sender does not have management key"); // Sender has MANAGEMENT_KEY
-        }
-
         if(keyHolderData.keys[_key].key != _key) { //key doesn't exists yet
             keyHolderData.keys[_key].key = _key;
             keyHolderData.keys[_key].keyType = _type;
@@ -83,63 +102,248 @@ contract KeyHolder is ERC725 {
         return true;
     }
 
+    /// @notice Approves an execution with the sender's key, or withdraws its approval. The execution is carried out
+    /// once enough keys of its purpose approve it, see getThreshold.
+    /// @return false if the execution was carried out and failed, true otherwise.
     function approve(uint256 _id, bool _approve)
         public
         returns (bool success)
     {
-        require(keyHasPurpose(keccak256(abi.encodePacked(msg.sender)), 2), "Sender does not have action key");
+        require(isPending(_id), "Execution is not pending");
+        Execution storage execution = keyHolderData.executions[_id];
+        bytes32 _key = keccak256(abi.encodePacked(msg.sender));
+        requirePurpose(_key, execution.purpose);
+        prunePending();
+
+        bytes32[] storage approvals = execution.approvals;
+        uint256 index = approvals.length;
+        for (uint i = 0; i < approvals.length; i++) {
+            if (approvals[i] == _key) {
+                index = i;
+                break;
+            }
+        }
+
+        if (_approve) {
+            require(index == approvals.length, "Key already approved this execution");
+            approvals.push(_key);
+        } else {
+            require(index < approvals.length, "Key has not approved this execution");
+            approvals[index] = approvals[approvals.length - 1];
+            approvals.length--;
+        }
 
         emit Approved(_id, _approve);
+        emit ApprovalChanged(_id, _key, _approve, approvals.length);
 
-        if (_approve == true) {
-            keyHolderData.executions[_id].approved = true;
+        if (_approve && getApprovalCount(_id) >= getThreshold(execution.purpose)) {
+            execution.executed = true;
             // solium-disable-next-line security/no-low-level-calls
-            (bool _success,) = keyHolderData.executions[_id].to.call(abi.encode(keyHolderData.executions[_id].data, 0));
+            (bool _success,) = execution.to.call.value(execution.value)(execution.data);
             if (_success) {
-                keyHolderData.executions[_id].executed = true;
-                emit Executed(
-                    _id,
-                    keyHolderData.executions[_id].to,
-                    keyHolderData.executions[_id].value,
-                    keyHolderData.executions[_id].data
-                );
+                removePending(_id);
+                emit Executed(_id, execution.to, execution.value, execution.data);
                 return true;
             } else {
-                emit ExecutionFailed(
-                    _id,
-                    keyHolderData.executions[_id].to,
-                    keyHolderData.executions[_id].value,
-                    keyHolderData.executions[_id].data
-                );
+                execution.executed = false;
+                emit ExecutionFailed(_id, execution.to, execution.value, execution.data);
                 return false;
             }
-        } else {
-            keyHolderData.executions[_id].approved = false;
         }
         return true;
     }
 
+    /// @notice Requests an execution, which expires after getExecutionTimeout seconds, and approves it with the
+    /// sender's key. Executions on the KeyHolder itself are requested and approved by management keys, other
+    /// executions by action keys.
     function execute(address _to, uint256 _value, bytes memory _data)
         public
         returns (uint256 executionId)
     {
-        require(!keyHolderData.executions[keyHolderData.executionNonce].executed, "Already executed");
-        keyHolderData.executions[keyHolderData.executionNonce].to = _to;
-        keyHolderData.executions[keyHolderData.executionNonce].value = _value;
-        keyHolderData.executions[keyHolderData.executionNonce].data = _data;
+        uint256 purpose = _to == address(this) ? MANAGEMENT_KEY : ACTION_KEY;
+        requirePurpose(keccak256(abi.encodePacked(msg.sender)), purpose);
+
+        executionId = keyHolderData.executionNonce++;
+        Execution storage execution = keyHolderData.executions[executionId];
+        execution.to = _to;
+        execution.value = _value;
+        execution.data = _data;
+        execution.purpose = purpose;
+        // solium-disable-next-line security/no-block-members
+        execution.expiry = block.timestamp + keyHolderData.executionTimeout;
+        keyHolderData.pendingIndices[executionId] = keyHolderData.pendingExecutions.push(executionId);
+
+        emit ExecutionRequested(executionId, _to, _value, _data);
+
+        approve(executionId, true);
+    }
+
+    function requirePurpose(bytes32 _key, uint256 _purpose) private view {
+        if (_purpose == MANAGEMENT_KEY) {
+            require(keyHasPurpose(_key, MANAGEMENT_KEY), "Sender does not have management key");
+        } else {
+            require(keyHasPurpose(_key, ACTION_KEY), "Sender does not have action key");
+        }
+    }
+
+    function getExecution(uint256 _id)
+        public
+        view
+        returns(
+            address to,
+            uint256 value,
+            bytes memory data,
+            uint256 purpose,
+            uint256 expiry,
+            bytes32[] memory approvals,
+            bool executed
+        )
+    {
+        Execution storage execution = keyHolderData.executions[_id];
+        return (
+            execution.to,
+            execution.value,
+            execution.data,
+            execution.purpose,
+            execution.expiry,
+            execution.approvals,
+            execution.executed
+        );
+    }
+
+    /// @notice Counts the approvals of an execution by keys that still have its purpose.
+    function getApprovalCount(uint256 _id)
+        public
+        view
+        returns(uint256 count)
+    {
+        Execution storage execution = keyHolderData.executions[_id];
+        for (uint i = 0; i < execution.approvals.length; i++) {
+            if (keyHasPurpose(execution.approvals[i], execution.purpose)) count++;
+        }
+    }
+
+    /// @notice Checks if an execution was requested and has neither been carried out nor expired.
+    function isPending(uint256 _id)
+        public
+        view
+        returns(bool)
+    {
+        Execution storage execution = keyHolderData.executions[_id];
+        // solium-disable-next-line security/no-block-members
+        return _id < keyHolderData.executionNonce && !execution.executed && block.timestamp < execution.expiry;
+    }
+
+    /// @notice Lists the IDs of the pending executions, see isPending. Expired executions are pruned from the list
+    /// whenever an execution is requested or approved.
+    function getPendingExecutions()
+        public
+        view
+        returns(uint256[] memory executionIds)
+    {
+        uint256[] storage pendingExecutions = keyHolderData.pendingExecutions;
+        uint256 count = 0;
+        for (uint i = 0; i < pendingExecutions.length; i++) {
+            if (isPending(pendingExecutions[i])) count++;
+        }
 
-        emit ExecutionRequested(keyHolderData.executionNonce, _to, _value, _data);
+        executionIds = new uint256[](count);
+        count = 0;
+        for (uint i = 0; i < pendingExecutions.length; i++) {
+            if (isPending(pendingExecutions[i])) executionIds[count++] = pendingExecutions[i];
+        }
+    }
 
-        if (keyHasPurpose(keccak256(abi.encodePacked(msg.sender)),1) || keyHasPurpose(keccak256(abi.encodePacked(msg.sender)),2)) {
-            approve(keyHolderData.executionNonce, true);
+    /// @dev Removes the executions that are no longer pending from pendingExecutions.
+    function prunePending() private {
+        uint256[] storage pendingExecutions = keyHolderData.pendingExecutions;
+        uint i = 0;
+        while (i < pendingExecutions.length) {
+            if (isPending(pendingExecutions[i])) {
+                i++;
+            } else {
+                // the last execution is moved to position i
+                removePending(pendingExecutions[i]);
+            }
         }
+    }
 
-        keyHolderData.executionNonce++;
-        return keyHolderData.executionNonce-1;
+    function removePending(uint256 _id) private {
+        uint256[] storage pendingExecutions = keyHolderData.pendingExecutions;
+        uint256 index = keyHolderData.pendingIndices[_id];
+        // replace the execution with the last one
+        uint256 lastId = pendingExecutions[pendingExecutions.length - 1];
+        pendingExecutions[index - 1] = lastId;
+        keyHolderData.pendingIndices[lastId] = index;
+        delete keyHolderData.pendingIndices[_id];
+        pendingExecutions.length--;
+    }
+
+    /// @notice The number of approvals executions need from keys of a purpose, 1 unless it was changed.
+    function getThreshold(uint256 _purpose)
+        public
+        view
+        returns(uint256)
+    {
+        uint256 threshold = keyHolderData.thresholds[_purpose];
+        return threshold == 0 ? 1 : threshold;
+    }
+
+    /// @notice Sets the number of approvals executions need from management or action keys, which can be at most the
+    /// number of keys that can approve them. While more than one management key has to approve, management functions
+    /// can only be called through executions.
+    function setThreshold(uint256 _purpose, uint256 _threshold)
+        public
+        onlyManagement
+        returns (bool success)
+    {
+        require(_purpose == MANAGEMENT_KEY || _purpose == ACTION_KEY, "Thresholds apply to management and action keys");
+        require(_threshold > 0, "Threshold must be at least 1");
+        require(_threshold <= countApprovers(_purpose), "Threshold exceeds the number of keys");
+        keyHolderData.thresholds[_purpose] = _threshold;
+        emit ThresholdChanged(_purpose, _threshold);
+        return true;
+    }
+
+    /// @dev Counts the distinct keys that can approve executions of a purpose, which management keys can for all
+    /// purposes, see keyHasPurpose.
+    function countApprovers(uint256 _purpose) private view returns (uint256 count) {
+        for (uint256 purpose = MANAGEMENT_KEY; purpose <= _purpose; purpose++) {
+            bytes32[] storage keys = keyHolderData.keysByPurpose[purpose];
+            for (uint i = 0; i < keys.length; i++) {
+                // skip keys that were counted for a lower purpose, or listed before
+                bool counted = purpose > MANAGEMENT_KEY && keyHasPurpose(keys[i], purpose - 1);
+                for (uint j = 0; j < i && !counted; j++) {
+                    counted = keys[j] == keys[i];
+                }
+                if (!counted) count++;
+            }
+        }
+    }
+
+    function getExecutionTimeout()
+        public
+        view
+        returns(uint256)
+    {
+        return keyHolderData.executionTimeout;
+    }
+
+    /// @notice Sets the number of seconds after which new executions expire if they were not carried out.
+    function setExecutionTimeout(uint256 _executionTimeout)
+        public
+        onlyManagement
+        returns (bool success)
+    {
+        require(_executionTimeout > 0, "Execution timeout must be positive");
+        keyHolderData.executionTimeout = _executionTimeout;
+        emit ExecutionTimeoutChanged(_executionTimeout);
+        return true;
     }
 
     function removeKey(bytes32 _key, uint256 _purpose)
         public
+        onlyManagement
         returns (bool success)
     {
         require(keyHolderData.keys[_key].key == _key, "No such key");
@@ -172,6 +376,12 @@ contract KeyHolder is ERC725 {
             }
         }
 
+        require(
+            countApprovers(MANAGEMENT_KEY) >= getThreshold(MANAGEMENT_KEY) &&
+            countApprovers(ACTION_KEY) >= getThreshold(ACTION_KEY),
+            "Removing the key would leave fewer keys than the threshold"
+        );
+
         return true;
     }
 
@@ -1,35 +1,121 @@
 pragma solidity ^0.5.0;
 
 import "../../../SignatureVerifier.sol";
+import "./Secp256k1.sol";
 import "../../../interfaces/IdentityRegistryInterface.sol";
 
 contract PublicKeyResolver is SignatureVerifier {
-
     string public constant NAME = "PublicKeyResolver";
 
     IdentityRegistryInterface identityRegistry;
 
-    mapping(address => bytes) internal addrToPubKey;
+    // Key Types ///////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // secp256k1 keys are the 64 byte uncompressed point (without the 0x04 prefix) or the 33 byte compressed point
+    uint public constant KEY_TYPE_SECP256K1 = 1;
+    uint public constant KEY_TYPE_SECP256K1_COMPRESSED = 2;
+    uint public constant KEY_TYPE_ED25519 = 3;
+    uint public constant KEY_TYPE_X25519 = 4; // for encryption
+    uint public constant KEY_TYPE_RSA = 5; // the DER-encoded key, of at least 128 bytes
+
+    // the purpose of the secp256k1 keys added by addPublicKey and addPublicKeyDelegated, which take none
+    bytes32 public constant DEFAULT_PURPOSE = "authentication";
+
+    struct PublicKey {
+        uint ein;
+        address addr; // for secp256k1 keys the address of the key, for other types the address that added it
+        uint keyType;
+        bytes32 purpose; // a tag such as "authentication" or "keyAgreement", left for services to define
+        bytes publicKey;
+    }
+
+    // keyed by the key ID, see getKeyId
+    mapping(bytes32 => PublicKey) internal keys;
+
+    // the IDs of the keys of each EIN and address
+    mapping(uint => bytes32[]) internal einToKeyIds;
+    mapping(address => bytes32[]) internal addrToKeyIds;
+    mapping(bytes32 => uint) internal einKeyIdIndices; // 1-indexed positions in einToKeyIds
+    mapping(bytes32 => uint) internal addrKeyIdIndices; // 1-indexed positions in addrToKeyIds
+
+    // the ID of the secp256k1 key of each address, of which there is at most one
+    mapping(address => bytes32) internal addrToSecp256k1KeyId;
+
+    /// @dev Removes a key ID from a list of key IDs, replacing it with the last one.
+    function removeKeyId(bytes32[] storage keyIds, mapping(bytes32 => uint) storage indices, bytes32 keyId) private {
+        uint index = indices[keyId];
+        bytes32 lastKeyId = keyIds[keyIds.length - 1];
+        keyIds[index - 1] = lastKeyId;
+        indices[lastKeyId] = index;
+        delete indices[keyId];
+        keyIds.pop();
+    }
 
     // Signature Timeout ///////////////////////////////////////////////////////////////////////////////////////////////
 
-    uint public signatureTimeout = 1 days;
+    /// @notice The number of seconds signatures are valid for, as governed by the IdentityRegistry.
+    function signatureTimeout() public view returns (uint) {
+        return identityRegistry.signatureTimeout();
+    }
 
     /// @dev Enforces that the passed timestamp is within signatureTimeout seconds of now.
     /// @param timestamp The timestamp to check the validity of.
     modifier ensureSignatureTimeValid(uint timestamp) {
         require(
             // solium-disable-next-line security/no-block-members
-            block.timestamp >= timestamp && block.timestamp < timestamp + signatureTimeout, "Timestamp is not valid."
+            block.timestamp >= timestamp && block.timestamp < timestamp + signatureTimeout(), "Timestamp is not valid."
         );
         _;
     }
 
-    event PublicKeyAdded(address indexed addr, uint indexed ein, bytes publicKey, bool delegated);
-    event PublicKeyRemoved(address indexed addr, uint indexed ein, bool delegated);
+    // Signature Nonces ////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // signed by every delegated function, and incremented whenever a signature of the associated address is used
+    mapping (address => uint) public nonceTracker;
+
+    event SignatureCancelled(address indexed addr, uint nonce);
+
+    /// @notice Invalidates all signatures of the sender that have not been used yet, by incrementing its nonce.
+    function cancelSignature() external {
+        emit SignatureCancelled(msg.sender, nonceTracker[msg.sender]);
+        nonceTracker[msg.sender] += 1;
+    }
+
+    /// @dev Checks the signature of a delegated call by associatedAddress, and uses up its nonce.
+    /// @return The EIN of associatedAddress.
+    function useSignature(address associatedAddress, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        private returns (uint ein)
+    {
+        ein = identityRegistry.getEIN(associatedAddress);
+        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+        require(isSigned(associatedAddress, messageHash, v, r, s), "Permission denied.");
+        nonceTracker[associatedAddress] += 1;
+    }
+
+    // EIP-712 Types ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+    bytes32 private constant ADD_PUBLIC_KEY_TYPEHASH = keccak256(
+        "AddPublicKey(address associatedAddress,bytes publicKey,uint256 nonce,uint256 timestamp)"
+    );
+    bytes32 private constant REMOVE_PUBLIC_KEY_TYPEHASH = keccak256(
+        "RemovePublicKey(address associatedAddress,uint256 nonce,uint256 timestamp)"
+    );
+    bytes32 private constant ADD_KEY_TYPEHASH = keccak256(
+        "AddKey(address associatedAddress,uint256 keyType,bytes32 purpose,bytes publicKey,uint256 nonce,uint256 timestamp)"
+    );
+    bytes32 private constant REMOVE_KEY_TYPEHASH = keccak256(
+        "RemoveKey(address associatedAddress,bytes32 keyId,uint256 nonce,uint256 timestamp)"
+    );
+
+    event PublicKeyAdded(
+        bytes32 indexed keyId, uint indexed ein, address indexed addr, uint keyType, bytes32 purpose, bytes publicKey,
+        bool delegated
+    );
+    event PublicKeyRemoved(bytes32 indexed keyId, uint indexed ein, address indexed addr, uint keyType, bool delegated);
 
     constructor (address identityRegistryAddress) public {
         identityRegistry = IdentityRegistryInterface(identityRegistryAddress);
+        setDomainSeparator(NAME, "1");
     }
 
     modifier isResolverFor(uint ein) {
@@ -42,23 +128,73 @@ contract PublicKeyResolver is SignatureVerifier {
         _;
     }
 
-    modifier isValidPublicKey(address addr, bytes memory publicKey) {
-        require(calculateAddress(publicKey) == addr, "The address is not the same as that converted from the public key.");
-        _;
-    }
+    // secp256k1 ///////////////////////////////////////////////////////////////////////////////////////////////////////
+
     /// @notice calculate Address from public key
-    /// @param publicKey A public Key
+    /// @param publicKey A secp256k1 public key, as the 64 byte uncompressed or the 33 byte compressed point.
     function calculateAddress(bytes memory publicKey) public pure returns (address addr) {
-        bytes32 hash = keccak256(publicKey);
+        if (publicKey.length == 33) {
+            publicKey = decompress(publicKey);
+        }
+        require(publicKey.length == 64, "Invalid public key length.");
+        return address(uint160(uint(keccak256(publicKey))));
+    }
+
+    /// @dev Computes the y coordinate of a compressed point, whose first byte is 0x02 for even and 0x03 for odd y.
+    /// @return The 64 byte uncompressed point.
+    function decompress(bytes memory publicKey) private pure returns (bytes memory) {
+        uint8 prefix = uint8(publicKey[0]);
+        require(prefix == 2 || prefix == 3, "Invalid compressed public key.");
+        uint x;
         assembly {
-            mstore(0, hash)
-            addr := mload(0)
+            x := mload(add(publicKey, 33))
+        }
+        return abi.encodePacked(x, Secp256k1.deriveY(x, prefix == 3));
+    }
+
+    /// @notice Recovers the public key that signed a message hash.
+    /// @dev Costs around a million gas.
+    /// @return The 64 byte uncompressed public key.
+    function recoverPublicKey(bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public pure returns (bytes memory) {
+        (uint x, uint y) = Secp256k1.recover(messageHash, v, r, s);
+        return abi.encodePacked(x, y);
+    }
+
+    function isSecp256k1(uint keyType) private pure returns (bool) {
+        return keyType == KEY_TYPE_SECP256K1 || keyType == KEY_TYPE_SECP256K1_COMPRESSED;
+    }
+
+    /// @dev Checks the length of a key of the passed type, and finds the address it is bound to.
+    /// @param addedBy The associated address adding the key, which non-secp256k1 keys are bound to.
+    function keyAddress(uint keyType, bytes memory publicKey, address addedBy) private pure returns (address) {
+        if (isSecp256k1(keyType)) {
+            require(publicKey.length == (keyType == KEY_TYPE_SECP256K1 ? 64 : 33), "Invalid public key length.");
+            return calculateAddress(publicKey);
+        }
+        if (keyType == KEY_TYPE_ED25519 || keyType == KEY_TYPE_X25519) {
+            require(publicKey.length == 32, "Invalid public key length.");
+        } else {
+            require(keyType == KEY_TYPE_RSA, "Unknown key type.");
+            require(publicKey.length >= 128, "Invalid public key length.");
+        }
+        return addedBy;
+    }
+
+    /// @notice Gets the ID of a public key, which is unique for each type and key. Compressed secp256k1 keys get the ID
+    /// of their uncompressed form, so that a key cannot be added once in each form.
+    function getKeyId(uint keyType, bytes memory publicKey) public pure returns (bytes32) {
+        if (keyType == KEY_TYPE_SECP256K1_COMPRESSED) {
+            require(publicKey.length == 33, "Invalid public key length.");
+            return keccak256(abi.encodePacked(KEY_TYPE_SECP256K1, decompress(publicKey)));
         }
+        return keccak256(abi.encodePacked(keyType, publicKey));
     }
 
+    // Adding Keys /////////////////////////////////////////////////////////////////////////////////////////////////////
+
     /// @notice Allows adding a public key
     /// @param associatedAddress An associated address to add public key for the Identity (must have produced the signature).
-    /// @param publicKey A publicKey.
+    /// @param publicKey The 64 byte uncompressed secp256k1 public key of associatedAddress.
     /// @param v The v component of the signature.
     /// @param r The r component of the signature.
     /// @param s The s component of the signature.
@@ -69,43 +205,205 @@ contract PublicKeyResolver is SignatureVerifier {
     )
         external ensureSignatureTimeValid(timestamp)
     {
-        uint ein = identityRegistry.getEIN(associatedAddress);
-        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+        uint ein = useSignature(
+            associatedAddress, addPublicKeyMessageHash(associatedAddress, publicKey, timestamp, false), v, r, s
+        );
+        addAddressPublicKey(ein, associatedAddress, publicKey, true);
+    }
+
+    /// @notice Allows adding a public key with an EIP-712 signature
+    /// @dev The signed message is an AddPublicKey struct, see addPublicKeyDelegated for the parameters.
+    function addPublicKeyDelegatedTyped(
+        address associatedAddress, bytes calldata publicKey,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addPublicKeyMessageHash(associatedAddress, publicKey, timestamp, true), v, r, s
+        );
+        addAddressPublicKey(ein, associatedAddress, publicKey, true);
+    }
+
+    // hashes the raw or typed message signed for adding a public key, separately to keep the stack of callers shallow
+    function addPublicKeyMessageHash(address associatedAddress, bytes memory publicKey, uint timestamp, bool typed)
+        private view returns (bytes32)
+    {
+        if (typed) {
+            return hashTypedData(
+                keccak256(
+                    abi.encode(
+                        ADD_PUBLIC_KEY_TYPEHASH, associatedAddress, keccak256(publicKey),
+                        nonceTracker[associatedAddress], timestamp
+                    )
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the addition of a public key on my behalf.",
+                associatedAddress, publicKey, nonceTracker[associatedAddress], timestamp
+            )
+        );
+    }
+
+    /// @notice Allows adding the secp256k1 public key of the sender, with the DEFAULT_PURPOSE.
+    /// @param publicKey The 64 byte uncompressed public key of the sender.
+    function addPublicKey(bytes calldata publicKey) external {
+        addAddressPublicKey(identityRegistry.getEIN(msg.sender), msg.sender, publicKey, false);
+    }
+
+    // adds the secp256k1 key of the associated address itself, for addPublicKey and addPublicKeyDelegated
+    function addAddressPublicKey(uint ein, address associatedAddress, bytes memory publicKey, bool delegated) private {
         require(
-            isSigned(
-                associatedAddress,
+            calculateAddress(publicKey) == associatedAddress,
+            "The address is not the same as that converted from the public key."
+        );
+        _addPublicKey(ein, associatedAddress, KEY_TYPE_SECP256K1, DEFAULT_PURPOSE, publicKey, delegated);
+    }
+
+    /// @notice Allows adding a public key of any type
+    /// @param associatedAddress An associated address to add public key for the Identity (must have produced the signature).
+    /// @param keyType The type of the key, see the KEY_TYPE constants.
+    /// @param purpose A tag for what the key is used for.
+    /// @param publicKey A publicKey.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    function addKeyDelegated(
+        address associatedAddress, uint keyType, bytes32 purpose, bytes memory publicKey,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addKeyMessageHash(associatedAddress, keyType, purpose, publicKey, timestamp, false),
+            v, r, s
+        );
+        _addPublicKey(ein, associatedAddress, keyType, purpose, publicKey, true);
+    }
+
+    /// @notice Allows adding a public key of any type with an EIP-712 signature
+    /// @dev The signed message is an AddKey struct, see addKeyDelegated for the parameters.
+    function addKeyDelegatedTyped(
+        address associatedAddress, uint keyType, bytes32 purpose, bytes memory publicKey,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addKeyMessageHash(associatedAddress, keyType, purpose, publicKey, timestamp, true),
+            v, r, s
+        );
+        _addPublicKey(ein, associatedAddress, keyType, purpose, publicKey, true);
+    }
+
+    // hashes the raw or typed message signed for adding a typed key, separately to keep the stack of callers shallow
+    function addKeyMessageHash(
+        address associatedAddress, uint keyType, bytes32 purpose, bytes memory publicKey, uint timestamp, bool typed
+    )
+        private view returns (bytes32)
+    {
+        // the arguments are encoded in two parts to fit the stack, which leaves the encoding unchanged
+        bytes memory signedArguments = abi.encode(nonceTracker[associatedAddress], timestamp);
+        if (typed) {
+            return hashTypedData(
                 keccak256(
                     abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize the addition of a public key on my behalf.",
-                        associatedAddress, publicKey, timestamp
+                        abi.encode(ADD_KEY_TYPEHASH, associatedAddress, keyType, purpose, keccak256(publicKey)),
+                        signedArguments
                     )
-                ),
-                v, r, s
-            ),
-            "Permission denied."
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the addition of a typed public key on my behalf.",
+                associatedAddress, keyType, purpose, publicKey, signedArguments
+            )
         );
+    }
 
-        _addPublicKey(ein, associatedAddress, publicKey, true);
+    /// @notice Allows adding a public key of any type for the sender's Identity.
+    /// @param keyType The type of the key, see the KEY_TYPE constants.
+    /// @param purpose A tag for what the key is used for.
+    /// @param publicKey The key. secp256k1 keys must be the key of an associated address of the Identity.
+    function addKey(uint keyType, bytes32 purpose, bytes calldata publicKey) external {
+        _addPublicKey(identityRegistry.getEIN(msg.sender), msg.sender, keyType, purpose, publicKey, false);
     }
 
-    function addPublicKey(bytes calldata publicKey) external {
-        _addPublicKey(identityRegistry.getEIN(msg.sender), msg.sender, publicKey,false);
+    /// @notice Allows adding the secp256k1 public key of an associated address, recovered from its signature, so that
+    /// wallets which do not export public keys can add them.
+    /// @dev Can be called by the associated address or a provider of its Identity. Signatures of the prefixed message
+    /// hash, as made by eth_sign and personal_sign, are accepted as well. Recovering the key costs around a million gas.
+    /// @param associatedAddress The associated address whose public key to add (must have produced the signature).
+    /// @param purpose A tag for what the key is used for.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    function addRecoveredPublicKey(
+        address associatedAddress, bytes32 purpose, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = identityRegistry.getEIN(associatedAddress);
+        bool delegated = msg.sender != associatedAddress;
+        require(!delegated || identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+
+        bytes memory publicKey = recoverSignerPublicKey(associatedAddress, purpose, v, r, s, timestamp);
+        nonceTracker[associatedAddress] += 1;
+        _addPublicKey(ein, associatedAddress, KEY_TYPE_SECP256K1, purpose, publicKey, delegated);
+    }
+
+    // recovers the key that signed the message of addRecoveredPublicKey, separately to keep the stack of callers shallow
+    function recoverSignerPublicKey(
+        address associatedAddress, bytes32 purpose, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        private view returns (bytes memory)
+    {
+        // the arguments are encoded in two parts to fit the stack, which leaves the encoding unchanged
+        bytes memory signedArguments = abi.encode(nonceTracker[associatedAddress], timestamp);
+        bytes32 messageHash = keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the addition of my recovered public key.",
+                associatedAddress, purpose, signedArguments
+            )
+        );
+        if (ecrecover(messageHash, v, r, s) != associatedAddress) {
+            messageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+            require(ecrecover(messageHash, v, r, s) == associatedAddress, "Permission denied.");
+        }
+        return recoverPublicKey(messageHash, v, r, s);
     }
 
     function _addPublicKey(
-        uint ein, address associatedAddress, bytes memory publicKey, bool delegated
+        uint ein, address associatedAddress, uint keyType, bytes32 purpose, bytes memory publicKey, bool delegated
     )
-        private isResolverFor(ein) isValidPublicKey(associatedAddress,publicKey)
+        private isResolverFor(ein)
     {
-        require(addrToPubKey[associatedAddress].length == 0, "Key was already added by someone.");
+        address addr = keyAddress(keyType, publicKey, associatedAddress);
+        require(identityRegistry.isAssociatedAddressFor(ein, addr), "The key is not of an associated address.");
+
+        bytes32 keyId = getKeyId(keyType, publicKey);
+        require(keys[keyId].ein == 0, "Key was already added by someone.");
 
-        //keyToEin[key] = ein;
-        addrToPubKey[associatedAddress] = publicKey;
-        //einToKeys[ein].insert(key);
-        emit PublicKeyAdded(associatedAddress, ein, publicKey, delegated);
+        keys[keyId] = PublicKey(ein, addr, keyType, purpose, publicKey);
+        einKeyIdIndices[keyId] = einToKeyIds[ein].push(keyId);
+        addrKeyIdIndices[keyId] = addrToKeyIds[addr].push(keyId);
+        if (isSecp256k1(keyType)) {
+            addrToSecp256k1KeyId[addr] = keyId;
+        }
+        emit PublicKeyAdded(keyId, ein, addr, keyType, purpose, publicKey, delegated);
     }
 
+
+    // Removing Keys ///////////////////////////////////////////////////////////////////////////////////////////////////
+
     /// @notice Allows removing a public key
     /// @param associatedAddress An associated address to remove public key for the new Identity (must have produced the signature).
     /// @param v The v component of the signature.
@@ -118,36 +416,188 @@ contract PublicKeyResolver is SignatureVerifier {
     )
         external ensureSignatureTimeValid(timestamp)
     {
-        uint ein = identityRegistry.getEIN(associatedAddress);
-        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
-        require(
-            isSigned(
-                associatedAddress,
+        uint ein = useSignature(
+            associatedAddress, removePublicKeyMessageHash(associatedAddress, timestamp, false), v, r, s
+        );
+
+        _removePublicKey(ein, addrToSecp256k1KeyId[associatedAddress], true);
+    }
+
+    /// @notice Allows removing a public key with an EIP-712 signature
+    /// @dev The signed message is a RemovePublicKey struct, see removePublicKeyDelegated for the parameters.
+    function removePublicKeyDelegatedTyped(
+        address associatedAddress,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, removePublicKeyMessageHash(associatedAddress, timestamp, true), v, r, s
+        );
+
+        _removePublicKey(ein, addrToSecp256k1KeyId[associatedAddress], true);
+    }
+
+    // hashes the raw or typed message signed for removing a public key, separately to keep the stack of callers shallow
+    function removePublicKeyMessageHash(address associatedAddress, uint timestamp, bool typed)
+        private view returns (bytes32)
+    {
+        if (typed) {
+            return hashTypedData(
                 keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize the removal of a public key on my behalf.",
-                        associatedAddress, timestamp
+                    abi.encode(
+                        REMOVE_PUBLIC_KEY_TYPEHASH, associatedAddress, nonceTracker[associatedAddress], timestamp
                     )
-                ),
-                v, r, s
-            ),
-            "Permission denied."
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the removal of a public key on my behalf.",
+                associatedAddress, nonceTracker[associatedAddress], timestamp
+            )
         );
-
-        _removePublicKey(ein, associatedAddress,true);
     }
 
+    /// @notice Allows removing the secp256k1 public key of the sender.
     function removePublicKey() external {
-        _removePublicKey(identityRegistry.getEIN(msg.sender), msg.sender, false);
+        _removePublicKey(identityRegistry.getEIN(msg.sender), addrToSecp256k1KeyId[msg.sender], false);
+    }
+
+    /// @notice Allows removing a public key of any type
+    /// @param associatedAddress An associated address to remove public key for the new Identity (must have produced the signature).
+    /// @param keyId The ID of the key to remove.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    function removeKeyDelegated(
+        address associatedAddress, bytes32 keyId,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, removeKeyMessageHash(associatedAddress, keyId, timestamp, false), v, r, s
+        );
+
+        _removePublicKey(ein, keyId, true);
+    }
+
+    /// @notice Allows removing a public key of any type with an EIP-712 signature
+    /// @dev The signed message is a RemoveKey struct, see removeKeyDelegated for the parameters.
+    function removeKeyDelegatedTyped(
+        address associatedAddress, bytes32 keyId,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, removeKeyMessageHash(associatedAddress, keyId, timestamp, true), v, r, s
+        );
+
+        _removePublicKey(ein, keyId, true);
+    }
+
+    // hashes the raw or typed message signed for removing a key by ID, separately to keep the stack of callers shallow
+    function removeKeyMessageHash(address associatedAddress, bytes32 keyId, uint timestamp, bool typed)
+        private view returns (bytes32)
+    {
+        if (typed) {
+            return hashTypedData(
+                keccak256(
+                    abi.encode(
+                        REMOVE_KEY_TYPEHASH, associatedAddress, keyId, nonceTracker[associatedAddress], timestamp
+                    )
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the removal of a typed public key on my behalf.",
+                associatedAddress, keyId, nonceTracker[associatedAddress], timestamp
+            )
+        );
+    }
+
+    /// @notice Allows removing a public key of any type of the sender's Identity.
+    /// @param keyId The ID of the key to remove.
+    function removeKey(bytes32 keyId) external {
+        _removePublicKey(identityRegistry.getEIN(msg.sender), keyId, false);
+    }
+
+    function _removePublicKey(uint ein, bytes32 keyId, bool delegated) private isResolverFor(ein) {
+        require(keys[keyId].ein == ein, "Key is not a public key of the identity.");
+        deletePublicKey(keyId, delegated);
+    }
+
+    function deletePublicKey(bytes32 keyId, bool delegated) private {
+        PublicKey storage key = keys[keyId];
+        emit PublicKeyRemoved(keyId, key.ein, key.addr, key.keyType, delegated);
+        removeKeyId(einToKeyIds[key.ein], einKeyIdIndices, keyId);
+        removeKeyId(addrToKeyIds[key.addr], addrKeyIdIndices, keyId);
+        if (isSecp256k1(key.keyType)) {
+            delete addrToSecp256k1KeyId[key.addr];
+        }
+        delete keys[keyId];
+    }
+
+    /// @notice Removes the public keys of addresses that are no longer associated with an Identity, e.g. after a
+    /// recovery or destruction, or the removal of the address.
+    /// @dev Can be called by anyone, and does not require this resolver to still be set for the Identity.
+    function sync(uint ein) public identityExists(ein) {
+        bytes32[] storage keyIds = einToKeyIds[ein];
+        uint i = 0;
+        while (i < keyIds.length) {
+            bytes32 keyId = keyIds[i];
+            if (identityRegistry.isAssociatedAddressFor(ein, keys[keyId].addr)) {
+                i++;
+            } else {
+                // the last key is moved to position i
+                deletePublicKey(keyId, false);
+            }
+        }
+    }
+
+    // Lookups /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Gets the secp256k1 public key of an address as the 64 byte uncompressed point, or nothing if none.
+    function getPublicKey(address addr) public view returns (bytes memory) {
+        PublicKey storage key = keys[addrToSecp256k1KeyId[addr]];
+        return key.keyType == KEY_TYPE_SECP256K1_COMPRESSED ? decompress(key.publicKey) : key.publicKey;
+    }
+
+    /// @notice Gets the addresses that added a secp256k1 public key for an Identity, including ones awaiting a sync.
+    function getAddresses(uint ein) public view identityExists(ein) returns (address[] memory addrs) {
+        bytes32[] storage keyIds = einToKeyIds[ein];
+        uint count = 0;
+        for (uint i = 0; i < keyIds.length; i++) {
+            if (isSecp256k1(keys[keyIds[i]].keyType)) count++;
+        }
+        addrs = new address[](count);
+        count = 0;
+        for (uint i = 0; i < keyIds.length; i++) {
+            if (isSecp256k1(keys[keyIds[i]].keyType)) addrs[count++] = keys[keyIds[i]].addr;
+        }
+    }
+
+    /// @notice Gets a public key by its ID. Keys that were not added have an EIN of 0.
+    function getKey(bytes32 keyId)
+        public view returns (uint ein, address addr, uint keyType, bytes32 purpose, bytes memory publicKey)
+    {
+        PublicKey storage key = keys[keyId];
+        return (key.ein, key.addr, key.keyType, key.purpose, key.publicKey);
     }
 
-    function _removePublicKey(uint ein, address associatedAddress, bool delegated) private isResolverFor(ein) {
-        delete addrToPubKey[associatedAddress];
-        emit PublicKeyRemoved(associatedAddress, ein, delegated);
+    /// @notice Gets the IDs of the public keys of an Identity, including ones awaiting a sync.
+    function getKeyIds(uint ein) public view identityExists(ein) returns (bytes32[] memory) {
+        return einToKeyIds[ein];
     }
 
-    function getPublicKey(address addr) public view returns(bytes memory) {
-        return addrToPubKey[addr];
+    /// @notice Gets the IDs of the public keys bound to an address, i.e. its secp256k1 keys and the keys it added.
+    function getKeyIdsByAddress(address addr) public view returns (bytes32[] memory) {
+        return addrToKeyIds[addr];
     }
 }
@@ -0,0 +1,140 @@
+pragma solidity ^0.5.0;
+
+/// @title Arithmetic on the secp256k1 curve, for decompressing public keys and recovering them from signatures.
+/// @dev Points are multiplied in Jacobian coordinates, [x, y, z] standing for the affine point (x / z^2, y / z^3), and
+/// z = 0 for the point at infinity. Recovering a public key costs around a million gas.
+library Secp256k1 {
+    // the order of the field of the curve, and the order of the curve
+    uint internal constant FIELD_ORDER = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f;
+    uint internal constant CURVE_ORDER = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141;
+
+    // the generator of the curve
+    uint internal constant GX = 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798;
+    uint internal constant GY = 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8;
+
+    /// @dev Computes base ** exponent % modulus by square-and-multiply.
+    function expmod(uint base, uint exponent, uint modulus) internal pure returns (uint result) {
+        result = 1;
+        for (; exponent > 0; exponent >>= 1) {
+            if (exponent & 1 == 1) {
+                result = mulmod(result, base, modulus);
+            }
+            base = mulmod(base, base, modulus);
+        }
+    }
+
+    /// @dev Finds the y coordinate of the point with the passed x coordinate.
+    /// @param odd Whether y should be odd, as the prefix 0x03 of compressed keys and the v of 28 of signatures say.
+    function deriveY(uint x, bool odd) internal pure returns (uint y) {
+        require(x < FIELD_ORDER, "Not a point of the curve.");
+        // y^2 = x^3 + 7, whose square root is its (FIELD_ORDER + 1) / 4th power since FIELD_ORDER % 4 == 3
+        uint ySquared = addmod(mulmod(mulmod(x, x, FIELD_ORDER), x, FIELD_ORDER), 7, FIELD_ORDER);
+        y = expmod(ySquared, (FIELD_ORDER + 1) / 4, FIELD_ORDER);
+        require(mulmod(y, y, FIELD_ORDER) == ySquared, "Not a point of the curve.");
+
+        if ((y % 2 == 1) != odd) {
+            y = FIELD_ORDER - y;
+        }
+    }
+
+    /// @dev Recovers the public key that produced a signature, like ecrecover does for its address.
+    /// @return The affine coordinates of the public key.
+    function recover(bytes32 hash, uint8 v, bytes32 r, bytes32 s) internal pure returns (uint x, uint y) {
+        require(v == 27 || v == 28, "Invalid signature.");
+        require(uint(r) > 0 && uint(r) < CURVE_ORDER && uint(s) > 0 && uint(s) < CURVE_ORDER, "Invalid signature.");
+
+        // the public key is r^-1 (s R - hash G), where R is the point with x coordinate r and the parity of v
+        uint rInverse = expmod(uint(r), CURVE_ORDER - 2, CURVE_ORDER);
+        uint[3] memory point = multiply(
+            mulmod(CURVE_ORDER - uint(hash) % CURVE_ORDER, rInverse, CURVE_ORDER),
+            mulmod(uint(s), rInverse, CURVE_ORDER),
+            uint(r), deriveY(uint(r), v == 28)
+        );
+        (x, y) = toAffine(point);
+    }
+
+    /// @dev Computes a G + b R with Shamir's trick, doubling once for both scalars.
+    function multiply(uint a, uint b, uint rx, uint ry) private pure returns (uint[3] memory point) {
+        uint[3] memory sum = [GX, GY, 1];
+        addAffine(sum, rx, ry);
+        (uint sx, uint sy) = toAffine(sum);
+
+        for (uint i = 256; i > 0; --i) {
+            double(point);
+            uint bits = (a >> (i - 1) & 1) | (b >> (i - 1) & 1) << 1;
+            if (bits == 1) {
+                addAffine(point, GX, GY);
+            } else if (bits == 2) {
+                addAffine(point, rx, ry);
+            } else if (bits == 3) {
+                addAffine(point, sx, sy);
+            }
+        }
+    }
+
+    function toAffine(uint[3] memory point) private pure returns (uint x, uint y) {
+        require(point[2] != 0, "The point is at infinity.");
+        uint zInverse = expmod(point[2], FIELD_ORDER - 2, FIELD_ORDER);
+        uint zInverseSquared = mulmod(zInverse, zInverse, FIELD_ORDER);
+        x = mulmod(point[0], zInverseSquared, FIELD_ORDER);
+        y = mulmod(point[1], mulmod(zInverseSquared, zInverse, FIELD_ORDER), FIELD_ORDER);
+    }
+
+    // doubles a point in place, see dbl-2009-l of the Explicit-Formulas Database
+    function double(uint[3] memory point) private pure {
+        if (point[2] == 0) {
+            return;
+        }
+        uint a = mulmod(point[0], point[0], FIELD_ORDER);
+        uint b = mulmod(point[1], point[1], FIELD_ORDER);
+        uint c = mulmod(b, b, FIELD_ORDER);
+        uint d = addmod(point[0], b, FIELD_ORDER);
+        d = mulmod(2, addmod(mulmod(d, d, FIELD_ORDER), FIELD_ORDER - addmod(a, c, FIELD_ORDER), FIELD_ORDER), FIELD_ORDER);
+        uint e = mulmod(3, a, FIELD_ORDER);
+        uint x = addmod(mulmod(e, e, FIELD_ORDER), FIELD_ORDER - mulmod(2, d, FIELD_ORDER), FIELD_ORDER);
+
+        point[2] = mulmod(2, mulmod(point[1], point[2], FIELD_ORDER), FIELD_ORDER);
+        point[1] = addmod(
+            mulmod(e, addmod(d, FIELD_ORDER - x, FIELD_ORDER), FIELD_ORDER), FIELD_ORDER - mulmod(8, c, FIELD_ORDER),
+            FIELD_ORDER
+        );
+        point[0] = x;
+    }
+
+    // adds an affine point to a point in place, see madd-2007-bl of the Explicit-Formulas Database
+    function addAffine(uint[3] memory point, uint x2, uint y2) private pure {
+        if (point[2] == 0) {
+            (point[0], point[1], point[2]) = (x2, y2, 1);
+            return;
+        }
+        uint z1z1 = mulmod(point[2], point[2], FIELD_ORDER);
+        uint u2 = mulmod(x2, z1z1, FIELD_ORDER);
+        uint s2 = mulmod(y2, mulmod(point[2], z1z1, FIELD_ORDER), FIELD_ORDER);
+        if (point[0] == u2) {
+            if (point[1] == s2) {
+                double(point);
+            } else {
+                point[2] = 0;
+            }
+            return;
+        }
+
+        uint h = addmod(u2, FIELD_ORDER - point[0], FIELD_ORDER);
+        uint hh = mulmod(h, h, FIELD_ORDER);
+        uint j = mulmod(h, mulmod(4, hh, FIELD_ORDER), FIELD_ORDER);
+        uint rr = mulmod(2, addmod(s2, FIELD_ORDER - point[1], FIELD_ORDER), FIELD_ORDER);
+        uint v = mulmod(point[0], mulmod(4, hh, FIELD_ORDER), FIELD_ORDER);
+        uint x = addmod(
+            addmod(mulmod(rr, rr, FIELD_ORDER), FIELD_ORDER - j, FIELD_ORDER), FIELD_ORDER - mulmod(2, v, FIELD_ORDER),
+            FIELD_ORDER
+        );
+
+        point[1] = addmod(
+            mulmod(rr, addmod(v, FIELD_ORDER - x, FIELD_ORDER), FIELD_ORDER),
+            FIELD_ORDER - mulmod(2, mulmod(point[1], j, FIELD_ORDER), FIELD_ORDER), FIELD_ORDER
+        );
+        h = addmod(point[2], h, FIELD_ORDER);
+        point[2] = addmod(addmod(mulmod(h, h, FIELD_ORDER), FIELD_ORDER - z1z1, FIELD_ORDER), FIELD_ORDER - hh, FIELD_ORDER);
+        point[0] = x;
+    }
+}
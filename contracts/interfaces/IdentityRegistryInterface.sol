@@ -2,7 +2,10 @@ pragma solidity ^0.5.0;
 
 interface IdentityRegistryInterface {
     function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
-        external pure returns (bool);
+        external view returns (bool);
+    function domainSeparator() external view returns (bytes32);
+    function hashTypedData(bytes32 structHash) external view returns (bytes32);
+    function signatureTimeout() external view returns (uint);
 
     // Identity View Functions /////////////////////////////////////////////////////////////////////////////////////////
     function identityExists(uint ein) external view returns (bool);
@@ -15,6 +18,7 @@ interface IdentityRegistryInterface {
         address recoveryAddress,
         address[] memory associatedAddresses, address[] memory providers, address[] memory resolvers
     );
+    function getRecovery(uint ein) external view returns (uint timestamp, uint timeout);
 
     // Identity Management Functions ///////////////////////////////////////////////////////////////////////////////////
     function createIdentity(address recoveryAddress, address[] calldata providers, address[] calldata resolvers)
@@ -23,30 +27,52 @@ interface IdentityRegistryInterface {
         address recoveryAddress, address associatedAddress, address[] calldata providers, address[] calldata resolvers,
         uint8 v, bytes32 r, bytes32 s, uint timestamp
     ) external returns (uint ein);
+    function createIdentityDelegatedTyped(
+        address recoveryAddress, address associatedAddress, address[] calldata providers, address[] calldata resolvers,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external returns (uint ein);
     function addAssociatedAddress(
         address approvingAddress, address addressToAdd, uint8 v, bytes32 r, bytes32 s, uint timestamp
     ) external;
+    function addAssociatedAddressTyped(
+        address approvingAddress, address addressToAdd, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function addAssociatedAddressDelegated(
         address approvingAddress, address addressToAdd,
         uint8[2] calldata v, bytes32[2] calldata r, bytes32[2] calldata s, uint[2] calldata timestamp
     ) external;
+    function addAssociatedAddressDelegatedTyped(
+        address approvingAddress, address addressToAdd,
+        uint8[2] calldata v, bytes32[2] calldata r, bytes32[2] calldata s, uint[2] calldata timestamp
+    ) external;
     function removeAssociatedAddress() external;
     function removeAssociatedAddressDelegated(address addressToRemove, uint8 v, bytes32 r, bytes32 s, uint timestamp)
         external;
+    function removeAssociatedAddressDelegatedTyped(
+        address addressToRemove, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function addProviders(address[] calldata providers) external;
     function addProvidersFor(uint ein, address[] calldata providers) external;
     function removeProviders(address[] calldata providers) external;
     function removeProvidersFor(uint ein, address[] calldata providers) external;
     function addResolvers(address[] calldata resolvers) external;
     function addResolversFor(uint ein, address[] calldata resolvers) external;
+    function addResolverFor(uint ein, address resolver, bytes calldata data) external;
+    function addResolversWithDataFor(
+        uint ein, address[] calldata resolvers, bytes calldata data, uint[] calldata dataLengths
+    ) external;
     function removeResolvers(address[] calldata resolvers) external;
     function removeResolversFor(uint ein, address[] calldata resolvers) external;
+    function removeResolverFor(uint ein, address resolver, bytes calldata data) external;
 
     // Recovery Management Functions ///////////////////////////////////////////////////////////////////////////////////
     function triggerRecoveryAddressChange(address newRecoveryAddress) external;
     function triggerRecoveryAddressChangeFor(uint ein, address newRecoveryAddress) external;
     function triggerRecovery(uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
         external;
+    function triggerRecoveryTyped(
+        uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function triggerDestruction(
         uint ein, address[] calldata firstChunk, address[] calldata lastChunk, bool resetResolvers
     ) external;
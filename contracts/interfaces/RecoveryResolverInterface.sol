@@ -0,0 +1,11 @@
+pragma solidity ^0.5.0;
+
+/// @title The optional recovery callback of ERC-1484 resolvers.
+/// @dev The IdentityRegistry only calls resolvers whose ERC-165 supportsInterface returns true for the ID of this
+/// interface, onRecovery.selector. It is separate from ResolverInterface so that resolvers can implement either.
+interface RecoveryResolverInterface {
+    /// @dev Called once recovery has been triggered for an Identity the resolver is set for, after the new associated
+    /// address was added. The recovery stands even if this reverts.
+    /// @param ein The recovered EIN.
+    function onRecovery(uint ein) external returns (bool);
+}
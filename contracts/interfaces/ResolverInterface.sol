@@ -0,0 +1,16 @@
+pragma solidity ^0.5.0;
+
+/// @title The optional callbacks of ERC-1484 resolvers.
+/// @dev The IdentityRegistry only calls resolvers whose ERC-165 supportsInterface returns true for the ID of this
+/// interface, onAddition.selector ^ onRemoval.selector. Callbacks should check that they are called by the registry.
+interface ResolverInterface {
+    /// @dev Called once the resolver is added to an Identity. Reverting or returning false cancels the addition.
+    /// @param ein The EIN the resolver was added to.
+    /// @param data The initialisation data passed to addResolverFor or addResolversWithDataFor, empty if there is none.
+    function onAddition(uint ein, bytes calldata data) external returns (bool);
+
+    /// @dev Called once the resolver is removed from an Identity. The removal stands even if this reverts.
+    /// @param ein The EIN the resolver was removed from.
+    /// @param data The data passed to removeResolverFor, empty if there is none.
+    function onRemoval(uint ein, bytes calldata data) external returns (bool);
+}
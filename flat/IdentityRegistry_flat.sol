@@ -2,17 +2,48 @@ pragma solidity ^0.5.0;
 
 /// @title Provides helper functions to determine the validity of passed signatures.
 /// @author Noah Zinsmeister
-/// @dev Supports both prefixed and un-prefixed signatures.
+/// @dev Supports both prefixed and un-prefixed signatures, as well as EIP-712 typed data signatures. Contracts sign via
+/// EIP-1271 instead.
 contract SignatureVerifier {
-    /// @notice Determines whether the passed signature of `messageHash` was made by the private key of `_address`.
+    // bytes4(keccak256("isValidSignature(bytes32,bytes)")), returned by EIP-1271 contracts for signatures they accept
+    bytes4 internal constant EIP1271_MAGIC_VALUE = 0x1626ba7e;
+
+    // EIP-712 Domain //////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // chainId is left out of the domain since the EVM targeted by solc 0.5.0 cannot read it, see EIP-1344
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,address verifyingContract)"
+    );
+
+    bytes32 public domainSeparator;
+
+    /// @dev Sets the EIP-712 domain separator, must be called from the constructor of inheriting contracts.
+    /// @param name The name of the signing domain, i.e. the name of the contract.
+    /// @param version The major version of the signing domain.
+    function setDomainSeparator(string memory name, string memory version) internal {
+        domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(name)), keccak256(bytes(version)), address(this))
+        );
+    }
+
+    /// @notice Gets the EIP-712 hash of the passed struct hash, i.e. the hash that is signed by eth_signTypedData.
+    /// @param structHash The EIP-712 hashStruct of a typed message.
+    /// @return The hash to pass to isSigned.
+    function hashTypedData(bytes32 structHash) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(byte(0x19), byte(0x01), domainSeparator, structHash));
+    }
+
+    /// @notice Determines whether the passed signature of `messageHash` was made by the private key of `_address`, or
+    /// is accepted by `_address` if it is a contract.
     /// @param _address The address that may or may not have signed the passed messageHash.
     /// @param messageHash The messageHash that may or may not have been signed.
     /// @param v The v component of the signature.
     /// @param r The r component of the signature.
     /// @param s The s component of the signature.
     /// @return true if the signature can be verified, false otherwise.
-    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public pure returns (bool) {
-        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s);
+    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public view returns (bool) {
+        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s) ||
+            _isSignedByContract(_address, messageHash, v, r, s);
     }
 
     /// @dev Checks unprefixed signatures.
@@ -29,6 +60,130 @@ contract SignatureVerifier {
         bytes memory prefix = "\x19Ethereum Signed Message:\n32";
         return _isSigned(_address, keccak256(abi.encodePacked(prefix, messageHash)), v, r, s);
     }
+
+    /// @dev Checks signatures of contracts by calling their EIP-1271 isValidSignature function, which is passed the
+    /// unprefixed messageHash and the 65 byte signature (r, s, v).
+    function _isSignedByContract(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        internal view returns (bool)
+    {
+        uint size;
+        assembly { size := extcodesize(_address) }
+        if (size == 0) return false;
+
+        // solium-disable-next-line security/no-low-level-calls
+        (bool success, bytes memory result) = _address.staticcall(
+            abi.encodeWithSelector(EIP1271_MAGIC_VALUE, messageHash, abi.encodePacked(r, s, v))
+        );
+        return success && result.length == 32 && abi.decode(result, (bytes4)) == EIP1271_MAGIC_VALUE;
+    }
+}
+
+/// @title Lets a governor change the bounded parameters of a contract, after a delay.
+/// @dev Inheriting contracts declare their parameters with addParameter from their constructor, and store changes to
+/// them in setParameter. Changes are proposed by the governor, and can be applied by anyone once
+/// PARAMETER_CHANGE_DELAY seconds have passed, which gives users time to react to them.
+contract Governed {
+    uint public constant PARAMETER_CHANGE_DELAY = 2 days;
+
+    address public governor;
+
+    struct Parameter {
+        uint minimum;
+        uint maximum;
+        uint pendingValue;
+        uint effectiveAt; // 0 if no change is pending
+    }
+
+    mapping (bytes32 => Parameter) public parameters;
+
+    constructor () public {
+        governor = msg.sender;
+        emit GovernanceTransferred(address(0), msg.sender);
+    }
+
+    modifier _isGovernor() {
+        require(msg.sender == governor, "Only the governor can call this function.");
+        _;
+    }
+
+    modifier _parameterExists(bytes32 name) {
+        require(parameters[name].maximum > 0, "The parameter does not exist.");
+        _;
+    }
+
+    /// @dev Declares a governed parameter, must be called from the constructor of inheriting contracts.
+    /// @param name The name of the parameter, i.e. the name of its public getter.
+    /// @param minimum The smallest value the parameter can be set to.
+    /// @param maximum The largest value the parameter can be set to, must be positive.
+    function addParameter(bytes32 name, uint minimum, uint maximum) internal {
+        require(maximum > 0 && minimum <= maximum, "Invalid bounds.");
+        parameters[name] = Parameter(minimum, maximum, 0, 0);
+    }
+
+    /// @dev Stores the new value of a parameter, implemented by inheriting contracts.
+    /// @param name The name of the parameter.
+    /// @param value The new value of the parameter, within its bounds.
+    /// @return The old value of the parameter.
+    function setParameter(bytes32 name, uint value) internal returns (uint oldValue);
+
+    /// @notice Allows the governor to hand governance to another address.
+    /// @dev Passing the zero address renounces governance, freezing every parameter.
+    /// @param newGovernor The address of the new governor.
+    function transferGovernance(address newGovernor) public _isGovernor {
+        emit GovernanceTransferred(governor, newGovernor);
+        governor = newGovernor;
+    }
+
+    /// @notice Allows the governor to propose a new value for a parameter.
+    /// @dev Replaces any pending change of the parameter, restarting the delay.
+    /// @param name The name of the parameter.
+    /// @param value The proposed value, which must be within the bounds of the parameter.
+    function proposeParameterChange(bytes32 name, uint value) public _isGovernor _parameterExists(name) {
+        Parameter storage parameter = parameters[name];
+        require(value >= parameter.minimum && value <= parameter.maximum, "The value is out of bounds.");
+
+        parameter.pendingValue = value;
+        // solium-disable-next-line security/no-block-members
+        parameter.effectiveAt = block.timestamp + PARAMETER_CHANGE_DELAY;
+
+        emit ParameterChangeProposed(name, value, parameter.effectiveAt);
+    }
+
+    /// @notice Allows the governor to withdraw a pending change of a parameter.
+    /// @param name The name of the parameter.
+    function cancelParameterChange(bytes32 name) public _isGovernor {
+        Parameter storage parameter = parameters[name];
+        require(parameter.effectiveAt > 0, "No change is pending.");
+
+        emit ParameterChangeCancelled(name, parameter.pendingValue);
+
+        parameter.pendingValue = 0;
+        parameter.effectiveAt = 0;
+    }
+
+    /// @notice Applies the pending change of a parameter once its delay has passed.
+    /// @dev Can be called by anyone.
+    /// @param name The name of the parameter.
+    function applyParameterChange(bytes32 name) public {
+        Parameter storage parameter = parameters[name];
+        require(parameter.effectiveAt > 0, "No change is pending.");
+        // solium-disable-next-line security/no-block-members
+        require(block.timestamp >= parameter.effectiveAt, "The change cannot be applied yet.");
+
+        uint newValue = parameter.pendingValue;
+        parameter.pendingValue = 0;
+        parameter.effectiveAt = 0;
+
+        emit ParameterChanged(name, setParameter(name, newValue), newValue);
+    }
+
+
+    // Events //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    event GovernanceTransferred(address indexed oldGovernor, address indexed newGovernor);
+    event ParameterChangeProposed(bytes32 indexed name, uint value, uint effectiveAt);
+    event ParameterChangeCancelled(bytes32 indexed name, uint value);
+    event ParameterChanged(bytes32 indexed name, uint oldValue, uint newValue);
 }
 
 /// @title An implementation of the set data structure for addresses.
@@ -84,10 +239,35 @@ library AddressSet {
     }
 }
 
+/// @title The optional callbacks of ERC-1484 resolvers.
+/// @dev The IdentityRegistry only calls resolvers whose ERC-165 supportsInterface returns true for the ID of this
+/// interface, onAddition.selector ^ onRemoval.selector. Callbacks should check that they are called by the registry.
+interface ResolverInterface {
+    /// @dev Called once the resolver is added to an Identity. Reverting or returning false cancels the addition.
+    /// @param ein The EIN the resolver was added to.
+    /// @param data The initialisation data passed to addResolverFor or addResolversWithDataFor, empty if there is none.
+    function onAddition(uint ein, bytes calldata data) external returns (bool);
+
+    /// @dev Called once the resolver is removed from an Identity. The removal stands even if this reverts.
+    /// @param ein The EIN the resolver was removed from.
+    /// @param data The data passed to removeResolverFor, empty if there is none.
+    function onRemoval(uint ein, bytes calldata data) external returns (bool);
+}
+
+/// @title The optional recovery callback of ERC-1484 resolvers.
+/// @dev The IdentityRegistry only calls resolvers whose ERC-165 supportsInterface returns true for the ID of this
+/// interface, onRecovery.selector. It is separate from ResolverInterface so that resolvers can implement either.
+interface RecoveryResolverInterface {
+    /// @dev Called once recovery has been triggered for an Identity the resolver is set for, after the new associated
+    /// address was added. The recovery stands even if this reverts.
+    /// @param ein The recovered EIN.
+    function onRecovery(uint ein) external returns (bool);
+}
+
 /// @title The ERC-1484 Identity Registry.
 /// @author Noah Zinsmeister
 /// @author Andy Chorlian
-contract IdentityRegistry is SignatureVerifier {
+contract IdentityRegistry is SignatureVerifier, Governed {
     using AddressSet for AddressSet.Set;
 
 
@@ -122,11 +302,58 @@ contract IdentityRegistry is SignatureVerifier {
     }
 
 
+    // EIP-712 Types ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+    bytes32 private constant CREATE_IDENTITY_TYPEHASH = keccak256(
+        "CreateIdentity(address recoveryAddress,address associatedAddress,address[] providers,address[] resolvers,uint256 timestamp)"
+    );
+    // signed by the approving address
+    bytes32 private constant ADD_ASSOCIATED_ADDRESS_TYPEHASH = keccak256(
+        "AddAssociatedAddress(uint256 ein,address addressToAdd,uint256 timestamp)"
+    );
+    // signed by the address to add
+    bytes32 private constant JOIN_IDENTITY_TYPEHASH = keccak256(
+        "JoinIdentity(uint256 ein,address addressToAdd,uint256 timestamp)"
+    );
+    bytes32 private constant REMOVE_ASSOCIATED_ADDRESS_TYPEHASH = keccak256(
+        "RemoveAssociatedAddress(uint256 ein,address addressToRemove,uint256 timestamp)"
+    );
+    bytes32 private constant TRIGGER_RECOVERY_TYPEHASH = keccak256(
+        "TriggerRecovery(uint256 ein,address newAssociatedAddress,uint256 timestamp)"
+    );
+
+    constructor () public {
+        setDomainSeparator("IdentityRegistry", "1");
+
+        addParameter("signatureTimeout", 10 minutes, 7 days);
+        addParameter("recoveryTimeout", 1 days, 90 days);
+        addParameter("maxAssociatedAddresses", 1, 100);
+    }
+
+
+    // Governed Parameters /////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @dev Stores changes to signatureTimeout, recoveryTimeout and maxAssociatedAddresses, see Governed.
+    function setParameter(bytes32 name, uint value) internal returns (uint oldValue) {
+        if (name == "signatureTimeout") {
+            oldValue = signatureTimeout;
+            signatureTimeout = value;
+        } else if (name == "recoveryTimeout") {
+            oldValue = recoveryTimeout;
+            recoveryTimeout = value;
+        } else if (name == "maxAssociatedAddresses") {
+            oldValue = maxAssociatedAddresses;
+            maxAssociatedAddresses = value;
+        }
+    }
+
+
     // Recovery Address Change Logging /////////////////////////////////////////////////////////////////////////////////
 
     struct RecoveryAddressChange {
         uint timestamp;
         address oldRecoveryAddress;
+        uint recoveryTimeout; // the recoveryTimeout at the time of the change
     }
 
     mapping (uint => RecoveryAddressChange) private recoveryAddressChangeLogs;
@@ -137,6 +364,7 @@ contract IdentityRegistry is SignatureVerifier {
     struct Recovery {
         uint timestamp;
         bytes32 hashedOldAssociatedAddresses;
+        uint recoveryTimeout; // the recoveryTimeout at the time of the recovery
     }
 
     mapping (uint => Recovery) private recoveryLogs;
@@ -147,15 +375,19 @@ contract IdentityRegistry is SignatureVerifier {
     uint public recoveryTimeout = 2 weeks;
 
     /// @dev Checks if the passed EIN has changed their recovery address within recoveryTimeout seconds of now.
+    /// Uses the recoveryTimeout in force when the change was triggered, so governance cannot alter it in-flight.
     function canChangeRecoveryAddress(uint ein) private view returns (bool) {
+        RecoveryAddressChange storage change = recoveryAddressChangeLogs[ein];
         // solium-disable-next-line security/no-block-members
-        return block.timestamp > recoveryAddressChangeLogs[ein].timestamp + recoveryTimeout;
+        return block.timestamp > change.timestamp + change.recoveryTimeout;
     }
 
     /// @dev Checks if the passed EIN has recovered within recoveryTimeout seconds of now.
+    /// Uses the recoveryTimeout in force when the recovery was triggered, so governance cannot alter it in-flight.
     function canRecover(uint ein) private view returns (bool) {
+        Recovery storage recovery = recoveryLogs[ein];
         // solium-disable-next-line security/no-block-members
-        return block.timestamp > recoveryLogs[ein].timestamp + recoveryTimeout;
+        return block.timestamp > recovery.timestamp + recovery.recoveryTimeout;
     }
 
 
@@ -227,10 +459,15 @@ contract IdentityRegistry is SignatureVerifier {
     /// @dev Ensures that the msg.sender is a provider for the passed EIN.
     /// @param ein The EIN to check.
     modifier _isProviderFor(uint ein) {
-        require(isProviderFor(ein, msg.sender), "The identity has not set the passed provider.");
+        requireProvider(ein);
         _;
     }
 
+    // the check of _isProviderFor, called rather than inlined into every provider function to keep the registry small
+    function requireProvider(uint ein) private view {
+        require(isProviderFor(ein, msg.sender), "The identity has not set the passed provider.");
+    }
+
     /// @notice Checks whether the passed resolver is set for the passed EIN.
     /// @dev Does not throw.
     /// @param ein The EIN to check.
@@ -260,6 +497,16 @@ contract IdentityRegistry is SignatureVerifier {
         );
     }
 
+    /// @notice Gets the latest recovery of the passed EIN.
+    /// @dev Throws if the passed EIN does not exist. Old associated addresses can trigger destruction until
+    /// timestamp + timeout, since governance changes to recoveryTimeout do not apply to recoveries in progress.
+    /// @param ein The EIN to get the recovery of.
+    /// @return The timestamp of the recovery, or 0 if the EIN was never recovered, and the recoveryTimeout at the time.
+    function getRecovery(uint ein) public view _identityExists(ein) returns (uint timestamp, uint timeout) {
+        Recovery storage recovery = recoveryLogs[ein];
+        return (recovery.timestamp, recovery.recoveryTimeout);
+    }
+
 
     // Identity Management Functions ///////////////////////////////////////////////////////////////////////////////////
 
@@ -309,6 +556,33 @@ contract IdentityRegistry is SignatureVerifier {
         return createIdentity(recoveryAddress, associatedAddress, providers, resolvers, true);
     }
 
+    /// @notice Allows creation of a new Identity for the passed associatedAddress with an EIP-712 signature.
+    /// @dev The signed message is a CreateIdentity struct, see createIdentityDelegated for the parameters.
+    function createIdentityDelegatedTyped(
+        address recoveryAddress, address associatedAddress, address[] memory providers, address[] memory resolvers,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp) returns (uint ein)
+    {
+        require(
+            isSigned(
+                associatedAddress,
+                hashTypedData(
+                    keccak256(
+                        abi.encode(
+                            CREATE_IDENTITY_TYPEHASH, recoveryAddress, associatedAddress,
+                            keccak256(abi.encodePacked(providers)), keccak256(abi.encodePacked(resolvers)), timestamp
+                        )
+                    )
+                ),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+
+        return createIdentity(recoveryAddress, associatedAddress, providers, resolvers, true);
+    }
+
     /// @dev Common logic for all identity creation.
     function createIdentity(
         address recoveryAddress,
@@ -371,6 +645,43 @@ contract IdentityRegistry is SignatureVerifier {
         emit AssociatedAddressAdded(msg.sender, ein, approvingAddress, addressToAdd, false);
     }
 
+    /// @notice Allows an associated address to add another associated address to its Identity with an EIP-712
+    /// signature.
+    /// @dev The signed message is a JoinIdentity struct if sent by the approvingAddress, and an AddAssociatedAddress
+    /// struct otherwise, see addAssociatedAddress for the parameters.
+    function addAssociatedAddressTyped(
+        address approvingAddress, address addressToAdd, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        bool fromApprovingAddress = msg.sender == approvingAddress;
+        require(
+            fromApprovingAddress || msg.sender == addressToAdd, "One or both of the passed addresses are malformed."
+        );
+
+        uint ein = getEIN(approvingAddress);
+
+        require(
+            isSigned(
+                fromApprovingAddress ? addressToAdd : approvingAddress,
+                hashTypedData(
+                    keccak256(
+                        abi.encode(
+                            fromApprovingAddress ? JOIN_IDENTITY_TYPEHASH : ADD_ASSOCIATED_ADDRESS_TYPEHASH,
+                            ein, addressToAdd, timestamp
+                        )
+                    )
+                ),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+
+        addAssociatedAddress(ein, addressToAdd);
+
+        emit AssociatedAddressAdded(msg.sender, ein, approvingAddress, addressToAdd, false);
+    }
+
     /// @notice Allows addition of an associated address to an Identity.
     /// @dev The first signature must be that of the approvingAddress.
     /// @param approvingAddress An associated address for an Identity.
@@ -421,6 +732,41 @@ contract IdentityRegistry is SignatureVerifier {
         emit AssociatedAddressAdded(msg.sender, ein, approvingAddress, addressToAdd, true);
     }
 
+    /// @notice Allows addition of an associated address to an Identity with EIP-712 signatures.
+    /// @dev The first signature must be of an AddAssociatedAddress struct by the approvingAddress, the second of a
+    /// JoinIdentity struct by the addressToAdd, see addAssociatedAddressDelegated for the parameters.
+    function addAssociatedAddressDelegatedTyped(
+        address approvingAddress, address addressToAdd,
+        uint8[2] memory v, bytes32[2] memory r, bytes32[2] memory s, uint[2] memory timestamp
+    )
+        public ensureSignatureTimeValid(timestamp[0]) ensureSignatureTimeValid(timestamp[1])
+    {
+        uint ein = getEIN(approvingAddress);
+
+        require(
+            isSigned(
+                approvingAddress,
+                hashTypedData(
+                    keccak256(abi.encode(ADD_ASSOCIATED_ADDRESS_TYPEHASH, ein, addressToAdd, timestamp[0]))
+                ),
+                v[0], r[0], s[0]
+            ),
+            "Permission denied from approving address."
+        );
+        require(
+            isSigned(
+                addressToAdd,
+                hashTypedData(keccak256(abi.encode(JOIN_IDENTITY_TYPEHASH, ein, addressToAdd, timestamp[1]))),
+                v[1], r[1], s[1]
+            ),
+            "Permission denied from address to add."
+        );
+
+        addAssociatedAddress(ein, addressToAdd);
+
+        emit AssociatedAddressAdded(msg.sender, ein, approvingAddress, addressToAdd, true);
+    }
+
     /// @dev Common logic for all address addition.
     function addAssociatedAddress(uint ein, address addressToAdd) private _hasIdentity(addressToAdd, false) {
         require(
@@ -471,6 +817,32 @@ contract IdentityRegistry is SignatureVerifier {
         emit AssociatedAddressRemoved(msg.sender, ein, addressToRemove, true);
     }
 
+    /// @notice Allows removal of an associated address from an Identity with an EIP-712 signature.
+    /// @dev The signed message is a RemoveAssociatedAddress struct, see removeAssociatedAddressDelegated for the
+    /// parameters.
+    function removeAssociatedAddressDelegatedTyped(
+        address addressToRemove, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = getEIN(addressToRemove);
+
+        require(
+            isSigned(
+                addressToRemove,
+                hashTypedData(
+                    keccak256(abi.encode(REMOVE_ASSOCIATED_ADDRESS_TYPEHASH, ein, addressToRemove, timestamp))
+                ),
+                v, r, s
+            ),
+            "Permission denied."
+        );
+
+        removeAssociatedAddress(ein, addressToRemove);
+
+        emit AssociatedAddressRemoved(msg.sender, ein, addressToRemove, true);
+    }
+
     /// @dev Common logic for all address removal.
     function removeAssociatedAddress(uint ein, address addressToRemove) private {
         identityDirectory[ein].associatedAddresses.remove(addressToRemove);
@@ -535,15 +907,61 @@ contract IdentityRegistry is SignatureVerifier {
         addResolvers(ein, resolvers, true);
     }
 
-    /// @dev Common logic for all resolver adding.
+    /// @notice Allows providers to add a resolver to an Identity, passing initialisation data to its onAddition.
+    /// @param ein The EIN to add the resolver to.
+    /// @param resolver The resolver.
+    /// @param data The data passed to the onAddition of the resolver, see ResolverInterface.
+    function addResolverFor(uint ein, address resolver, bytes memory data) public _isProviderFor(ein) {
+        addResolver(ein, resolver, data, true);
+    }
+
+    /// @notice Allows providers to add resolvers to an Identity, passing initialisation data to the onAddition of each.
+    /// @dev Lists of bytes need the experimental ABI encoder, so the data of the resolvers is passed concatenated.
+    /// @param ein The EIN to add resolvers to.
+    /// @param resolvers A list of resolvers.
+    /// @param data The data passed to the onAddition of each resolver, concatenated in the order of resolvers.
+    /// @param dataLengths The length in bytes of the data of each resolver.
+    function addResolversWithDataFor(
+        uint ein, address[] calldata resolvers, bytes calldata data, uint[] calldata dataLengths
+    )
+        external _isProviderFor(ein)
+    {
+        uint length;
+        for (uint i; i < dataLengths.length; i++) {
+            length += dataLengths[i];
+        }
+        require(resolvers.length == dataLengths.length && length == data.length, "Malformed resolver data.");
+
+        uint offset;
+        for (uint i; i < resolvers.length; i++) {
+            bytes memory resolverData = new bytes(dataLengths[i]);
+            for (uint j; j < resolverData.length; j++) {
+                resolverData[j] = data[offset + j];
+            }
+            offset += resolverData.length;
+            addResolver(ein, resolvers[i], resolverData, true);
+        }
+    }
+
+    /// @dev Common logic for adding lists of resolvers, whose callbacks get no data.
     function addResolvers(uint ein, address[] memory resolvers, bool delegated) private {
-        Identity storage _identity = identityDirectory[ein];
         for (uint i; i < resolvers.length; i++) {
-            _identity.resolvers.insert(resolvers[i]);
-            emit ResolverAdded(msg.sender, ein, resolvers[i], delegated);
+            addResolver(ein, resolvers[i], "", delegated);
         }
     }
 
+    /// @dev Common logic for all resolver adding.
+    function addResolver(uint ein, address resolver, bytes memory data, bool delegated) private {
+        Identity storage _identity = identityDirectory[ein];
+        bool wasSet = _identity.resolvers.contains(resolver);
+        _identity.resolvers.insert(resolver);
+        emit ResolverAdded(msg.sender, ein, resolver, delegated);
+        require(
+            wasSet || callResolver(resolver, ResolverInterface(0).onAddition.selector, ein, data, 0),
+            "Resolver refused the addition."
+        );
+    }
+
     /// @notice Allows an associated address to remove resolvers from its Identity.
     /// @param resolvers A list of resolvers.
     function removeResolvers(address[] memory resolvers) public {
@@ -557,12 +975,97 @@ contract IdentityRegistry is SignatureVerifier {
         removeResolvers(ein, resolvers, true);
     }
 
-    /// @dev Common logic for all resolver removal.
+    /// @notice Allows providers to remove a resolver from an Identity, passing data to its onRemoval.
+    /// @param ein The EIN to remove the resolver from.
+    /// @param resolver The resolver.
+    /// @param data The data passed to the onRemoval of the resolver, see ResolverInterface.
+    function removeResolverFor(uint ein, address resolver, bytes memory data) public _isProviderFor(ein) {
+        removeResolver(ein, resolver, data, true);
+    }
+
+    /// @dev Common logic for removing lists of resolvers, whose callbacks get no data.
     function removeResolvers(uint ein, address[] memory resolvers, bool delegated) private {
+        for (uint i; i < resolvers.length; i++) {
+            removeResolver(ein, resolvers[i], "", delegated);
+        }
+    }
+
+    /// @dev Common logic for all resolver removal.
+    function removeResolver(uint ein, address resolver, bytes memory data, bool delegated) private {
         Identity storage _identity = identityDirectory[ein];
+        bool wasSet = _identity.resolvers.contains(resolver);
+        _identity.resolvers.remove(resolver);
+        emit ResolverRemoved(msg.sender, ein, resolver, delegated);
+        if (wasSet) notifyRemoval(ein, resolver, data);
+    }
+
+
+    // Resolver Callbacks //////////////////////////////////////////////////////////////////////////////////////////////
+
+    // the ERC-165 ID of the ResolverInterface callbacks
+    bytes4 private constant RESOLVER_INTERFACE_ID = (
+        bytes4(keccak256("onAddition(uint256,bytes)")) ^ bytes4(keccak256("onRemoval(uint256,bytes)"))
+    );
+
+    // the gas that onRemoval and onRecovery callbacks keep back for the calling transaction to finish. onAddition
+    // callbacks keep none back, since additions revert when they fail, and gas estimates do not cover gas kept back.
+    uint private constant CALLBACK_GAS_RESERVE = 50000;
+
+    /// @dev Calls onAddition or onRemoval of a resolver if it implements them, as its ERC-165 supportsInterface says.
+    /// Resolvers without supportsInterface, and addresses without code, have no callbacks to call.
+    /// @param reserve The gas to keep back from the resolver, see callForBool.
+    /// @return false if the callback reverted or did not return true, or if too little gas was left to call it, true
+    /// otherwise.
+    function callResolver(address resolver, bytes4 selector, uint ein, bytes memory data, uint reserve)
+        private returns (bool)
+    {
+        if (gasleft() <= reserve) return false;
+        if (!supportsCallback(resolver, RESOLVER_INTERFACE_ID, reserve)) return true;
+        return callForBool(resolver, abi.encodeWithSelector(selector, ein, data), reserve);
+    }
+
+    /// @dev Calls onRemoval of a removed resolver, ignoring failures so that resolvers cannot block their removal.
+    /// The resolver is removed before it is called, and callForBool keeps CALLBACK_GAS_RESERVE gas back to finish.
+    function notifyRemoval(uint ein, address resolver, bytes memory data) private {
+        if (!callResolver(resolver, ResolverInterface(0).onRemoval.selector, ein, data, CALLBACK_GAS_RESERVE)) {
+            emit ResolverRemovalFailed(ein, resolver);
+        }
+    }
+
+    /// @dev Calls onRecovery of the resolvers of a recovered Identity that implement RecoveryResolverInterface,
+    /// ignoring failures so that resolvers cannot block recoveries. Resolvers that are reached with less than
+    /// CALLBACK_GAS_RESERVE gas left count as failed, so recoveries should be sent with enough gas for the callbacks.
+    function notifyRecovery(uint ein, address[] memory resolvers) private {
+        bytes4 interfaceId = RecoveryResolverInterface(0).onRecovery.selector;
+        bytes memory onRecoveryCall = abi.encodeWithSelector(interfaceId, ein);
         for (uint i; i < resolvers.length; i++) {
-            _identity.resolvers.remove(resolvers[i]);
-            emit ResolverRemoved(msg.sender, ein, resolvers[i], delegated);
+            if (
+                gasleft() <= CALLBACK_GAS_RESERVE ||
+                supportsCallback(resolvers[i], interfaceId, CALLBACK_GAS_RESERVE) &&
+                !callForBool(resolvers[i], onRecoveryCall, CALLBACK_GAS_RESERVE)
+            ) {
+                emit ResolverRecoveryFailed(ein, resolvers[i]);
+            }
+        }
+    }
+
+    /// @dev Calls the ERC-165 supportsInterface of a resolver through callForBool, since the gas estimation of ganache
+    /// fails on calls with a fixed gas limit.
+    /// @return true if the call succeeded and returned true, false otherwise.
+    function supportsCallback(address resolver, bytes4 interfaceId, uint reserve) private returns (bool) {
+        return callForBool(
+            resolver, abi.encodeWithSelector(bytes4(keccak256("supportsInterface(bytes4)")), interfaceId), reserve
+        );
+    }
+
+    /// @dev Calls a resolver with all but reserve gas, copying at most 32 bytes of what it returns, so that resolvers
+    /// can neither use up the gas of the caller nor make it copy large return data.
+    /// @return true if the call succeeded and returned true, false otherwise.
+    function callForBool(address resolver, bytes memory data, uint reserve) private returns (bool result) {
+        if (gasleft() <= reserve) return false;
+        assembly {
+            let success := call(sub(gas(), reserve), resolver, 0, add(data, 0x20), mload(data), 0, 0x20)
+            result := and(success, and(eq(returndatasize(), 0x20), iszero(iszero(mload(0)))))
         }
     }
 
@@ -591,7 +1094,9 @@ contract IdentityRegistry is SignatureVerifier {
         require(canChangeRecoveryAddress(ein), "Cannot trigger a change in recovery address yet.");
 
          // solium-disable-next-line security/no-block-members
-        recoveryAddressChangeLogs[ein] = RecoveryAddressChange(block.timestamp, _identity.recoveryAddress);
+        recoveryAddressChangeLogs[ein] = RecoveryAddressChange(
+            block.timestamp, _identity.recoveryAddress, recoveryTimeout
+        );
 
         emit RecoveryAddressChangeTriggered(msg.sender, ein, _identity.recoveryAddress, newRecoveryAddress, delegated);
 
@@ -608,6 +1113,37 @@ contract IdentityRegistry is SignatureVerifier {
     /// @param timestamp The timestamp of the signature.
     function triggerRecovery(uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
         public _identityExists(ein) _hasIdentity(newAssociatedAddress, false) ensureSignatureTimeValid(timestamp)
+    {
+        triggerRecovery(
+            ein, newAssociatedAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "I authorize being added to this Identity via recovery.",
+                    ein, newAssociatedAddress, timestamp
+                )
+            ),
+            v, r, s
+        );
+    }
+
+    /// @notice Allows recovery addresses to trigger the recovery process for an Identity with an EIP-712 signature.
+    /// @dev The signed message is a TriggerRecovery struct, see triggerRecovery for the parameters.
+    function triggerRecoveryTyped(
+        uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public _identityExists(ein) _hasIdentity(newAssociatedAddress, false) ensureSignatureTimeValid(timestamp)
+    {
+        triggerRecovery(
+            ein, newAssociatedAddress,
+            hashTypedData(keccak256(abi.encode(TRIGGER_RECOVERY_TYPEHASH, ein, newAssociatedAddress, timestamp))),
+            v, r, s
+        );
+    }
+
+    /// @dev Common logic for all recoveries.
+    function triggerRecovery(uint ein, address newAssociatedAddress, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        private
     {
         require(canRecover(ein), "Cannot trigger recovery yet.");
         Identity storage _identity = identityDirectory[ein];
@@ -624,32 +1160,21 @@ contract IdentityRegistry is SignatureVerifier {
             );
         }
 
-        require(
-            isSigned(
-                newAssociatedAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize being added to this Identity via recovery.",
-                        ein, newAssociatedAddress, timestamp
-                    )
-                ),
-                v, r, s
-            ),
-            "Permission denied."
-        );
+        require(isSigned(newAssociatedAddress, messageHash, v, r, s), "Permission denied.");
 
         // log the old associated addresses to facilitate destruction if necessary
         recoveryLogs[ein] = Recovery(
             block.timestamp, // solium-disable-line security/no-block-members
-            keccak256(abi.encodePacked(_identity.associatedAddresses.members))
+            keccak256(abi.encodePacked(_identity.associatedAddresses.members)),
+            recoveryTimeout
         );
 
         emit RecoveryTriggered(msg.sender, ein, _identity.associatedAddresses.members, newAssociatedAddress);
 
         // remove identity data, and add the new address as the sole associated address
-        resetIdentityData(_identity, msg.sender, false);
+        resetIdentityData(ein, _identity, msg.sender, false);
         addAssociatedAddress(ein, newAssociatedAddress);
+        notifyRecovery(ein, _identity.resolvers.members);
     }
 
     /// @notice Allows associated addresses recently removed via recovery to permanently disable their old Identity.
@@ -674,18 +1199,26 @@ contract IdentityRegistry is SignatureVerifier {
 
         emit IdentityDestroyed(msg.sender, ein, _identity.recoveryAddress, resetResolvers);
 
-        resetIdentityData(_identity, address(0), resetResolvers);
+        resetIdentityData(ein, _identity, address(0), resetResolvers);
     }
 
-    /// @dev Common logic for clearing the data of an Identity.
-    function resetIdentityData(Identity storage identity, address newRecoveryAddress, bool resetResolvers) private {
+    /// @dev Common logic for clearing the data of an Identity. Removed resolvers are notified via onRemoval.
+    function resetIdentityData(uint ein, Identity storage identity, address newRecoveryAddress, bool resetResolvers)
+        private
+    {
         for (uint i; i < identity.associatedAddresses.members.length; i++) {
             delete associatedAddressDirectory[identity.associatedAddresses.members[i]];
         }
         delete identity.associatedAddresses;
         delete identity.providers;
-        if (resetResolvers) delete identity.resolvers;
         identity.recoveryAddress = newRecoveryAddress;
+        if (resetResolvers) {
+            address[] memory resolvers = identity.resolvers.members;
+            delete identity.resolvers;
+            for (uint i; i < resolvers.length; i++) {
+                notifyRemoval(ein, resolvers[i], "");
+            }
+        }
     }
 
 
@@ -703,6 +1236,8 @@ contract IdentityRegistry is SignatureVerifier {
     event ProviderRemoved(address indexed initiator, uint indexed ein, address provider, bool delegated);
     event ResolverAdded(address indexed initiator, uint indexed ein, address resolvers, bool delegated);
     event ResolverRemoved(address indexed initiator, uint indexed ein, address resolvers, bool delegated);
+    event ResolverRemovalFailed(uint indexed ein, address resolver);
+    event ResolverRecoveryFailed(uint indexed ein, address resolver);
     event RecoveryAddressChangeTriggered(
         address indexed initiator, uint indexed ein,
         address oldRecoveryAddress, address newRecoveryAddress, bool delegated
@@ -2,17 +2,48 @@ pragma solidity ^0.5.0;
 
 /// @title Provides helper functions to determine the validity of passed signatures.
 /// @author Noah Zinsmeister
-/// @dev Supports both prefixed and un-prefixed signatures.
+/// @dev Supports both prefixed and un-prefixed signatures, as well as EIP-712 typed data signatures. Contracts sign via
+/// EIP-1271 instead.
 contract SignatureVerifier {
-    /// @notice Determines whether the passed signature of `messageHash` was made by the private key of `_address`.
+    // bytes4(keccak256("isValidSignature(bytes32,bytes)")), returned by EIP-1271 contracts for signatures they accept
+    bytes4 internal constant EIP1271_MAGIC_VALUE = 0x1626ba7e;
+
+    // EIP-712 Domain //////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // chainId is left out of the domain since the EVM targeted by solc 0.5.0 cannot read it, see EIP-1344
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,address verifyingContract)"
+    );
+
+    bytes32 public domainSeparator;
+
+    /// @dev Sets the EIP-712 domain separator, must be called from the constructor of inheriting contracts.
+    /// @param name The name of the signing domain, i.e. the name of the contract.
+    /// @param version The major version of the signing domain.
+    function setDomainSeparator(string memory name, string memory version) internal {
+        domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(name)), keccak256(bytes(version)), address(this))
+        );
+    }
+
+    /// @notice Gets the EIP-712 hash of the passed struct hash, i.e. the hash that is signed by eth_signTypedData.
+    /// @param structHash The EIP-712 hashStruct of a typed message.
+    /// @return The hash to pass to isSigned.
+    function hashTypedData(bytes32 structHash) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(byte(0x19), byte(0x01), domainSeparator, structHash));
+    }
+
+    /// @notice Determines whether the passed signature of `messageHash` was made by the private key of `_address`, or
+    /// is accepted by `_address` if it is a contract.
     /// @param _address The address that may or may not have signed the passed messageHash.
     /// @param messageHash The messageHash that may or may not have been signed.
     /// @param v The v component of the signature.
     /// @param r The r component of the signature.
     /// @param s The s component of the signature.
     /// @return true if the signature can be verified, false otherwise.
-    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public pure returns (bool) {
-        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s);
+    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public view returns (bool) {
+        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s) ||
+            _isSignedByContract(_address, messageHash, v, r, s);
     }
 
     /// @dev Checks unprefixed signatures.
@@ -29,11 +60,169 @@ contract SignatureVerifier {
         bytes memory prefix = "\x19Ethereum Signed Message:\n32";
         return _isSigned(_address, keccak256(abi.encodePacked(prefix, messageHash)), v, r, s);
     }
+
+    /// @dev Checks signatures of contracts by calling their EIP-1271 isValidSignature function, which is passed the
+    /// unprefixed messageHash and the 65 byte signature (r, s, v).
+    function _isSignedByContract(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        internal view returns (bool)
+    {
+        uint size;
+        assembly { size := extcodesize(_address) }
+        if (size == 0) return false;
+
+        // solium-disable-next-line security/no-low-level-calls
+        (bool success, bytes memory result) = _address.staticcall(
+            abi.encodeWithSelector(EIP1271_MAGIC_VALUE, messageHash, abi.encodePacked(r, s, v))
+        );
+        return success && result.length == 32 && abi.decode(result, (bytes4)) == EIP1271_MAGIC_VALUE;
+    }
+}
+
+/// @title Arithmetic on the secp256k1 curve, for decompressing public keys and recovering them from signatures.
+/// @dev Points are multiplied in Jacobian coordinates, [x, y, z] standing for the affine point (x / z^2, y / z^3), and
+/// z = 0 for the point at infinity. Recovering a public key costs around a million gas.
+library Secp256k1 {
+    // the order of the field of the curve, and the order of the curve
+    uint internal constant FIELD_ORDER = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f;
+    uint internal constant CURVE_ORDER = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141;
+
+    // the generator of the curve
+    uint internal constant GX = 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798;
+    uint internal constant GY = 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8;
+
+    /// @dev Computes base ** exponent % modulus by square-and-multiply.
+    function expmod(uint base, uint exponent, uint modulus) internal pure returns (uint result) {
+        result = 1;
+        for (; exponent > 0; exponent >>= 1) {
+            if (exponent & 1 == 1) {
+                result = mulmod(result, base, modulus);
+            }
+            base = mulmod(base, base, modulus);
+        }
+    }
+
+    /// @dev Finds the y coordinate of the point with the passed x coordinate.
+    /// @param odd Whether y should be odd, as the prefix 0x03 of compressed keys and the v of 28 of signatures say.
+    function deriveY(uint x, bool odd) internal pure returns (uint y) {
+        require(x < FIELD_ORDER, "Not a point of the curve.");
+        // y^2 = x^3 + 7, whose square root is its (FIELD_ORDER + 1) / 4th power since FIELD_ORDER % 4 == 3
+        uint ySquared = addmod(mulmod(mulmod(x, x, FIELD_ORDER), x, FIELD_ORDER), 7, FIELD_ORDER);
+        y = expmod(ySquared, (FIELD_ORDER + 1) / 4, FIELD_ORDER);
+        require(mulmod(y, y, FIELD_ORDER) == ySquared, "Not a point of the curve.");
+
+        if ((y % 2 == 1) != odd) {
+            y = FIELD_ORDER - y;
+        }
+    }
+
+    /// @dev Recovers the public key that produced a signature, like ecrecover does for its address.
+    /// @return The affine coordinates of the public key.
+    function recover(bytes32 hash, uint8 v, bytes32 r, bytes32 s) internal pure returns (uint x, uint y) {
+        require(v == 27 || v == 28, "Invalid signature.");
+        require(uint(r) > 0 && uint(r) < CURVE_ORDER && uint(s) > 0 && uint(s) < CURVE_ORDER, "Invalid signature.");
+
+        // the public key is r^-1 (s R - hash G), where R is the point with x coordinate r and the parity of v
+        uint rInverse = expmod(uint(r), CURVE_ORDER - 2, CURVE_ORDER);
+        uint[3] memory point = multiply(
+            mulmod(CURVE_ORDER - uint(hash) % CURVE_ORDER, rInverse, CURVE_ORDER),
+            mulmod(uint(s), rInverse, CURVE_ORDER),
+            uint(r), deriveY(uint(r), v == 28)
+        );
+        (x, y) = toAffine(point);
+    }
+
+    /// @dev Computes a G + b R with Shamir's trick, doubling once for both scalars.
+    function multiply(uint a, uint b, uint rx, uint ry) private pure returns (uint[3] memory point) {
+        uint[3] memory sum = [GX, GY, 1];
+        addAffine(sum, rx, ry);
+        (uint sx, uint sy) = toAffine(sum);
+
+        for (uint i = 256; i > 0; --i) {
+            double(point);
+            uint bits = (a >> (i - 1) & 1) | (b >> (i - 1) & 1) << 1;
+            if (bits == 1) {
+                addAffine(point, GX, GY);
+            } else if (bits == 2) {
+                addAffine(point, rx, ry);
+            } else if (bits == 3) {
+                addAffine(point, sx, sy);
+            }
+        }
+    }
+
+    function toAffine(uint[3] memory point) private pure returns (uint x, uint y) {
+        require(point[2] != 0, "The point is at infinity.");
+        uint zInverse = expmod(point[2], FIELD_ORDER - 2, FIELD_ORDER);
+        uint zInverseSquared = mulmod(zInverse, zInverse, FIELD_ORDER);
+        x = mulmod(point[0], zInverseSquared, FIELD_ORDER);
+        y = mulmod(point[1], mulmod(zInverseSquared, zInverse, FIELD_ORDER), FIELD_ORDER);
+    }
+
+    // doubles a point in place, see dbl-2009-l of the Explicit-Formulas Database
+    function double(uint[3] memory point) private pure {
+        if (point[2] == 0) {
+            return;
+        }
+        uint a = mulmod(point[0], point[0], FIELD_ORDER);
+        uint b = mulmod(point[1], point[1], FIELD_ORDER);
+        uint c = mulmod(b, b, FIELD_ORDER);
+        uint d = addmod(point[0], b, FIELD_ORDER);
+        d = mulmod(2, addmod(mulmod(d, d, FIELD_ORDER), FIELD_ORDER - addmod(a, c, FIELD_ORDER), FIELD_ORDER), FIELD_ORDER);
+        uint e = mulmod(3, a, FIELD_ORDER);
+        uint x = addmod(mulmod(e, e, FIELD_ORDER), FIELD_ORDER - mulmod(2, d, FIELD_ORDER), FIELD_ORDER);
+
+        point[2] = mulmod(2, mulmod(point[1], point[2], FIELD_ORDER), FIELD_ORDER);
+        point[1] = addmod(
+            mulmod(e, addmod(d, FIELD_ORDER - x, FIELD_ORDER), FIELD_ORDER), FIELD_ORDER - mulmod(8, c, FIELD_ORDER),
+            FIELD_ORDER
+        );
+        point[0] = x;
+    }
+
+    // adds an affine point to a point in place, see madd-2007-bl of the Explicit-Formulas Database
+    function addAffine(uint[3] memory point, uint x2, uint y2) private pure {
+        if (point[2] == 0) {
+            (point[0], point[1], point[2]) = (x2, y2, 1);
+            return;
+        }
+        uint z1z1 = mulmod(point[2], point[2], FIELD_ORDER);
+        uint u2 = mulmod(x2, z1z1, FIELD_ORDER);
+        uint s2 = mulmod(y2, mulmod(point[2], z1z1, FIELD_ORDER), FIELD_ORDER);
+        if (point[0] == u2) {
+            if (point[1] == s2) {
+                double(point);
+            } else {
+                point[2] = 0;
+            }
+            return;
+        }
+
+        uint h = addmod(u2, FIELD_ORDER - point[0], FIELD_ORDER);
+        uint hh = mulmod(h, h, FIELD_ORDER);
+        uint j = mulmod(h, mulmod(4, hh, FIELD_ORDER), FIELD_ORDER);
+        uint rr = mulmod(2, addmod(s2, FIELD_ORDER - point[1], FIELD_ORDER), FIELD_ORDER);
+        uint v = mulmod(point[0], mulmod(4, hh, FIELD_ORDER), FIELD_ORDER);
+        uint x = addmod(
+            addmod(mulmod(rr, rr, FIELD_ORDER), FIELD_ORDER - j, FIELD_ORDER), FIELD_ORDER - mulmod(2, v, FIELD_ORDER),
+            FIELD_ORDER
+        );
+
+        point[1] = addmod(
+            mulmod(rr, addmod(v, FIELD_ORDER - x, FIELD_ORDER), FIELD_ORDER),
+            FIELD_ORDER - mulmod(2, mulmod(point[1], j, FIELD_ORDER), FIELD_ORDER), FIELD_ORDER
+        );
+        h = addmod(point[2], h, FIELD_ORDER);
+        point[2] = addmod(addmod(mulmod(h, h, FIELD_ORDER), FIELD_ORDER - z1z1, FIELD_ORDER), FIELD_ORDER - hh, FIELD_ORDER);
+        point[0] = x;
+    }
 }
 
 interface IdentityRegistryInterface {
     function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
-        external pure returns (bool);
+        external view returns (bool);
+    function domainSeparator() external view returns (bytes32);
+    function hashTypedData(bytes32 structHash) external view returns (bytes32);
+    function signatureTimeout() external view returns (uint);
 
     // Identity View Functions /////////////////////////////////////////////////////////////////////////////////////////
     function identityExists(uint ein) external view returns (bool);
@@ -46,6 +235,7 @@ interface IdentityRegistryInterface {
         address recoveryAddress,
         address[] memory associatedAddresses, address[] memory providers, address[] memory resolvers
     );
+    function getRecovery(uint ein) external view returns (uint timestamp, uint timeout);
 
     // Identity Management Functions ///////////////////////////////////////////////////////////////////////////////////
     function createIdentity(address recoveryAddress, address[] calldata providers, address[] calldata resolvers)
@@ -54,62 +244,169 @@ interface IdentityRegistryInterface {
         address recoveryAddress, address associatedAddress, address[] calldata providers, address[] calldata resolvers,
         uint8 v, bytes32 r, bytes32 s, uint timestamp
     ) external returns (uint ein);
+    function createIdentityDelegatedTyped(
+        address recoveryAddress, address associatedAddress, address[] calldata providers, address[] calldata resolvers,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external returns (uint ein);
     function addAssociatedAddress(
         address approvingAddress, address addressToAdd, uint8 v, bytes32 r, bytes32 s, uint timestamp
     ) external;
+    function addAssociatedAddressTyped(
+        address approvingAddress, address addressToAdd, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function addAssociatedAddressDelegated(
         address approvingAddress, address addressToAdd,
         uint8[2] calldata v, bytes32[2] calldata r, bytes32[2] calldata s, uint[2] calldata timestamp
     ) external;
+    function addAssociatedAddressDelegatedTyped(
+        address approvingAddress, address addressToAdd,
+        uint8[2] calldata v, bytes32[2] calldata r, bytes32[2] calldata s, uint[2] calldata timestamp
+    ) external;
     function removeAssociatedAddress() external;
     function removeAssociatedAddressDelegated(address addressToRemove, uint8 v, bytes32 r, bytes32 s, uint timestamp)
         external;
+    function removeAssociatedAddressDelegatedTyped(
+        address addressToRemove, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function addProviders(address[] calldata providers) external;
     function addProvidersFor(uint ein, address[] calldata providers) external;
     function removeProviders(address[] calldata providers) external;
     function removeProvidersFor(uint ein, address[] calldata providers) external;
     function addResolvers(address[] calldata resolvers) external;
     function addResolversFor(uint ein, address[] calldata resolvers) external;
+    function addResolverFor(uint ein, address resolver, bytes calldata data) external;
+    function addResolversWithDataFor(
+        uint ein, address[] calldata resolvers, bytes calldata data, uint[] calldata dataLengths
+    ) external;
     function removeResolvers(address[] calldata resolvers) external;
     function removeResolversFor(uint ein, address[] calldata resolvers) external;
+    function removeResolverFor(uint ein, address resolver, bytes calldata data) external;
 
     // Recovery Management Functions ///////////////////////////////////////////////////////////////////////////////////
     function triggerRecoveryAddressChange(address newRecoveryAddress) external;
     function triggerRecoveryAddressChangeFor(uint ein, address newRecoveryAddress) external;
     function triggerRecovery(uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
         external;
+    function triggerRecoveryTyped(
+        uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function triggerDestruction(
         uint ein, address[] calldata firstChunk, address[] calldata lastChunk, bool resetResolvers
     ) external;
 }
 
 contract PublicKeyResolver is SignatureVerifier {
-
     string public constant NAME = "PublicKeyResolver";
 
     IdentityRegistryInterface identityRegistry;
 
-    mapping(address => bytes) internal addrToPubKey;
+    // Key Types ///////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // secp256k1 keys are the 64 byte uncompressed point (without the 0x04 prefix) or the 33 byte compressed point
+    uint public constant KEY_TYPE_SECP256K1 = 1;
+    uint public constant KEY_TYPE_SECP256K1_COMPRESSED = 2;
+    uint public constant KEY_TYPE_ED25519 = 3;
+    uint public constant KEY_TYPE_X25519 = 4; // for encryption
+    uint public constant KEY_TYPE_RSA = 5; // the DER-encoded key, of at least 128 bytes
+
+    // the purpose of the secp256k1 keys added by addPublicKey and addPublicKeyDelegated, which take none
+    bytes32 public constant DEFAULT_PURPOSE = "authentication";
+
+    struct PublicKey {
+        uint ein;
+        address addr; // for secp256k1 keys the address of the key, for other types the address that added it
+        uint keyType;
+        bytes32 purpose; // a tag such as "authentication" or "keyAgreement", left for services to define
+        bytes publicKey;
+    }
+
+    // keyed by the key ID, see getKeyId
+    mapping(bytes32 => PublicKey) internal keys;
+
+    // the IDs of the keys of each EIN and address
+    mapping(uint => bytes32[]) internal einToKeyIds;
+    mapping(address => bytes32[]) internal addrToKeyIds;
+    mapping(bytes32 => uint) internal einKeyIdIndices; // 1-indexed positions in einToKeyIds
+    mapping(bytes32 => uint) internal addrKeyIdIndices; // 1-indexed positions in addrToKeyIds
+
+    // the ID of the secp256k1 key of each address, of which there is at most one
+    mapping(address => bytes32) internal addrToSecp256k1KeyId;
+
+    /// @dev Removes a key ID from a list of key IDs, replacing it with the last one.
+    function removeKeyId(bytes32[] storage keyIds, mapping(bytes32 => uint) storage indices, bytes32 keyId) private {
+        uint index = indices[keyId];
+        bytes32 lastKeyId = keyIds[keyIds.length - 1];
+        keyIds[index - 1] = lastKeyId;
+        indices[lastKeyId] = index;
+        delete indices[keyId];
+        keyIds.pop();
+    }
 
     // Signature Timeout ///////////////////////////////////////////////////////////////////////////////////////////////
 
-    uint public signatureTimeout = 1 days;
+    /// @notice The number of seconds signatures are valid for, as governed by the IdentityRegistry.
+    function signatureTimeout() public view returns (uint) {
+        return identityRegistry.signatureTimeout();
+    }
 
     /// @dev Enforces that the passed timestamp is within signatureTimeout seconds of now.
     /// @param timestamp The timestamp to check the validity of.
     modifier ensureSignatureTimeValid(uint timestamp) {
         require(
             // solium-disable-next-line security/no-block-members
-            block.timestamp >= timestamp && block.timestamp < timestamp + signatureTimeout, "Timestamp is not valid."
+            block.timestamp >= timestamp && block.timestamp < timestamp + signatureTimeout(), "Timestamp is not valid."
         );
         _;
     }
 
-    event PublicKeyAdded(address indexed addr, uint indexed ein, bytes publicKey, bool delegated);
-    event PublicKeyRemoved(address indexed addr, uint indexed ein, bool delegated);
+    // Signature Nonces ////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // signed by every delegated function, and incremented whenever a signature of the associated address is used
+    mapping (address => uint) public nonceTracker;
+
+    event SignatureCancelled(address indexed addr, uint nonce);
+
+    /// @notice Invalidates all signatures of the sender that have not been used yet, by incrementing its nonce.
+    function cancelSignature() external {
+        emit SignatureCancelled(msg.sender, nonceTracker[msg.sender]);
+        nonceTracker[msg.sender] += 1;
+    }
+
+    /// @dev Checks the signature of a delegated call by associatedAddress, and uses up its nonce.
+    /// @return The EIN of associatedAddress.
+    function useSignature(address associatedAddress, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        private returns (uint ein)
+    {
+        ein = identityRegistry.getEIN(associatedAddress);
+        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+        require(isSigned(associatedAddress, messageHash, v, r, s), "Permission denied.");
+        nonceTracker[associatedAddress] += 1;
+    }
+
+    // EIP-712 Types ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+    bytes32 private constant ADD_PUBLIC_KEY_TYPEHASH = keccak256(
+        "AddPublicKey(address associatedAddress,bytes publicKey,uint256 nonce,uint256 timestamp)"
+    );
+    bytes32 private constant REMOVE_PUBLIC_KEY_TYPEHASH = keccak256(
+        "RemovePublicKey(address associatedAddress,uint256 nonce,uint256 timestamp)"
+    );
+    bytes32 private constant ADD_KEY_TYPEHASH = keccak256(
+        "AddKey(address associatedAddress,uint256 keyType,bytes32 purpose,bytes publicKey,uint256 nonce,uint256 timestamp)"
+    );
+    bytes32 private constant REMOVE_KEY_TYPEHASH = keccak256(
+        "RemoveKey(address associatedAddress,bytes32 keyId,uint256 nonce,uint256 timestamp)"
+    );
+
+    event PublicKeyAdded(
+        bytes32 indexed keyId, uint indexed ein, address indexed addr, uint keyType, bytes32 purpose, bytes publicKey,
+        bool delegated
+    );
+    event PublicKeyRemoved(bytes32 indexed keyId, uint indexed ein, address indexed addr, uint keyType, bool delegated);
 
     constructor (address identityRegistryAddress) public {
         identityRegistry = IdentityRegistryInterface(identityRegistryAddress);
+        setDomainSeparator(NAME, "1");
     }
 
     modifier isResolverFor(uint ein) {
@@ -122,23 +419,73 @@ contract PublicKeyResolver is SignatureVerifier {
         _;
     }
 
-    modifier isValidPublicKey(address addr, bytes memory publicKey) {
-        require(calculateAddress(publicKey) == addr, "The address is not the same as that converted from the public key.");
-        _;
-    }
+    // secp256k1 ///////////////////////////////////////////////////////////////////////////////////////////////////////
+
     /// @notice calculate Address from public key
-    /// @param publicKey A public Key
+    /// @param publicKey A secp256k1 public key, as the 64 byte uncompressed or the 33 byte compressed point.
     function calculateAddress(bytes memory publicKey) public pure returns (address addr) {
-        bytes32 hash = keccak256(publicKey);
+        if (publicKey.length == 33) {
+            publicKey = decompress(publicKey);
+        }
+        require(publicKey.length == 64, "Invalid public key length.");
+        return address(uint160(uint(keccak256(publicKey))));
+    }
+
+    /// @dev Computes the y coordinate of a compressed point, whose first byte is 0x02 for even and 0x03 for odd y.
+    /// @return The 64 byte uncompressed point.
+    function decompress(bytes memory publicKey) private pure returns (bytes memory) {
+        uint8 prefix = uint8(publicKey[0]);
+        require(prefix == 2 || prefix == 3, "Invalid compressed public key.");
+        uint x;
         assembly {
-            mstore(0, hash)
-            addr := mload(0)
+            x := mload(add(publicKey, 33))
         }
+        return abi.encodePacked(x, Secp256k1.deriveY(x, prefix == 3));
+    }
+
+    /// @notice Recovers the public key that signed a message hash.
+    /// @dev Costs around a million gas.
+    /// @return The 64 byte uncompressed public key.
+    function recoverPublicKey(bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public pure returns (bytes memory) {
+        (uint x, uint y) = Secp256k1.recover(messageHash, v, r, s);
+        return abi.encodePacked(x, y);
     }
 
+    function isSecp256k1(uint keyType) private pure returns (bool) {
+        return keyType == KEY_TYPE_SECP256K1 || keyType == KEY_TYPE_SECP256K1_COMPRESSED;
+    }
+
+    /// @dev Checks the length of a key of the passed type, and finds the address it is bound to.
+    /// @param addedBy The associated address adding the key, which non-secp256k1 keys are bound to.
+    function keyAddress(uint keyType, bytes memory publicKey, address addedBy) private pure returns (address) {
+        if (isSecp256k1(keyType)) {
+            require(publicKey.length == (keyType == KEY_TYPE_SECP256K1 ? 64 : 33), "Invalid public key length.");
+            return calculateAddress(publicKey);
+        }
+        if (keyType == KEY_TYPE_ED25519 || keyType == KEY_TYPE_X25519) {
+            require(publicKey.length == 32, "Invalid public key length.");
+        } else {
+            require(keyType == KEY_TYPE_RSA, "Unknown key type.");
+            require(publicKey.length >= 128, "Invalid public key length.");
+        }
+        return addedBy;
+    }
+
+    /// @notice Gets the ID of a public key, which is unique for each type and key. Compressed secp256k1 keys get the ID
+    /// of their uncompressed form, so that a key cannot be added once in each form.
+    function getKeyId(uint keyType, bytes memory publicKey) public pure returns (bytes32) {
+        if (keyType == KEY_TYPE_SECP256K1_COMPRESSED) {
+            require(publicKey.length == 33, "Invalid public key length.");
+            return keccak256(abi.encodePacked(KEY_TYPE_SECP256K1, decompress(publicKey)));
+        }
+        return keccak256(abi.encodePacked(keyType, publicKey));
+    }
+
+    // Adding Keys /////////////////////////////////////////////////////////////////////////////////////////////////////
+
     /// @notice Allows adding a public key
     /// @param associatedAddress An associated address to add public key for the Identity (must have produced the signature).
-    /// @param publicKey A publicKey.
+    /// @param publicKey The 64 byte uncompressed secp256k1 public key of associatedAddress.
     /// @param v The v component of the signature.
     /// @param r The r component of the signature.
     /// @param s The s component of the signature.
@@ -149,43 +496,205 @@ contract PublicKeyResolver is SignatureVerifier {
     )
         external ensureSignatureTimeValid(timestamp)
     {
-        uint ein = identityRegistry.getEIN(associatedAddress);
-        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+        uint ein = useSignature(
+            associatedAddress, addPublicKeyMessageHash(associatedAddress, publicKey, timestamp, false), v, r, s
+        );
+        addAddressPublicKey(ein, associatedAddress, publicKey, true);
+    }
+
+    /// @notice Allows adding a public key with an EIP-712 signature
+    /// @dev The signed message is an AddPublicKey struct, see addPublicKeyDelegated for the parameters.
+    function addPublicKeyDelegatedTyped(
+        address associatedAddress, bytes calldata publicKey,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addPublicKeyMessageHash(associatedAddress, publicKey, timestamp, true), v, r, s
+        );
+        addAddressPublicKey(ein, associatedAddress, publicKey, true);
+    }
+
+    // hashes the raw or typed message signed for adding a public key, separately to keep the stack of callers shallow
+    function addPublicKeyMessageHash(address associatedAddress, bytes memory publicKey, uint timestamp, bool typed)
+        private view returns (bytes32)
+    {
+        if (typed) {
+            return hashTypedData(
+                keccak256(
+                    abi.encode(
+                        ADD_PUBLIC_KEY_TYPEHASH, associatedAddress, keccak256(publicKey),
+                        nonceTracker[associatedAddress], timestamp
+                    )
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the addition of a public key on my behalf.",
+                associatedAddress, publicKey, nonceTracker[associatedAddress], timestamp
+            )
+        );
+    }
+
+    /// @notice Allows adding the secp256k1 public key of the sender, with the DEFAULT_PURPOSE.
+    /// @param publicKey The 64 byte uncompressed public key of the sender.
+    function addPublicKey(bytes calldata publicKey) external {
+        addAddressPublicKey(identityRegistry.getEIN(msg.sender), msg.sender, publicKey, false);
+    }
+
+    // adds the secp256k1 key of the associated address itself, for addPublicKey and addPublicKeyDelegated
+    function addAddressPublicKey(uint ein, address associatedAddress, bytes memory publicKey, bool delegated) private {
         require(
-            isSigned(
-                associatedAddress,
+            calculateAddress(publicKey) == associatedAddress,
+            "The address is not the same as that converted from the public key."
+        );
+        _addPublicKey(ein, associatedAddress, KEY_TYPE_SECP256K1, DEFAULT_PURPOSE, publicKey, delegated);
+    }
+
+    /// @notice Allows adding a public key of any type
+    /// @param associatedAddress An associated address to add public key for the Identity (must have produced the signature).
+    /// @param keyType The type of the key, see the KEY_TYPE constants.
+    /// @param purpose A tag for what the key is used for.
+    /// @param publicKey A publicKey.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    function addKeyDelegated(
+        address associatedAddress, uint keyType, bytes32 purpose, bytes memory publicKey,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addKeyMessageHash(associatedAddress, keyType, purpose, publicKey, timestamp, false),
+            v, r, s
+        );
+        _addPublicKey(ein, associatedAddress, keyType, purpose, publicKey, true);
+    }
+
+    /// @notice Allows adding a public key of any type with an EIP-712 signature
+    /// @dev The signed message is an AddKey struct, see addKeyDelegated for the parameters.
+    function addKeyDelegatedTyped(
+        address associatedAddress, uint keyType, bytes32 purpose, bytes memory publicKey,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addKeyMessageHash(associatedAddress, keyType, purpose, publicKey, timestamp, true),
+            v, r, s
+        );
+        _addPublicKey(ein, associatedAddress, keyType, purpose, publicKey, true);
+    }
+
+    // hashes the raw or typed message signed for adding a typed key, separately to keep the stack of callers shallow
+    function addKeyMessageHash(
+        address associatedAddress, uint keyType, bytes32 purpose, bytes memory publicKey, uint timestamp, bool typed
+    )
+        private view returns (bytes32)
+    {
+        // the arguments are encoded in two parts to fit the stack, which leaves the encoding unchanged
+        bytes memory signedArguments = abi.encode(nonceTracker[associatedAddress], timestamp);
+        if (typed) {
+            return hashTypedData(
                 keccak256(
                     abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize the addition of a public key on my behalf.",
-                        associatedAddress, publicKey, timestamp
+                        abi.encode(ADD_KEY_TYPEHASH, associatedAddress, keyType, purpose, keccak256(publicKey)),
+                        signedArguments
                     )
-                ),
-                v, r, s
-            ),
-            "Permission denied."
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the addition of a typed public key on my behalf.",
+                associatedAddress, keyType, purpose, publicKey, signedArguments
+            )
         );
+    }
 
-        _addPublicKey(ein, associatedAddress, publicKey, true);
+    /// @notice Allows adding a public key of any type for the sender's Identity.
+    /// @param keyType The type of the key, see the KEY_TYPE constants.
+    /// @param purpose A tag for what the key is used for.
+    /// @param publicKey The key. secp256k1 keys must be the key of an associated address of the Identity.
+    function addKey(uint keyType, bytes32 purpose, bytes calldata publicKey) external {
+        _addPublicKey(identityRegistry.getEIN(msg.sender), msg.sender, keyType, purpose, publicKey, false);
     }
 
-    function addPublicKey(bytes calldata publicKey) external {
-        _addPublicKey(identityRegistry.getEIN(msg.sender), msg.sender, publicKey,false);
+    /// @notice Allows adding the secp256k1 public key of an associated address, recovered from its signature, so that
+    /// wallets which do not export public keys can add them.
+    /// @dev Can be called by the associated address or a provider of its Identity. Signatures of the prefixed message
+    /// hash, as made by eth_sign and personal_sign, are accepted as well. Recovering the key costs around a million gas.
+    /// @param associatedAddress The associated address whose public key to add (must have produced the signature).
+    /// @param purpose A tag for what the key is used for.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    function addRecoveredPublicKey(
+        address associatedAddress, bytes32 purpose, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = identityRegistry.getEIN(associatedAddress);
+        bool delegated = msg.sender != associatedAddress;
+        require(!delegated || identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+
+        bytes memory publicKey = recoverSignerPublicKey(associatedAddress, purpose, v, r, s, timestamp);
+        nonceTracker[associatedAddress] += 1;
+        _addPublicKey(ein, associatedAddress, KEY_TYPE_SECP256K1, purpose, publicKey, delegated);
+    }
+
+    // recovers the key that signed the message of addRecoveredPublicKey, separately to keep the stack of callers shallow
+    function recoverSignerPublicKey(
+        address associatedAddress, bytes32 purpose, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        private view returns (bytes memory)
+    {
+        // the arguments are encoded in two parts to fit the stack, which leaves the encoding unchanged
+        bytes memory signedArguments = abi.encode(nonceTracker[associatedAddress], timestamp);
+        bytes32 messageHash = keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the addition of my recovered public key.",
+                associatedAddress, purpose, signedArguments
+            )
+        );
+        if (ecrecover(messageHash, v, r, s) != associatedAddress) {
+            messageHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", messageHash));
+            require(ecrecover(messageHash, v, r, s) == associatedAddress, "Permission denied.");
+        }
+        return recoverPublicKey(messageHash, v, r, s);
     }
 
     function _addPublicKey(
-        uint ein, address associatedAddress, bytes memory publicKey, bool delegated
+        uint ein, address associatedAddress, uint keyType, bytes32 purpose, bytes memory publicKey, bool delegated
     )
-        private isResolverFor(ein) isValidPublicKey(associatedAddress,publicKey)
+        private isResolverFor(ein)
     {
-        require(addrToPubKey[associatedAddress].length == 0, "Key was already added by someone.");
+        address addr = keyAddress(keyType, publicKey, associatedAddress);
+        require(identityRegistry.isAssociatedAddressFor(ein, addr), "The key is not of an associated address.");
+
+        bytes32 keyId = getKeyId(keyType, publicKey);
+        require(keys[keyId].ein == 0, "Key was already added by someone.");
 
-        //keyToEin[key] = ein;
-        addrToPubKey[associatedAddress] = publicKey;
-        //einToKeys[ein].insert(key);
-        emit PublicKeyAdded(associatedAddress, ein, publicKey, delegated);
+        keys[keyId] = PublicKey(ein, addr, keyType, purpose, publicKey);
+        einKeyIdIndices[keyId] = einToKeyIds[ein].push(keyId);
+        addrKeyIdIndices[keyId] = addrToKeyIds[addr].push(keyId);
+        if (isSecp256k1(keyType)) {
+            addrToSecp256k1KeyId[addr] = keyId;
+        }
+        emit PublicKeyAdded(keyId, ein, addr, keyType, purpose, publicKey, delegated);
     }
 
+
+    // Removing Keys ///////////////////////////////////////////////////////////////////////////////////////////////////
+
     /// @notice Allows removing a public key
     /// @param associatedAddress An associated address to remove public key for the new Identity (must have produced the signature).
     /// @param v The v component of the signature.
@@ -198,36 +707,188 @@ contract PublicKeyResolver is SignatureVerifier {
     )
         external ensureSignatureTimeValid(timestamp)
     {
-        uint ein = identityRegistry.getEIN(associatedAddress);
-        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
-        require(
-            isSigned(
-                associatedAddress,
+        uint ein = useSignature(
+            associatedAddress, removePublicKeyMessageHash(associatedAddress, timestamp, false), v, r, s
+        );
+
+        _removePublicKey(ein, addrToSecp256k1KeyId[associatedAddress], true);
+    }
+
+    /// @notice Allows removing a public key with an EIP-712 signature
+    /// @dev The signed message is a RemovePublicKey struct, see removePublicKeyDelegated for the parameters.
+    function removePublicKeyDelegatedTyped(
+        address associatedAddress,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, removePublicKeyMessageHash(associatedAddress, timestamp, true), v, r, s
+        );
+
+        _removePublicKey(ein, addrToSecp256k1KeyId[associatedAddress], true);
+    }
+
+    // hashes the raw or typed message signed for removing a public key, separately to keep the stack of callers shallow
+    function removePublicKeyMessageHash(address associatedAddress, uint timestamp, bool typed)
+        private view returns (bytes32)
+    {
+        if (typed) {
+            return hashTypedData(
                 keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize the removal of a public key on my behalf.",
-                        associatedAddress, timestamp
+                    abi.encode(
+                        REMOVE_PUBLIC_KEY_TYPEHASH, associatedAddress, nonceTracker[associatedAddress], timestamp
                     )
-                ),
-                v, r, s
-            ),
-            "Permission denied."
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the removal of a public key on my behalf.",
+                associatedAddress, nonceTracker[associatedAddress], timestamp
+            )
         );
-
-        _removePublicKey(ein, associatedAddress,true);
     }
 
+    /// @notice Allows removing the secp256k1 public key of the sender.
     function removePublicKey() external {
-        _removePublicKey(identityRegistry.getEIN(msg.sender), msg.sender, false);
+        _removePublicKey(identityRegistry.getEIN(msg.sender), addrToSecp256k1KeyId[msg.sender], false);
+    }
+
+    /// @notice Allows removing a public key of any type
+    /// @param associatedAddress An associated address to remove public key for the new Identity (must have produced the signature).
+    /// @param keyId The ID of the key to remove.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    function removeKeyDelegated(
+        address associatedAddress, bytes32 keyId,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, removeKeyMessageHash(associatedAddress, keyId, timestamp, false), v, r, s
+        );
+
+        _removePublicKey(ein, keyId, true);
+    }
+
+    /// @notice Allows removing a public key of any type with an EIP-712 signature
+    /// @dev The signed message is a RemoveKey struct, see removeKeyDelegated for the parameters.
+    function removeKeyDelegatedTyped(
+        address associatedAddress, bytes32 keyId,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, removeKeyMessageHash(associatedAddress, keyId, timestamp, true), v, r, s
+        );
+
+        _removePublicKey(ein, keyId, true);
+    }
+
+    // hashes the raw or typed message signed for removing a key by ID, separately to keep the stack of callers shallow
+    function removeKeyMessageHash(address associatedAddress, bytes32 keyId, uint timestamp, bool typed)
+        private view returns (bytes32)
+    {
+        if (typed) {
+            return hashTypedData(
+                keccak256(
+                    abi.encode(
+                        REMOVE_KEY_TYPEHASH, associatedAddress, keyId, nonceTracker[associatedAddress], timestamp
+                    )
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the removal of a typed public key on my behalf.",
+                associatedAddress, keyId, nonceTracker[associatedAddress], timestamp
+            )
+        );
+    }
+
+    /// @notice Allows removing a public key of any type of the sender's Identity.
+    /// @param keyId The ID of the key to remove.
+    function removeKey(bytes32 keyId) external {
+        _removePublicKey(identityRegistry.getEIN(msg.sender), keyId, false);
+    }
+
+    function _removePublicKey(uint ein, bytes32 keyId, bool delegated) private isResolverFor(ein) {
+        require(keys[keyId].ein == ein, "Key is not a public key of the identity.");
+        deletePublicKey(keyId, delegated);
+    }
+
+    function deletePublicKey(bytes32 keyId, bool delegated) private {
+        PublicKey storage key = keys[keyId];
+        emit PublicKeyRemoved(keyId, key.ein, key.addr, key.keyType, delegated);
+        removeKeyId(einToKeyIds[key.ein], einKeyIdIndices, keyId);
+        removeKeyId(addrToKeyIds[key.addr], addrKeyIdIndices, keyId);
+        if (isSecp256k1(key.keyType)) {
+            delete addrToSecp256k1KeyId[key.addr];
+        }
+        delete keys[keyId];
+    }
+
+    /// @notice Removes the public keys of addresses that are no longer associated with an Identity, e.g. after a
+    /// recovery or destruction, or the removal of the address.
+    /// @dev Can be called by anyone, and does not require this resolver to still be set for the Identity.
+    function sync(uint ein) public identityExists(ein) {
+        bytes32[] storage keyIds = einToKeyIds[ein];
+        uint i = 0;
+        while (i < keyIds.length) {
+            bytes32 keyId = keyIds[i];
+            if (identityRegistry.isAssociatedAddressFor(ein, keys[keyId].addr)) {
+                i++;
+            } else {
+                // the last key is moved to position i
+                deletePublicKey(keyId, false);
+            }
+        }
+    }
+
+    // Lookups /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Gets the secp256k1 public key of an address as the 64 byte uncompressed point, or nothing if none.
+    function getPublicKey(address addr) public view returns (bytes memory) {
+        PublicKey storage key = keys[addrToSecp256k1KeyId[addr]];
+        return key.keyType == KEY_TYPE_SECP256K1_COMPRESSED ? decompress(key.publicKey) : key.publicKey;
+    }
+
+    /// @notice Gets the addresses that added a secp256k1 public key for an Identity, including ones awaiting a sync.
+    function getAddresses(uint ein) public view identityExists(ein) returns (address[] memory addrs) {
+        bytes32[] storage keyIds = einToKeyIds[ein];
+        uint count = 0;
+        for (uint i = 0; i < keyIds.length; i++) {
+            if (isSecp256k1(keys[keyIds[i]].keyType)) count++;
+        }
+        addrs = new address[](count);
+        count = 0;
+        for (uint i = 0; i < keyIds.length; i++) {
+            if (isSecp256k1(keys[keyIds[i]].keyType)) addrs[count++] = keys[keyIds[i]].addr;
+        }
+    }
+
+    /// @notice Gets a public key by its ID. Keys that were not added have an EIN of 0.
+    function getKey(bytes32 keyId)
+        public view returns (uint ein, address addr, uint keyType, bytes32 purpose, bytes memory publicKey)
+    {
+        PublicKey storage key = keys[keyId];
+        return (key.ein, key.addr, key.keyType, key.purpose, key.publicKey);
     }
 
-    function _removePublicKey(uint ein, address associatedAddress, bool delegated) private isResolverFor(ein) {
-        delete addrToPubKey[associatedAddress];
-        emit PublicKeyRemoved(associatedAddress, ein, delegated);
+    /// @notice Gets the IDs of the public keys of an Identity, including ones awaiting a sync.
+    function getKeyIds(uint ein) public view identityExists(ein) returns (bytes32[] memory) {
+        return einToKeyIds[ein];
     }
 
-    function getPublicKey(address addr) public view returns(bytes memory) {
-        return addrToPubKey[addr];
+    /// @notice Gets the IDs of the public keys bound to an address, i.e. its secp256k1 keys and the keys it added.
+    function getKeyIdsByAddress(address addr) public view returns (bytes32[] memory) {
+        return addrToKeyIds[addr];
     }
 }
@@ -55,17 +55,48 @@ library AddressSet {
 
 /// @title Provides helper functions to determine the validity of passed signatures.
 /// @author Noah Zinsmeister
-/// @dev Supports both prefixed and un-prefixed signatures.
+/// @dev Supports both prefixed and un-prefixed signatures, as well as EIP-712 typed data signatures. Contracts sign via
+/// EIP-1271 instead.
 contract SignatureVerifier {
-    /// @notice Determines whether the passed signature of `messageHash` was made by the private key of `_address`.
+    // bytes4(keccak256("isValidSignature(bytes32,bytes)")), returned by EIP-1271 contracts for signatures they accept
+    bytes4 internal constant EIP1271_MAGIC_VALUE = 0x1626ba7e;
+
+    // EIP-712 Domain //////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // chainId is left out of the domain since the EVM targeted by solc 0.5.0 cannot read it, see EIP-1344
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,address verifyingContract)"
+    );
+
+    bytes32 public domainSeparator;
+
+    /// @dev Sets the EIP-712 domain separator, must be called from the constructor of inheriting contracts.
+    /// @param name The name of the signing domain, i.e. the name of the contract.
+    /// @param version The major version of the signing domain.
+    function setDomainSeparator(string memory name, string memory version) internal {
+        domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(name)), keccak256(bytes(version)), address(this))
+        );
+    }
+
+    /// @notice Gets the EIP-712 hash of the passed struct hash, i.e. the hash that is signed by eth_signTypedData.
+    /// @param structHash The EIP-712 hashStruct of a typed message.
+    /// @return The hash to pass to isSigned.
+    function hashTypedData(bytes32 structHash) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(byte(0x19), byte(0x01), domainSeparator, structHash));
+    }
+
+    /// @notice Determines whether the passed signature of `messageHash` was made by the private key of `_address`, or
+    /// is accepted by `_address` if it is a contract.
     /// @param _address The address that may or may not have signed the passed messageHash.
     /// @param messageHash The messageHash that may or may not have been signed.
     /// @param v The v component of the signature.
     /// @param r The r component of the signature.
     /// @param s The s component of the signature.
     /// @return true if the signature can be verified, false otherwise.
-    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public pure returns (bool) {
-        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s);
+    function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s) public view returns (bool) {
+        return _isSigned(_address, messageHash, v, r, s) || _isSignedPrefixed(_address, messageHash, v, r, s) ||
+            _isSignedByContract(_address, messageHash, v, r, s);
     }
 
     /// @dev Checks unprefixed signatures.
@@ -82,11 +113,30 @@ contract SignatureVerifier {
         bytes memory prefix = "\x19Ethereum Signed Message:\n32";
         return _isSigned(_address, keccak256(abi.encodePacked(prefix, messageHash)), v, r, s);
     }
+
+    /// @dev Checks signatures of contracts by calling their EIP-1271 isValidSignature function, which is passed the
+    /// unprefixed messageHash and the 65 byte signature (r, s, v).
+    function _isSignedByContract(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        internal view returns (bool)
+    {
+        uint size;
+        assembly { size := extcodesize(_address) }
+        if (size == 0) return false;
+
+        // solium-disable-next-line security/no-low-level-calls
+        (bool success, bytes memory result) = _address.staticcall(
+            abi.encodeWithSelector(EIP1271_MAGIC_VALUE, messageHash, abi.encodePacked(r, s, v))
+        );
+        return success && result.length == 32 && abi.decode(result, (bytes4)) == EIP1271_MAGIC_VALUE;
+    }
 }
 
 interface IdentityRegistryInterface {
     function isSigned(address _address, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
-        external pure returns (bool);
+        external view returns (bool);
+    function domainSeparator() external view returns (bytes32);
+    function hashTypedData(bytes32 structHash) external view returns (bytes32);
+    function signatureTimeout() external view returns (uint);
 
     // Identity View Functions /////////////////////////////////////////////////////////////////////////////////////////
     function identityExists(uint ein) external view returns (bool);
@@ -99,6 +149,7 @@ interface IdentityRegistryInterface {
         address recoveryAddress,
         address[] memory associatedAddresses, address[] memory providers, address[] memory resolvers
     );
+    function getRecovery(uint ein) external view returns (uint timestamp, uint timeout);
 
     // Identity Management Functions ///////////////////////////////////////////////////////////////////////////////////
     function createIdentity(address recoveryAddress, address[] calldata providers, address[] calldata resolvers)
@@ -107,36 +158,73 @@ interface IdentityRegistryInterface {
         address recoveryAddress, address associatedAddress, address[] calldata providers, address[] calldata resolvers,
         uint8 v, bytes32 r, bytes32 s, uint timestamp
     ) external returns (uint ein);
+    function createIdentityDelegatedTyped(
+        address recoveryAddress, address associatedAddress, address[] calldata providers, address[] calldata resolvers,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external returns (uint ein);
     function addAssociatedAddress(
         address approvingAddress, address addressToAdd, uint8 v, bytes32 r, bytes32 s, uint timestamp
     ) external;
+    function addAssociatedAddressTyped(
+        address approvingAddress, address addressToAdd, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function addAssociatedAddressDelegated(
         address approvingAddress, address addressToAdd,
         uint8[2] calldata v, bytes32[2] calldata r, bytes32[2] calldata s, uint[2] calldata timestamp
     ) external;
+    function addAssociatedAddressDelegatedTyped(
+        address approvingAddress, address addressToAdd,
+        uint8[2] calldata v, bytes32[2] calldata r, bytes32[2] calldata s, uint[2] calldata timestamp
+    ) external;
     function removeAssociatedAddress() external;
     function removeAssociatedAddressDelegated(address addressToRemove, uint8 v, bytes32 r, bytes32 s, uint timestamp)
         external;
+    function removeAssociatedAddressDelegatedTyped(
+        address addressToRemove, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function addProviders(address[] calldata providers) external;
     function addProvidersFor(uint ein, address[] calldata providers) external;
     function removeProviders(address[] calldata providers) external;
     function removeProvidersFor(uint ein, address[] calldata providers) external;
     function addResolvers(address[] calldata resolvers) external;
     function addResolversFor(uint ein, address[] calldata resolvers) external;
+    function addResolverFor(uint ein, address resolver, bytes calldata data) external;
+    function addResolversWithDataFor(
+        uint ein, address[] calldata resolvers, bytes calldata data, uint[] calldata dataLengths
+    ) external;
     function removeResolvers(address[] calldata resolvers) external;
     function removeResolversFor(uint ein, address[] calldata resolvers) external;
+    function removeResolverFor(uint ein, address resolver, bytes calldata data) external;
 
     // Recovery Management Functions ///////////////////////////////////////////////////////////////////////////////////
     function triggerRecoveryAddressChange(address newRecoveryAddress) external;
     function triggerRecoveryAddressChangeFor(uint ein, address newRecoveryAddress) external;
     function triggerRecovery(uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp)
         external;
+    function triggerRecoveryTyped(
+        uint ein, address newAssociatedAddress, uint8 v, bytes32 r, bytes32 s, uint timestamp
+    ) external;
     function triggerDestruction(
         uint ein, address[] calldata firstChunk, address[] calldata lastChunk, bool resetResolvers
     ) external;
 }
 
-contract ServiceKeyResolver is SignatureVerifier {
+/// @title The optional callbacks of ERC-1484 resolvers.
+/// @dev The IdentityRegistry only calls resolvers whose ERC-165 supportsInterface returns true for the ID of this
+/// interface, onAddition.selector ^ onRemoval.selector. Callbacks should check that they are called by the registry.
+interface ResolverInterface {
+    /// @dev Called once the resolver is added to an Identity. Reverting or returning false cancels the addition.
+    /// @param ein The EIN the resolver was added to.
+    /// @param data The initialisation data passed to addResolverFor or addResolversWithDataFor, empty if there is none.
+    function onAddition(uint ein, bytes calldata data) external returns (bool);
+
+    /// @dev Called once the resolver is removed from an Identity. The removal stands even if this reverts.
+    /// @param ein The EIN the resolver was removed from.
+    /// @param data The data passed to removeResolverFor, empty if there is none.
+    function onRemoval(uint ein, bytes calldata data) external returns (bool);
+}
+
+contract ServiceKeyResolver is SignatureVerifier, ResolverInterface {
     using AddressSet for AddressSet.Set;
 
     string public constant NAME = "ServiceKeyResolver";
@@ -146,26 +234,167 @@ contract ServiceKeyResolver is SignatureVerifier {
     mapping(uint => AddressSet.Set) internal einToKeys;
     mapping(address => uint) internal keyToEin;
     mapping(address => string) internal keyToSymbol;
+    mapping(address => uint) internal keyToExpiry;
+    mapping(address => uint) internal keyToScope;
+    mapping(address => address) internal keyToAddedBy; // the associated address that added the key
+
+    // Symbol Index ////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // keyed by the hash of the symbol: the keys of each EIN, the EINs with at least one key, and the number of keys
+    mapping(bytes32 => mapping(uint => AddressSet.Set)) internal symbolToKeys;
+    mapping(bytes32 => uint[]) internal symbolToEins;
+    mapping(bytes32 => mapping(uint => uint)) internal symbolToEinIndices; // 1-indexed positions in symbolToEins
+    mapping(bytes32 => uint) internal symbolToKeyCount;
+
+    /// @dev Adds a key to the index of its symbol.
+    function indexKey(uint ein, address key, bytes32 symbolHash) private {
+        AddressSet.Set storage keys = symbolToKeys[symbolHash][ein];
+        if (keys.length() == 0) {
+            symbolToEinIndices[symbolHash][ein] = symbolToEins[symbolHash].push(ein);
+        }
+        keys.insert(key);
+        symbolToKeyCount[symbolHash] += 1;
+    }
+
+    /// @dev Removes a key from the index of its symbol, and the EIN as well if this was its last key under the symbol.
+    function unindexKey(uint ein, address key) private {
+        bytes32 symbolHash = keccak256(bytes(keyToSymbol[key]));
+        AddressSet.Set storage keys = symbolToKeys[symbolHash][ein];
+        keys.remove(key);
+        symbolToKeyCount[symbolHash] -= 1;
+
+        if (keys.length() == 0) {
+            uint[] storage eins = symbolToEins[symbolHash];
+            uint index = symbolToEinIndices[symbolHash][ein];
+            // replace the EIN with the last one
+            uint lastEin = eins[eins.length - 1];
+            eins[index - 1] = lastEin;
+            symbolToEinIndices[symbolHash][lastEin] = index;
+            delete symbolToEinIndices[symbolHash][ein];
+            eins.pop();
+        }
+    }
+
+    // Symbol Owners ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // keyed by the hash of the symbol, 0 for symbols that were not registered
+    mapping(bytes32 => uint) internal symbolToOwner;
+
+    event SymbolRegistered(string symbol, uint indexed ownerEin);
+    event SymbolTransferred(string symbol, uint indexed oldOwnerEin, uint indexed newOwnerEin);
+
+    /// @notice Registers a symbol that has no keys yet, making the sender's Identity its owner, which can revoke every
+    /// key added under the symbol from then on.
+    /// @dev Keys added before the registration could otherwise be revoked by whoever registered their symbol first.
+    function registerSymbol(string calldata symbol) external {
+        bytes32 symbolHash = keccak256(bytes(symbol));
+        require(symbolToOwner[symbolHash] == 0, "The symbol is already registered.");
+        require(symbolToKeyCount[symbolHash] == 0, "The symbol already has keys.");
+        uint ein = identityRegistry.getEIN(msg.sender);
+        symbolToOwner[symbolHash] = ein;
+        emit SymbolRegistered(symbol, ein);
+    }
+
+    /// @notice Allows the owner of a symbol to hand it to another Identity.
+    function transferSymbol(string calldata symbol, uint newOwnerEin) external identityExists(newOwnerEin) {
+        bytes32 symbolHash = keccak256(bytes(symbol));
+        uint ownerEin = requireSymbolOwner(symbolHash);
+        symbolToOwner[symbolHash] = newOwnerEin;
+        emit SymbolTransferred(symbol, ownerEin, newOwnerEin);
+    }
+
+    /// @notice Allows the owner of a symbol to revoke every key that Identities added under it.
+    /// @param eins The EINs whose keys to revoke, e.g. from getEinsBySymbol. EINs without keys are skipped.
+    function revokeKeysBySymbol(string calldata symbol, uint[] calldata eins) external {
+        bytes32 symbolHash = keccak256(bytes(symbol));
+        requireSymbolOwner(symbolHash);
+        for (uint i = 0; i < eins.length; i++) {
+            AddressSet.Set storage keys = symbolToKeys[symbolHash][eins[i]];
+            while (keys.length() > 0) {
+                deleteKey(eins[i], keys.members[keys.length() - 1]);
+            }
+        }
+    }
+
+    /// @dev Ensures that the sender is an associated address of the owner of a symbol.
+    /// @return The EIN of the owner.
+    function requireSymbolOwner(bytes32 symbolHash) private view returns (uint ownerEin) {
+        ownerEin = symbolToOwner[symbolHash];
+        require(
+            ownerEin != 0 && ownerEin == identityRegistry.getEIN(msg.sender),
+            "Only the owner of the symbol can call this function."
+        );
+    }
+
+    /// @notice Gets the EIN that owns a symbol, or 0 if it was not registered.
+    function getSymbolOwner(string memory symbol) public view returns (uint) {
+        return symbolToOwner[keccak256(bytes(symbol))];
+    }
+
+    // Key Scopes //////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // bits of the scope bitmap of a key, higher bits are left for services to define
+    uint public constant SCOPE_LOGIN = 1;
+    uint public constant SCOPE_SIGN_TRANSACTIONS = 2;
 
     // Signature Timeout ///////////////////////////////////////////////////////////////////////////////////////////////
 
-    uint public signatureTimeout = 1 days;
+    /// @notice The number of seconds signatures are valid for, as governed by the IdentityRegistry.
+    function signatureTimeout() public view returns (uint) {
+        return identityRegistry.signatureTimeout();
+    }
 
     /// @dev Enforces that the passed timestamp is within signatureTimeout seconds of now.
     /// @param timestamp The timestamp to check the validity of.
     modifier ensureSignatureTimeValid(uint timestamp) {
         require(
             // solium-disable-next-line security/no-block-members
-            block.timestamp >= timestamp && block.timestamp < timestamp + signatureTimeout, "Timestamp is not valid."
+            block.timestamp >= timestamp && block.timestamp < timestamp + signatureTimeout(), "Timestamp is not valid."
         );
         _;
     }
 
-    event KeyAdded(address indexed key, uint indexed ein, string symbol);
+    // Signature Nonces ////////////////////////////////////////////////////////////////////////////////////////////////
+
+    // signed by every delegated function, and incremented whenever a signature of the associated address is used
+    mapping (address => uint) public nonceTracker;
+
+    event SignatureCancelled(address indexed addr, uint nonce);
+
+    /// @notice Invalidates all signatures of the sender that have not been used yet, by incrementing its nonce.
+    function cancelSignature() external {
+        emit SignatureCancelled(msg.sender, nonceTracker[msg.sender]);
+        nonceTracker[msg.sender] += 1;
+    }
+
+    /// @dev Checks the signature of a delegated call by associatedAddress, and uses up its nonce.
+    /// @return The EIN of associatedAddress.
+    function useSignature(address associatedAddress, bytes32 messageHash, uint8 v, bytes32 r, bytes32 s)
+        private returns (uint ein)
+    {
+        ein = identityRegistry.getEIN(associatedAddress);
+        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
+        require(isSigned(associatedAddress, messageHash, v, r, s), "Permission denied.");
+        nonceTracker[associatedAddress] += 1;
+    }
+
+    // EIP-712 Types ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+    bytes32 private constant ADD_KEY_TYPEHASH = keccak256(
+        "AddKey(address key,string symbol,uint256 nonce,uint256 timestamp)"
+    );
+    bytes32 private constant ADD_SCOPED_KEY_TYPEHASH = keccak256(
+        "AddScopedKey(address key,string symbol,uint256 expiry,uint256 scope,uint256 nonce,uint256 timestamp)"
+    );
+    bytes32 private constant REMOVE_KEY_TYPEHASH = keccak256("RemoveKey(address key,uint256 nonce,uint256 timestamp)");
+    bytes32 private constant REMOVE_KEYS_TYPEHASH = keccak256("RemoveKeys(uint256 nonce,uint256 timestamp)");
+
+    event KeyAdded(address indexed key, uint indexed ein, string symbol, uint expiry, uint scope);
     event KeyRemoved(address indexed key, uint indexed ein);
 
     constructor (address identityRegistryAddress) public {
         identityRegistry = IdentityRegistryInterface(identityRegistryAddress);
+        setDomainSeparator(NAME, "1");
     }
 
     modifier isResolverFor(uint ein) {
@@ -178,7 +407,7 @@ contract ServiceKeyResolver is SignatureVerifier {
         _;
     }
 
-    /// @notice Allows adding a service key
+    /// @notice Allows adding a service key that never expires and may be used for login
     /// @param associatedAddress An associated address to add service key for the Identity (must have produced the signature).
     /// @param key A service key to add.
     /// @param symbol A service symbol.
@@ -192,36 +421,145 @@ contract ServiceKeyResolver is SignatureVerifier {
     )
         external ensureSignatureTimeValid(timestamp)
     {
-        uint ein = identityRegistry.getEIN(associatedAddress);
-        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
-        require(
-            isSigned(
-                associatedAddress,
+        uint ein = useSignature(
+            associatedAddress, addKeyMessageHash(associatedAddress, key, symbol, timestamp, false), v, r, s
+        );
+        _addKey(ein, associatedAddress, key, symbol, 0, SCOPE_LOGIN);
+    }
+
+    /// @notice Allows adding a service key that never expires and may be used for login with an EIP-712 signature
+    /// @dev The signed message is an AddKey struct, see addKeyDelegated for the parameters.
+    function addKeyDelegatedTyped(
+        address associatedAddress, address key, string calldata symbol,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addKeyMessageHash(associatedAddress, key, symbol, timestamp, true), v, r, s
+        );
+        _addKey(ein, associatedAddress, key, symbol, 0, SCOPE_LOGIN);
+    }
+
+    // hashes the raw or typed message signed for adding a service key, separately to keep the stack of callers shallow
+    function addKeyMessageHash(
+        address associatedAddress, address key, string memory symbol, uint timestamp, bool typed
+    )
+        private view returns (bytes32)
+    {
+        if (typed) {
+            return hashTypedData(
                 keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize the addition of a service key on my behalf.",
-                        key, symbol, timestamp
+                    abi.encode(
+                        ADD_KEY_TYPEHASH, key, keccak256(bytes(symbol)), nonceTracker[associatedAddress], timestamp
                     )
-                ),
-                v, r, s
-            ),
-            "Permission denied."
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the addition of a service key on my behalf.",
+                key, symbol, nonceTracker[associatedAddress], timestamp
+            )
         );
+    }
 
-        _addKey(ein, key, symbol);
+    /// @notice Allows adding a service key with an expiry and a scope
+    /// @param associatedAddress An associated address to add service key for the Identity (must have produced the signature).
+    /// @param key A service key to add.
+    /// @param symbol A service symbol.
+    /// @param expiry The timestamp from which the key is no longer valid, or 0 if it never expires.
+    /// @param scope A bitmap of what the key may be used for, see SCOPE_LOGIN and SCOPE_SIGN_TRANSACTIONS.
+    /// @param v The v component of the signature.
+    /// @param r The r component of the signature.
+    /// @param s The s component of the signature.
+    /// @param timestamp The timestamp of the signature.
+    function addScopedKeyDelegated(
+        address associatedAddress, address key, string memory symbol, uint expiry, uint scope,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addScopedKeyMessageHash(associatedAddress, key, symbol, expiry, scope, timestamp, false),
+            v, r, s
+        );
+        _addKey(ein, associatedAddress, key, symbol, expiry, scope);
+    }
+
+    /// @notice Allows adding a service key with an expiry and a scope with an EIP-712 signature
+    /// @dev The signed message is an AddScopedKey struct, see addScopedKeyDelegated for the parameters.
+    function addScopedKeyDelegatedTyped(
+        address associatedAddress, address key, string memory symbol, uint expiry, uint scope,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        public ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress, addScopedKeyMessageHash(associatedAddress, key, symbol, expiry, scope, timestamp, true),
+            v, r, s
+        );
+        _addKey(ein, associatedAddress, key, symbol, expiry, scope);
+    }
+
+    // hashes the raw or typed message signed for adding a scoped service key, like addKeyMessageHash
+    function addScopedKeyMessageHash(
+        address associatedAddress, address key, string memory symbol, uint expiry, uint scope, uint timestamp,
+        bool typed
+    )
+        private view returns (bytes32)
+    {
+        // the arguments are encoded in two parts to fit the stack, which leaves the encoding unchanged
+        bytes memory signedArguments = abi.encode(expiry, scope, nonceTracker[associatedAddress], timestamp);
+        if (typed) {
+            return hashTypedData(
+                keccak256(
+                    abi.encodePacked(
+                        abi.encode(ADD_SCOPED_KEY_TYPEHASH, key, keccak256(bytes(symbol))), signedArguments
+                    )
+                )
+            );
+        }
+        return keccak256(
+            abi.encodePacked(
+                byte(0x19), byte(0), address(this),
+                "I authorize the addition of a scoped service key on my behalf.",
+                key, symbol, signedArguments
+            )
+        );
     }
 
+    /// @notice Allows adding a service key that never expires and may be used for login for the sender's Identity.
+    /// @param key A service key to add.
+    /// @param symbol A service symbol.
     function addKey(address key, string calldata symbol) external {
-        _addKey(identityRegistry.getEIN(msg.sender), key, symbol);
+        _addKey(identityRegistry.getEIN(msg.sender), msg.sender, key, symbol, 0, SCOPE_LOGIN);
     }
 
-    function _addKey(uint ein, address key, string memory symbol) private isResolverFor(ein) {
+    /// @notice Allows adding a service key with an expiry and a scope for the sender's Identity.
+    /// @param key A service key to add.
+    /// @param symbol A service symbol.
+    /// @param expiry The timestamp from which the key is no longer valid, or 0 if it never expires.
+    /// @param scope A bitmap of what the key may be used for, see SCOPE_LOGIN and SCOPE_SIGN_TRANSACTIONS.
+    function addScopedKey(address key, string calldata symbol, uint expiry, uint scope) external {
+        _addKey(identityRegistry.getEIN(msg.sender), msg.sender, key, symbol, expiry, scope);
+    }
+
+    function _addKey(uint ein, address addedBy, address key, string memory symbol, uint expiry, uint scope)
+        private isResolverFor(ein)
+    {
         require(keyToEin[key] == 0, "Key was already added by someone.");
+        // solium-disable-next-line security/no-block-members
+        require(expiry == 0 || expiry > block.timestamp, "Expiry must be in the future.");
         keyToEin[key] = ein;
         keyToSymbol[key] = symbol;
+        keyToExpiry[key] = expiry;
+        keyToScope[key] = scope;
+        keyToAddedBy[key] = addedBy;
         einToKeys[ein].insert(key);
-        emit KeyAdded(key, ein, symbol);
+        indexKey(ein, key, keccak256(bytes(symbol)));
+        emit KeyAdded(key, ein, symbol, expiry, scope);
     }
 
     /// @notice Allows removing a service key
@@ -237,21 +575,35 @@ contract ServiceKeyResolver is SignatureVerifier {
     )
         external ensureSignatureTimeValid(timestamp)
     {
-        uint ein = identityRegistry.getEIN(associatedAddress);
-        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
-        require(
-            isSigned(
-                associatedAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize the removal of a service key on my behalf.",
-                        key, timestamp
-                    )
-                ),
-                v, r, s
+        uint ein = useSignature(
+            associatedAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "I authorize the removal of a service key on my behalf.",
+                    key, nonceTracker[associatedAddress], timestamp
+                )
             ),
-            "Permission denied."
+            v, r, s
+        );
+
+        _removeKey(ein, key);
+    }
+
+    /// @notice Allows removing a service key with an EIP-712 signature
+    /// @dev The signed message is a RemoveKey struct, see removeKeyDelegated for the parameters.
+    function removeKeyDelegatedTyped(
+        address associatedAddress, address key,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress,
+            hashTypedData(
+                keccak256(abi.encode(REMOVE_KEY_TYPEHASH, key, nonceTracker[associatedAddress], timestamp))
+            ),
+            v, r, s
         );
 
         _removeKey(ein, key);
@@ -273,21 +625,35 @@ contract ServiceKeyResolver is SignatureVerifier {
     )
         external ensureSignatureTimeValid(timestamp)
     {
-        uint ein = identityRegistry.getEIN(associatedAddress);
-        require(identityRegistry.isProviderFor(ein, msg.sender), "Only provider can be delegated.");
-        require(
-            isSigned(
-                associatedAddress,
-                keccak256(
-                    abi.encodePacked(
-                        byte(0x19), byte(0), address(this),
-                        "I authorize the removal of all service keys on my behalf.",
-                        timestamp
-                    )
-                ),
-                v, r, s
+        uint ein = useSignature(
+            associatedAddress,
+            keccak256(
+                abi.encodePacked(
+                    byte(0x19), byte(0), address(this),
+                    "I authorize the removal of all service keys on my behalf.",
+                    nonceTracker[associatedAddress], timestamp
+                )
             ),
-            "Permission denied."
+            v, r, s
+        );
+
+        _removeKeys(ein);
+    }
+
+    /// @notice Allows removing all service keys with an EIP-712 signature
+    /// @dev The signed message is a RemoveKeys struct, see removeKeysDelegated for the parameters.
+    function removeKeysDelegatedTyped(
+        address associatedAddress,
+        uint8 v, bytes32 r, bytes32 s, uint timestamp
+    )
+        external ensureSignatureTimeValid(timestamp)
+    {
+        uint ein = useSignature(
+            associatedAddress,
+            hashTypedData(
+                keccak256(abi.encode(REMOVE_KEYS_TYPEHASH, nonceTracker[associatedAddress], timestamp))
+            ),
+            v, r, s
         );
 
         _removeKeys(ein);
@@ -297,31 +663,138 @@ contract ServiceKeyResolver is SignatureVerifier {
         _removeKeys(identityRegistry.getEIN(msg.sender));
     }
 
-    function _removeKeys(uint ein) private {
+    function _removeKeys(uint ein) private isResolverFor(ein) {
+        deleteKeys(ein);
+    }
+
+    /// @dev Deletes every key of an Identity.
+    function deleteKeys(uint ein) private {
         AddressSet.Set storage keys = einToKeys[ein];
-        for (uint i = 0; i < keys.length(); ++i) {
-            keyToEin[keys.members[i]] = 0;
-            emit KeyRemoved(keys.members[i], ein);
+        while (keys.length() > 0) {
+            deleteKey(ein, keys.members[keys.length() - 1]);
         }
-        delete keys.members;
     }
 
     function _removeKey(uint ein, address key) private isResolverFor(ein) {
+        require(keyToEin[key] == ein, "Key is not a service key of the identity.");
+        deleteKey(ein, key);
+    }
+
+    /// @dev Deletes a key of an Identity, clearing its index entries as well.
+    function deleteKey(uint ein, address key) private {
+        unindexKey(ein, key);
         keyToEin[key] = 0;
+        delete keyToSymbol[key];
+        delete keyToExpiry[key];
+        delete keyToScope[key];
+        delete keyToAddedBy[key];
         einToKeys[ein].remove(key);
         emit KeyRemoved(key, ein);
     }
 
+    // Resolver Callbacks //////////////////////////////////////////////////////////////////////////////////////////////
+
+    modifier onlyIdentityRegistry() {
+        require(msg.sender == address(identityRegistry), "Only the IdentityRegistry can call this function.");
+        _;
+    }
+
+    /// @notice ERC-165 support, announcing the ResolverInterface callbacks to the IdentityRegistry.
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return (
+            interfaceId == this.supportsInterface.selector ||
+            interfaceId == this.onAddition.selector ^ this.onRemoval.selector
+        );
+    }
+
+    /// @dev No state needs to be initialised when the resolver is added.
+    function onAddition(uint, bytes calldata) external onlyIdentityRegistry returns (bool) {
+        return true;
+    }
+
+    /// @dev Removes every key of the Identity, since keys of Identities without this resolver are not used.
+    function onRemoval(uint ein, bytes calldata) external onlyIdentityRegistry returns (bool) {
+        deleteKeys(ein);
+        return true;
+    }
+
+    /// @notice Removes the keys of an Identity that were added by addresses no longer associated with it, e.g. after
+    /// a recovery or destruction, or the removal of the address.
+    /// @dev Can be called by anyone, and does not require this resolver to still be set for the Identity.
+    function sync(uint ein) public identityExists(ein) {
+        AddressSet.Set storage keys = einToKeys[ein];
+        uint i = 0;
+        while (i < keys.length()) {
+            address key = keys.members[i];
+            if (identityRegistry.isAssociatedAddressFor(ein, keyToAddedBy[key])) {
+                i++;
+            } else {
+                // the last key is moved to position i
+                deleteKey(ein, key);
+            }
+        }
+    }
+
+    /// @notice Checks if a key is an unexpired service key of an Identity, added by one of its associated addresses.
+    /// @dev Keys added by addresses that have since left the Identity are not valid, even before they are synced.
     function isKeyFor(address key, uint ein) public view identityExists(ein) returns(bool) {
-        return keyToEin[key] == ein;
+        return (
+            keyToEin[key] == ein &&
+            // solium-disable-next-line security/no-block-members
+            (keyToExpiry[key] == 0 || block.timestamp < keyToExpiry[key]) &&
+            identityRegistry.isAssociatedAddressFor(ein, keyToAddedBy[key])
+        );
+    }
+
+    /// @notice Checks if a key is an unexpired service key of an Identity, whose scope includes every passed bit.
+    /// @param scope The bits to check for, e.g. SCOPE_LOGIN | SCOPE_SIGN_TRANSACTIONS.
+    function isKeyValidFor(address key, uint ein, uint scope) public view returns(bool) {
+        return isKeyFor(key, ein) && keyToScope[key] & scope == scope;
     }
 
     function getSymbol(address key) public view returns(string memory) {
         return keyToSymbol[key];
     }
 
+    /// @notice Gets the expiry timestamp of a key, 0 if it never expires.
+    function getExpiry(address key) public view returns(uint) {
+        return keyToExpiry[key];
+    }
+
+    function getScope(address key) public view returns(uint) {
+        return keyToScope[key];
+    }
+
+    /// @notice Gets the associated address that added a key, whose removal from the Identity revokes the key.
+    function getAddedBy(address key) public view returns(address) {
+        return keyToAddedBy[key];
+    }
+
     function getKeys(uint ein) public view identityExists(ein) returns(address[] memory) {
         AddressSet.Set storage keys = einToKeys[ein];
         return keys.members;
     }
+
+    // Symbol Lookups //////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /// @notice Gets the EIN a key was added by, or 0 if it was not added.
+    /// @dev Expired keys are included until they are removed, so services can find every key they issued.
+    function getEinByKey(address key) public view returns(uint) {
+        return keyToEin[key];
+    }
+
+    /// @notice Gets the keys an Identity added under a symbol, including expired ones.
+    function getKeysBySymbol(uint ein, string memory symbol) public view identityExists(ein) returns(address[] memory) {
+        return symbolToKeys[keccak256(bytes(symbol))][ein].members;
+    }
+
+    /// @notice Gets the number of keys added under a symbol by all Identities, including expired ones.
+    function getKeyCountBySymbol(string memory symbol) public view returns(uint) {
+        return symbolToKeyCount[keccak256(bytes(symbol))];
+    }
+
+    /// @notice Gets the EINs with at least one key under a symbol, including expired ones.
+    function getEinsBySymbol(string memory symbol) public view returns(uint[] memory) {
+        return symbolToEins[keccak256(bytes(symbol))];
+    }
 }
@@ -0,0 +1,170 @@
+const { getContract } = require('./artifacts')
+const { decodeError } = require('./errors')
+const { signMessage } = require('./messages')
+
+/**
+ * Builds BatchProvider batches: ordered registry and resolver calls that run atomically, in one transaction.
+ * @dev Created with IdentityRegistryClient.batch. The EIN passed to the *For registry functions is always the EIN of
+ * the approving address, filled in by the BatchProvider, so batches can act on an Identity they create. If a step
+ * reverts, the whole batch reverts and a BatchStepError is thrown, whose `step` indexes `steps`.
+ */
+class Batch {
+  /**
+   * @param {IdentityRegistryClient} client A client for the registry the BatchProvider uses.
+   * @param {string} address The address of the deployed BatchProvider.
+   */
+  constructor (client, address) {
+    this.client = client
+    this.web3 = client.web3
+    this.address = address
+    this.contract = getContract(client.web3, 'BatchProvider', address)
+    this.steps = []
+  }
+
+  /**
+   * Adds a step that calls a contract, which must be the registry or a resolver of the approving EIN.
+   * The first argument of resolver calls must be the approving address or its EIN.
+   * @param {string} destination The address of the contract to call.
+   * @param {string} data The hex-encoded calldata, e.g. from a web3 method's encodeABI().
+   * @param {string} [description] A description of the step, e.g. the called function.
+   * @return {Batch} The batch, for chaining.
+   */
+  add (destination, data, description) {
+    this.steps.push({ destination: destination, data: data, description: description || '' })
+    return this
+  }
+
+  addRegistryCall (method, args) {
+    return this.add(this.client.address, this.client.contract.methods[method](...args).encodeABI(), method)
+  }
+
+  // Registry Steps ////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  createIdentityDelegated (recoveryAddress, associatedAddress, providers, resolvers, signature) {
+    return this.addRegistryCall(this.client.variant('createIdentityDelegated', signature), [
+      recoveryAddress, associatedAddress, providers, resolvers,
+      signature.v, signature.r, signature.s, signature.timestamp
+    ])
+  }
+
+  addAssociatedAddressDelegated (approvingAddress, addressToAdd, approvingSignature, addingSignature) {
+    const signatures = [approvingSignature, addingSignature]
+    return this.addRegistryCall(this.client.variant('addAssociatedAddressDelegated', ...signatures), [
+      approvingAddress, addressToAdd,
+      signatures.map(signature => signature.v),
+      signatures.map(signature => signature.r),
+      signatures.map(signature => signature.s),
+      signatures.map(signature => signature.timestamp)
+    ])
+  }
+
+  removeAssociatedAddressDelegated (addressToRemove, signature) {
+    return this.addRegistryCall(this.client.variant('removeAssociatedAddressDelegated', signature), [
+      addressToRemove, signature.v, signature.r, signature.s, signature.timestamp
+    ])
+  }
+
+  addProviders (providers) {
+    return this.addRegistryCall('addProvidersFor', ['0', providers])
+  }
+
+  removeProviders (providers) {
+    return this.addRegistryCall('removeProvidersFor', ['0', providers])
+  }
+
+  addResolvers (resolvers) {
+    return this.addRegistryCall('addResolversFor', ['0', resolvers])
+  }
+
+  addResolver (resolver, data) {
+    return this.addRegistryCall('addResolverFor', ['0', resolver, data])
+  }
+
+  addResolversWithData (resolvers, data) {
+    const { data: concatenated, dataLengths } = Batch.concat(data)
+    return this.addRegistryCall('addResolversWithDataFor', ['0', resolvers, concatenated, dataLengths])
+  }
+
+  removeResolvers (resolvers) {
+    return this.addRegistryCall('removeResolversFor', ['0', resolvers])
+  }
+
+  removeResolver (resolver, data) {
+    return this.addRegistryCall('removeResolverFor', ['0', resolver, data])
+  }
+
+  // Execution /////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Encodes the steps as the arguments of executeBatch.
+   * @return {Object} The {destinations, data, dataLengths} of the batch.
+   */
+  encode () {
+    return Object.assign(
+      { destinations: this.steps.map(step => step.destination) }, Batch.concat(this.steps.map(step => step.data))
+    )
+  }
+
+  /**
+   * Concatenates hex-encoded data into one bytes argument, like the batch steps or addResolversWithDataFor's data.
+   * @param {string[]} data The hex-encoded data.
+   * @return {Object} The concatenated {data, dataLengths}, the lengths in bytes that split it back up.
+   */
+  static concat (data) {
+    data = data.map(item => item.replace(/^0x/, ''))
+    return { data: `0x${data.join('')}`, dataLengths: data.map(item => item.length / 2) }
+  }
+
+  /**
+   * Signs the batch for executeBatchDelegated, with the approving address' current nonce.
+   * @param {Object} signer The {address, privateKey, method} to sign with, see messages.sign.
+   * @return {Promise<Object>} The {v, r, s} components of the signature.
+   */
+  async sign (signer) {
+    const nonce = await this.contract.methods.nonceTracker(signer.address).call()
+    return signMessage(
+      this.web3, 'BatchProvider', 'executeBatchDelegated', this.address,
+      Object.assign({ approvingAddress: signer.address, nonce: nonce }, this.encode()), signer
+    )
+  }
+
+  async send (method, args, options) {
+    const sendOptions = Object.assign({}, this.client.options, options)
+    try {
+      const transaction = this.contract.methods[method](...args)
+      if (sendOptions.gas === undefined) {
+        // steps keep 1/64 of the remaining gas from each call (EIP-150), which some nodes leave out of estimates
+        sendOptions.gas = Math.ceil(await transaction.estimateGas({ from: sendOptions.from }) * 64 / 63)
+      }
+      return await transaction.send(sendOptions)
+    } catch (error) {
+      throw decodeError(error)
+    }
+  }
+
+  /**
+   * Runs the batch, approved by the transaction sender.
+   * @return {Promise<Object>} The transaction receipt.
+   */
+  async execute (options) {
+    const { destinations, data, dataLengths } = this.encode()
+    return this.send('executeBatch', [destinations, data, dataLengths], options)
+  }
+
+  /**
+   * Runs the batch, approved by the signature of approvingAddress.
+   * @param {string} approvingAddress The address that signed the batch.
+   * @param {Object} signature The {v, r, s} components of the signature, as returned by sign.
+   * @return {Promise<Object>} The transaction receipt.
+   */
+  async executeDelegated (approvingAddress, signature, options) {
+    const { destinations, data, dataLengths } = this.encode()
+    return this.send(
+      'executeBatchDelegated',
+      [approvingAddress, destinations, data, dataLengths, signature.v, signature.r, signature.s],
+      options
+    )
+  }
+}
+
+module.exports = Batch
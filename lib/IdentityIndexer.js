@@ -0,0 +1,251 @@
+const fs = require('fs')
+
+const { getContract } = require('./artifacts')
+
+const zeroAddress = '0x0000000000000000000000000000000000000000'
+
+// mirrors AddressSet.insert, so that member order matches IdentityRegistry.getIdentity
+function insert (set, member) {
+  if (!set.includes(member)) set.push(member)
+}
+
+// mirrors AddressSet.remove, which replaces the removed member with the last one
+function remove (set, member) {
+  const index = set.indexOf(member)
+  if (index === -1) return
+  set[index] = set[set.length - 1]
+  set.pop()
+}
+
+/**
+ * Rebuilds the state of every EIN in an IdentityRegistry by replaying its events.
+ * @dev This allows queries the registry cannot answer, like finding all EINs that set a resolver. State can be persisted
+ * to a checkpoint file, so that indexing resumes from the last indexed block.
+ */
+class IdentityIndexer {
+  /**
+   * @param {Web3} web3 A web3 instance.
+   * @param {string} address The address of the deployed IdentityRegistry.
+   * @param {Object} [options]
+   * @param {string} [options.checkpointFile] A file to persist state to, and resume from if it exists.
+   * @param {number} [options.fromBlock] The block to start indexing from, e.g. the registry's deployment block.
+   * @param {number} [options.batchSize] The maximum number of blocks to fetch events for at once.
+   */
+  constructor (web3, address, options) {
+    options = options || {}
+    this.web3 = web3
+    this.address = address
+    this.contract = getContract(web3, 'IdentityRegistry', address)
+    this.checkpointFile = options.checkpointFile
+    this.batchSize = options.batchSize || 5000
+
+    this.checkpoint = (options.fromBlock || 0) - 1
+    this.identities = {}
+    this.associatedAddressDirectory = {}
+
+    if (this.checkpointFile && fs.existsSync(this.checkpointFile)) this.load()
+  }
+
+  // Persistence ///////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  load () {
+    const state = JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8'))
+    if (state.registry.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`The checkpoint file belongs to the registry at ${state.registry}.`)
+    }
+
+    this.checkpoint = state.checkpoint
+    this.identities = state.identities
+    this.associatedAddressDirectory = {}
+    for (const ein of Object.keys(this.identities)) {
+      for (const address of this.identities[ein].associatedAddresses) this.associatedAddressDirectory[address] = ein
+    }
+  }
+
+  save () {
+    const state = { registry: this.address, checkpoint: this.checkpoint, identities: this.identities }
+    fs.writeFileSync(this.checkpointFile, JSON.stringify(state, null, 2))
+  }
+
+  // Indexing //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Replays all registry events between the checkpoint and the latest block.
+   * @return {Promise<number>} The new checkpoint, i.e. the last indexed block.
+   */
+  async sync () {
+    const latestBlock = await this.web3.eth.getBlockNumber()
+
+    while (this.checkpoint < latestBlock) {
+      const fromBlock = this.checkpoint + 1
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, latestBlock)
+
+      const events = await this.contract.getPastEvents('allEvents', { fromBlock: fromBlock, toBlock: toBlock })
+      events
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+        .forEach(event => this.apply(event))
+
+      this.checkpoint = toBlock
+      if (this.checkpointFile) this.save()
+    }
+
+    return this.checkpoint
+  }
+
+  /**
+   * Polls for new events.
+   * @param {number} [interval] The polling interval in milliseconds.
+   * @param {function} [onError] Called with errors thrown while syncing.
+   */
+  start (interval, onError) {
+    if (this.timer) return
+    let syncing = false
+    this.timer = setInterval(() => {
+      if (syncing) return
+      syncing = true
+      this.sync()
+        .catch(error => { if (onError) onError(error) })
+        .then(() => { syncing = false })
+    }, interval || 1000)
+  }
+
+  stop () {
+    clearInterval(this.timer)
+    this.timer = undefined
+  }
+
+  getOrCreateIdentity (ein) {
+    if (!this.identities[ein]) {
+      this.identities[ein] = { recoveryAddress: zeroAddress, associatedAddresses: [], providers: [], resolvers: [] }
+    }
+    return this.identities[ein]
+  }
+
+  addAssociatedAddress (ein, address) {
+    insert(this.identities[ein].associatedAddresses, address)
+    this.associatedAddressDirectory[address] = ein
+  }
+
+  // mirrors IdentityRegistry.resetIdentityData
+  resetIdentityData (ein, newRecoveryAddress, resetResolvers) {
+    const identity = this.identities[ein]
+    for (const address of identity.associatedAddresses) delete this.associatedAddressDirectory[address]
+    identity.associatedAddresses = []
+    identity.providers = []
+    if (resetResolvers) identity.resolvers = []
+    identity.recoveryAddress = newRecoveryAddress
+  }
+
+  /**
+   * Applies a single registry event to the indexed state.
+   * @dev Providers and resolvers are added by their own events, which are emitted before IdentityCreated. Events
+   * without an EIN, i.e. governance events, are ignored.
+   */
+  apply (event) {
+    const values = event.returnValues
+    const ein = values.ein
+    if (ein === undefined) return
+
+    const identity = this.getOrCreateIdentity(ein)
+
+    switch (event.event) {
+      case 'IdentityCreated':
+        identity.recoveryAddress = values.recoveryAddress
+        this.addAssociatedAddress(ein, values.associatedAddress)
+        break
+      case 'AssociatedAddressAdded':
+        this.addAssociatedAddress(ein, values.addedAddress)
+        break
+      case 'AssociatedAddressRemoved':
+        remove(identity.associatedAddresses, values.removedAddress)
+        delete this.associatedAddressDirectory[values.removedAddress]
+        break
+      case 'ProviderAdded':
+        insert(identity.providers, values.provider)
+        break
+      case 'ProviderRemoved':
+        remove(identity.providers, values.provider)
+        break
+      case 'ResolverAdded':
+        insert(identity.resolvers, values.resolvers)
+        break
+      case 'ResolverRemoved':
+        remove(identity.resolvers, values.resolvers)
+        break
+      case 'RecoveryAddressChangeTriggered':
+        identity.recoveryAddress = values.newRecoveryAddress
+        break
+      case 'RecoveryTriggered':
+        identity.lastRecovery = {
+          blockNumber: event.blockNumber,
+          oldAssociatedAddresses: values.oldAssociatedAddresses
+        }
+        this.resetIdentityData(ein, values.initiator, false)
+        this.addAssociatedAddress(ein, values.newAssociatedAddress)
+        break
+      case 'IdentityDestroyed':
+        this.resetIdentityData(ein, zeroAddress, values.resolversReset)
+        break
+    }
+  }
+
+  // Queries ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Gets the indexed state of an EIN.
+   * @param {BN|number|string} ein The EIN to get information for.
+   * @return {Object} The {recoveryAddress, associatedAddresses, providers, resolvers} of the Identity, or undefined.
+   */
+  getIdentity (ein) {
+    const identity = this.identities[ein.toString()]
+    if (!identity) return undefined
+    return {
+      recoveryAddress: identity.recoveryAddress,
+      associatedAddresses: identity.associatedAddresses.slice(),
+      providers: identity.providers.slice(),
+      resolvers: identity.resolvers.slice()
+    }
+  }
+
+  /**
+   * Gets the information about the latest recovery of an EIN.
+   * @return {Object} The {blockNumber, oldAssociatedAddresses} of the recovery, or undefined if never recovered.
+   */
+  getLastRecovery (ein) {
+    const identity = this.identities[ein.toString()]
+    return identity && identity.lastRecovery
+  }
+
+  getEIN (address) {
+    const ein = this.associatedAddressDirectory[this.web3.utils.toChecksumAddress(address)]
+    return ein === undefined ? undefined : this.web3.utils.toBN(ein)
+  }
+
+  getEINs () {
+    return this.findEINs(() => true)
+  }
+
+  getEINsWithProvider (provider) {
+    provider = this.web3.utils.toChecksumAddress(provider)
+    return this.findEINs(identity => identity.providers.includes(provider))
+  }
+
+  getEINsWithResolver (resolver) {
+    resolver = this.web3.utils.toChecksumAddress(resolver)
+    return this.findEINs(identity => identity.resolvers.includes(resolver))
+  }
+
+  getEINsWithRecoveryAddress (recoveryAddress) {
+    recoveryAddress = this.web3.utils.toChecksumAddress(recoveryAddress)
+    return this.findEINs(identity => identity.recoveryAddress === recoveryAddress)
+  }
+
+  findEINs (predicate) {
+    return Object.keys(this.identities)
+      .filter(ein => predicate(this.identities[ein]))
+      .map(ein => this.web3.utils.toBN(ein))
+      .sort((a, b) => a.cmp(b))
+  }
+}
+
+module.exports = IdentityIndexer
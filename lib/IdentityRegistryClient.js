@@ -0,0 +1,304 @@
+const Batch = require('./Batch')
+const { getContract } = require('./artifacts')
+const { decodeError } = require('./errors')
+
+// the KIND constants of the ResolverCatalog
+const catalogKinds = { 1: 'resolver', 2: 'provider' }
+
+/**
+ * A client for a deployed IdentityRegistry.
+ * @dev Reverts are thrown as RevertErrors carrying stable error codes, see errors.js. Signatures passed to delegated
+ * functions are {v, r, s, timestamp} objects, as returned by messages.signMessage. Typed signatures, as returned by
+ * typedData.signTypedMessage, are sent to the EIP-712 variant of the function instead.
+ */
+class IdentityRegistryClient {
+  /**
+   * @param {Web3} web3 A web3 instance.
+   * @param {string} address The address of the deployed IdentityRegistry.
+   * @param {Object} [options] Default transaction options, e.g. {from, gas}.
+   */
+  constructor (web3, address, options) {
+    this.web3 = web3
+    this.address = address
+    this.contract = getContract(web3, 'IdentityRegistry', address)
+    this.options = options || {}
+  }
+
+  async call (method, ...args) {
+    try {
+      return await this.contract.methods[method](...args).call()
+    } catch (error) {
+      throw decodeError(error)
+    }
+  }
+
+  async send (method, args, options) {
+    const sendOptions = Object.assign({}, this.options, options)
+    try {
+      const transaction = this.contract.methods[method](...args)
+      if (sendOptions.gas === undefined) {
+        sendOptions.gas = await transaction.estimateGas({ from: sendOptions.from })
+      }
+      return await transaction.send(sendOptions)
+    } catch (error) {
+      throw decodeError(error)
+    }
+  }
+
+  // gets the name of the raw or EIP-712 variant of a delegated function, depending on the signatures
+  variant (method, ...signatures) {
+    const typed = signatures.map(signature => Boolean(signature.typed))
+    if (typed.some(isTyped => isTyped !== typed[0])) throw new Error('Typed and raw signatures cannot be mixed.')
+    return typed[0] ? `${method}Typed` : method
+  }
+
+  toEIN (ein) {
+    return this.web3.utils.toBN(ein)
+  }
+
+  /**
+   * Starts building a batch of registry and resolver calls, run atomically by a BatchProvider.
+   * @param {string} batchProvider The address of the deployed BatchProvider.
+   * @return {Batch} An empty batch, see Batch.js.
+   */
+  batch (batchProvider) {
+    return new Batch(this, batchProvider)
+  }
+
+  // Identity View Functions ///////////////////////////////////////////////////////////////////////////////////////////
+
+  async identityExists (ein) {
+    return this.call('identityExists', ein.toString())
+  }
+
+  async hasIdentity (address) {
+    return this.call('hasIdentity', address)
+  }
+
+  async getEIN (address) {
+    return this.toEIN(await this.call('getEIN', address))
+  }
+
+  async isAssociatedAddressFor (ein, address) {
+    return this.call('isAssociatedAddressFor', ein.toString(), address)
+  }
+
+  async isProviderFor (ein, provider) {
+    return this.call('isProviderFor', ein.toString(), provider)
+  }
+
+  async isResolverFor (ein, resolver) {
+    return this.call('isResolverFor', ein.toString(), resolver)
+  }
+
+  /**
+   * Gets all identity-related information for an EIN.
+   * @param {BN|number|string} ein The EIN to get information for.
+   * @return {Promise<Object>} The {recoveryAddress, associatedAddresses, providers, resolvers} of the Identity.
+   */
+  async getIdentity (ein) {
+    const identity = await this.call('getIdentity', ein.toString())
+    return {
+      recoveryAddress: identity.recoveryAddress,
+      associatedAddresses: identity.associatedAddresses,
+      providers: identity.providers,
+      resolvers: identity.resolvers
+    }
+  }
+
+  /**
+   * Gets the latest recovery of an EIN.
+   * @param {BN|number|string} ein The EIN to get the recovery of.
+   * @return {Promise<Object>} The {timestamp, recoveryTimeout} of the recovery, where timestamp is 0 if the EIN was
+   * never recovered and recoveryTimeout is the timeout in force when it was.
+   */
+  async getRecovery (ein) {
+    const recovery = await this.call('getRecovery', ein.toString())
+    return { timestamp: Number(recovery.timestamp), recoveryTimeout: Number(recovery.timeout) }
+  }
+
+  /**
+   * Gets all identity-related information for an EIN, describing its providers and resolvers from a ResolverCatalog.
+   * @param {BN|number|string} ein The EIN to get information for.
+   * @param {string} catalog The address of the deployed ResolverCatalog.
+   * @return {Promise<Object>} The Identity as returned by getIdentity, except that providers and resolvers are
+   * {address, listed, kind, name, description, interfaceId, version, verified, author} objects. Addresses that are not
+   * in the catalog have listed set to false and null metadata.
+   */
+  async describeIdentity (ein, catalog) {
+    const identity = await this.getIdentity(ein)
+    const contract = getContract(this.web3, 'ResolverCatalog', catalog)
+    const describe = async address => {
+      const entry = await contract.methods.getEntry(address).call()
+      const listed = Number(entry.kind) !== 0
+      return {
+        address: address,
+        listed: listed,
+        kind: listed ? catalogKinds[Number(entry.kind)] : null,
+        name: listed ? entry.name : null,
+        description: listed ? entry.description : null,
+        interfaceId: listed ? entry.interfaceId : null,
+        version: listed ? entry.version : null,
+        verified: entry.verified,
+        author: listed ? entry.author : null
+      }
+    }
+    return Object.assign(identity, {
+      providers: await Promise.all(identity.providers.map(describe)),
+      resolvers: await Promise.all(identity.resolvers.map(describe))
+    })
+  }
+
+  // Identity Management Functions /////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Creates an Identity for the transaction sender.
+   * @return {Promise<Object>} The {ein, receipt} of the creation.
+   */
+  async createIdentity (recoveryAddress, providers, resolvers, options) {
+    const receipt = await this.send('createIdentity', [recoveryAddress, providers, resolvers], options)
+    return { ein: this.toEIN(receipt.events.IdentityCreated.returnValues.ein), receipt: receipt }
+  }
+
+  /**
+   * Creates an Identity for an associated address that signed the createIdentityDelegated message.
+   * @return {Promise<Object>} The {ein, receipt} of the creation.
+   */
+  async createIdentityDelegated (recoveryAddress, associatedAddress, providers, resolvers, signature, options) {
+    const receipt = await this.send(
+      this.variant('createIdentityDelegated', signature),
+      [
+        recoveryAddress, associatedAddress, providers, resolvers,
+        signature.v, signature.r, signature.s, signature.timestamp
+      ],
+      options
+    )
+    return { ein: this.toEIN(receipt.events.IdentityCreated.returnValues.ein), receipt: receipt }
+  }
+
+  /**
+   * Adds an associated address to the Identity of the approving address.
+   * @dev The transaction must be sent by one of the addresses, and the signature made by the other.
+   */
+  async addAssociatedAddress (approvingAddress, addressToAdd, signature, options) {
+    return this.send(
+      this.variant('addAssociatedAddress', signature),
+      [approvingAddress, addressToAdd, signature.v, signature.r, signature.s, signature.timestamp],
+      options
+    )
+  }
+
+  async addAssociatedAddressDelegated (approvingAddress, addressToAdd, approvingSignature, addingSignature, options) {
+    const signatures = [approvingSignature, addingSignature]
+    return this.send(
+      this.variant('addAssociatedAddressDelegated', approvingSignature, addingSignature),
+      [
+        approvingAddress, addressToAdd,
+        signatures.map(signature => signature.v),
+        signatures.map(signature => signature.r),
+        signatures.map(signature => signature.s),
+        signatures.map(signature => signature.timestamp)
+      ],
+      options
+    )
+  }
+
+  async removeAssociatedAddress (options) {
+    return this.send('removeAssociatedAddress', [], options)
+  }
+
+  async removeAssociatedAddressDelegated (addressToRemove, signature, options) {
+    return this.send(
+      this.variant('removeAssociatedAddressDelegated', signature),
+      [addressToRemove, signature.v, signature.r, signature.s, signature.timestamp],
+      options
+    )
+  }
+
+  async addProviders (providers, options) {
+    return this.send('addProviders', [providers], options)
+  }
+
+  async addProvidersFor (ein, providers, options) {
+    return this.send('addProvidersFor', [ein.toString(), providers], options)
+  }
+
+  async removeProviders (providers, options) {
+    return this.send('removeProviders', [providers], options)
+  }
+
+  async removeProvidersFor (ein, providers, options) {
+    return this.send('removeProvidersFor', [ein.toString(), providers], options)
+  }
+
+  async addResolvers (resolvers, options) {
+    return this.send('addResolvers', [resolvers], options)
+  }
+
+  async addResolversFor (ein, resolvers, options) {
+    return this.send('addResolversFor', [ein.toString(), resolvers], options)
+  }
+
+  /**
+   * Adds a resolver to the EIN as one of its providers, passing hex-encoded data to the onAddition of the resolver.
+   */
+  async addResolverFor (ein, resolver, data, options) {
+    return this.send('addResolverFor', [ein.toString(), resolver, data], options)
+  }
+
+  /**
+   * Adds resolvers to the EIN as one of its providers, passing hex-encoded data to the onAddition of each resolver.
+   * @param {string[]} data The data of each resolver, in the order of resolvers.
+   */
+  async addResolversWithDataFor (ein, resolvers, data, options) {
+    const { data: concatenated, dataLengths } = Batch.concat(data)
+    return this.send('addResolversWithDataFor', [ein.toString(), resolvers, concatenated, dataLengths], options)
+  }
+
+  async removeResolvers (resolvers, options) {
+    return this.send('removeResolvers', [resolvers], options)
+  }
+
+  async removeResolversFor (ein, resolvers, options) {
+    return this.send('removeResolversFor', [ein.toString(), resolvers], options)
+  }
+
+  /**
+   * Removes a resolver from the EIN as one of its providers, passing hex-encoded data to the onRemoval of the resolver.
+   */
+  async removeResolverFor (ein, resolver, data, options) {
+    return this.send('removeResolverFor', [ein.toString(), resolver, data], options)
+  }
+
+  // Recovery Management Functions /////////////////////////////////////////////////////////////////////////////////////
+
+  async triggerRecoveryAddressChange (newRecoveryAddress, options) {
+    return this.send('triggerRecoveryAddressChange', [newRecoveryAddress], options)
+  }
+
+  async triggerRecoveryAddressChangeFor (ein, newRecoveryAddress, options) {
+    return this.send('triggerRecoveryAddressChangeFor', [ein.toString(), newRecoveryAddress], options)
+  }
+
+  /**
+   * Triggers recovery of an EIN, must be sent by its (recently changed) recovery address.
+   * @return {Promise<Object>} The {oldAssociatedAddresses, receipt} of the recovery, needed for triggerDestruction.
+   */
+  async triggerRecovery (ein, newAssociatedAddress, signature, options) {
+    const receipt = await this.send(
+      this.variant('triggerRecovery', signature),
+      [ein.toString(), newAssociatedAddress, signature.v, signature.r, signature.s, signature.timestamp],
+      options
+    )
+    return {
+      oldAssociatedAddresses: receipt.events.RecoveryTriggered.returnValues.oldAssociatedAddresses,
+      receipt: receipt
+    }
+  }
+
+  async triggerDestruction (ein, firstChunk, lastChunk, resetResolvers, options) {
+    return this.send('triggerDestruction', [ein.toString(), firstChunk, lastChunk, resetResolvers], options)
+  }
+}
+
+module.exports = IdentityRegistryClient
@@ -0,0 +1,132 @@
+const IdentityRegistryClient = require('./IdentityRegistryClient')
+
+// An error thrown when destruction cannot be triggered, checked before anything is submitted.
+class RecoveryError extends Error {
+  /**
+   * @param {string} message The reason destruction cannot be triggered.
+   * @param {string} code A stable error code, matching the registry's where one exists, see errors.js.
+   */
+  constructor (message, code) {
+    super(message)
+    this.name = 'RecoveryError'
+    this.code = code
+  }
+}
+
+/**
+ * Splits the pre-recovery associated addresses around an address, as IdentityRegistry.triggerDestruction expects.
+ * @param {string[]} oldAssociatedAddresses The associated addresses from the RecoveryTriggered event.
+ * @param {string} address The old associated address triggering destruction.
+ * @return {Object} The {firstChunk, lastChunk} of addresses before and after the address.
+ */
+function computeChunks (oldAssociatedAddresses, address) {
+  const index = oldAssociatedAddresses.findIndex(oldAddress => oldAddress.toLowerCase() === address.toLowerCase())
+  if (index === -1) {
+    throw new RecoveryError(
+      `${address} was not an associated address before the latest recovery.`, 'NOT_OLD_ASSOCIATED_ADDRESS'
+    )
+  }
+  return {
+    firstChunk: oldAssociatedAddresses.slice(0, index),
+    lastChunk: oldAssociatedAddresses.slice(index + 1)
+  }
+}
+
+/**
+ * Helps addresses removed by a recovery destroy the recovered Identity.
+ * @dev triggerDestruction must be called within recoveryTimeout seconds of the recovery, with the exact slices of the
+ * pre-recovery associated addresses around the sender. Those are only available from the RecoveryTriggered event.
+ */
+class RecoveryAssistant {
+  /**
+   * @param {Web3} web3 A web3 instance.
+   * @param {string} address The address of the deployed IdentityRegistry.
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] The block to search for recoveries from, e.g. the registry's deployment block.
+   * @param {number} [options.warningThreshold] Warn when fewer seconds than this are left to trigger destruction.
+   */
+  constructor (web3, address, options) {
+    options = options || {}
+    this.web3 = web3
+    this.client = new IdentityRegistryClient(web3, address)
+    this.fromBlock = options.fromBlock || 0
+    this.warningThreshold = options.warningThreshold === undefined ? 24 * 60 * 60 : options.warningThreshold
+  }
+
+  /**
+   * Finds the latest recovery of an EIN.
+   * @param {BN|number|string} ein The EIN to find the recovery of.
+   * @dev The recoveryTimeout is the one the registry recorded for the recovery, since recoveries keep the timeout in
+   * force when they started even if governance changes it later.
+   * @return {Promise<Object>} The {blockNumber, transactionHash, timestamp, oldAssociatedAddresses, recoveryTimeout} of
+   * the recovery, or undefined if the EIN was never recovered.
+   */
+  async getLatestRecovery (ein) {
+    const events = await this.client.contract.getPastEvents('RecoveryTriggered', {
+      filter: { ein: ein.toString() }, fromBlock: this.fromBlock, toBlock: 'latest'
+    })
+    if (events.length === 0) return undefined
+
+    const event = events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex).pop()
+    const recovery = await this.client.getRecovery(ein)
+    return {
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp: recovery.timestamp,
+      oldAssociatedAddresses: event.returnValues.oldAssociatedAddresses,
+      recoveryTimeout: recovery.recoveryTimeout
+    }
+  }
+
+  /**
+   * Checks that an address can destroy an EIN, and computes the arguments to do so.
+   * @param {BN|number|string} ein The recovered EIN.
+   * @param {string} address The old associated address that will trigger destruction.
+   * @return {Promise<Object>} The {firstChunk, lastChunk, deadline, secondsLeft} of the destruction, where deadline is
+   * the last timestamp at which destruction can be triggered. A warning is included if the deadline is close.
+   */
+  async prepareDestruction (ein, address) {
+    const recovery = await this.getLatestRecovery(ein)
+    if (recovery === undefined) throw new RecoveryError(`EIN ${ein} was never recovered.`, 'RECOVERY_NOT_TRIGGERED')
+
+    const deadline = recovery.timestamp + recovery.recoveryTimeout
+    const now = Number((await this.web3.eth.getBlock('latest')).timestamp)
+    if (now > deadline) {
+      throw new RecoveryError(
+        `The window to destroy EIN ${ein} closed at ${new Date(deadline * 1000).toISOString()}.`,
+        'RECOVERY_NOT_TRIGGERED'
+      )
+    }
+
+    const preparation = Object.assign(computeChunks(recovery.oldAssociatedAddresses, address), {
+      deadline: deadline,
+      secondsLeft: deadline - now
+    })
+    if (preparation.secondsLeft < this.warningThreshold) {
+      preparation.warning = `Only ${preparation.secondsLeft} seconds are left to destroy EIN ${ein}, ` +
+        `the window closes at ${new Date(deadline * 1000).toISOString()}.`
+    }
+    return preparation
+  }
+
+  /**
+   * Destroys a recovered EIN from one of its old associated addresses.
+   * @param {BN|number|string} ein The recovered EIN.
+   * @param {boolean} resetResolvers Whether to remove the resolvers of the Identity as well.
+   * @param {Object} options Transaction options, options.from must be an old associated address.
+   * @return {Promise<Object>} The result of prepareDestruction, and the receipt of the transaction.
+   */
+  async triggerDestruction (ein, resetResolvers, options) {
+    const preparation = await this.prepareDestruction(ein, options.from)
+    const receipt = await this.client.triggerDestruction(
+      ein, preparation.firstChunk, preparation.lastChunk, resetResolvers, options
+    )
+    return Object.assign({ receipt: receipt }, preparation)
+  }
+}
+
+module.exports = {
+  computeChunks: computeChunks,
+  RecoveryAssistant: RecoveryAssistant,
+  RecoveryError: RecoveryError
+}
@@ -0,0 +1,303 @@
+const http = require('http')
+
+const { getContract } = require('./artifacts')
+const { decodeError, RevertError } = require('./errors')
+const { hashMessage, isSigned } = require('./messages')
+
+// the largest request body accepted, in characters
+const MAX_BODY_LENGTH = 1024 * 1024
+
+// An error thrown when a payload is rejected before being submitted, carrying the HTTP status to respond with.
+class RelayError extends Error {
+  constructor (message, status) {
+    super(message)
+    this.name = 'RelayError'
+    this.status = status || 400
+  }
+}
+
+function requireFields (payload, fields) {
+  for (const field of fields) {
+    if (payload[field] === undefined) throw new RelayError(`Missing field '${field}'.`)
+  }
+}
+
+/**
+ * Submits signed MetaTransactionsProvider meta-transactions on behalf of users, paying gas from a funded key.
+ * @dev Signatures are checked before anything is submitted, off-chain or by the IdentityRegistry for EIP-1271 contract
+ * signers. Since every callViaProxyDelegated signature commits to nonceTracker[ein], payloads for the same EIN are held
+ * until all lower nonces have been mined, and transactions are submitted one at a time so that the relayer's own account
+ * nonce never collides.
+ */
+class Relayer {
+  /**
+   * @param {Web3} web3 A web3 instance.
+   * @param {Object} options
+   * @param {string} options.metaTransactionsProvider The address of the deployed MetaTransactionsProvider.
+   * @param {string} options.identityRegistry The address of the IdentityRegistry used by the provider.
+   * @param {string} options.privateKey The private key of the funded account transactions are sent from.
+   * @param {number} [options.gas] The gas limit of submitted transactions, estimated if not set.
+   * @param {number} [options.pendingTimeout] How long to hold payloads waiting for a lower nonce, in milliseconds.
+   */
+  constructor (web3, options) {
+    this.web3 = web3
+    this.provider = getContract(web3, 'MetaTransactionsProvider', options.metaTransactionsProvider)
+    this.registry = getContract(web3, 'IdentityRegistry', options.identityRegistry)
+    this.account = web3.eth.accounts.privateKeyToAccount(options.privateKey)
+    this.gas = options.gas
+    this.pendingTimeout = options.pendingTimeout || 60 * 1000
+
+    this.submissions = Promise.resolve()
+    this.queues = {}
+  }
+
+  // Nonce Management //////////////////////////////////////////////////////////////////////////////////////////////////
+
+  getQueue (ein) {
+    if (!this.queues[ein]) this.queues[ein] = { nonces: new Set(), waiters: [] }
+    return this.queues[ein]
+  }
+
+  async getNonce (ein) {
+    return Number(await this.provider.methods.nonceTracker(ein.toString()).call())
+  }
+
+  /**
+   * Gets the nonce the next callViaProxyDelegated payload of an EIN should be signed with, including queued payloads.
+   * @param {BN|number|string} ein The EIN of the signer.
+   * @return {Promise<number>} The next free nonce.
+   */
+  async getNextNonce (ein) {
+    const queue = this.getQueue(ein.toString())
+    return Math.max(await this.getNonce(ein), ...Array.from(queue.nonces).map(nonce => nonce + 1))
+  }
+
+  // resolves once nonceTracker[ein] reaches the nonce, or rejects if it moved past it
+  waitForNonce (ein, nonce) {
+    const queue = this.getQueue(ein)
+    return new Promise((resolve, reject) => {
+      const waiter = { nonce: nonce, resolve: resolve, reject: reject }
+      waiter.timer = setTimeout(() => {
+        queue.waiters = queue.waiters.filter(other => other !== waiter)
+        reject(new RelayError('Timed out waiting for payloads with lower nonces.', 408))
+      }, this.pendingTimeout)
+      queue.waiters.push(waiter)
+      this.notify(ein)
+    })
+  }
+
+  async notify (ein) {
+    const queue = this.getQueue(ein)
+    let nonce
+    try {
+      nonce = await this.getNonce(ein)
+    } catch (error) {
+      return
+    }
+
+    queue.waiters = queue.waiters.filter(waiter => {
+      if (waiter.nonce > nonce) return true
+      clearTimeout(waiter.timer)
+      if (waiter.nonce === nonce) waiter.resolve()
+      else waiter.reject(new RelayError('Nonce was already used.', 409))
+      return false
+    })
+  }
+
+  // Submission ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Queues a MetaTransactionsProvider transaction to be signed and sent from the relayer account.
+   * @param {Object} transaction A web3 contract method, e.g. provider.methods.callViaProxyDelegated(...).
+   * @return {Promise<Object>} The {transactionHash, receipt} of the mined transaction.
+   */
+  submit (transaction) {
+    const submission = this.submissions.then(() => this.send(transaction))
+    this.submissions = submission.catch(() => {})
+    return submission
+  }
+
+  async send (transaction) {
+    try {
+      const gas = this.gas || await transaction.estimateGas({ from: this.account.address })
+      const signedTransaction = await this.account.signTransaction({
+        to: this.provider.options.address,
+        data: transaction.encodeABI(),
+        gas: gas,
+        gasPrice: await this.web3.eth.getGasPrice(),
+        nonce: await this.web3.eth.getTransactionCount(this.account.address, 'pending')
+      })
+      const receipt = await this.web3.eth.sendSignedTransaction(signedTransaction.rawTransaction)
+      return { transactionHash: receipt.transactionHash, receipt: receipt }
+    } catch (error) {
+      throw decodeError(error)
+    }
+  }
+
+  // checks signatures off-chain, and asks the registry about the ones that may have been made by a contract
+  async verifySignature (address, messageHash, signature) {
+    if (isSigned(address, messageHash, signature)) return true
+    if (await this.web3.eth.getCode(address) === '0x') return false
+    return this.registry.methods.isSigned(address, messageHash, signature.v, signature.r, signature.s).call()
+  }
+
+  // Meta-Transactions /////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Relays a callViaProxyDelegated payload.
+   * @param {Object} payload The {approvingAddress, destination, data, viaExternal, nonce, v, r, s} of the call, where
+   * nonce is the value of nonceTracker[ein] that was signed.
+   * @return {Promise<Object>} The {transactionHash, receipt} of the mined transaction.
+   */
+  async relayCall (payload) {
+    requireFields(payload, ['approvingAddress', 'destination', 'data', 'viaExternal', 'nonce', 'v', 'r', 's'])
+    const nonce = Number(payload.nonce)
+
+    let ein
+    try {
+      ein = await this.registry.methods.getEIN(payload.approvingAddress).call()
+    } catch (error) {
+      throw decodeError(error)
+    }
+
+    const messageHash = hashMessage('MetaTransactionsProvider', 'callViaProxyDelegated', this.provider.options.address, {
+      ein: ein, destination: payload.destination, data: payload.data, viaExternal: payload.viaExternal, nonce: nonce
+    })
+    if (!await this.verifySignature(payload.approvingAddress, messageHash, payload)) {
+      throw new RelayError('Invalid signature.')
+    }
+
+    const queue = this.getQueue(ein)
+    if (queue.nonces.has(nonce)) throw new RelayError('A payload with this nonce is already queued.', 409)
+    queue.nonces.add(nonce)
+
+    try {
+      if (nonce < await this.getNonce(ein)) throw new RelayError('Nonce was already used.', 409)
+      await this.waitForNonce(ein, nonce)
+      return await this.submit(this.provider.methods.callViaProxyDelegated(
+        payload.approvingAddress, payload.destination, payload.data, payload.viaExternal,
+        payload.v, payload.r, payload.s
+      ))
+    } finally {
+      queue.nonces.delete(nonce)
+      this.notify(ein)
+    }
+  }
+
+  /**
+   * Relays a createIdentityDelegated payload, which creates an Identity with the MetaTransactionsProvider as provider.
+   * @param {Object} payload The {recoveryAddress, associatedAddress, resolvers, v, r, s, timestamp} of the creation.
+   * @return {Promise<Object>} The {ein, transactionHash, receipt} of the mined transaction.
+   */
+  async relayCreateIdentity (payload) {
+    requireFields(payload, ['recoveryAddress', 'associatedAddress', 'resolvers', 'v', 'r', 's', 'timestamp'])
+
+    const messageHash = hashMessage('IdentityRegistry', 'createIdentityDelegated', this.registry.options.address, {
+      recoveryAddress: payload.recoveryAddress,
+      associatedAddress: payload.associatedAddress,
+      providers: [this.provider.options.address],
+      resolvers: payload.resolvers,
+      timestamp: payload.timestamp
+    })
+    if (!await this.verifySignature(payload.associatedAddress, messageHash, payload)) {
+      throw new RelayError('Invalid signature.')
+    }
+
+    const result = await this.submit(this.provider.methods.createIdentityDelegated(
+      payload.recoveryAddress, payload.associatedAddress, payload.resolvers,
+      payload.v, payload.r, payload.s, payload.timestamp
+    ))
+    const ein = await this.registry.methods.getEIN(payload.associatedAddress).call()
+    return Object.assign({ ein: ein }, result)
+  }
+
+  // HTTP Server ///////////////////////////////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Handles an HTTP request. Payloads are POSTed as JSON to /callViaProxyDelegated or /createIdentityDelegated, and the
+   * next free nonce of an EIN is available from GET /nonce/<ein>.
+   */
+  async handle (request) {
+    const route = request.url.split('/').filter(part => part !== '')
+
+    if (request.method === 'GET' && route[0] === 'nonce' && /^[0-9]+$/.test(route[1] || '')) {
+      return { ein: route[1], nonce: await this.getNextNonce(route[1]) }
+    }
+    if (request.method !== 'POST' || route.length !== 1) throw new RelayError('Not found.', 404)
+
+    const payload = await readJSON(request)
+    switch (route[0]) {
+      case 'callViaProxyDelegated':
+        return this.relayCall(payload)
+      case 'createIdentityDelegated':
+        return this.relayCreateIdentity(payload)
+      default:
+        throw new RelayError('Not found.', 404)
+    }
+  }
+
+  /**
+   * Starts the HTTP server.
+   * @param {number} port The port to listen on, 0 for a random one.
+   * @return {Promise<http.Server>} The listening server.
+   */
+  listen (port) {
+    this.server = http.createServer((request, response) => {
+      this.handle(request)
+        .then(result => respond(response, 200, result))
+        .catch(error => {
+          // a request whose body was not read to the end, e.g. one over the size limit, ends its connection
+          if (!request.complete) {
+            response.setHeader('Connection', 'close')
+            response.on('finish', () => request.destroy())
+          }
+          if (error instanceof RelayError) respond(response, error.status, { error: error.message })
+          else if (error instanceof RevertError) respond(response, 422, { error: error.message, code: error.code })
+          else respond(response, 500, { error: error.message })
+        })
+    })
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, () => resolve(this.server))
+    })
+  }
+
+  close () {
+    return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve())
+  }
+}
+
+function readJSON (request) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    const onData = chunk => {
+      body += chunk
+      if (body.length > MAX_BODY_LENGTH) {
+        // stop buffering, the rest of the body is never read and the connection is closed after the response
+        request.removeListener('data', onData)
+        request.pause()
+        body = ''
+        reject(new RelayError('Payload too large.', 413))
+      }
+    }
+    request.on('data', onData)
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body))
+      } catch (error) {
+        reject(new RelayError('Malformed JSON.'))
+      }
+    })
+    request.on('error', reject)
+  })
+}
+
+function respond (response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' })
+  response.end(JSON.stringify(body))
+}
+
+module.exports = {
+  RelayError: RelayError,
+  Relayer: Relayer
+}
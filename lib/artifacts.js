@@ -0,0 +1,33 @@
+const path = require('path')
+
+const buildDirectory = path.resolve(__dirname, '..', 'build', 'contracts')
+
+/**
+ * Loads the compiled truffle artifact of a contract.
+ * @dev Contracts must have been compiled with `npm run build`.
+ * @param {string} contractName The name of the contract, e.g. 'IdentityRegistry'.
+ * @return {Object} The artifact, including its abi and bytecode.
+ */
+function getArtifact (contractName) {
+  try {
+    return require(path.join(buildDirectory, `${contractName}.json`))
+  } catch (error) {
+    throw new Error(`Could not load the ${contractName} artifact, run \`npm run build\` first.`)
+  }
+}
+
+/**
+ * Creates a web3 contract instance for a deployed contract.
+ * @param {Web3} web3 A web3 instance.
+ * @param {string} contractName The name of the contract, e.g. 'IdentityRegistry'.
+ * @param {string} address The address of the deployed contract.
+ * @return {Contract} The web3 contract instance.
+ */
+function getContract (web3, contractName, address) {
+  return new web3.eth.Contract(getArtifact(contractName).abi, address)
+}
+
+module.exports = {
+  getArtifact: getArtifact,
+  getContract: getContract
+}
@@ -0,0 +1,143 @@
+const ethUtil = require('ethereumjs-util')
+const { soliditySha3 } = require('web3-utils')
+
+const { getContract } = require('./artifacts')
+const { decodeError } = require('./errors')
+const { isSigned, sign } = require('./messages')
+const IdentityRegistryClient = require('./IdentityRegistryClient')
+
+// the SCHEME_ECDSA constant of the ClaimResolver
+const SCHEME_ECDSA = 1
+
+/**
+ * Computes the ID of a claim, like ClaimResolver.getClaimId.
+ * @param {BN|number|string} ein The EIN the claim is about.
+ * @param {BN|number|string} issuerEin The EIN of the issuer.
+ * @param {BN|number|string} topic The topic of the claim.
+ * @return {string} The hex-encoded claim ID.
+ */
+function getClaimId (ein, issuerEin, topic) {
+  return soliditySha3(
+    { t: 'uint256', v: ein.toString() },
+    { t: 'uint256', v: issuerEin.toString() },
+    { t: 'uint256', v: topic.toString() }
+  )
+}
+
+/**
+ * Computes the hash an issuer signs, like ClaimResolver.getClaimHash.
+ * @param {string} claimResolver The address of the ClaimResolver.
+ * @param {Object} claim The {ein, topic, scheme, expiry, data} of the claim. scheme defaults to SCHEME_ECDSA, and
+ * expiry to 0 for claims that never expire.
+ * @return {string} The hex-encoded hash.
+ */
+function getClaimHash (claimResolver, claim) {
+  return soliditySha3(
+    { t: 'bytes1', v: '0x19' }, { t: 'bytes1', v: '0x00' }, { t: 'address', v: claimResolver },
+    { t: 'string', v: 'I attest to this claim.' },
+    { t: 'uint256', v: claim.ein.toString() },
+    { t: 'uint256', v: claim.topic.toString() },
+    { t: 'uint256', v: (claim.scheme || SCHEME_ECDSA).toString() },
+    { t: 'uint256', v: (claim.expiry || 0).toString() },
+    { t: 'bytes', v: claim.data }
+  )
+}
+
+/**
+ * Signs a claim as its issuer.
+ * @param {Web3} web3 A web3 instance.
+ * @param {string} claimResolver The address of the ClaimResolver.
+ * @param {Object} claim The {ein, topic, scheme, expiry, data} of the claim, see getClaimHash.
+ * @param {Object} signer The {address, privateKey, method} of the issuer, see messages.sign.
+ * @return {Promise<string>} The hex-encoded 65 byte r, s, v signature to pass to addClaim.
+ */
+async function signClaim (web3, claimResolver, claim, signer) {
+  const signature = await sign(
+    web3, getClaimHash(claimResolver, claim), signer.address, signer.privateKey, signer.method
+  )
+  return ethUtil.bufferToHex(Buffer.concat([
+    ethUtil.toBuffer(signature.r), ethUtil.toBuffer(signature.s), Buffer.from([signature.v])
+  ]))
+}
+
+// splits a 65 byte r, s, v signature into its components
+function splitSignature (signature) {
+  const buffer = ethUtil.toBuffer(signature)
+  if (buffer.length !== 65) return null
+  return {
+    r: ethUtil.bufferToHex(buffer.slice(0, 32)),
+    s: ethUtil.bufferToHex(buffer.slice(32, 64)),
+    v: buffer[64]
+  }
+}
+
+/**
+ * Verifies a claim end to end, independently of ClaimResolver.isClaimValid: recomputes its hash and checks the
+ * signature off-chain, then checks the issuer's association, trust, the revocations and the expiry.
+ * @dev Signatures of contract issuers are checked through the ClaimResolver's EIP-1271 support.
+ * @param {Object} config
+ * @param {Web3} config.web3 A web3 instance.
+ * @param {string} config.identityRegistry The address of the IdentityRegistry.
+ * @param {string} config.claimResolver The address of the ClaimResolver.
+ * @param {string} claimId The ID of the claim.
+ * @return {Promise<Object>} The {valid, errors, claim} of the verification. errors lists the codes of every failed
+ * check: CLAIM_DOES_NOT_EXIST, UNKNOWN_SCHEME, INVALID_SIGNATURE, ISSUER_NOT_ASSOCIATED, ISSUER_NOT_TRUSTED,
+ * CLAIM_REVOKED and CLAIM_EXPIRED. claim holds the {id, ein, issuerEin, topic, scheme, issuer, signature, data, uri,
+ * expiry, hash} of the claim, or null if it does not exist.
+ */
+async function verifyClaim (config, claimId) {
+  const { web3 } = config
+  const client = new IdentityRegistryClient(web3, config.identityRegistry)
+  const resolver = getContract(web3, 'ClaimResolver', config.claimResolver)
+
+  try {
+    const binding = await resolver.methods.getClaimBinding(claimId).call()
+    if (Number(binding.ein) === 0) return { valid: false, errors: ['CLAIM_DOES_NOT_EXIST'], claim: null }
+
+    const fields = await resolver.methods.getClaim(claimId).call()
+    const claim = {
+      id: claimId,
+      ein: binding.ein,
+      issuerEin: binding.issuerEin,
+      topic: fields.topic,
+      scheme: Number(fields.scheme),
+      issuer: fields.issuer,
+      signature: fields.signature,
+      data: fields.data,
+      uri: fields.uri,
+      expiry: Number(binding.expiry)
+    }
+    claim.hash = getClaimHash(config.claimResolver, claim)
+
+    const errors = []
+    if (claim.scheme !== SCHEME_ECDSA) errors.push('UNKNOWN_SCHEME')
+
+    const signature = splitSignature(claim.signature)
+    let signed = signature !== null && isSigned(claim.issuer, claim.hash, signature)
+    if (!signed && signature !== null && (await web3.eth.getCode(claim.issuer)) !== '0x') {
+      signed = await resolver.methods.isSigned(claim.issuer, claim.hash, signature.v, signature.r, signature.s).call()
+    }
+    if (!signed) errors.push('INVALID_SIGNATURE')
+
+    if (!(await client.isAssociatedAddressFor(claim.issuerEin, claim.issuer))) errors.push('ISSUER_NOT_ASSOCIATED')
+    if (!(await resolver.methods.isTrustedIssuer(claim.topic, claim.issuerEin).call())) {
+      errors.push('ISSUER_NOT_TRUSTED')
+    }
+    if (await resolver.methods.isRevoked(claim.issuerEin, claim.hash).call()) errors.push('CLAIM_REVOKED')
+
+    const now = Number((await web3.eth.getBlock('latest')).timestamp)
+    if (claim.expiry !== 0 && now >= claim.expiry) errors.push('CLAIM_EXPIRED')
+
+    return { valid: errors.length === 0, errors: errors, claim: claim }
+  } catch (error) {
+    throw decodeError(error)
+  }
+}
+
+module.exports = {
+  getClaimHash: getClaimHash,
+  getClaimId: getClaimId,
+  SCHEME_ECDSA: SCHEME_ECDSA,
+  signClaim: signClaim,
+  verifyClaim: verifyClaim
+}
@@ -0,0 +1,495 @@
+const fs = require('fs')
+const ethUtil = require('ethereumjs-util')
+
+const { getContract } = require('./artifacts')
+const deployments = require('./deployments')
+const { decodeError } = require('./errors')
+const { signMessage } = require('./messages')
+const { decodePurpose, encodePurpose, getKeyTypeName, keyTypes } = require('./publicKeys')
+const IdentityRegistryClient = require('./IdentityRegistryClient')
+const { RecoveryAssistant } = require('./RecoveryAssistant')
+
+const usage = `Usage: meta-identity <command> [arguments] [options]
+
+Commands:
+  create --recovery-address <address> [--providers <a,b>] [--resolvers <a,b>]
+  add-address <approvingAddress> <addressToAdd>
+  remove-address
+  providers add|remove <address...>
+  resolvers add|remove <address...>
+  recovery change-address <newRecoveryAddress>
+  recovery trigger <ein> <newAssociatedAddress>
+  destroy <ein> [--reset-resolvers] [--first-chunk <a,b> --last-chunk <a,b>]
+  identity [<ein>] [--catalog <address>]
+  service-key add <key> <symbol> [--expiry <timestamp>] [--scope <bitmap>]
+  service-key remove <key>
+  service-key list [<ein>]
+  public-key set [<publicKey>] [--type <type>] [--purpose <purpose>]
+  public-key remove <keyId>
+  public-key get [<address>]
+  public-key list [<ein>]
+
+Options:
+  --keystore <file>           The keystore of the account to send or sign with.
+  --password <password>       The keystore password, or set META_IDENTITY_PASSWORD.
+  --registry <address>        The IdentityRegistry, or set META_IDENTITY_REGISTRY.
+  --service-key-resolver <address>, --public-key-resolver <address>
+  --catalog <address>         The ResolverCatalog describing the providers and resolvers listed by identity.
+  --network <network>         Read contract addresses not passed as options from deployments/<network>.json.
+  --ein <ein>                 Act as a provider for this EIN (providers, resolvers and recovery change-address).
+  --sign                      Print the signature for the delegated variant instead of sending a transaction.
+  --signature <json>          Send the delegated variant with a signature printed by --sign.
+  --for <address>             The associated address that made the --signature.
+  --approving-signature <json>, --adding-signature <json>
+                              Send addAssociatedAddressDelegated with both signatures.
+  --from-block <block>        The block to search for recoveries from when computing destruction chunks.
+  --expiry <timestamp>        When a service key stops being valid, defaults to never (0).
+  --scope <bitmap>            What a service key may be used for, defaults to login (1).
+  --type <type>               The type of a public key: secp256k1 (the default), secp256k1-compressed, ed25519,
+                              x25519 or rsa. Only secp256k1 keys default to the key of the keystore.
+  --purpose <purpose>         What a public key is used for, defaults to authentication.
+  --rpc <url>                 The node to connect to, defaults to http://localhost:8545.`
+
+// options that never take a value
+const flags = ['sign', 'reset-resolvers', 'help']
+
+// An error caused by invalid arguments, printed along with the usage.
+class UsageError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'UsageError'
+  }
+}
+
+/**
+ * Splits command line arguments into positional arguments and --options.
+ * @param {string[]} argv The arguments, without the node and script paths.
+ * @return {Object} The {positional, options} of the arguments.
+ */
+function parseArgs (argv) {
+  const positional = []
+  const options = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i])
+      continue
+    }
+    const name = argv[i].slice(2)
+    if (flags.includes(name)) {
+      options[name] = true
+    } else {
+      if (i + 1 >= argv.length) throw new UsageError(`Missing value for --${name}.`)
+      options[name] = argv[++i]
+    }
+  }
+  return { positional: positional, options: options }
+}
+
+function splitList (value) {
+  return value ? value.split(',').filter(item => item !== '') : []
+}
+
+// accepts both a bare {v, r, s, timestamp} signature and the full output of --sign
+function parseSignature (value) {
+  let signature
+  try {
+    signature = JSON.parse(value)
+  } catch (error) {
+    throw new UsageError('Signatures must be JSON, as printed by --sign.')
+  }
+  return signature.signature || signature
+}
+
+/**
+ * Runs a command against a node.
+ * @param {string[]} argv The arguments, without the node and script paths.
+ * @param {Web3} web3 A web3 instance.
+ * @param {Object} [env] Environment variables, see usage.
+ * @return {Promise<Object>} The JSON-serializable result of the command.
+ */
+async function run (argv, web3, env) {
+  const { positional, options } = parseArgs(argv)
+  const context = new Context(web3, options, env || {})
+  const [command, ...args] = positional
+
+  if (options.help || command === undefined) return { usage: usage }
+
+  // own properties only, so that inherited ones such as toString are not run as commands
+  const has = (table, name) => Object.prototype.hasOwnProperty.call(table, name)
+  if (!has(commands, command)) throw new UsageError(`Unknown command '${command}'.`)
+  let handler = commands[command]
+  if (typeof handler !== 'function') {
+    const subcommand = args.shift()
+    if (!has(handler, subcommand)) throw new UsageError(`Unknown subcommand '${command} ${subcommand || ''}'.`)
+    handler = handler[subcommand]
+  }
+
+  try {
+    return await handler(context, args)
+  } finally {
+    context.close()
+  }
+}
+
+// Holds the options, account and contracts a command runs with.
+class Context {
+  constructor (web3, options, env) {
+    this.web3 = web3
+    this.options = options
+    this.env = env
+  }
+
+  option (name, envName) {
+    const value = this.options[name] !== undefined ? this.options[name] : envName && this.env[envName]
+    if (value === undefined) throw new UsageError(`Missing option --${name}.`)
+    return value
+  }
+
+  get account () {
+    if (!this._account) {
+      const keystore = JSON.parse(fs.readFileSync(this.option('keystore'), 'utf8'))
+      this._account = this.web3.eth.accounts.decrypt(keystore, this.option('password', 'META_IDENTITY_PASSWORD'))
+      this.web3.eth.accounts.wallet.add(this._account)
+    }
+    return this._account
+  }
+
+  // removes the keystore account from the wallet of the shared web3 instance
+  close () {
+    if (this._account) this.web3.eth.accounts.wallet.remove(this._account.address)
+  }
+
+  get signer () {
+    return { address: this.account.address, privateKey: this.account.privateKey }
+  }
+
+  // contract addresses come from options, then the environment, then the address book of --network
+  address (contractName, optionName, envName) {
+    if (this.options[optionName] === undefined && !(envName && this.env[envName]) && this.options.network) {
+      return deployments.getAddress(this.options.network, contractName)
+    }
+    return this.option(optionName, envName)
+  }
+
+  get client () {
+    if (!this._client) {
+      const address = this.address('IdentityRegistry', 'registry', 'META_IDENTITY_REGISTRY')
+      this._client = new IdentityRegistryClient(this.web3, address, { from: this.account.address })
+    }
+    return this._client
+  }
+
+  contract (contractName, optionName) {
+    return getContract(this.web3, contractName, this.address(contractName, optionName))
+  }
+
+  async ein () {
+    return this.options.ein !== undefined ? this.options.ein : (await this.client.getEIN(this.account.address)).toString()
+  }
+
+  // sends a transaction to a resolver, the registry is called through the client
+  async send (contract, method, args) {
+    try {
+      const transaction = contract.methods[method](...args)
+      const gas = await transaction.estimateGas({ from: this.account.address })
+      return await transaction.send({ from: this.account.address, gas: gas })
+    } catch (error) {
+      throw decodeError(error)
+    }
+  }
+
+  async sign (contractName, functionName, contractAddress, args) {
+    const signature = await signMessage(this.web3, contractName, functionName, contractAddress, args, this.signer)
+    return {
+      signer: this.account.address,
+      function: `${contractName}.${functionName}`,
+      args: args,
+      signature: signature
+    }
+  }
+}
+
+function transactionResult (receipt, extra) {
+  return Object.assign({ transactionHash: receipt.transactionHash }, extra)
+}
+
+// Identity Commands ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+async function create (context) {
+  const recoveryAddress = context.option('recovery-address')
+  const providers = splitList(context.options.providers)
+  const resolvers = splitList(context.options.resolvers)
+
+  if (context.options.sign) {
+    return context.sign('IdentityRegistry', 'createIdentityDelegated', context.client.address, {
+      recoveryAddress: recoveryAddress,
+      associatedAddress: context.account.address,
+      providers: providers,
+      resolvers: resolvers
+    })
+  }
+
+  const { ein, receipt } = context.options.signature !== undefined
+    ? await context.client.createIdentityDelegated(
+      recoveryAddress, context.option('for'), providers, resolvers, parseSignature(context.options.signature)
+    )
+    : await context.client.createIdentity(recoveryAddress, providers, resolvers)
+  return transactionResult(receipt, { ein: ein.toString() })
+}
+
+async function addAddress (context, [approvingAddress, addressToAdd]) {
+  if (addressToAdd === undefined) throw new UsageError('Expected <approvingAddress> <addressToAdd>.')
+
+  if (context.options.sign) {
+    const address = context.account.address.toLowerCase()
+    const functionName = address === approvingAddress.toLowerCase()
+      ? 'addAssociatedAddressByApprovingAddress'
+      : address === addressToAdd.toLowerCase() ? 'addAssociatedAddressByAddressToAdd' : undefined
+    if (functionName === undefined) throw new UsageError('The keystore account must be one of the two addresses.')
+
+    const ein = await context.client.getEIN(approvingAddress)
+    return context.sign('IdentityRegistry', functionName, context.client.address, {
+      ein: ein.toString(), addressToAdd: addressToAdd
+    })
+  }
+
+  const receipt = context.options['approving-signature'] !== undefined
+    ? await context.client.addAssociatedAddressDelegated(
+      approvingAddress, addressToAdd,
+      parseSignature(context.option('approving-signature')), parseSignature(context.option('adding-signature'))
+    )
+    : await context.client.addAssociatedAddress(
+      approvingAddress, addressToAdd, parseSignature(context.option('signature'))
+    )
+  return transactionResult(receipt)
+}
+
+async function removeAddress (context) {
+  if (context.options.sign) {
+    const ein = await context.client.getEIN(context.account.address)
+    return context.sign('IdentityRegistry', 'removeAssociatedAddressDelegated', context.client.address, {
+      ein: ein.toString(), addressToRemove: context.account.address
+    })
+  }
+
+  const receipt = context.options.signature !== undefined
+    ? await context.client.removeAssociatedAddressDelegated(
+      context.option('for'), parseSignature(context.options.signature)
+    )
+    : await context.client.removeAssociatedAddress()
+  return transactionResult(receipt)
+}
+
+// providers and resolvers are managed the same way, by associated addresses or by providers with --ein
+function membership (name) {
+  const manage = action => async (context, addresses) => {
+    if (addresses.length === 0) throw new UsageError(`Expected at least one ${name.slice(0, -1)} address.`)
+    const method = `${action}${name[0].toUpperCase()}${name.slice(1)}`
+    const receipt = context.options.ein !== undefined
+      ? await context.client[`${method}For`](context.options.ein, addresses)
+      : await context.client[method](addresses)
+    return transactionResult(receipt)
+  }
+  return { add: manage('add'), remove: manage('remove') }
+}
+
+// providers and resolvers are described from the ResolverCatalog when one is passed or recorded for --network
+async function showIdentity (context, [ein]) {
+  ein = ein || await context.ein()
+  if (context.options.catalog === undefined && context.options.network === undefined) {
+    return context.client.getIdentity(ein)
+  }
+  return context.client.describeIdentity(ein, context.address('ResolverCatalog', 'catalog'))
+}
+
+// Recovery Commands ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+async function changeRecoveryAddress (context, [newRecoveryAddress]) {
+  if (newRecoveryAddress === undefined) throw new UsageError('Expected <newRecoveryAddress>.')
+  const receipt = context.options.ein !== undefined
+    ? await context.client.triggerRecoveryAddressChangeFor(context.options.ein, newRecoveryAddress)
+    : await context.client.triggerRecoveryAddressChange(newRecoveryAddress)
+  return transactionResult(receipt)
+}
+
+async function triggerRecovery (context, [ein, newAssociatedAddress]) {
+  if (ein === undefined) throw new UsageError('Expected <ein>.')
+
+  if (context.options.sign) {
+    return context.sign('IdentityRegistry', 'triggerRecovery', context.client.address, {
+      ein: ein, newAssociatedAddress: context.account.address
+    })
+  }
+
+  if (newAssociatedAddress === undefined) throw new UsageError('Expected <ein> <newAssociatedAddress>.')
+  const { oldAssociatedAddresses, receipt } = await context.client.triggerRecovery(
+    ein, newAssociatedAddress, parseSignature(context.option('signature'))
+  )
+  return transactionResult(receipt, { oldAssociatedAddresses: oldAssociatedAddresses })
+}
+
+// chunks are computed from the latest RecoveryTriggered event unless passed explicitly
+async function destroy (context, [ein]) {
+  if (ein === undefined) throw new UsageError('Expected <ein>.')
+  const resetResolvers = Boolean(context.options['reset-resolvers'])
+
+  if (context.options['first-chunk'] !== undefined || context.options['last-chunk'] !== undefined) {
+    const receipt = await context.client.triggerDestruction(
+      ein, splitList(context.option('first-chunk')), splitList(context.option('last-chunk')), resetResolvers
+    )
+    return transactionResult(receipt)
+  }
+
+  const assistant = new RecoveryAssistant(context.web3, context.client.address, {
+    fromBlock: Number(context.options['from-block'] || 0)
+  })
+  const { receipt, firstChunk, lastChunk, deadline, warning } = await assistant.triggerDestruction(
+    ein, resetResolvers, { from: context.account.address }
+  )
+  return transactionResult(receipt, {
+    firstChunk: firstChunk,
+    lastChunk: lastChunk,
+    deadline: new Date(deadline * 1000).toISOString(),
+    warning: warning
+  })
+}
+
+// Resolver Commands ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+// runs a resolver function directly, signs its delegated variant with --sign, or sends that with --signature
+async function resolverCommand (context, contractName, optionName, functionName, args, signedArgs) {
+  const contract = context.contract(contractName, optionName)
+  const delegatedName = `${functionName}Delegated`
+
+  if (context.options.sign) {
+    const nonce = await contract.methods.nonceTracker(context.account.address).call()
+    return context.sign(contractName, delegatedName, contract.options.address, Object.assign({
+      associatedAddress: context.account.address, nonce: nonce
+    }, signedArgs))
+  }
+
+  if (context.options.signature !== undefined) {
+    const signature = parseSignature(context.options.signature)
+    return transactionResult(await context.send(contract, delegatedName, [
+      context.option('for'), ...args, signature.v, signature.r, signature.s, signature.timestamp
+    ]))
+  }
+
+  return transactionResult(await context.send(contract, functionName, args))
+}
+
+async function addServiceKey (context, [key, symbol]) {
+  if (symbol === undefined) throw new UsageError('Expected <key> <symbol>.')
+  if (context.options.expiry === undefined && context.options.scope === undefined) {
+    return resolverCommand(
+      context, 'ServiceKeyResolver', 'service-key-resolver', 'addKey', [key, symbol], { key: key, symbol: symbol }
+    )
+  }
+  const expiry = context.options.expiry || '0'
+  const scope = context.options.scope || '1'
+  return resolverCommand(
+    context, 'ServiceKeyResolver', 'service-key-resolver', 'addScopedKey', [key, symbol, expiry, scope],
+    { key: key, symbol: symbol, expiry: expiry, scope: scope }
+  )
+}
+
+async function removeServiceKey (context, [key]) {
+  if (key === undefined) throw new UsageError('Expected <key>.')
+  return resolverCommand(context, 'ServiceKeyResolver', 'service-key-resolver', 'removeKey', [key], { key: key })
+}
+
+async function listServiceKeys (context, [ein]) {
+  const contract = context.contract('ServiceKeyResolver', 'service-key-resolver')
+  ein = ein || await context.ein()
+  try {
+    const keys = await contract.methods.getKeys(ein).call()
+    return Promise.all(keys.map(async key => {
+      return {
+        key: key,
+        symbol: await contract.methods.getSymbol(key).call(),
+        expiry: await contract.methods.getExpiry(key).call(),
+        scope: await contract.methods.getScope(key).call()
+      }
+    }))
+  } catch (error) {
+    throw decodeError(error)
+  }
+}
+
+async function setPublicKey (context, [publicKey]) {
+  if (context.options.type === undefined && context.options.purpose === undefined) {
+    publicKey = publicKey || ethUtil.bufferToHex(ethUtil.privateToPublic(context.account.privateKey))
+    return resolverCommand(
+      context, 'PublicKeyResolver', 'public-key-resolver', 'addPublicKey', [publicKey], { publicKey: publicKey }
+    )
+  }
+  const typeName = context.options.type || 'secp256k1'
+  const keyType = keyTypes[typeName]
+  if (keyType === undefined) throw new UsageError(`Unknown key type ${typeName}.`)
+  if (publicKey === undefined) {
+    if (keyType !== keyTypes.secp256k1) throw new UsageError('Expected <publicKey>.')
+    publicKey = ethUtil.bufferToHex(ethUtil.privateToPublic(context.account.privateKey))
+  }
+  const purpose = encodePurpose(context.options.purpose || 'authentication')
+  return resolverCommand(
+    context, 'PublicKeyResolver', 'public-key-resolver', 'addKey', [keyType, purpose, publicKey],
+    { keyType: keyType, purpose: purpose, publicKey: publicKey }
+  )
+}
+
+async function removePublicKey (context, [keyId]) {
+  if (keyId === undefined) throw new UsageError('Expected <keyId>.')
+  return resolverCommand(
+    context, 'PublicKeyResolver', 'public-key-resolver', 'removeKey', [keyId], { keyId: keyId }
+  )
+}
+
+async function describePublicKeys (contract, keyIds) {
+  return Promise.all(keyIds.map(async keyId => {
+    const publicKey = await contract.methods.getKey(keyId).call()
+    return {
+      keyId: keyId,
+      address: publicKey.addr,
+      type: getKeyTypeName(publicKey.keyType),
+      purpose: decodePurpose(publicKey.purpose),
+      publicKey: publicKey.publicKey
+    }
+  }))
+}
+
+async function getPublicKey (context, [address]) {
+  const contract = context.contract('PublicKeyResolver', 'public-key-resolver')
+  address = address || context.account.address
+  const publicKey = await contract.methods.getPublicKey(address).call()
+  return { address: address, publicKey: publicKey && publicKey !== '0x' ? publicKey : null }
+}
+
+async function listPublicKeys (context, [ein]) {
+  const contract = context.contract('PublicKeyResolver', 'public-key-resolver')
+  ein = ein || await context.ein()
+  try {
+    return await describePublicKeys(contract, await contract.methods.getKeyIds(ein).call())
+  } catch (error) {
+    throw decodeError(error)
+  }
+}
+
+const commands = {
+  'create': create,
+  'add-address': addAddress,
+  'remove-address': removeAddress,
+  'providers': membership('providers'),
+  'resolvers': membership('resolvers'),
+  'recovery': { 'change-address': changeRecoveryAddress, 'trigger': triggerRecovery },
+  'destroy': destroy,
+  'identity': showIdentity,
+  'service-key': { add: addServiceKey, remove: removeServiceKey, list: listServiceKeys },
+  'public-key': { set: setPublicKey, remove: removePublicKey, get: getPublicKey, list: listPublicKeys }
+}
+
+module.exports = {
+  parseArgs: parseArgs,
+  run: run,
+  usage: usage,
+  UsageError: UsageError
+}
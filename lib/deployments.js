@@ -0,0 +1,101 @@
+const fs = require('fs')
+const path = require('path')
+
+const defaultDirectory = path.resolve(__dirname, '..', 'deployments')
+
+/**
+ * Gets the path of the address book of a network.
+ * @param {string} network The truffle network name, e.g. 'development'.
+ * @param {string} [directory] The directory of address books, deployments/ by default.
+ * @return {string} The path of deployments/<network>.json.
+ */
+function getFile (network, directory) {
+  return path.join(directory || defaultDirectory, `${network}.json`)
+}
+
+/**
+ * Loads the address book of a network.
+ * @return {Object} The {address, transactionHash, blockNumber, args} of each deployed contract keyed by contract name,
+ * or an empty object if nothing was deployed yet.
+ */
+function load (network, directory) {
+  const file = getFile(network, directory)
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+}
+
+function save (network, deployments, directory) {
+  const file = getFile(network, directory)
+  if (!fs.existsSync(path.dirname(file))) fs.mkdirSync(path.dirname(file))
+  fs.writeFileSync(file, `${JSON.stringify(deployments, null, 2)}\n`)
+}
+
+/**
+ * Gets the address of a deployed contract from the address book of a network.
+ * @param {string} network The truffle network name.
+ * @param {string} contractName The name of the contract, e.g. 'IdentityRegistry'.
+ * @param {string} [directory] The directory of address books, deployments/ by default.
+ * @return {string} The address of the contract.
+ */
+function getAddress (network, contractName, directory) {
+  const deployment = load(network, directory)[contractName]
+  if (!deployment) {
+    throw new Error(
+      `No ${contractName} deployment found for network ${network}, run \`truffle migrate --network ${network}\` first.`
+    )
+  }
+  return deployment.address
+}
+
+// constructor arguments are recorded as strings, with addresses lowercased so that checksums do not matter
+function normalizeArgs (args) {
+  return args.map(arg => Array.isArray(arg) ? normalizeArgs(arg) : String(arg).toLowerCase())
+}
+
+/**
+ * Deploys a contract from a migration unless the address book already has a deployment with code, and records it.
+ * @dev Skipped contracts are pointed at their recorded address, so that later migrations can use contract.address.
+ * Deployments recorded with other constructor arguments, e.g. for a registry that has since been redeployed, are
+ * replaced. Entries added by hand must record their args as well, or the migration fails.
+ * @param {Deployer} deployer The truffle deployer.
+ * @param {string} network The truffle network name.
+ * @param {TruffleContract} contract The truffle artifact to deploy.
+ * @param {Array} args The constructor arguments.
+ * @param {string} [directory] The directory of address books, deployments/ by default.
+ * @return {Promise<boolean>} Whether the contract was deployed, false if it was skipped.
+ */
+async function deploy (deployer, network, contract, args, directory) {
+  const deployments = load(network, directory)
+  const deployment = deployments[contract.contractName]
+
+  if (deployment && (await contract.web3.eth.getCode(deployment.address)) !== '0x') {
+    if (!deployment.args) {
+      throw new Error(
+        `The ${contract.contractName} deployment of network ${network} has no constructor args recorded, ` +
+        `add them to ${getFile(network, directory)} or remove the entry.`
+      )
+    }
+    if (JSON.stringify(normalizeArgs(deployment.args)) === JSON.stringify(normalizeArgs(args))) {
+      contract.address = deployment.address
+      return false
+    }
+  }
+
+  await deployer.deploy(contract, ...args)
+  const receipt = await contract.web3.eth.getTransactionReceipt(contract.transactionHash)
+  deployments[contract.contractName] = {
+    address: contract.address,
+    transactionHash: contract.transactionHash,
+    blockNumber: receipt.blockNumber,
+    args: normalizeArgs(args)
+  }
+  save(network, deployments, directory)
+  return true
+}
+
+module.exports = {
+  deploy: deploy,
+  getAddress: getAddress,
+  getFile: getFile,
+  load: load,
+  save: save
+}
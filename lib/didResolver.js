@@ -0,0 +1,153 @@
+const { toBN } = require('web3-utils')
+
+const { getContract } = require('./artifacts')
+const { decodeError } = require('./errors')
+const IdentityRegistryClient = require('./IdentityRegistryClient')
+const { decodePurpose, keyTypes } = require('./publicKeys')
+
+const zeroAddress = '0x0000000000000000000000000000000000000000'
+
+const keyType = 'Secp256k1VerificationKey2018'
+const authenticationType = 'Secp256k1SignatureAuthentication2018'
+
+// the DID document types of the PublicKeyResolver key types
+const documentKeyTypes = {
+  [keyTypes.secp256k1]: keyType,
+  [keyTypes['secp256k1-compressed']]: keyType,
+  [keyTypes.ed25519]: 'Ed25519VerificationKey2018',
+  [keyTypes.x25519]: 'X25519KeyAgreementKey2019',
+  [keyTypes.rsa]: 'RsaVerificationKey2018'
+}
+
+// uncompressed secp256k1 keys are stored without their 0x04 prefix
+function toPublicKeyHex (publicKey) {
+  return publicKey.keyType === keyTypes.secp256k1 ? `04${publicKey.publicKey.slice(2)}` : publicKey.publicKey.slice(2)
+}
+
+function isSecp256k1 (publicKey) {
+  return publicKey.keyType === keyTypes.secp256k1 || publicKey.keyType === keyTypes['secp256k1-compressed']
+}
+
+/**
+ * Parses the EIN out of a did:meta DID, which may be decimal or hex encoded.
+ * @param {string} id The method-specific id of the DID, e.g. '1' for 'did:meta:1'.
+ * @return {string} The decimal EIN, or undefined if the id is malformed.
+ */
+function parseEIN (id) {
+  if (!/^(0x[0-9a-fA-F]{1,64}|[0-9]+)$/.test(id)) return undefined
+  return toBN(id).toString()
+}
+
+/**
+ * Builds the DID document of an Identity.
+ * @param {string} did The DID of the Identity.
+ * @param {Object} identity The Identity, as returned by IdentityRegistryClient.getIdentity.
+ * @param {Object[]} publicKeys The {addr, keyType, purpose, publicKey} of each PublicKeyResolver key of the Identity.
+ * @param {Object[]} serviceKeys The {key, symbol} of each service key.
+ * @return {Object} The DID document.
+ */
+function buildDocument (did, identity, publicKeys, serviceKeys) {
+  const document = { '@context': 'https://w3id.org/did/v1', id: did, publicKey: [], authentication: [] }
+
+  if (identity.recoveryAddress !== zeroAddress) document.controller = `did:ethr:${identity.recoveryAddress}`
+
+  // associated addresses are listed with their first secp256k1 key, and the other keys after them
+  const otherKeys = publicKeys.slice()
+  identity.associatedAddresses.forEach((address, i) => {
+    const key = { id: `${did}#key-${i + 1}`, type: keyType, owner: did }
+    const index = otherKeys.findIndex(publicKey => isSecp256k1(publicKey) && publicKey.addr === address)
+    if (index !== -1) key.publicKeyHex = toPublicKeyHex(otherKeys.splice(index, 1)[0])
+    else key.ethereumAddress = address.toLowerCase()
+    document.publicKey.push(key)
+    document.authentication.push({ type: authenticationType, publicKey: key.id })
+  })
+
+  otherKeys.forEach((publicKey, i) => {
+    document.publicKey.push({
+      id: `${did}#public-key-${i + 1}`,
+      type: documentKeyTypes[publicKey.keyType],
+      owner: did,
+      publicKeyHex: toPublicKeyHex(publicKey),
+      purpose: publicKey.purpose
+    })
+  })
+
+  serviceKeys.forEach((serviceKey, i) => {
+    const key = {
+      id: `${did}#service-key-${i + 1}`,
+      type: keyType,
+      owner: did,
+      ethereumAddress: serviceKey.key.toLowerCase(),
+      symbol: serviceKey.symbol
+    }
+    document.publicKey.push(key)
+    document.authentication.push({ type: authenticationType, publicKey: key.id })
+  })
+
+  return document
+}
+
+/**
+ * Creates a resolver for did:meta DIDs, to be passed to the did-resolver Resolver.
+ * @param {Object} config
+ * @param {Web3} config.web3 A web3 instance.
+ * @param {string} config.identityRegistry The address of the IdentityRegistry.
+ * @param {string} [config.publicKeyResolver] The address of the PublicKeyResolver, to include public keys.
+ * @param {string} [config.serviceKeyResolver] The address of the ServiceKeyResolver, to include service keys.
+ * @return {Object} The resolver registry entry, i.e. {meta: resolve}.
+ */
+function getResolver (config) {
+  const client = new IdentityRegistryClient(config.web3, config.identityRegistry)
+  const publicKeyResolver = config.publicKeyResolver &&
+    getContract(config.web3, 'PublicKeyResolver', config.publicKeyResolver)
+  const serviceKeyResolver = config.serviceKeyResolver &&
+    getContract(config.web3, 'ServiceKeyResolver', config.serviceKeyResolver)
+
+  async function getPublicKeys (ein, identity) {
+    if (!publicKeyResolver) return []
+    const keyIds = await publicKeyResolver.methods.getKeyIds(ein).call()
+    const publicKeys = await Promise.all(keyIds.map(async keyId => {
+      const publicKey = await publicKeyResolver.methods.getKey(keyId).call()
+      return {
+        addr: publicKey.addr,
+        keyType: Number(publicKey.keyType),
+        purpose: decodePurpose(publicKey.purpose),
+        publicKey: publicKey.publicKey
+      }
+    }))
+    // keys of addresses that left the Identity are kept until it is synced
+    return publicKeys.filter(publicKey => identity.associatedAddresses.includes(publicKey.addr))
+  }
+
+  async function getServiceKeys (ein) {
+    if (!serviceKeyResolver) return []
+    const keys = await serviceKeyResolver.methods.getKeys(ein).call()
+    const serviceKeys = await Promise.all(keys.map(async key => {
+      // isKeyFor is false for expired keys
+      if (!(await serviceKeyResolver.methods.isKeyFor(key, ein).call())) return null
+      return { key: key, symbol: await serviceKeyResolver.methods.getSymbol(key).call() }
+    }))
+    return serviceKeys.filter(serviceKey => serviceKey !== null)
+  }
+
+  async function resolve (did, parsed) {
+    const ein = parseEIN(parsed.id)
+    if (ein === undefined || !(await client.identityExists(ein))) return null
+
+    try {
+      const identity = await client.getIdentity(ein)
+      const [publicKeys, serviceKeys] = await Promise.all([getPublicKeys(ein, identity), getServiceKeys(ein)])
+      return buildDocument(parsed.did, identity, publicKeys, serviceKeys)
+    } catch (error) {
+      throw decodeError(error)
+    }
+  }
+
+  return { meta: resolve }
+}
+
+module.exports = {
+  buildDocument: buildDocument,
+  getResolver: getResolver,
+  parseEIN: parseEIN
+}
@@ -0,0 +1,115 @@
+// Revert reasons mapped to stable error codes, so that callers never have to match on raw error messages.
+const codes = {
+  // IdentityRegistry
+  'Timestamp is not valid.': 'INVALID_TIMESTAMP',
+  'The identity does not exist.': 'IDENTITY_DOES_NOT_EXIST',
+  'The passed address does not have an identity but should.': 'ADDRESS_HAS_NO_IDENTITY',
+  'The passed address has an identity but should not.': 'ADDRESS_HAS_IDENTITY',
+  'The identity has not set the passed provider.': 'PROVIDER_NOT_SET',
+  'Permission denied.': 'PERMISSION_DENIED',
+  'Permission denied from approving address.': 'PERMISSION_DENIED_APPROVING_ADDRESS',
+  'Permission denied from address to add.': 'PERMISSION_DENIED_ADDRESS_TO_ADD',
+  'One or both of the passed addresses are malformed.': 'MALFORMED_ADDRESSES',
+  'Too many addresses.': 'TOO_MANY_ADDRESSES',
+  'Cannot trigger a change in recovery address yet.': 'RECOVERY_ADDRESS_CHANGE_TOO_SOON',
+  'Cannot trigger recovery yet.': 'RECOVERY_TOO_SOON',
+  'Only the current recovery address can trigger recovery.': 'NOT_RECOVERY_ADDRESS',
+  'Only the recently removed recovery address can trigger recovery.': 'NOT_OLD_RECOVERY_ADDRESS',
+  'Recovery has not recently been triggered.': 'RECOVERY_NOT_TRIGGERED',
+  'Cannot destroy an EIN from an address that was not recently removed from said EIN via recovery.':
+    'NOT_OLD_ASSOCIATED_ADDRESS',
+  // Governed
+  'Only the governor can call this function.': 'NOT_GOVERNOR',
+  'The parameter does not exist.': 'UNKNOWN_PARAMETER',
+  'The value is out of bounds.': 'PARAMETER_OUT_OF_BOUNDS',
+  'No change is pending.': 'NO_PENDING_PARAMETER_CHANGE',
+  'The change cannot be applied yet.': 'PARAMETER_CHANGE_TOO_SOON',
+  // MetaTransactionsProvider
+  'This Provider is not set for the given EIN.': 'PROVIDER_NOT_SET_FOR_EIN',
+  'Call was not successful.': 'CALL_FAILED',
+  // BatchProvider
+  'Malformed batch.': 'MALFORMED_BATCH',
+  'Malformed step.': 'MALFORMED_STEP',
+  'Function cannot be batched.': 'FUNCTION_NOT_BATCHABLE',
+  'Destination is not a resolver for the approving EIN.': 'NOT_RESOLVER_FOR_APPROVING_EIN',
+  'Resolver steps must act on the approving EIN.': 'STEP_NOT_FOR_APPROVING_EIN',
+  'The approving address does not have an identity.': 'APPROVING_ADDRESS_HAS_NO_IDENTITY'
+}
+
+// the code of BatchProvider reverts, whose reason is that of the failed step prefixed by "Step <index> failed"
+const BATCH_STEP_FAILED = 'BATCH_STEP_FAILED'
+
+// reverts without a reason, e.g. from eth_call on nodes that do not return revert reasons
+const REVERTED = 'REVERTED'
+
+// An error thrown when a contract call reverts.
+class RevertError extends Error {
+  /**
+   * @param {string} code The stable error code, see codes.
+   * @param {string} [reason] The revert reason, if the node returned one.
+   * @param {Error} [cause] The original error.
+   */
+  constructor (code, reason, cause) {
+    super(reason || 'Transaction reverted without a reason.')
+    this.name = 'RevertError'
+    this.code = code
+    this.reason = reason
+    this.cause = cause
+  }
+}
+
+// An error thrown when a step of a BatchProvider batch reverts, carrying the index and error code of the step.
+class BatchStepError extends RevertError {
+  /**
+   * @param {number} step The index of the step that reverted.
+   * @param {string} stepCode The stable error code of the step's own revert reason, see codes.
+   * @param {string} reason The revert reason of the batch.
+   * @param {Error} [cause] The original error.
+   */
+  constructor (step, stepCode, reason, cause) {
+    super(BATCH_STEP_FAILED, reason, cause)
+    this.name = 'BatchStepError'
+    this.step = step
+    this.stepCode = stepCode
+  }
+}
+
+// finds the code of a known revert reason in an error message
+function findCode (message) {
+  const reason = Object.keys(codes)
+    .sort((a, b) => b.length - a.length)
+    .find(reason => message.includes(reason))
+  return reason === undefined ? undefined : { code: codes[reason], reason: reason }
+}
+
+/**
+ * Converts an error thrown by web3 into a RevertError if it was caused by a revert.
+ * @dev Reasons are matched longest first, since some reasons are prefixes of others.
+ * @param {Error} error The error thrown by web3.
+ * @return {Error} A RevertError if the error was a revert, the original error otherwise.
+ */
+function decodeError (error) {
+  if (!error || typeof error.message !== 'string' || !error.message.includes('revert')) return error
+
+  const stepFailure = error.message.match(/Step ([0-9]+) failed(?:: (.+)|\.)$/m)
+  if (stepFailure) {
+    const known = stepFailure[2] === undefined ? undefined : findCode(stepFailure[2])
+    return new BatchStepError(Number(stepFailure[1]), known ? known.code : REVERTED, stepFailure[0], error)
+  }
+
+  const known = findCode(error.message)
+  if (known !== undefined) return new RevertError(known.code, known.reason, error)
+
+  // keep unknown reasons, e.g. from other contracts called by the registry
+  const unknownReason = (error.message.match(/revert (.+)$/) || [])[1]
+  return new RevertError(REVERTED, unknownReason, error)
+}
+
+module.exports = {
+  codes: codes,
+  REVERTED: REVERTED,
+  BATCH_STEP_FAILED: BATCH_STEP_FAILED,
+  RevertError: RevertError,
+  BatchStepError: BatchStepError,
+  decodeError: decodeError
+}
@@ -0,0 +1,184 @@
+const { hexToUtf8, toBN } = require('web3-utils')
+
+const { getContract } = require('./artifacts')
+const { decodeError } = require('./errors')
+
+const zeroAddress = '0x0000000000000000000000000000000000000000'
+
+const keyType = 'Secp256k1VerificationKey2018'
+const authenticationType = 'Secp256k1SignatureAuthentication2018'
+
+// the DID document key type suffixes of the purposes of did/pub attributes
+const attributeKeyPurposes = {
+  veriKey: 'VerificationKey2018',
+  sigAuth: 'SignatureAuthentication2018',
+  enc: 'KeyAgreementKey2019'
+}
+
+const base58Alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+function toBase58 (hex) {
+  let value = toBN(hex)
+  let encoded = ''
+  while (!value.isZero()) {
+    encoded = base58Alphabet[value.modn(58)] + encoded
+    value = value.divn(58)
+  }
+  // leading zero bytes are encoded as leading 1s
+  for (let i = 0; i < hex.length && hex.slice(i, i + 2) === '00'; i += 2) encoded = '1' + encoded
+  return encoded
+}
+
+// bytes32 names and delegate types are right-padded strings
+function bytes32ToString (bytes32) {
+  return hexToUtf8(bytes32).replace(/\0+$/, '')
+}
+
+/**
+ * Reads the change history of an ERC-1056 identity, by walking the linked list of blocks that starts at
+ * changed(identity) and continues through the previousChange of each DIDOwnerChanged, DIDDelegateChanged and
+ * DIDAttributeChanged event.
+ * @param {Object} config
+ * @param {Web3} config.web3 A web3 instance.
+ * @param {string} config.ethereumDIDRegistry The address of the EthereumDIDRegistry.
+ * @param {string} identity The ERC-1056 identity address.
+ * @return {Promise<Object[]>} The web3 events of the identity, oldest first.
+ */
+async function getHistory (config, identity) {
+  const registry = getContract(config.web3, 'EthereumDIDRegistry', config.ethereumDIDRegistry)
+  const history = []
+
+  let block = Number(await registry.methods.changed(identity).call())
+  while (block !== 0) {
+    const events = (await registry.getPastEvents('allEvents', { fromBlock: block, toBlock: block }))
+      .filter(event => event.returnValues.identity.toLowerCase() === identity.toLowerCase())
+      .sort((a, b) => a.logIndex - b.logIndex)
+    if (events.length === 0) break
+    history.unshift(...events)
+
+    // later events of the same block point back to the block itself, the first one to the previous change
+    const previousChange = Number(events[0].returnValues.previousChange)
+    block = previousChange < block ? previousChange : 0
+  }
+
+  return history
+}
+
+/**
+ * Builds the ethr-style DID document of an ERC-1056 identity from its history. Delegates and attributes whose validTo
+ * has passed are left out, which includes revoked ones.
+ * @param {string} identity The ERC-1056 identity address.
+ * @param {Object[]} history The events of the identity, oldest first, see getHistory.
+ * @param {number} now The current timestamp, in seconds.
+ * @return {Object} The DID document of did:ethr:<identity>.
+ */
+function buildDocument (identity, history, now) {
+  const did = `did:ethr:${identity.toLowerCase()}`
+  let owner = identity
+
+  const publicKeys = {}
+  const authentication = {}
+  const services = {}
+  let delegateCount = 0
+
+  history.forEach(event => {
+    const values = event.returnValues
+    if (event.event === 'DIDOwnerChanged') {
+      owner = values.owner
+      return
+    }
+
+    const key = event.event === 'DIDDelegateChanged'
+      ? `${event.event}-${values.delegateType}-${values.delegate}`
+      : `${event.event}-${values.name}-${values.value}`
+
+    if (Number(values.validTo) < now) {
+      delete publicKeys[key]
+      delete authentication[key]
+      delete services[key]
+      return
+    }
+
+    if (event.event === 'DIDDelegateChanged') {
+      const delegateType = bytes32ToString(values.delegateType)
+      if (delegateType !== 'veriKey' && delegateType !== 'sigAuth') return
+      delegateCount += 1
+      const id = `${did}#delegate-${delegateCount}`
+      publicKeys[key] = { id: id, type: keyType, owner: did, ethereumAddress: values.delegate.toLowerCase() }
+      if (delegateType === 'sigAuth') authentication[key] = { type: authenticationType, publicKey: id }
+      return
+    }
+
+    // attributes are named did/pub/<algorithm>/<purpose>/<encoding> or did/svc/<service type>
+    const match = bytes32ToString(values.name).match(/^did\/(pub|svc)\/(\w+)(\/(\w+))?(\/(\w+))?$/)
+    if (!match) return
+    const value = values.value || '0x'
+
+    if (match[1] === 'svc') {
+      services[key] = { type: match[2], serviceEndpoint: hexToUtf8(value) }
+      return
+    }
+
+    delegateCount += 1
+    const publicKey = {
+      id: `${did}#delegate-${delegateCount}`,
+      type: `${match[2]}${attributeKeyPurposes[match[4]] || attributeKeyPurposes.veriKey}`,
+      owner: did
+    }
+    switch (match[6]) {
+      case 'base64':
+        publicKey.publicKeyBase64 = Buffer.from(value.slice(2), 'hex').toString('base64')
+        break
+      case 'base58':
+        publicKey.publicKeyBase58 = toBase58(value)
+        break
+      default:
+        publicKey.publicKeyHex = value.slice(2)
+    }
+    publicKeys[key] = publicKey
+  })
+
+  const document = {
+    '@context': 'https://w3id.org/did/v1',
+    id: did,
+    publicKey: [
+      { id: `${did}#owner`, type: keyType, owner: did, ethereumAddress: owner.toLowerCase() }
+    ].concat(Object.values(publicKeys)),
+    authentication: [{ type: authenticationType, publicKey: `${did}#owner` }].concat(Object.values(authentication))
+  }
+  if (Object.keys(services).length > 0) document.service = Object.values(services)
+  return document
+}
+
+/**
+ * Resolves an ERC-1056 DID an EIN bound with the ERC1056 resolver to its DID document.
+ * @param {Object} config
+ * @param {Web3} config.web3 A web3 instance.
+ * @param {string} config.erc1056 The address of the ERC1056 resolver.
+ * @param {string} config.ethereumDIDRegistry The address of the EthereumDIDRegistry the resolver writes to.
+ * @param {BN|number|string} ein The EIN.
+ * @param {string} [label] The bytes32 label the DID was bound under with bindDID, the DID bound with initialize if
+ * omitted.
+ * @return {Promise<Object>} The DID document, or null if the EIN has no DID bound under the label.
+ */
+async function resolveEIN (config, ein, label) {
+  const erc1056 = getContract(config.web3, 'ERC1056', config.erc1056)
+  try {
+    const identity = label === undefined
+      ? await erc1056.methods.einToDID(ein.toString()).call()
+      : await erc1056.methods.getDID(ein.toString(), label).call()
+    if (identity === zeroAddress) return null
+
+    const history = await getHistory(config, identity)
+    const now = Number((await config.web3.eth.getBlock('latest')).timestamp)
+    return buildDocument(identity, history, now)
+  } catch (error) {
+    throw decodeError(error)
+  }
+}
+
+module.exports = {
+  buildDocument: buildDocument,
+  getHistory: getHistory,
+  resolveEIN: resolveEIN
+}
@@ -0,0 +1,267 @@
+const ethUtil = require('ethereumjs-util')
+const { soliditySha3 } = require('web3-utils')
+
+// The messages that must be signed to call delegated functions, keyed by contract and function name. Every message is
+// hashed as `0x19 0x00 <contract address>` followed by the listed entries: strings are hashed as literals, and
+// [name, type] pairs are filled in from the named arguments passed to the builder.
+const formats = {
+  IdentityRegistry: {
+    createIdentityDelegated: [
+      'I authorize the creation of an Identity on my behalf.',
+      ['recoveryAddress', 'address'], ['associatedAddress', 'address'],
+      ['providers', 'address[]'], ['resolvers', 'address[]'], ['timestamp', 'uint256']
+    ],
+    // signed by the approving address, used by addAssociatedAddress and addAssociatedAddressDelegated
+    addAssociatedAddressByApprovingAddress: [
+      'I authorize adding this address to my Identity.',
+      ['ein', 'uint256'], ['addressToAdd', 'address'], ['timestamp', 'uint256']
+    ],
+    // signed by the address to add, used by addAssociatedAddress and addAssociatedAddressDelegated
+    addAssociatedAddressByAddressToAdd: [
+      'I authorize being added to this Identity.',
+      ['ein', 'uint256'], ['addressToAdd', 'address'], ['timestamp', 'uint256']
+    ],
+    removeAssociatedAddressDelegated: [
+      'I authorize removing this address from my Identity.',
+      ['ein', 'uint256'], ['addressToRemove', 'address'], ['timestamp', 'uint256']
+    ],
+    triggerRecovery: [
+      'I authorize being added to this Identity via recovery.',
+      ['ein', 'uint256'], ['newAssociatedAddress', 'address'], ['timestamp', 'uint256']
+    ]
+  },
+  PublicKeyResolver: {
+    addPublicKeyDelegated: [
+      'I authorize the addition of a public key on my behalf.',
+      ['associatedAddress', 'address'], ['publicKey', 'bytes'], ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ],
+    removePublicKeyDelegated: [
+      'I authorize the removal of a public key on my behalf.',
+      ['associatedAddress', 'address'], ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ],
+    addKeyDelegated: [
+      'I authorize the addition of a typed public key on my behalf.',
+      ['associatedAddress', 'address'], ['keyType', 'uint256'], ['purpose', 'bytes32'], ['publicKey', 'bytes'],
+      ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ],
+    removeKeyDelegated: [
+      'I authorize the removal of a typed public key on my behalf.',
+      ['associatedAddress', 'address'], ['keyId', 'bytes32'], ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ],
+    addRecoveredPublicKey: [
+      'I authorize the addition of my recovered public key.',
+      ['associatedAddress', 'address'], ['purpose', 'bytes32'], ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ]
+  },
+  ServiceKeyResolver: {
+    addKeyDelegated: [
+      'I authorize the addition of a service key on my behalf.',
+      ['key', 'address'], ['symbol', 'string'], ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ],
+    addScopedKeyDelegated: [
+      'I authorize the addition of a scoped service key on my behalf.',
+      ['key', 'address'], ['symbol', 'string'], ['expiry', 'uint256'], ['scope', 'uint256'], ['nonce', 'uint256'],
+      ['timestamp', 'uint256']
+    ],
+    removeKeyDelegated: [
+      'I authorize the removal of a service key on my behalf.',
+      ['key', 'address'], ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ],
+    removeKeysDelegated: [
+      'I authorize the removal of all service keys on my behalf.',
+      ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ]
+  },
+  ERC725RegistryResolver: {
+    create725Delegated: [
+      'I authorize the creation of an ERC-725 identity on my behalf.',
+      ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ],
+    claim725Delegated: [
+      'I authorize linking this ERC-725 identity to my Identity.',
+      ['contract', 'address'], ['nonce', 'uint256'], ['timestamp', 'uint256']
+    ]
+  },
+  MetaTransactionsProvider: {
+    callViaProxyDelegated: [
+      'I authorize this call.',
+      ['ein', 'uint256'], ['destination', 'address'], ['data', 'bytes'], ['viaExternal', 'bool'], ['nonce', 'uint256']
+    ]
+  },
+  BatchProvider: {
+    executeBatchDelegated: [
+      'I authorize this batch.',
+      ['approvingAddress', 'address'], ['destinations', 'address[]'], ['data', 'bytes'], ['dataLengths', 'uint256[]'],
+      ['nonce', 'uint256']
+    ]
+  },
+  ERC1056: {
+    changeOwnerDelegated: [
+      'changeOwnerDelegated',
+      ['newOwner', 'address'], ['nonce', 'uint256']
+    ],
+    addDelegateDelegated: [
+      'addDelegateDelegated',
+      ['delegateType', 'bytes32'], ['delegate', 'address'], ['validity', 'uint256'], ['nonce', 'uint256']
+    ],
+    revokeDelegateDelegated: [
+      'revokeDelegateDelegated',
+      ['delegateType', 'bytes32'], ['delegate', 'address'], ['nonce', 'uint256']
+    ],
+    setAttributeDelegated: [
+      'setAttributeDelegated',
+      ['name', 'bytes32'], ['value', 'bytes'], ['validity', 'uint256'], ['nonce', 'uint256']
+    ],
+    revokeAttributeDelegated: [
+      'revokeAttributeDelegated',
+      ['name', 'bytes32'], ['value', 'bytes'], ['nonce', 'uint256']
+    ],
+    // the labelled variants, acting on the DID bound under the label with bindDID
+    changeDIDOwnerDelegated: [
+      'changeDIDOwnerDelegated',
+      ['label', 'bytes32'], ['newOwner', 'address'], ['nonce', 'uint256']
+    ],
+    addDIDDelegateDelegated: [
+      'addDIDDelegateDelegated',
+      ['label', 'bytes32'], ['delegateType', 'bytes32'], ['delegate', 'address'], ['validity', 'uint256'],
+      ['nonce', 'uint256']
+    ],
+    revokeDIDDelegateDelegated: [
+      'revokeDIDDelegateDelegated',
+      ['label', 'bytes32'], ['delegateType', 'bytes32'], ['delegate', 'address'], ['nonce', 'uint256']
+    ],
+    setDIDAttributeDelegated: [
+      'setDIDAttributeDelegated',
+      ['label', 'bytes32'], ['name', 'bytes32'], ['value', 'bytes'], ['validity', 'uint256'], ['nonce', 'uint256']
+    ],
+    revokeDIDAttributeDelegated: [
+      'revokeDIDAttributeDelegated',
+      ['label', 'bytes32'], ['name', 'bytes32'], ['value', 'bytes'], ['nonce', 'uint256']
+    ]
+  },
+  EthereumDIDRegistry: {
+    // signed by the DID's current owner, needed by ERC1056.initialize
+    changeOwnerSigned: [
+      ['nonce', 'uint256'], ['identity', 'address'], 'changeOwner', ['newOwner', 'address']
+    ]
+  }
+}
+
+function getFormat (contractName, functionName) {
+  const format = formats[contractName] && formats[contractName][functionName]
+  if (!format) throw new Error(`Unknown delegated function ${contractName}.${functionName}.`)
+  return format
+}
+
+function usesTimestamp (format) {
+  return format.some(entry => Array.isArray(entry) && entry[0] === 'timestamp')
+}
+
+/**
+ * Builds the hash that must be signed to call a delegated function.
+ * @param {string} contractName The name of the contract, e.g. 'IdentityRegistry'.
+ * @param {string} functionName The name of the delegated function, e.g. 'createIdentityDelegated'.
+ * @param {string} contractAddress The address of the deployed contract.
+ * @param {Object} args The message arguments, keyed by name.
+ * @return {string} The hex-encoded message hash.
+ */
+function hashMessage (contractName, functionName, contractAddress, args) {
+  const values = getFormat(contractName, functionName).map(entry => {
+    if (typeof entry === 'string') return { t: 'string', v: entry }
+
+    const [name, type] = entry
+    if (args[name] === undefined) throw new Error(`Missing argument '${name}' for ${contractName}.${functionName}.`)
+    return { t: type, v: args[name] }
+  })
+
+  return soliditySha3({ t: 'bytes1', v: '0x19' }, { t: 'bytes1', v: '0x00' }, contractAddress, ...values)
+}
+
+/**
+ * Signs a message hash with either the node (prefixed) or a raw private key (unprefixed).
+ * @param {Web3} web3 A web3 instance, only used for prefixed signatures.
+ * @param {string} messageHash The hash to sign.
+ * @param {string} address The signing address.
+ * @param {string} privateKey The private key of the signing address, only used for unprefixed signatures.
+ * @param {string} [method] 'prefixed' to sign via eth_sign, unprefixed otherwise.
+ * @return {Promise<Object>} The {v, r, s} components of the signature.
+ */
+async function sign (web3, messageHash, address, privateKey, method) {
+  if (method === 'prefixed') {
+    const concatenatedSignature = await web3.eth.sign(messageHash, address)
+    let strippedSignature = ethUtil.stripHexPrefix(concatenatedSignature)
+    let signature = {
+      r: ethUtil.addHexPrefix(strippedSignature.substr(0, 64)),
+      s: ethUtil.addHexPrefix(strippedSignature.substr(64, 64)),
+      v: parseInt(ethUtil.addHexPrefix(strippedSignature.substr(128, 2)))
+    }
+    // nodes return v as either 0/1 or 27/28
+    if (signature.v < 27) signature.v += 27
+    return signature
+  }
+
+  let signature = ethUtil.ecsign(
+    Buffer.from(ethUtil.stripHexPrefix(messageHash), 'hex'),
+    Buffer.from(ethUtil.stripHexPrefix(privateKey), 'hex')
+  )
+  signature.r = ethUtil.bufferToHex(signature.r)
+  signature.s = ethUtil.bufferToHex(signature.s)
+  signature.v = parseInt(ethUtil.bufferToHex(signature.v))
+  return signature
+}
+
+/**
+ * Builds and signs the message for a delegated function.
+ * @dev If the message includes a timestamp and none is passed, the current time less one second is used.
+ * @param {Web3} web3 A web3 instance.
+ * @param {string} contractName The name of the contract, e.g. 'IdentityRegistry'.
+ * @param {string} functionName The name of the delegated function, e.g. 'createIdentityDelegated'.
+ * @param {string} contractAddress The address of the deployed contract.
+ * @param {Object} args The message arguments, keyed by name.
+ * @param {Object} signer The {address, privateKey, method} to sign with, see sign.
+ * @return {Promise<Object>} The {v, r, s} components of the signature, and the signed timestamp if any.
+ */
+async function signMessage (web3, contractName, functionName, contractAddress, args, signer) {
+  const format = getFormat(contractName, functionName)
+  const messageArgs = Object.assign({}, args)
+  if (usesTimestamp(format) && messageArgs.timestamp === undefined) {
+    messageArgs.timestamp = Math.round(new Date() / 1000) - 1
+  }
+
+  const messageHash = hashMessage(contractName, functionName, contractAddress, messageArgs)
+  const signature = await sign(web3, messageHash, signer.address, signer.privateKey, signer.method)
+  if (usesTimestamp(format)) signature.timestamp = messageArgs.timestamp
+
+  return signature
+}
+
+/**
+ * Checks a signature off-chain the way SignatureVerifier.isSigned does, accepting prefixed and unprefixed signatures.
+ * @param {string} address The expected signer.
+ * @param {string} messageHash The signed hash.
+ * @param {Object} signature The {v, r, s} components of the signature.
+ * @return {boolean} Whether the hash was signed by the address.
+ */
+function isSigned (address, messageHash, signature) {
+  const hash = Buffer.from(ethUtil.stripHexPrefix(messageHash), 'hex')
+  const prefixedHash = ethUtil.hashPersonalMessage(hash)
+
+  return [hash, prefixedHash].some(candidate => {
+    try {
+      const publicKey = ethUtil.ecrecover(
+        candidate, Number(signature.v), ethUtil.toBuffer(signature.r), ethUtil.toBuffer(signature.s)
+      )
+      return ethUtil.bufferToHex(ethUtil.pubToAddress(publicKey)) === address.toLowerCase()
+    } catch (error) {
+      return false
+    }
+  })
+}
+
+module.exports = {
+  formats: formats,
+  hashMessage: hashMessage,
+  isSigned: isSigned,
+  sign: sign,
+  signMessage: signMessage
+}
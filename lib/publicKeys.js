@@ -0,0 +1,99 @@
+const ethUtil = require('ethereumjs-util')
+const { hexToUtf8, padRight, soliditySha3, utf8ToHex } = require('web3-utils')
+
+const { sign } = require('./messages')
+
+// The KEY_TYPE constants of the PublicKeyResolver, keyed by the names the CLI accepts.
+const keyTypes = {
+  secp256k1: 1,
+  'secp256k1-compressed': 2,
+  ed25519: 3,
+  x25519: 4,
+  rsa: 5
+}
+
+/**
+ * Finds the name of a key type.
+ * @param {number|string} keyType The KEY_TYPE constant.
+ * @return {string} The name of the type, see keyTypes, or undefined if the type is unknown.
+ */
+function getKeyTypeName (keyType) {
+  return Object.keys(keyTypes).find(name => keyTypes[name] === Number(keyType))
+}
+
+/**
+ * Encodes a purpose tag, e.g. 'authentication', as the bytes32 stored by the PublicKeyResolver.
+ * @param {string} purpose The purpose, of at most 32 bytes.
+ * @return {string} The hex-encoded bytes32.
+ */
+function encodePurpose (purpose) {
+  const encoded = utf8ToHex(purpose)
+  if (encoded.length > 66) throw new Error(`The purpose '${purpose}' is longer than 32 bytes.`)
+  return padRight(encoded, 64)
+}
+
+/**
+ * Decodes a bytes32 purpose tag.
+ * @param {string} purpose The hex-encoded bytes32.
+ * @return {string} The purpose, without trailing zero bytes.
+ */
+function decodePurpose (purpose) {
+  return hexToUtf8(purpose.replace(/(00)+$/, ''))
+}
+
+/**
+ * Computes the ID of a public key, like PublicKeyResolver.getKeyId.
+ * @dev Compressed secp256k1 keys get the ID of their uncompressed form.
+ * @param {number|string} keyType The KEY_TYPE constant.
+ * @param {string} publicKey The hex-encoded key.
+ * @return {string} The hex-encoded key ID.
+ */
+function getKeyId (keyType, publicKey) {
+  if (Number(keyType) === keyTypes['secp256k1-compressed']) {
+    keyType = keyTypes.secp256k1
+    publicKey = ethUtil.bufferToHex(ethUtil.importPublic(ethUtil.toBuffer(publicKey)))
+  }
+  return soliditySha3({ t: 'uint256', v: keyType }, { t: 'bytes', v: publicKey })
+}
+
+/**
+ * Recovers the public key that signed a message hash, like PublicKeyResolver.recoverPublicKey.
+ * @param {string} messageHash The hash that was signed.
+ * @param {Object} signature The {v, r, s} components of the signature.
+ * @param {string} [method] 'prefixed' if the hash was signed via eth_sign or personal_sign, see messages.sign.
+ * @return {string} The hex-encoded 64 byte public key.
+ */
+function recoverPublicKey (messageHash, signature, method) {
+  let hash = ethUtil.toBuffer(messageHash)
+  if (method === 'prefixed') hash = ethUtil.hashPersonalMessage(hash)
+  return ethUtil.bufferToHex(
+    ethUtil.ecrecover(hash, signature.v, ethUtil.toBuffer(signature.r), ethUtil.toBuffer(signature.s))
+  )
+}
+
+/**
+ * Derives the public key of an address from a signature of its wallet, for wallets that do not export public keys.
+ * @dev The wallet is asked to eth_sign a hash naming the address, which is not a message of any contract.
+ * @param {Web3} web3 A web3 instance, whose node or provider holds the address.
+ * @param {string} address The address.
+ * @return {Promise<string>} The hex-encoded 64 byte public key.
+ */
+async function derivePublicKey (web3, address) {
+  const messageHash = soliditySha3('Reveal the public key of', { t: 'address', v: address })
+  const signature = await sign(web3, messageHash, address, undefined, 'prefixed')
+  const publicKey = recoverPublicKey(messageHash, signature, 'prefixed')
+  if (ethUtil.bufferToHex(ethUtil.pubToAddress(publicKey)) !== address.toLowerCase()) {
+    throw new Error(`The signature was not made by ${address}.`)
+  }
+  return publicKey
+}
+
+module.exports = {
+  decodePurpose: decodePurpose,
+  derivePublicKey: derivePublicKey,
+  encodePurpose: encodePurpose,
+  getKeyId: getKeyId,
+  getKeyTypeName: getKeyTypeName,
+  keyTypes: keyTypes,
+  recoverPublicKey: recoverPublicKey
+}
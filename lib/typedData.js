@@ -0,0 +1,181 @@
+const ethUtil = require('ethereumjs-util')
+const { padLeft, padRight, toBN } = require('web3-utils')
+
+const { formats } = require('./messages')
+
+// The EIP-712 struct signed by the typed variant of each delegated function, keyed like the formats in messages.js.
+// Structs have the same fields as the raw messages, without the sentences.
+const primaryTypes = {
+  IdentityRegistry: {
+    createIdentityDelegated: 'CreateIdentity',
+    addAssociatedAddressByApprovingAddress: 'AddAssociatedAddress',
+    addAssociatedAddressByAddressToAdd: 'JoinIdentity',
+    removeAssociatedAddressDelegated: 'RemoveAssociatedAddress',
+    triggerRecovery: 'TriggerRecovery'
+  },
+  PublicKeyResolver: {
+    addPublicKeyDelegated: 'AddPublicKey',
+    removePublicKeyDelegated: 'RemovePublicKey',
+    addKeyDelegated: 'AddKey',
+    removeKeyDelegated: 'RemoveKey'
+  },
+  ServiceKeyResolver: {
+    addKeyDelegated: 'AddKey',
+    addScopedKeyDelegated: 'AddScopedKey',
+    removeKeyDelegated: 'RemoveKey',
+    removeKeysDelegated: 'RemoveKeys'
+  },
+  MetaTransactionsProvider: {
+    callViaProxyDelegated: 'CallViaProxy'
+  }
+}
+
+// chainId is left out, see SignatureVerifier.sol
+const domainType = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'verifyingContract', type: 'address' }
+]
+
+function getPrimaryType (contractName, functionName) {
+  const primaryType = primaryTypes[contractName] && primaryTypes[contractName][functionName]
+  if (!primaryType) throw new Error(`Unknown typed delegated function ${contractName}.${functionName}.`)
+  return primaryType
+}
+
+/**
+ * Builds the eth_signTypedData payload for the typed variant of a delegated function.
+ * @param {string} contractName The name of the contract, e.g. 'IdentityRegistry'.
+ * @param {string} functionName The name of the delegated function, e.g. 'createIdentityDelegated'.
+ * @param {string} contractAddress The address of the deployed contract.
+ * @param {Object} args The message arguments, keyed by name.
+ * @return {Object} The {types, domain, primaryType, message} to sign.
+ */
+function buildTypedData (contractName, functionName, contractAddress, args) {
+  const primaryType = getPrimaryType(contractName, functionName)
+  const fields = formats[contractName][functionName]
+    .filter(entry => Array.isArray(entry))
+    .map(([name, type]) => { return { name: name, type: type } })
+
+  const message = {}
+  fields.forEach(({ name }) => {
+    if (args[name] === undefined) throw new Error(`Missing argument '${name}' for ${contractName}.${functionName}.`)
+    message[name] = args[name]
+  })
+
+  return {
+    types: { EIP712Domain: domainType, [primaryType]: fields },
+    domain: { name: contractName, version: '1', verifyingContract: contractAddress },
+    primaryType: primaryType,
+    message: message
+  }
+}
+
+// hashes a hex string or a buffer, web3-utils would return null for empty values
+function keccak256 (data) {
+  return ethUtil.bufferToHex(ethUtil.keccak256(ethUtil.toBuffer(data)))
+}
+
+function encodeType (types, typeName) {
+  return `${typeName}(${types[typeName].map(({ name, type }) => `${type} ${name}`).join(',')})`
+}
+
+// encodes a value as a 32 byte word, as abi.encode does for the atomic types of EIP-712
+function encodeValue (type, value) {
+  if (type.endsWith('[]')) {
+    return keccak256(`0x${value.map(element => encodeValue(type.slice(0, -2), element).slice(2)).join('')}`)
+  }
+  switch (type) {
+    case 'string':
+      return keccak256(Buffer.from(value, 'utf8'))
+    case 'bytes':
+      return keccak256(value)
+    case 'bool':
+      return padLeft(value ? '0x1' : '0x0', 64)
+    case 'address':
+      return padLeft(value.toLowerCase(), 64)
+    case 'bytes32':
+      return padRight(value.toLowerCase(), 64)
+    default:
+      if (!/^uint\d*$/.test(type)) throw new Error(`Unsupported type ${type}.`)
+      return padLeft(`0x${toBN(value).toString(16)}`, 64)
+  }
+}
+
+function hashStruct (types, typeName, data) {
+  const encoded = [keccak256(Buffer.from(encodeType(types, typeName), 'utf8'))]
+    .concat(types[typeName].map(({ name, type }) => encodeValue(type, data[name])))
+  return keccak256(`0x${encoded.map(word => word.slice(2)).join('')}`)
+}
+
+/**
+ * Hashes an eth_signTypedData payload as defined by EIP-712, i.e. like SignatureVerifier.hashTypedData.
+ * @dev Only supports the flat structs built by buildTypedData.
+ * @param {Object} typedData The {types, domain, primaryType, message} to hash.
+ * @return {string} The hex-encoded hash that is signed.
+ */
+function hashTypedData (typedData) {
+  return keccak256(
+    `0x1901${hashStruct(typedData.types, 'EIP712Domain', typedData.domain).slice(2)}` +
+    hashStruct(typedData.types, typedData.primaryType, typedData.message).slice(2)
+  )
+}
+
+/**
+ * Signs an eth_signTypedData payload with either the node or a raw private key.
+ * @param {Web3} web3 A web3 instance, only used if no private key is passed.
+ * @param {Object} typedData The {types, domain, primaryType, message} to sign.
+ * @param {Object} signer The {address, privateKey} to sign with, eth_signTypedData is sent to the node if the private
+ * key is omitted.
+ * @return {Promise<Object>} The {v, r, s} components of the signature.
+ */
+function signTypedData (web3, typedData, signer) {
+  if (signer.privateKey) {
+    const signature = ethUtil.ecsign(
+      ethUtil.toBuffer(hashTypedData(typedData)), ethUtil.toBuffer(ethUtil.addHexPrefix(signer.privateKey))
+    )
+    return Promise.resolve({
+      v: signature.v, r: ethUtil.bufferToHex(signature.r), s: ethUtil.bufferToHex(signature.s)
+    })
+  }
+
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0', method: 'eth_signTypedData', params: [signer.address, typedData], id: new Date().getTime()
+    }, (error, response) => {
+      if (error || response.error) return reject(error || new Error(response.error.message))
+      const { v, r, s } = ethUtil.fromRpcSig(response.result)
+      return resolve({ v: v, r: ethUtil.bufferToHex(r), s: ethUtil.bufferToHex(s) })
+    })
+  })
+}
+
+/**
+ * Builds and signs the typed message for the typed variant of a delegated function, see signMessage.
+ * @return {Promise<Object>} The {v, r, s} components of the signature, the signed timestamp if any, and typed: true
+ * so that IdentityRegistryClient calls the typed variant.
+ */
+async function signTypedMessage (web3, contractName, functionName, contractAddress, args, signer) {
+  getPrimaryType(contractName, functionName)
+  const messageArgs = Object.assign({}, args)
+  const usesTimestamp = formats[contractName][functionName]
+    .some(entry => Array.isArray(entry) && entry[0] === 'timestamp')
+  if (usesTimestamp && messageArgs.timestamp === undefined) {
+    messageArgs.timestamp = Math.round(new Date() / 1000) - 1
+  }
+
+  const typedData = buildTypedData(contractName, functionName, contractAddress, messageArgs)
+  const signature = await signTypedData(web3, typedData, signer)
+  if (usesTimestamp) signature.timestamp = messageArgs.timestamp
+  signature.typed = true
+
+  return signature
+}
+
+module.exports = {
+  buildTypedData: buildTypedData,
+  hashTypedData: hashTypedData,
+  primaryTypes: primaryTypes,
+  signTypedData: signTypedData,
+  signTypedMessage: signTypedMessage
+}
@@ -0,0 +1,45 @@
+const { deploy } = require('../lib/deployments')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ResolverCatalog = artifacts.require('./ResolverCatalog.sol')
+const PublicKeyResolver = artifacts.require('./examples/Resolvers/PublicKey/PublicKeyResolver.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+const ClaimResolver = artifacts.require('./examples/Resolvers/Claims/ClaimResolver.sol')
+const ERC725RegistryResolver = artifacts.require('./examples/Resolvers/ERC725/ERC725RegistryResolver.sol')
+const EthereumDIDRegistry = artifacts.require('./_testing/examples/Resolvers/ERC1056/EthereumDIDRegistry.sol')
+const ERC1056 = artifacts.require('./examples/Resolvers/ERC1056/ERC1056.sol')
+const MetaTransactionsProvider = artifacts.require('./examples/Providers/MetaTransactions/MetaTransactionsProvider.sol')
+const BurnerProvider = artifacts.require('./examples/Providers/Burner/BurnerProvider.sol')
+const BatchProvider = artifacts.require('./examples/Providers/Batch/BatchProvider.sol')
+
+// the networks the EthereumDIDRegistry mock is deployed on, others take the address of the canonical ERC-1056 registry
+// from the ethereumDIDRegistry option of their network in truffle-config.js
+const testNetworks = ['development', 'coverage']
+
+// contracts already in deployments/<network>.json are skipped, see lib/deployments.js
+module.exports = async function (deployer, network) {
+  await deploy(deployer, network, IdentityRegistry, [])
+  await deploy(deployer, network, ResolverCatalog, [])
+
+  for (const resolver of [PublicKeyResolver, ServiceKeyResolver, ClaimResolver, ERC725RegistryResolver]) {
+    await deploy(deployer, network, resolver, [IdentityRegistry.address])
+  }
+
+  let ethereumDIDRegistry
+  if (testNetworks.includes(network)) {
+    await deploy(deployer, network, EthereumDIDRegistry, [])
+    ethereumDIDRegistry = EthereumDIDRegistry.address
+  } else {
+    ethereumDIDRegistry = deployer.networks[network].ethereumDIDRegistry
+    if (!ethereumDIDRegistry) {
+      throw new Error(
+        `Set ethereumDIDRegistry in the ${network} network of truffle-config.js to the ERC-1056 registry.`
+      )
+    }
+  }
+  await deploy(deployer, network, ERC1056, [IdentityRegistry.address, ethereumDIDRegistry])
+
+  for (const provider of [MetaTransactionsProvider, BurnerProvider, BatchProvider]) {
+    await deploy(deployer, network, provider, [IdentityRegistry.address])
+  }
+}
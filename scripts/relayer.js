@@ -0,0 +1,26 @@
+// Runs a relayer for a deployed MetaTransactionsProvider, e.g.:
+// PROVIDER=0x... REGISTRY=0x... RELAYER_PRIVATE_KEY=0x... PORT=8080 truffle exec scripts/relayer.js --network development
+// Addresses not set are read from deployments/<NETWORK>.json, development by default.
+const deployments = require('../lib/deployments')
+const { Relayer } = require('../lib/Relayer')
+
+module.exports = function (callback) {
+  const network = process.env.NETWORK || 'development'
+  let relayer
+  try {
+    relayer = new Relayer(web3, {
+      metaTransactionsProvider: process.env.PROVIDER || deployments.getAddress(network, 'MetaTransactionsProvider'),
+      identityRegistry: process.env.REGISTRY || deployments.getAddress(network, 'IdentityRegistry'),
+      privateKey: process.env.RELAYER_PRIVATE_KEY
+    })
+  } catch (error) {
+    return callback(error)
+  }
+
+  relayer.listen(Number(process.env.PORT || 8080))
+    .then(server => {
+      console.log(`Relaying from ${relayer.account.address} on port ${server.address().port}.`)
+      process.on('SIGINT', () => relayer.close().then(() => callback()))
+    })
+    .catch(callback)
+}
@@ -0,0 +1,219 @@
+const { sign, defaultErrorMessage } = require('./common')
+const { signMessage } = require('../lib/messages')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+const MetaTransactionsProvider = artifacts.require('./examples/Providers/MetaTransactions/MetaTransactionsProvider.sol')
+const ContractWallet = artifacts.require('./_testing/ContractWallet.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let owner
+let stranger
+let recoveryAddress
+let provider
+
+function assertRejected (promise, reason) {
+  return promise
+    .then(() => assert.fail('', 'transaction should fail'))
+    .catch(error => {
+      if (error.message !== defaultErrorMessage) {
+        assert.include(error.message, reason, 'wrong rejection reason')
+      }
+    })
+}
+
+contract('Testing Contract Signatures', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  recoveryAddress = accountsPrivate[0]
+  owner = accountsPrivate[1]
+  stranger = accountsPrivate[2]
+  provider = accountsPrivate[4]
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+      instances.MetaTransactionsProvider = await MetaTransactionsProvider.new(instances.IdentityRegistry.address)
+      instances.ContractWallet = await ContractWallet.new(owner.address)
+      instances.RecoveryWallet = await ContractWallet.new(owner.address)
+    })
+  })
+
+  describe('Testing Signature Verification', function () {
+    it('signatures of the owner are accepted', async function () {
+      const messageHash = web3.utils.soliditySha3('shh')
+      for (const method of ['prefixed', 'unprefixed']) {
+        const signature = await sign(messageHash, owner.address, owner.privateKey, method)
+        assert.isTrue(
+          await instances.IdentityRegistry.isSigned(
+            instances.ContractWallet.address, messageHash, signature.v, signature.r, signature.s
+          ),
+          'Signature could not be verified.'
+        )
+      }
+    })
+
+    it('signatures of others are rejected', async function () {
+      const messageHash = web3.utils.soliditySha3('shh')
+      const signature = await sign(messageHash, stranger.address, stranger.privateKey)
+      assert.isFalse(
+        await instances.IdentityRegistry.isSigned(
+          instances.ContractWallet.address, messageHash, signature.v, signature.r, signature.s
+        ),
+        'Signature was verified.'
+      )
+      assert.isFalse(
+        await instances.IdentityRegistry.isSigned(
+          instances.ServiceKeyResolver.address, messageHash, signature.v, signature.r, signature.s
+        ),
+        'Signature of a contract without isValidSignature was verified.'
+      )
+    })
+
+    it('hashes approved on-chain are accepted', async function () {
+      const messageHash = web3.utils.soliditySha3('approved')
+      const signature = await sign(messageHash, stranger.address, stranger.privateKey)
+      await instances.ContractWallet.approveHash(messageHash, { from: owner.address })
+      assert.isTrue(
+        await instances.IdentityRegistry.isSigned(
+          instances.ContractWallet.address, messageHash, signature.v, signature.r, signature.s
+        ),
+        'Signature could not be verified.'
+      )
+    })
+  })
+
+  describe('Testing Identity Registry', function () {
+    it('Identity can be created FAIL -- signature', async function () {
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: recoveryAddress.address,
+          associatedAddress: instances.ContractWallet.address,
+          providers: [provider.address],
+          resolvers: []
+        }, stranger
+      )
+      await assertRejected(
+        instances.IdentityRegistry.createIdentityDelegated(
+          recoveryAddress.address, instances.ContractWallet.address, [provider.address], [],
+          signature.v, signature.r, signature.s, signature.timestamp,
+          { from: provider.address }
+        ),
+        'Permission denied.'
+      )
+    })
+
+    it('Identity can be created', async function () {
+      const providers = [provider.address, instances.MetaTransactionsProvider.address]
+      const resolvers = [instances.ServiceKeyResolver.address]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: recoveryAddress.address,
+          associatedAddress: instances.ContractWallet.address,
+          providers: providers,
+          resolvers: resolvers
+        }, owner
+      )
+      await instances.IdentityRegistry.createIdentityDelegated(
+        recoveryAddress.address, instances.ContractWallet.address, providers, resolvers,
+        signature.v, signature.r, signature.s, signature.timestamp,
+        { from: provider.address }
+      )
+      const ein = await instances.IdentityRegistry.getEIN(instances.ContractWallet.address)
+      assert.isTrue(ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+    })
+
+    it('contract wallets can approve adding addresses', async function () {
+      const addressToAdd = accountsPrivate[3]
+      const args = { ein: 1, addressToAdd: addressToAdd.address }
+      const approvingSignature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByApprovingAddress', instances.IdentityRegistry.address,
+        args, owner
+      )
+      const addingSignature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.IdentityRegistry.address,
+        args, addressToAdd
+      )
+      await instances.IdentityRegistry.addAssociatedAddressDelegated(
+        instances.ContractWallet.address, addressToAdd.address,
+        [approvingSignature.v, addingSignature.v], [approvingSignature.r, addingSignature.r],
+        [approvingSignature.s, addingSignature.s], [approvingSignature.timestamp, addingSignature.timestamp],
+        { from: provider.address }
+      )
+      assert.isTrue(
+        await instances.IdentityRegistry.isAssociatedAddressFor(1, addressToAdd.address), 'address was not added.'
+      )
+    })
+  })
+
+  describe('Testing Resolvers and Providers', function () {
+    it('contract wallets can add service keys FAIL -- signature', async function () {
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(instances.ContractWallet.address)
+      const signature = await signMessage(
+        web3, 'ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: stranger.address, symbol: 'test', nonce: nonce }, stranger
+      )
+      await assertRejected(
+        instances.ServiceKeyResolver.addKeyDelegated(
+          instances.ContractWallet.address, stranger.address, 'test',
+          signature.v, signature.r, signature.s, signature.timestamp,
+          { from: provider.address }
+        ),
+        'Permission denied.'
+      )
+    })
+
+    it('contract wallets can add service keys', async function () {
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(instances.ContractWallet.address)
+      const signature = await signMessage(
+        web3, 'ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: stranger.address, symbol: 'test', nonce: nonce }, owner
+      )
+      await instances.ServiceKeyResolver.addKeyDelegated(
+        instances.ContractWallet.address, stranger.address, 'test',
+        signature.v, signature.r, signature.s, signature.timestamp,
+        { from: provider.address }
+      )
+      assert.isTrue(await instances.ServiceKeyResolver.isKeyFor(stranger.address, 1), 'key was not added.')
+    })
+
+    it('contract wallets can call via proxy', async function () {
+      const destination = instances.IdentityRegistry.address
+      const data = instances.IdentityRegistry.contract.methods.identityExists(1).encodeABI()
+      const signature = await signMessage(
+        web3, 'MetaTransactionsProvider', 'callViaProxyDelegated', instances.MetaTransactionsProvider.address,
+        { ein: 1, destination: destination, data: data, viaExternal: false, nonce: 0 }, owner
+      )
+      await instances.MetaTransactionsProvider.callViaProxyDelegated(
+        instances.ContractWallet.address, destination, data, false, signature.v, signature.r, signature.s,
+        { from: stranger.address }
+      )
+      assert.equal(await instances.MetaTransactionsProvider.nonceTracker(1), 1, 'nonce was not incremented.')
+    })
+  })
+
+  describe('Testing Recovery', function () {
+    it('contract wallets can be recovered to', async function () {
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: 1, newAssociatedAddress: instances.RecoveryWallet.address }, owner
+      )
+      await instances.IdentityRegistry.triggerRecovery(
+        1, instances.RecoveryWallet.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: recoveryAddress.address }
+      )
+      const identity = await instances.IdentityRegistry.getIdentity(1)
+      assert.deepEqual(identity.associatedAddresses, [instances.RecoveryWallet.address], 'recovery failed.')
+    })
+  })
+})
@@ -0,0 +1,221 @@
+const { timeTravel, defaultErrorMessage } = require('./common')
+const { signMessage } = require('../lib/messages')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c'
+]
+
+const oneDay = 60 * 60 * 24
+const parameterChangeDelay = 2 * oneDay
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let governor
+let recoveryAddress
+let anyone
+
+function assertRejected (promise, reason) {
+  return promise
+    .then(() => assert.fail('', 'transaction should fail'))
+    .catch(error => {
+      if (error.message !== defaultErrorMessage) {
+        assert.include(error.message, reason, 'wrong rejection reason')
+      }
+    })
+}
+
+// signatures are timestamped with the chain's time, which runs ahead after time travel
+async function now () {
+  return Number((await web3.eth.getBlock('latest')).timestamp)
+}
+
+async function changeParameter (name, value) {
+  await instances.IdentityRegistry.proposeParameterChange(web3.utils.fromAscii(name), value, { from: governor })
+  await timeTravel(parameterChangeDelay)
+  return instances.IdentityRegistry.applyParameterChange(web3.utils.fromAscii(name), { from: anyone })
+}
+
+async function triggerRecovery (ein, newAssociatedAddress) {
+  const signature = await signMessage(
+    web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+    { ein: ein, newAssociatedAddress: newAssociatedAddress.address, timestamp: await now() }, newAssociatedAddress
+  )
+  return instances.IdentityRegistry.triggerRecovery(
+    ein, newAssociatedAddress.address, signature.v, signature.r, signature.s, signature.timestamp,
+    { from: recoveryAddress.address }
+  )
+}
+
+contract('Testing Governed', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  governor = accounts[0]
+  recoveryAddress = accountsPrivate[0]
+  anyone = accounts[9]
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new({ from: governor })
+      instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+    })
+
+    it('parameters are declared', async function () {
+      assert.equal(await instances.IdentityRegistry.governor(), governor, 'unexpected governor.')
+
+      const parameter = await instances.IdentityRegistry.parameters(web3.utils.fromAscii('recoveryTimeout'))
+      assert.equal(parameter.minimum, oneDay, 'unexpected minimum.')
+      assert.equal(parameter.maximum, 90 * oneDay, 'unexpected maximum.')
+      assert.equal(parameter.effectiveAt, 0, 'unexpected pending change.')
+    })
+  })
+
+  describe('Testing Parameter Changes', function () {
+    it('parameter changes can be proposed FAIL -- not governor', async function () {
+      await assertRejected(
+        instances.IdentityRegistry.proposeParameterChange(
+          web3.utils.fromAscii('signatureTimeout'), oneDay * 2, { from: accounts[1] }
+        ),
+        'Only the governor can call this function.'
+      )
+    })
+
+    it('parameter changes can be proposed FAIL -- unknown parameter', async function () {
+      await assertRejected(
+        instances.IdentityRegistry.proposeParameterChange(web3.utils.fromAscii('nextEIN'), 1, { from: governor }),
+        'The parameter does not exist.'
+      )
+    })
+
+    it('parameter changes can be proposed FAIL -- out of bounds', async function () {
+      await assertRejected(
+        instances.IdentityRegistry.proposeParameterChange(
+          web3.utils.fromAscii('signatureTimeout'), 60, { from: governor }
+        ),
+        'The value is out of bounds.'
+      )
+      await assertRejected(
+        instances.IdentityRegistry.proposeParameterChange(
+          web3.utils.fromAscii('maxAssociatedAddresses'), 0, { from: governor }
+        ),
+        'The value is out of bounds.'
+      )
+    })
+
+    it('parameter changes can be proposed and cancelled', async function () {
+      const name = web3.utils.fromAscii('signatureTimeout')
+      const proposal = await instances.IdentityRegistry.proposeParameterChange(name, oneDay * 2, { from: governor })
+      const proposed = proposal.logs.find(log => log.event === 'ParameterChangeProposed')
+      assert.equal(proposed.args.value, oneDay * 2, 'unexpected value.')
+      assert.equal(proposed.args.effectiveAt, await now() + parameterChangeDelay, 'unexpected effective time.')
+
+      await assertRejected(
+        instances.IdentityRegistry.applyParameterChange(name, { from: accounts[1] }),
+        'The change cannot be applied yet.'
+      )
+
+      const cancellation = await instances.IdentityRegistry.cancelParameterChange(name, { from: governor })
+      assert.equal(
+        cancellation.logs.find(log => log.event === 'ParameterChangeCancelled').args.value, oneDay * 2,
+        'unexpected cancelled value.'
+      )
+
+      await timeTravel(parameterChangeDelay)
+      await assertRejected(
+        instances.IdentityRegistry.applyParameterChange(name, { from: accounts[1] }),
+        'No change is pending.'
+      )
+      assert.equal(await instances.IdentityRegistry.signatureTimeout(), oneDay, 'signatureTimeout was changed.')
+    })
+
+    it('parameter changes can be applied by anyone after the delay', async function () {
+      const receipt = await changeParameter('maxAssociatedAddresses', 1)
+      const changed = receipt.logs.find(log => log.event === 'ParameterChanged')
+      assert.equal(changed.args.oldValue, 50, 'unexpected old value.')
+      assert.equal(changed.args.newValue, 1, 'unexpected new value.')
+      assert.equal(await instances.IdentityRegistry.maxAssociatedAddresses(), 1, 'parameter was not changed.')
+    })
+
+    it('changed parameters are enforced', async function () {
+      await instances.IdentityRegistry.createIdentity(recoveryAddress.address, [], [], { from: accounts[1] })
+
+      const addressToAdd = accountsPrivate[2]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.IdentityRegistry.address,
+        { ein: 1, addressToAdd: addressToAdd.address, timestamp: await now() }, addressToAdd
+      )
+      await assertRejected(
+        instances.IdentityRegistry.addAssociatedAddress(
+          accounts[1], addressToAdd.address, signature.v, signature.r, signature.s, signature.timestamp,
+          { from: accounts[1] }
+        ),
+        'Too many addresses.'
+      )
+    })
+
+    it('resolvers follow the signatureTimeout of the registry', async function () {
+      await changeParameter('signatureTimeout', 10 * 60)
+      assert.equal(await instances.ServiceKeyResolver.signatureTimeout(), 10 * 60, 'unexpected signatureTimeout.')
+
+      await instances.IdentityRegistry.addResolvers([instances.ServiceKeyResolver.address], { from: accounts[1] })
+      const signature = await signMessage(
+        web3, 'ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: accounts[3], symbol: 'test', nonce: 0, timestamp: await now() - 60 * 60 }, accountsPrivate[1]
+      )
+      await assertRejected(
+        instances.ServiceKeyResolver.addKeyDelegated(
+          accounts[1], accounts[3], 'test', signature.v, signature.r, signature.s, signature.timestamp
+        ),
+        'Timestamp is not valid.'
+      )
+    })
+  })
+
+  describe('Testing In-Flight Recoveries', function () {
+    it('recoveries keep the recoveryTimeout in force when they started', async function () {
+      await triggerRecovery(1, accountsPrivate[4])
+      await changeParameter('recoveryTimeout', oneDay)
+
+      // 2 days have passed, so destruction would be refused under the new timeout
+      await instances.IdentityRegistry.triggerDestruction(1, [], [], false, { from: accounts[1] })
+      const identity = await instances.IdentityRegistry.getIdentity(1)
+      assert.deepEqual(identity.associatedAddresses, [], 'identity was not destroyed.')
+    })
+
+    it('new recoveries use the changed recoveryTimeout', async function () {
+      await instances.IdentityRegistry.createIdentity(recoveryAddress.address, [], [], { from: accounts[2] })
+      await triggerRecovery(2, accountsPrivate[3])
+      await timeTravel(oneDay + 1)
+
+      await assertRejected(
+        instances.IdentityRegistry.triggerDestruction(2, [], [], false, { from: accounts[2] }),
+        'Recovery has not recently been triggered.'
+      )
+    })
+  })
+
+  describe('Testing Governance', function () {
+    it('governance can be transferred', async function () {
+      const receipt = await instances.IdentityRegistry.transferGovernance(accounts[1], { from: governor })
+      const transferred = receipt.logs.find(log => log.event === 'GovernanceTransferred')
+      assert.equal(transferred.args.oldGovernor, governor, 'unexpected old governor.')
+      assert.equal(transferred.args.newGovernor, accounts[1], 'unexpected new governor.')
+
+      await assertRejected(
+        instances.IdentityRegistry.proposeParameterChange(
+          web3.utils.fromAscii('recoveryTimeout'), oneDay * 7, { from: governor }
+        ),
+        'Only the governor can call this function.'
+      )
+      await instances.IdentityRegistry.proposeParameterChange(
+        web3.utils.fromAscii('recoveryTimeout'), oneDay * 7, { from: accounts[1] }
+      )
+    })
+  })
+})
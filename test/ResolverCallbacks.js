@@ -0,0 +1,213 @@
+const { defaultErrorMessage } = require('./common')
+const { signMessage } = require('../lib/messages')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const CallbackResolver = artifacts.require('./_testing/CallbackResolver.sol')
+const HostileResolver = artifacts.require('./_testing/HostileResolver.sol')
+
+// convenience variables
+const instances = {}
+let associatedAddress
+let provider
+let recoveryAddress
+
+function assertRejected (promise, reason) {
+  return promise
+    .then(() => assert.fail('', 'transaction should fail'))
+    .catch(error => {
+      if (error.message !== defaultErrorMessage) {
+        assert.include(error.message, reason, 'wrong rejection reason')
+      }
+    })
+}
+
+contract('Testing Resolver Callbacks', function (accounts) {
+  associatedAddress = accounts[1]
+  provider = accounts[2]
+  recoveryAddress = accounts[0]
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.Resolver = await CallbackResolver.new(instances.IdentityRegistry.address)
+      await instances.IdentityRegistry.createIdentity(recoveryAddress, [provider], [], { from: associatedAddress })
+    })
+  })
+
+  describe('Testing Additions', function () {
+    it('onAddition receives the data passed to addResolverFor', async function () {
+      await instances.IdentityRegistry.addResolverFor(1, instances.Resolver.address, '0x1234', { from: provider })
+      assert.isTrue(await instances.IdentityRegistry.isResolverFor(1, instances.Resolver.address), 'not added.')
+      assert.equal(await instances.Resolver.additionData(1), '0x1234', 'unexpected data.')
+    })
+
+    it('onAddition is not called for resolvers that are already set', async function () {
+      await instances.IdentityRegistry.addResolverFor(1, instances.Resolver.address, '0x5678', { from: provider })
+      assert.equal(await instances.Resolver.additionData(1), '0x1234', 'onAddition was called again.')
+    })
+
+    it('resolvers without callbacks can be added', async function () {
+      const resolvers = [accounts[7], instances.IdentityRegistry.address]
+      for (const resolver of resolvers) {
+        await instances.IdentityRegistry.addResolverFor(1, resolver, '0x1234', { from: provider })
+        assert.isTrue(await instances.IdentityRegistry.isResolverFor(1, resolver), 'resolver was not added.')
+      }
+      await instances.IdentityRegistry.removeResolvers(resolvers, { from: associatedAddress })
+    })
+
+    it('resolvers can be added FAIL -- addition refused', async function () {
+      const resolver = await CallbackResolver.new(instances.IdentityRegistry.address)
+      await assertRejected(
+        instances.IdentityRegistry.addResolverFor(
+          1, resolver.address, web3.utils.utf8ToHex('refuse'), { from: provider }
+        ),
+        'Resolver refused the addition.'
+      )
+      assert.isFalse(await instances.IdentityRegistry.isResolverFor(1, resolver.address), 'resolver was added.')
+    })
+
+    it('onAddition receives the data passed to addResolversWithDataFor', async function () {
+      const resolvers = [
+        await CallbackResolver.new(instances.IdentityRegistry.address),
+        await CallbackResolver.new(instances.IdentityRegistry.address)
+      ]
+      const addresses = resolvers.map(resolver => resolver.address)
+
+      await assertRejected(
+        instances.IdentityRegistry.addResolversWithDataFor(1, addresses, '0xabcdef', [1, 3], { from: provider }),
+        'Malformed resolver data.'
+      )
+      await assertRejected(
+        instances.IdentityRegistry.addResolversWithDataFor(1, addresses, '0xabcdef', [1, 1], { from: provider }),
+        'Malformed resolver data.'
+      )
+
+      await instances.IdentityRegistry.addResolversWithDataFor(1, addresses, '0xabcdef', [1, 2], { from: provider })
+      assert.equal(await resolvers[0].additionData(1), '0xab', 'unexpected data.')
+      assert.equal(await resolvers[1].additionData(1), '0xcdef', 'unexpected data.')
+      await instances.IdentityRegistry.removeResolvers(addresses, { from: associatedAddress })
+    })
+  })
+
+  describe('Testing Removals', function () {
+    it('onRemoval receives the data passed to removeResolverFor', async function () {
+      await instances.IdentityRegistry.removeResolverFor(1, instances.Resolver.address, '0xabcd', { from: provider })
+      assert.isFalse(await instances.IdentityRegistry.isResolverFor(1, instances.Resolver.address), 'not removed.')
+      assert.equal(await instances.Resolver.removalData(1), '0xabcd', 'unexpected data.')
+      assert.equal(await instances.Resolver.removals(1), 1, 'unexpected number of removals.')
+    })
+
+    it('onRemoval is not called for resolvers that are not set', async function () {
+      await instances.IdentityRegistry.removeResolvers([instances.Resolver.address], { from: associatedAddress })
+      assert.equal(await instances.Resolver.removals(1), 1, 'onRemoval was called again.')
+    })
+
+    it('reverting resolvers are removed anyway', async function () {
+      await instances.IdentityRegistry.addResolvers([instances.Resolver.address], { from: associatedAddress })
+      await instances.Resolver.setFailRemovals(true)
+
+      const receipt = await instances.IdentityRegistry.removeResolvers(
+        [instances.Resolver.address], { from: associatedAddress }
+      )
+      const failure = receipt.logs.find(log => log.event === 'ResolverRemovalFailed')
+      assert.equal(failure.args.resolver, instances.Resolver.address, 'unexpected resolver.')
+      assert.isTrue(failure.args.ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+      assert.isFalse(await instances.IdentityRegistry.isResolverFor(1, instances.Resolver.address), 'not removed.')
+      assert.equal(await instances.Resolver.removals(1), 1, 'onRemoval succeeded.')
+
+      await instances.Resolver.setFailRemovals(false)
+    })
+
+    it('resolvers that use up gas or return large data are removed anyway', async function () {
+      // the first resolver burns all the gas it is given, the second returns a megabyte
+      for (const burnGas of [true, false]) {
+        const resolver = await HostileResolver.new(burnGas)
+        await instances.IdentityRegistry.addResolvers([resolver.address], { from: associatedAddress })
+
+        const receipt = await instances.IdentityRegistry.removeResolvers(
+          [resolver.address], { from: associatedAddress, gas: 6000000 }
+        )
+        const failure = receipt.logs.find(log => log.event === 'ResolverRemovalFailed')
+        assert.equal(failure.args.resolver, resolver.address, 'unexpected resolver.')
+        assert.isFalse(await instances.IdentityRegistry.isResolverFor(1, resolver.address), 'not removed.')
+      }
+    })
+
+    it('resolvers reset by a destruction are notified', async function () {
+      const oldAddress = accounts[3]
+      const newAddress = accounts[4]
+      await instances.IdentityRegistry.createIdentity(
+        recoveryAddress, [], [instances.Resolver.address], { from: oldAddress }
+      )
+      assert.equal(await instances.Resolver.additionData(2), null, 'unexpected data.')
+
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: 2, newAssociatedAddress: newAddress, timestamp: Math.round(new Date() / 1000) - 1 },
+        { address: newAddress, method: 'prefixed' }
+      )
+      await instances.IdentityRegistry.triggerRecovery(
+        2, newAddress, signature.v, signature.r, signature.s, signature.timestamp, { from: recoveryAddress }
+      )
+      assert.equal(await instances.Resolver.removals(2), 0, 'resolver was notified of the recovery.')
+
+      await instances.IdentityRegistry.triggerDestruction(2, [], [], true, { from: oldAddress })
+      assert.equal(await instances.Resolver.removals(2), 1, 'resolver was not notified.')
+    })
+  })
+
+  describe('Testing Recoveries', function () {
+    // gas estimates do not cover the gas the registry keeps back from callbacks, so recoveries are sent with more
+    async function recover (ein, newAddress, gas = 2000000) {
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: ein, newAssociatedAddress: newAddress, timestamp: Math.round(new Date() / 1000) - 1 },
+        { address: newAddress, method: 'prefixed' }
+      )
+      return instances.IdentityRegistry.triggerRecovery(
+        ein, newAddress, signature.v, signature.r, signature.s, signature.timestamp, { from: recoveryAddress, gas: gas }
+      )
+    }
+
+    it('resolvers are notified of recoveries', async function () {
+      await instances.IdentityRegistry.createIdentity(
+        recoveryAddress, [], [accounts[7], instances.Resolver.address], { from: accounts[5] }
+      )
+      const receipt = await recover(3, accounts[6])
+      assert.equal(await instances.Resolver.recoveries(3), 1, 'resolver was not notified.')
+      assert.isUndefined(receipt.logs.find(log => log.event === 'ResolverRecoveryFailed'), 'unexpected failure.')
+    })
+
+    it('reverting resolvers cannot block recoveries', async function () {
+      await instances.IdentityRegistry.createIdentity(
+        recoveryAddress, [], [instances.Resolver.address], { from: accounts[8] }
+      )
+      await instances.Resolver.setFailRecoveries(true)
+
+      const receipt = await recover(4, accounts[9])
+      const failure = receipt.logs.find(log => log.event === 'ResolverRecoveryFailed')
+      assert.equal(failure.args.resolver, instances.Resolver.address, 'unexpected resolver.')
+      assert.isTrue(failure.args.ein.eq(web3.utils.toBN(4)), 'unexpected EIN.')
+      assert.equal(await instances.IdentityRegistry.getEIN(accounts[9]), 4, 'recovery did not happen.')
+      assert.equal(await instances.Resolver.recoveries(4), 0, 'onRecovery succeeded.')
+
+      await instances.Resolver.setFailRecoveries(false)
+    })
+
+    it('resolvers left too little gas count as failed', async function () {
+      const resolver = await HostileResolver.new(true)
+      await instances.IdentityRegistry.createIdentity(
+        recoveryAddress, [], [resolver.address, instances.Resolver.address], { from: accounts[3] }
+      )
+
+      const receipt = await recover(5, accounts[5], 1000000)
+      const failures = receipt.logs.filter(log => log.event === 'ResolverRecoveryFailed')
+      assert.deepEqual(
+        failures.map(failure => failure.args.resolver), [resolver.address, instances.Resolver.address],
+        'unexpected failures.'
+      )
+      assert.equal(await instances.IdentityRegistry.getEIN(accounts[5]), 5, 'recovery did not happen.')
+      assert.equal(await instances.Resolver.recoveries(5), 0, 'resolver was notified.')
+    })
+  })
+})
@@ -0,0 +1,173 @@
+const { defaultErrorMessage } = require('./common')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ResolverCatalog = artifacts.require('./ResolverCatalog.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+
+const KIND_RESOLVER = 1
+const KIND_PROVIDER = 2
+
+// the ERC-165 ID of the resolver callbacks, onAddition.selector ^ onRemoval.selector
+const callbacksInterfaceId = '0x' + ((
+  parseInt(web3.eth.abi.encodeFunctionSignature('onAddition(uint256,bytes)'), 16) ^
+  parseInt(web3.eth.abi.encodeFunctionSignature('onRemoval(uint256,bytes)'), 16)
+) >>> 0).toString(16).padStart(8, '0')
+
+// convenience variables
+const instances = {}
+let curator
+let author
+let anyone
+
+function assertRejected (promise, reason) {
+  return promise
+    .then(() => assert.fail('', 'transaction should fail'))
+    .catch(error => {
+      if (error.message !== defaultErrorMessage) {
+        assert.include(error.message, reason, 'wrong rejection reason')
+      }
+    })
+}
+
+contract('Testing ResolverCatalog', function (accounts) {
+  curator = accounts[0]
+  author = accounts[1]
+  anyone = accounts[2]
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+      instances.ResolverCatalog = await ResolverCatalog.new({ from: curator })
+      assert.equal(await instances.ResolverCatalog.curator(), curator, 'unexpected curator.')
+    })
+  })
+
+  describe('Testing Entries', function () {
+    it('entries can be added', async function () {
+      const receipt = await instances.ResolverCatalog.addEntry(
+        instances.ServiceKeyResolver.address, KIND_RESOLVER, 'ServiceKeyResolver', 'Service keys for logins.',
+        callbacksInterfaceId, '1.0.0', { from: author }
+      )
+      assert.equal(receipt.logs[0].event, 'EntryAdded', 'no event.')
+
+      const entry = await instances.ResolverCatalog.getEntry(instances.ServiceKeyResolver.address)
+      assert.equal(entry.author, author, 'unexpected author.')
+      assert.equal(entry.kind, KIND_RESOLVER, 'unexpected kind.')
+      assert.equal(entry.name, 'ServiceKeyResolver', 'unexpected name.')
+      assert.equal(entry.description, 'Service keys for logins.', 'unexpected description.')
+      assert.equal(entry.interfaceId, callbacksInterfaceId, 'unexpected interface ID.')
+      assert.equal(entry.version, '1.0.0', 'unexpected version.')
+      assert.isFalse(entry.verified, 'entry is verified.')
+      assert.isTrue(await instances.ResolverCatalog.isListed(instances.ServiceKeyResolver.address), 'not listed.')
+      assert.deepEqual(
+        await instances.ResolverCatalog.getListed(), [instances.ServiceKeyResolver.address], 'unexpected entries.'
+      )
+    })
+
+    it('entries can be added FAIL -- already listed', async function () {
+      await assertRejected(
+        instances.ResolverCatalog.addEntry(
+          instances.ServiceKeyResolver.address, KIND_RESOLVER, 'Squatted', '', '0x00000000', '1.0.0', { from: anyone }
+        ),
+        'The address is already listed.'
+      )
+    })
+
+    it('entries can be added FAIL -- invalid kind or empty name', async function () {
+      await assertRejected(
+        instances.ResolverCatalog.addEntry(accounts[5], 3, 'Provider', '', '0x00000000', '1.0.0', { from: author }),
+        'Invalid kind.'
+      )
+      await assertRejected(
+        instances.ResolverCatalog.addEntry(accounts[5], KIND_PROVIDER, '', '', '0x00000000', '1.0.0', { from: author }),
+        'The name cannot be empty.'
+      )
+    })
+
+    it('entries can be updated FAIL -- not the author', async function () {
+      await assertRejected(
+        instances.ResolverCatalog.updateEntry(
+          instances.ServiceKeyResolver.address, 'Updated', '', '0x00000000', '2.0.0', { from: anyone }
+        ),
+        'Only the author can call this function.'
+      )
+    })
+
+    it('authorship can be transferred', async function () {
+      await instances.ResolverCatalog.transferAuthorship(instances.ServiceKeyResolver.address, anyone, { from: author })
+      assert.equal(
+        (await instances.ResolverCatalog.getEntry(instances.ServiceKeyResolver.address)).author, anyone,
+        'authorship was not transferred.'
+      )
+      await instances.ResolverCatalog.transferAuthorship(instances.ServiceKeyResolver.address, author, { from: anyone })
+    })
+
+    it('entries can be removed', async function () {
+      await instances.ResolverCatalog.addEntry(
+        accounts[5], KIND_PROVIDER, 'Provider', '', '0x00000000', '1.0.0', { from: anyone }
+      )
+      await assertRejected(
+        instances.ResolverCatalog.removeEntry(accounts[5], { from: author }),
+        'Only the author or the curator can call this function.'
+      )
+
+      // by the curator, e.g. when listed by someone else than the developer
+      await instances.ResolverCatalog.removeEntry(accounts[5], { from: curator })
+      assert.isFalse(await instances.ResolverCatalog.isListed(accounts[5]), 'entry was not removed.')
+      assert.equal((await instances.ResolverCatalog.getEntry(accounts[5])).kind, 0, 'entry was not deleted.')
+
+      // by the author
+      await instances.ResolverCatalog.addEntry(
+        accounts[5], KIND_PROVIDER, 'Provider', '', '0x00000000', '1.0.0', { from: author }
+      )
+      await instances.ResolverCatalog.removeEntry(accounts[5], { from: author })
+      assert.deepEqual(
+        await instances.ResolverCatalog.getListed(), [instances.ServiceKeyResolver.address], 'unexpected entries.'
+      )
+    })
+  })
+
+  describe('Testing Curation', function () {
+    it('entries can be verified', async function () {
+      await instances.ResolverCatalog.setVerified(instances.ServiceKeyResolver.address, true, { from: curator })
+      assert.isTrue(await instances.ResolverCatalog.isVerified(instances.ServiceKeyResolver.address), 'not verified.')
+    })
+
+    it('entries can be verified FAIL -- not the curator or not listed', async function () {
+      await assertRejected(
+        instances.ResolverCatalog.setVerified(instances.ServiceKeyResolver.address, false, { from: author }),
+        'Only the curator can call this function.'
+      )
+      await assertRejected(
+        instances.ResolverCatalog.setVerified(accounts[5], true, { from: curator }),
+        'The address is not listed.'
+      )
+    })
+
+    it('updates clear the verified flag', async function () {
+      const receipt = await instances.ResolverCatalog.updateEntry(
+        instances.ServiceKeyResolver.address, 'ServiceKeyResolver', 'Scoped service keys.', callbacksInterfaceId,
+        '1.1.0', { from: author }
+      )
+      assert.deepEqual(
+        receipt.logs.map(log => log.event), ['VerificationChanged', 'EntryUpdated'], 'unexpected events.'
+      )
+
+      const entry = await instances.ResolverCatalog.getEntry(instances.ServiceKeyResolver.address)
+      assert.equal(entry.description, 'Scoped service keys.', 'unexpected description.')
+      assert.equal(entry.version, '1.1.0', 'unexpected version.')
+      assert.isFalse(entry.verified, 'entry is still verified.')
+    })
+
+    it('curation can be transferred', async function () {
+      await instances.ResolverCatalog.transferCuration(anyone, { from: curator })
+      assert.equal(await instances.ResolverCatalog.curator(), anyone, 'curation was not transferred.')
+      await instances.ResolverCatalog.setVerified(instances.ServiceKeyResolver.address, true, { from: anyone })
+      await assertRejected(
+        instances.ResolverCatalog.transferCuration(curator, { from: curator }),
+        'Only the curator can call this function.'
+      )
+    })
+  })
+})
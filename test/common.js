@@ -1,31 +1,9 @@
-const ethUtil = require('ethereumjs-util')
+const messages = require('../lib/messages')
 
 const defaultErrorMessage = 'Returned error: VM Exception while processing transaction: revert'
 
 function sign (messageHash, address, privateKey, method) {
-  return new Promise(resolve => {
-    if (method === 'prefixed') {
-      web3.eth.sign(messageHash, address)
-        .then(concatenatedSignature => {
-          let strippedSignature = ethUtil.stripHexPrefix(concatenatedSignature)
-          let signature = {
-            r: ethUtil.addHexPrefix(strippedSignature.substr(0, 64)),
-            s: ethUtil.addHexPrefix(strippedSignature.substr(64, 64)),
-            v: parseInt(ethUtil.addHexPrefix(strippedSignature.substr(128, 2))) + 27
-          }
-          resolve(signature)
-        })
-    } else {
-      let signature = ethUtil.ecsign(
-        Buffer.from(ethUtil.stripHexPrefix(messageHash), 'hex'),
-        Buffer.from(ethUtil.stripHexPrefix(privateKey), 'hex')
-      )
-      signature.r = ethUtil.bufferToHex(signature.r)
-      signature.s = ethUtil.bufferToHex(signature.s)
-      signature.v = parseInt(ethUtil.bufferToHex(signature.v))
-      resolve(signature)
-    }
-  })
+  return messages.sign(web3, messageHash, address, privateKey, method)
 }
 
 function timeTravel (seconds) {
@@ -42,6 +20,16 @@ function timeTravel (seconds) {
   })
 }
 
+// calls and block timestamps only see time travel once a block is mined
+function mine () {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({ jsonrpc: '2.0', method: 'evm_mine', params: [], id: new Date().getTime() }, err => {
+      if (err) return reject(err)
+      return resolve()
+    })
+  })
+}
+
 async function verifyIdentity (ein, IdentityRegistry, expectedIdentity) {
   const identityExists = await IdentityRegistry.identityExists(ein)
   assert.isTrue(identityExists, "identity unexpectedly does/doesn't exist.")
@@ -77,6 +65,7 @@ async function verifyIdentity (ein, IdentityRegistry, expectedIdentity) {
 module.exports = {
   sign: sign,
   timeTravel: timeTravel,
+  mine: mine,
   verifyIdentity: verifyIdentity,
   defaultErrorMessage: defaultErrorMessage
 }
@@ -0,0 +1,255 @@
+const { sign, verifyIdentity } = require('../../common.js')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+const ClaimResolver = artifacts.require('./examples/Resolvers/Claims/ClaimResolver.sol')
+const BatchProvider = artifacts.require('./examples/Providers/Batch/BatchProvider.sol')
+
+const instances = {}
+
+// encodes steps as the {destinations, data, dataLengths} arguments of executeBatch
+function encodeBatch (steps) {
+  const data = steps.map(step => step.data.replace(/^0x/, ''))
+  return {
+    destinations: steps.map(step => step.destination),
+    data: `0x${data.join('')}`,
+    dataLengths: data.map(stepData => stepData.length / 2)
+  }
+}
+
+async function signBatch (signer, batch) {
+  const nonce = await instances.BatchProvider.nonceTracker(signer.address)
+  const permissionString = web3.utils.soliditySha3(
+    '0x19', '0x00', instances.BatchProvider.address,
+    'I authorize this batch.',
+    signer.address,
+    { t: 'address[]', v: batch.destinations },
+    { t: 'bytes', v: batch.data },
+    { t: 'uint256[]', v: batch.dataLengths },
+    nonce
+  )
+  return sign(permissionString, signer.address, signer.private)
+}
+
+function registryStep (method, ...args) {
+  return {
+    destination: instances.IdentityRegistry.address,
+    data: instances.IdentityRegistry.contract.methods[method](...args).encodeABI()
+  }
+}
+
+async function addKeyStep (signer, key, symbol, associatedAddress = signer.address) {
+  const timestamp = Math.round(new Date() / 1000) - 1
+  const permissionString = web3.utils.soliditySha3(
+    '0x19', '0x00', instances.ServiceKeyResolver.address,
+    'I authorize the addition of a service key on my behalf.',
+    key, symbol, await instances.ServiceKeyResolver.nonceTracker(signer.address), timestamp
+  )
+  const permission = await sign(permissionString, signer.address, signer.private)
+  return {
+    destination: instances.ServiceKeyResolver.address,
+    data: instances.ServiceKeyResolver.contract.methods.addKeyDelegated(
+      associatedAddress, key, symbol, permission.v, permission.r, permission.s, timestamp
+    ).encodeABI()
+  }
+}
+
+contract('Testing Batch Provider', function (accounts) {
+  const users = [
+    {
+      address: accounts[1],
+      private: '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff'
+    },
+    {
+      address: accounts[2],
+      private: '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
+    },
+    {
+      address: accounts[3],
+      private: '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f'
+    }
+  ]
+  const user = users[0]
+  const relayer = accounts[9]
+
+  it('contracts deployed', async () => {
+    instances.IdentityRegistry = await IdentityRegistry.new()
+    instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+    instances.BatchProvider = await BatchProvider.new(instances.IdentityRegistry.address)
+  })
+
+  // creates an Identity, adds an address and a resolver, and calls the resolver
+  async function onboardingSteps () {
+    const timestamp = Math.round(new Date() / 1000) - 1
+    const createPermission = await sign(
+      web3.utils.soliditySha3(
+        '0x19', '0x00', instances.IdentityRegistry.address,
+        'I authorize the creation of an Identity on my behalf.',
+        user.address,
+        user.address,
+        { t: 'address[]', v: [instances.BatchProvider.address] },
+        { t: 'address[]', v: [] },
+        timestamp
+      ),
+      user.address, user.private
+    )
+    const approvingPermission = await sign(
+      web3.utils.soliditySha3(
+        '0x19', '0x00', instances.IdentityRegistry.address,
+        'I authorize adding this address to my Identity.', 1, users[1].address, timestamp
+      ),
+      user.address, user.private
+    )
+    const addingPermission = await sign(
+      web3.utils.soliditySha3(
+        '0x19', '0x00', instances.IdentityRegistry.address,
+        'I authorize being added to this Identity.', 1, users[1].address, timestamp
+      ),
+      users[1].address, users[1].private
+    )
+
+    return [
+      registryStep(
+        'createIdentityDelegated', user.address, user.address, [instances.BatchProvider.address], [],
+        createPermission.v, createPermission.r, createPermission.s, timestamp
+      ),
+      registryStep(
+        'addAssociatedAddressDelegated', user.address, users[1].address,
+        [approvingPermission.v, addingPermission.v], [approvingPermission.r, addingPermission.r],
+        [approvingPermission.s, addingPermission.s], [timestamp, timestamp]
+      ),
+      registryStep('addResolversFor', 0, [instances.ServiceKeyResolver.address]),
+      await addKeyStep(user, accounts[5], 'onboarding')
+    ]
+  }
+
+  it('Batch -- FAIL signature', async function () {
+    const batch = encodeBatch(await onboardingSteps())
+    const permission = await signBatch(users[1], batch)
+
+    await instances.BatchProvider.executeBatchDelegated(
+      user.address, batch.destinations, batch.data, batch.dataLengths, permission.v, permission.r, permission.s,
+      { from: relayer }
+    )
+      .then(() => assert.fail('batch was executed', 'transaction should fail'))
+      .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+  })
+
+  it('Identity can be onboarded in one batch', async function () {
+    const batch = encodeBatch(await onboardingSteps())
+    const permission = await signBatch(user, batch)
+    instances.onboarding = { batch: batch, permission: permission }
+
+    const receipt = await instances.BatchProvider.executeBatchDelegated(
+      user.address, batch.destinations, batch.data, batch.dataLengths, permission.v, permission.r, permission.s,
+      { from: relayer }
+    )
+    const event = receipt.logs.find(log => log.event === 'BatchExecuted')
+    assert.equal(event.args.approvingAddress, user.address, 'unexpected approving address.')
+    assert.isTrue(event.args.ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+    assert.isTrue(event.args.steps.eq(web3.utils.toBN(4)), 'unexpected number of steps.')
+    assert.isTrue(event.args.delegated, 'batch was not delegated.')
+
+    await verifyIdentity(web3.utils.toBN(1), instances.IdentityRegistry, {
+      recoveryAddress:     user.address,
+      associatedAddresses: [user.address, users[1].address],
+      providers:           [instances.BatchProvider.address],
+      resolvers:           [instances.ServiceKeyResolver.address]
+    })
+    assert.isTrue(await instances.ServiceKeyResolver.isKeyFor(accounts[5], 1), 'key was not added.')
+    assert.equal(await instances.BatchProvider.nonceTracker(user.address), 1, 'nonce was not incremented.')
+  })
+
+  it('Batch -- FAIL replayed signature', async function () {
+    const { batch, permission } = instances.onboarding
+
+    await instances.BatchProvider.executeBatchDelegated(
+      user.address, batch.destinations, batch.data, batch.dataLengths, permission.v, permission.r, permission.s,
+      { from: relayer }
+    )
+      .then(() => assert.fail('batch was executed', 'transaction should fail'))
+      .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+  })
+
+  it('Batch -- FAIL reports the failing step and reverts earlier ones', async function () {
+    // signed by an address without an Identity on behalf of the approving address
+    const badKeyStep = await addKeyStep(users[2], accounts[6], 'failing', user.address)
+    const batch = encodeBatch([registryStep('addProvidersFor', 0, [accounts[7]]), badKeyStep])
+
+    await instances.BatchProvider.executeBatch(batch.destinations, batch.data, batch.dataLengths, { from: user.address })
+      .then(() => assert.fail('batch was executed', 'transaction should fail'))
+      .catch(error => assert.include(error.message, 'Step 1 failed: Permission denied.', 'wrong rejection reason'))
+    assert.isFalse(await instances.IdentityRegistry.isProviderFor(1, accounts[7]), 'earlier step was not reverted.')
+  })
+
+  it('Batch -- FAIL function cannot be batched', async function () {
+    const batch = encodeBatch([registryStep('triggerRecoveryAddressChangeFor', 1, accounts[7])])
+
+    await instances.BatchProvider.executeBatch(batch.destinations, batch.data, batch.dataLengths, { from: user.address })
+      .then(() => assert.fail('batch was executed', 'transaction should fail'))
+      .catch(error => assert.include(
+        error.message, 'Step 0 failed: Function cannot be batched.', 'wrong rejection reason'
+      ))
+  })
+
+  it('Batch -- FAIL destination is not a resolver', async function () {
+    const otherResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+    const step = await addKeyStep(user, accounts[6], 'other')
+    step.destination = otherResolver.address
+    const batch = encodeBatch([step])
+
+    await instances.BatchProvider.executeBatch(batch.destinations, batch.data, batch.dataLengths, { from: user.address })
+      .then(() => assert.fail('batch was executed', 'transaction should fail'))
+      .catch(error => assert.include(
+        error.message, 'Step 0 failed: Destination is not a resolver for the approving EIN.', 'wrong rejection reason'
+      ))
+  })
+
+  it('Batch -- FAIL malformed', async function () {
+    const batch = encodeBatch([registryStep('addProvidersFor', 0, [accounts[7]])])
+
+    await instances.BatchProvider.executeBatch(
+      batch.destinations, batch.data, [batch.dataLengths[0] + 1], { from: user.address }
+    )
+      .then(() => assert.fail('batch was executed', 'transaction should fail'))
+      .catch(error => assert.include(error.message, 'Malformed batch.', 'wrong rejection reason'))
+  })
+
+  it('EIN arguments are replaced by the approving EIN', async function () {
+    await instances.IdentityRegistry.createIdentity(
+      users[2].address, [instances.BatchProvider.address], [], { from: users[2].address }
+    )
+    const batch = encodeBatch([registryStep('addProvidersFor', 1, [accounts[7]])])
+
+    await instances.BatchProvider.executeBatch(
+      batch.destinations, batch.data, batch.dataLengths, { from: users[2].address }
+    )
+    assert.isTrue(await instances.IdentityRegistry.isProviderFor(2, accounts[7]), 'provider was not added.')
+    assert.isFalse(await instances.IdentityRegistry.isProviderFor(1, accounts[7]), 'provider was added to EIN 1.')
+  })
+
+  it('resolver steps can only act on the approving EIN', async function () {
+    const claimResolver = await ClaimResolver.new(instances.IdentityRegistry.address)
+    await instances.IdentityRegistry.addResolvers([claimResolver.address], { from: user.address })
+    await instances.IdentityRegistry.addResolvers([claimResolver.address], { from: users[2].address })
+    // EIN 2 also has the BatchProvider as a provider, which removeClaimFor accepts
+    const removeClaimStep = ein => ({
+      destination: claimResolver.address,
+      data: claimResolver.contract.methods.removeClaimFor(ein, web3.utils.soliditySha3('claim')).encodeABI()
+    })
+
+    let batch = encodeBatch([removeClaimStep(2)])
+    await instances.BatchProvider.executeBatch(batch.destinations, batch.data, batch.dataLengths, { from: user.address })
+      .then(() => assert.fail('batch was executed', 'transaction should fail'))
+      .catch(error => assert.include(
+        error.message, 'Step 0 failed: Resolver steps must act on the approving EIN.', 'wrong rejection reason'
+      ))
+
+    batch = encodeBatch([removeClaimStep(1)])
+    await instances.BatchProvider.executeBatch(batch.destinations, batch.data, batch.dataLengths, { from: user.address })
+      .then(() => assert.fail('batch was executed', 'transaction should fail'))
+      .catch(error => assert.include(
+        error.message, 'Step 0 failed: Claim is not a claim of the identity.', 'wrong rejection reason'
+      ))
+  })
+})
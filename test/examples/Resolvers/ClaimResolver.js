@@ -0,0 +1,260 @@
+const { timeTravel, mine, defaultErrorMessage } = require('../../common')
+const { getClaimHash, getClaimId, signClaim, SCHEME_ECDSA } = require('../../../lib/claims')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ClaimResolver = artifacts.require('./examples/Resolvers/Claims/ClaimResolver.sol')
+
+const topic = 7
+const data = web3.utils.utf8ToHex('over 18')
+const oneDay = 60 * 60 * 24
+
+// convenience variables
+const instances = {}
+let subject
+let issuer
+let manager
+
+function assertRejected (promise, reason) {
+  return promise
+    .then(() => assert.fail('', 'transaction should fail'))
+    .catch(error => {
+      if (error.message !== defaultErrorMessage) {
+        assert.include(error.message, reason, 'wrong rejection reason')
+      }
+    })
+}
+
+async function now () {
+  return Number((await web3.eth.getBlock('latest')).timestamp)
+}
+
+// signs a claim about the subject by the first issuer address, and adds it from the subject's address
+async function addClaim (claim, signer) {
+  claim = Object.assign({ ein: subject.ein, topic: topic, scheme: SCHEME_ECDSA, expiry: 0, data: data }, claim)
+  const signature = await signClaim(
+    web3, instances.Resolver.address, claim, signer || { address: issuer.address, method: 'prefixed' }
+  )
+  return instances.Resolver.addClaim(
+    claim.topic, claim.scheme, issuer.address, signature, claim.data, 'https://example.com/claims/1',
+    claim.expiry, { from: subject.address }
+  )
+}
+
+contract('Testing Claim Resolver', function (accounts) {
+  subject = { ein: 1, address: accounts[1], provider: accounts[2] }
+  issuer = { ein: 2, address: accounts[3] }
+  manager = { ein: 3, address: accounts[5] }
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.Resolver = await ClaimResolver.new(instances.IdentityRegistry.address)
+    })
+
+    it('Identities can be created', async function () {
+      await instances.IdentityRegistry.createIdentity(accounts[0], [subject.provider], [], { from: subject.address })
+      await instances.IdentityRegistry.createIdentity(accounts[0], [accounts[0]], [], { from: issuer.address })
+      await instances.IdentityRegistry.createIdentity(accounts[0], [], [], { from: manager.address })
+    })
+  })
+
+  describe('Testing Issuer Registry', function () {
+    it('only the curator can register topics', async function () {
+      assert.equal(await instances.Resolver.curator(), accounts[0], 'unexpected curator.')
+      await assertRejected(
+        instances.Resolver.registerTopic(topic, issuer.ein, { from: issuer.address }),
+        'Only the curator can call this function.'
+      )
+      await assertRejected(
+        instances.Resolver.registerTopic(topic, 4, { from: accounts[0] }), 'The referenced identity does not exist.'
+      )
+    })
+
+    it('topics can be registered', async function () {
+      await instances.Resolver.registerTopic(topic, manager.ein, { from: accounts[0] })
+      assert.equal(await instances.Resolver.getTopicManager(topic), manager.ein, 'unexpected manager.')
+
+      await assertRejected(
+        instances.Resolver.registerTopic(topic, issuer.ein, { from: accounts[0] }), 'The topic is already registered.'
+      )
+    })
+
+    it('curation can be transferred', async function () {
+      await instances.Resolver.transferCuration(accounts[6], { from: accounts[0] })
+      assert.equal(await instances.Resolver.curator(), accounts[6], 'unexpected curator.')
+      await assertRejected(
+        instances.Resolver.transferCuration(accounts[0], { from: accounts[0] }),
+        'Only the curator can call this function.'
+      )
+      await instances.Resolver.transferCuration(accounts[0], { from: accounts[6] })
+    })
+
+    it('issuers can be trusted', async function () {
+      await instances.Resolver.addIssuer(topic, issuer.ein, { from: manager.address })
+      assert.isTrue(await instances.Resolver.isTrustedIssuer(topic, issuer.ein), 'issuer is not trusted.')
+      assert.deepEqual(
+        (await instances.Resolver.getIssuers(topic)).map(ein => ein.toNumber()), [issuer.ein], 'unexpected issuers.'
+      )
+
+      await assertRejected(
+        instances.Resolver.addIssuer(topic, manager.ein, { from: issuer.address }),
+        'Only the manager of the topic can call this function.'
+      )
+      await assertRejected(
+        instances.Resolver.addIssuer(topic, issuer.ein, { from: manager.address }), 'The issuer is already trusted.'
+      )
+    })
+  })
+
+  describe('Testing Claims', function () {
+    it('claims cannot be added before the resolver is set', async function () {
+      await assertRejected(addClaim({}), 'The calling identity does not have this resolver set.')
+    })
+
+    it('claims can be added', async function () {
+      await instances.IdentityRegistry.addResolvers([instances.Resolver.address], { from: subject.address })
+      const receipt = await addClaim({})
+
+      const claimId = getClaimId(subject.ein, issuer.ein, topic)
+      assert.equal(receipt.logs[0].event, 'ClaimAdded', 'no event.')
+      assert.equal(receipt.logs[0].args.claimId, claimId, 'unexpected claim ID.')
+      assert.equal(await instances.Resolver.getClaimId(subject.ein, issuer.ein, topic), claimId, 'unexpected ID.')
+
+      const claim = await instances.Resolver.getClaim(claimId)
+      assert.equal(claim.topic, topic, 'unexpected topic.')
+      assert.equal(claim.scheme, SCHEME_ECDSA, 'unexpected scheme.')
+      assert.equal(claim.issuer, issuer.address, 'unexpected issuer.')
+      assert.equal(claim.data, data, 'unexpected data.')
+      assert.equal(claim.uri, 'https://example.com/claims/1', 'unexpected uri.')
+
+      const binding = await instances.Resolver.getClaimBinding(claimId)
+      assert.equal(binding.ein, subject.ein, 'unexpected subject.')
+      assert.equal(binding.issuerEin, issuer.ein, 'unexpected issuer EIN.')
+      assert.isTrue(await instances.Resolver.isClaimValid(claimId), 'claim is not valid.')
+      assert.deepEqual(await instances.Resolver.getClaimIds(subject.ein), [claimId], 'unexpected claims.')
+      assert.deepEqual(await instances.Resolver.getClaimIdsByTopic(subject.ein, topic), [claimId], 'unexpected IDs.')
+      assert.deepEqual(await instances.Resolver.getClaimIdsByTopic(subject.ein, topic + 1), [], 'unexpected IDs.')
+    })
+
+    it('claims can be added FAIL -- invalid signature, scheme or expiry', async function () {
+      await assertRejected(
+        addClaim({}, { address: accounts[6], method: 'prefixed' }), 'Invalid issuer signature.'
+      )
+      await assertRejected(addClaim({ scheme: 2 }), 'Unknown signature scheme.')
+      await assertRejected(addClaim({ expiry: (await now()) - 1 }), 'Expiry must be in the future.')
+    })
+
+    it('claims of issuers without an Identity are rejected', async function () {
+      const signature = await signClaim(
+        web3, instances.Resolver.address, { ein: subject.ein, topic: topic, data: data },
+        { address: accounts[6], method: 'prefixed' }
+      )
+      await assertRejected(
+        instances.Resolver.addClaim(
+          topic, SCHEME_ECDSA, accounts[6], signature, data, '', 0, { from: subject.address }
+        ),
+        'The passed address does not have an identity but should.'
+      )
+    })
+
+    it('providers can add claims that expire', async function () {
+      const otherTopic = topic + 1
+      const expiry = (await now()) + oneDay
+      const claim = { ein: subject.ein, topic: otherTopic, expiry: expiry, data: data }
+      const signature = await signClaim(
+        web3, instances.Resolver.address, claim, { address: issuer.address, method: 'prefixed' }
+      )
+      await instances.Resolver.addClaimFor(
+        subject.ein, otherTopic, SCHEME_ECDSA, issuer.address, signature, data, '', expiry,
+        { from: subject.provider }
+      )
+      const claimId = getClaimId(subject.ein, issuer.ein, otherTopic)
+      // the issuer is not trusted for the other topic, which was not registered
+      assert.isFalse(await instances.Resolver.isClaimValid(claimId), 'claim of an untrusted issuer is valid.')
+
+      await instances.Resolver.registerTopic(otherTopic, manager.ein, { from: accounts[0] })
+      await instances.Resolver.addIssuer(otherTopic, issuer.ein, { from: manager.address })
+      assert.isTrue(await instances.Resolver.isClaimValid(claimId), 'claim is not valid.')
+
+      await timeTravel(oneDay)
+      await mine()
+      assert.isFalse(await instances.Resolver.isClaimValid(claimId), 'expired claim is valid.')
+
+      await instances.Resolver.removeClaimFor(subject.ein, claimId, { from: subject.provider })
+      assert.deepEqual(
+        await instances.Resolver.getClaimIdsByTopic(subject.ein, otherTopic), [], 'claim was not removed.'
+      )
+    })
+  })
+
+  describe('Testing Revocation', function () {
+    it('issuers can revoke claims', async function () {
+      const claimId = getClaimId(subject.ein, issuer.ein, topic)
+      const claimHash = getClaimHash(instances.Resolver.address, { ein: subject.ein, topic: topic, data: data })
+      assert.equal(
+        await instances.Resolver.getClaimHash(subject.ein, topic, SCHEME_ECDSA, 0, data), claimHash, 'unexpected hash.'
+      )
+
+      await assertRejected(
+        instances.Resolver.revokeClaim(claimHash, { from: accounts[6] }),
+        'The passed address does not have an identity but should.'
+      )
+
+      await instances.Resolver.revokeClaim(claimHash, { from: issuer.address })
+      assert.isTrue(await instances.Resolver.isRevoked(issuer.ein, claimHash), 'claim was not revoked.')
+      assert.isFalse(await instances.Resolver.isClaimValid(claimId), 'revoked claim is valid.')
+
+      await assertRejected(
+        instances.Resolver.revokeClaim(claimHash, { from: issuer.address }), 'The claim is already revoked.'
+      )
+
+      // claims can be reissued with new contents
+      await addClaim({ expiry: (await now()) + oneDay })
+      assert.isTrue(await instances.Resolver.isClaimValid(claimId), 'reissued claim is not valid.')
+    })
+
+    it('managers can stop trusting issuers', async function () {
+      const claimId = getClaimId(subject.ein, issuer.ein, topic)
+      await instances.Resolver.removeIssuer(topic, issuer.ein, { from: manager.address })
+      assert.isFalse(await instances.Resolver.isClaimValid(claimId), 'claim of a removed issuer is valid.')
+      await assertRejected(
+        instances.Resolver.removeIssuer(topic, issuer.ein, { from: manager.address }), 'The issuer is not trusted.'
+      )
+
+      await instances.Resolver.addIssuer(topic, issuer.ein, { from: manager.address })
+      assert.isTrue(await instances.Resolver.isClaimValid(claimId), 'claim is not valid.')
+    })
+
+    it('topics can be transferred', async function () {
+      await instances.Resolver.transferTopic(topic, issuer.ein, { from: manager.address })
+      assert.equal(await instances.Resolver.getTopicManager(topic), issuer.ein, 'topic was not transferred.')
+      await assertRejected(
+        instances.Resolver.addIssuer(topic, manager.ein, { from: manager.address }),
+        'Only the manager of the topic can call this function.'
+      )
+      await instances.Resolver.transferTopic(topic, manager.ein, { from: issuer.address })
+    })
+  })
+
+  describe('Testing Removal', function () {
+    it('claims can be removed', async function () {
+      const claimId = getClaimId(subject.ein, issuer.ein, topic)
+      await assertRejected(
+        instances.Resolver.removeClaim(claimId, { from: issuer.address }),
+        'The calling identity does not have this resolver set.'
+      )
+      await instances.Resolver.removeClaim(claimId, { from: subject.address })
+      assert.deepEqual(await instances.Resolver.getClaimIds(subject.ein), [], 'claim was not removed.')
+      assert.isFalse(await instances.Resolver.isClaimValid(claimId), 'removed claim is valid.')
+      await assertRejected(
+        instances.Resolver.removeClaim(claimId, { from: subject.address }), 'Claim is not a claim of the identity.'
+      )
+    })
+
+    it('claims are removed with the resolver', async function () {
+      await addClaim({})
+      await instances.IdentityRegistry.removeResolvers([instances.Resolver.address], { from: subject.address })
+      assert.deepEqual(await instances.Resolver.getClaimIds(subject.ein), [], 'claims were not removed.')
+    })
+  })
+})
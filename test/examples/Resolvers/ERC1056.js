@@ -1,4 +1,5 @@
 const { sign, verifyIdentity } = require('../../common.js')
+const { signMessage } = require('../../../lib/messages')
 
 const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
 const EthereumDIDRegistry = artifacts.require('./_testing/examples/Resolvers/ERC1056/EthereumDIDRegistry.sol')
@@ -15,9 +16,21 @@ contract('Testing ERC1056 Resolver', function (accounts) {
     {
       address: accounts[2],
       private: '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
+    },
+    {
+      address: accounts[3],
+      private: '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f'
     }
   ]
 
+  const zeroLabel = '0x' + '00'.repeat(32)
+
+  async function getEvent (name) {
+    const events = await instances.ERC1056.getPastEvents(name, { fromBlock: 'latest' })
+    assert.lengthOf(events, 1, `no ${name} event.`)
+    return events[0].returnValues
+  }
+
   it('contracts deployed', async () => {
     instances.IdentityRegistry = await IdentityRegistry.new()
     instances.EthereumDIDRegistry = await EthereumDIDRegistry.new()
@@ -334,4 +347,145 @@ contract('Testing ERC1056 Resolver', function (accounts) {
         ))
     })
   })
+
+  describe('labelled DIDs', async () => {
+    const user = users[0]
+    const did = users[1]
+    const label = web3.utils.soliditySha3('work')
+    const randomBytes = web3.utils.soliditySha3('random')
+
+    it('bind DID', async function () {
+      const signature = await signMessage(
+        web3, 'EthereumDIDRegistry', 'changeOwnerSigned', instances.EthereumDIDRegistry.address,
+        { nonce: 0, identity: did.address, newOwner: instances.ERC1056.address },
+        { address: did.address, privateKey: did.private }
+      )
+
+      await instances.ERC1056.bindDID(label, did.address, signature.v, signature.r, signature.s, { from: user.address })
+
+      const event = await getEvent('DIDBound')
+      assert.equal(event.ein, user.identity.toString(), 'unexpected EIN.')
+      assert.equal(event.did, did.address, 'unexpected DID.')
+      assert.equal(event.label, label, 'unexpected label.')
+      assert.equal(event.approvingAddress, user.address, 'unexpected approving address.')
+
+      assert.equal(await instances.ERC1056.getDID(user.identity, label), did.address, 'DID was not bound.')
+      assert.equal(await instances.ERC1056.einToDID(user.identity), user.address, 'initialized DID was changed.')
+      assert.deepEqual(await instances.ERC1056.getLabels(user.identity), [zeroLabel, label], 'unexpected labels.')
+      assert.isTrue((await instances.ERC1056.didToEIN(did.address)).eq(user.identity), 'unexpected EIN.')
+      assert.equal(await instances.ERC1056.didToLabel(did.address), label, 'unexpected label.')
+    })
+
+    it('bind DID FAIL', async function () {
+      await instances.ERC1056.bindDID(label, user.address, 0, zeroLabel, zeroLabel, { from: user.address })
+        .then(() => assert.fail('able to bind DID', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'This EIN has already been initialized with this label', 'wrong rejection reason'
+        ))
+
+      await instances.ERC1056.bindDID(randomBytes, did.address, 0, zeroLabel, zeroLabel, { from: user.address })
+        .then(() => assert.fail('able to bind DID', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'This DID is already bound to an EIN', 'wrong rejection reason'))
+    })
+
+    it('add delegate', async function () {
+      await instances.ERC1056.addDIDDelegate(label, randomBytes, user.address, 10000, { from: user.address })
+
+      const event = await getEvent('DIDChanged')
+      assert.equal(event.did, did.address, 'unexpected DID.')
+      assert.equal(event.label, label, 'unexpected label.')
+      assert.equal(
+        event.action, web3.eth.abi.encodeFunctionSignature('addDelegate(address,bytes32,address,uint256)'),
+        'unexpected action.'
+      )
+      assert.equal(event.approvingAddress, user.address, 'unexpected approving address.')
+      assert.isFalse(event.delegated, 'unexpected delegation.')
+    })
+
+    it('set attribute signed', async function () {
+      const nonce = await instances.ERC1056.actionNonce(user.identity)
+      const permission = web3.utils.soliditySha3(
+        '0x19', '0x00', instances.ERC1056.address,
+        'setDIDAttributeDelegated', { t: 'bytes32', v: label }, { t: 'bytes32', v: randomBytes },
+        { t: 'bytes', v: '0x01' }, 10000, nonce
+      )
+      const signature = await sign(permission, user.address, user.private, 'unprefixed')
+
+      await instances.ERC1056.setDIDAttributeDelegated(
+        user.address, label, randomBytes, '0x01', 10000, signature.v, signature.r, signature.s, { from: did.address }
+      )
+
+      const event = await getEvent('DIDChanged')
+      assert.equal(event.label, label, 'unexpected label.')
+      assert.equal(event.approvingAddress, user.address, 'unexpected approving address.')
+      assert.isTrue(event.delegated, 'unexpected delegation.')
+      assert.isTrue((await instances.ERC1056.actionNonce(user.identity)).eq(nonce.addn(1)), 'nonce was not used.')
+    })
+
+    it('detach DID', async function () {
+      await instances.ERC1056.changeDIDOwner(label, did.address, { from: user.address })
+
+      const event = await getEvent('DIDDetached')
+      assert.equal(event.did, did.address, 'unexpected DID.')
+      assert.equal(event.label, label, 'unexpected label.')
+      assert.equal(event.newOwner, did.address, 'unexpected owner.')
+      assert.equal(event.approvingAddress, user.address, 'unexpected approving address.')
+
+      assert.equal(
+        await instances.EthereumDIDRegistry.identityOwner(did.address), did.address, 'owner was not changed.'
+      )
+      assert.equal(
+        await instances.ERC1056.getDID(user.identity, label), '0x0000000000000000000000000000000000000000',
+        'DID is still bound.'
+      )
+      assert.deepEqual(await instances.ERC1056.getLabels(user.identity), [zeroLabel], 'unexpected labels.')
+      assert.equal(await instances.ERC1056.didToEIN(did.address), 0, 'DID is still bound.')
+
+      await instances.ERC1056.addDIDDelegate(label, randomBytes, user.address, 10000, { from: user.address })
+        .then(() => assert.fail('able to add delegate', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'This EIN has not been initialized', 'wrong rejection reason'))
+    })
+  })
+
+  describe('recovery', async () => {
+    const user = users[0]
+    const newAddress = users[2]
+    const randomBytes = web3.utils.soliditySha3('random')
+
+    it('recovered EINs keep their DIDs', async function () {
+      const nonce = await instances.ERC1056.actionNonce(user.identity)
+      const permission = web3.utils.soliditySha3(
+        '0x19', '0x00', instances.ERC1056.address,
+        'revokeDelegateDelegated', { t: 'bytes32', v: randomBytes }, user.address, nonce
+      )
+      const oldSignature = await sign(permission, user.address, user.private, 'unprefixed')
+
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: user.identity, newAssociatedAddress: newAddress.address, timestamp: Math.round(new Date() / 1000) - 1 },
+        { address: newAddress.address, privateKey: newAddress.private }
+      )
+      await instances.IdentityRegistry.triggerRecovery(
+        user.identity, newAddress.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: user.address }
+      )
+
+      const event = await getEvent('DIDRecovered')
+      assert.equal(event.ein, user.identity.toString(), 'unexpected EIN.')
+      assert.equal(event.did, user.address, 'unexpected DID.')
+      assert.equal(event.label, zeroLabel, 'unexpected label.')
+      assert.isTrue((await instances.ERC1056.actionNonce(user.identity)).gt(nonce), 'nonce was not used.')
+
+      await instances.ERC1056.revokeDelegateDelegated(
+        user.address, randomBytes, user.address, oldSignature.v, oldSignature.r, oldSignature.s
+      )
+        .then(() => assert.fail('able to use a signature of the old address', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The passed address does not have an identity but should.', 'wrong rejection reason'
+        ))
+
+      await instances.ERC1056.addDelegate(randomBytes, user.address, 10000, { from: newAddress.address })
+      assert.equal((await getEvent('DIDChanged')).approvingAddress, newAddress.address, 'unexpected approving address.')
+    })
+  })
 })
@@ -1,10 +1,27 @@
 const { verifyIdentity } = require('../../common.js')
+const { signMessage } = require('../../../lib/messages')
 
 const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
 const ERC725 = artifacts.require('./examples/Resolvers/ERC725/ERC725RegistryResolver.sol')
+const ClaimHolder = artifacts.require('./examples/Resolvers/ERC725/ClaimHolder.sol')
 
 const instances = {}
 
+function assertRejected (promise, reason) {
+  return promise
+    .then(() => assert.fail('', 'transaction should fail'))
+    .catch(error => assert.include(error.message, reason, 'wrong rejection reason'))
+}
+
+// whether an address holds a management key of a 725
+function isManager (claimHolder, address) {
+  return claimHolder.keyHasPurpose(web3.utils.soliditySha3({ t: 'address', v: address }), 1)
+}
+
+function now () {
+  return Math.round(new Date() / 1000) - 1
+}
+
 contract('Testing ERC725 Resolver', function (accounts) {
   const users = [
     {
@@ -96,4 +113,122 @@ contract('Testing ERC725 Resolver', function (accounts) {
       assert.equal(success, false)
     })
   })
+
+  describe('Delegated 725 logic', async () => {
+    const owner = { address: accounts[3], ein: 3 }
+    const provider = accounts[4]
+    const recoveryAddress = accounts[5]
+    const newAddress = accounts[6]
+    let claimHolder
+
+    it('Identity created', async function () {
+      await instances.IdentityRegistry.createIdentity(
+        recoveryAddress, [provider], [instances.ERC725.address], { from: owner.address }
+      )
+    })
+
+    it('725 delegated mint', async function () {
+      const signature = await signMessage(
+        web3, 'ERC725RegistryResolver', 'create725Delegated', instances.ERC725.address,
+        { nonce: await instances.ERC725.nonceTracker(owner.address) },
+        { address: owner.address, method: 'prefixed' }
+      )
+      await instances.ERC725.create725Delegated(
+        owner.address, signature.v, signature.r, signature.s, signature.timestamp, { from: provider }
+      )
+
+      claimHolder = await ClaimHolder.at(await instances.ERC725.get725(owner.ein))
+      assert.isTrue(await isManager(claimHolder, owner.address), 'owner does not manage the 725.')
+      assert.isTrue(await isManager(claimHolder, instances.ERC725.address), 'resolver does not manage the 725.')
+      assert.isTrue(await instances.ERC725.isManagedAddressFor(owner.ein, owner.address), 'owner is not managed.')
+    })
+
+    it('725 delegated mint FAIL', async function () {
+      const signature = await signMessage(
+        web3, 'ERC725RegistryResolver', 'create725Delegated', instances.ERC725.address,
+        { nonce: await instances.ERC725.nonceTracker(owner.address) },
+        { address: owner.address, method: 'prefixed' }
+      )
+      await assertRejected(
+        instances.ERC725.create725Delegated(
+          owner.address, signature.v, signature.r, signature.s, signature.timestamp, { from: accounts[7] }
+        ),
+        'Only provider can be delegated.'
+      )
+    })
+
+    it('725 sync', async function () {
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.IdentityRegistry.address,
+        { ein: owner.ein, addressToAdd: accounts[7], timestamp: now() }, { address: accounts[7], method: 'prefixed' }
+      )
+      await instances.IdentityRegistry.addAssociatedAddress(
+        owner.address, accounts[7], signature.v, signature.r, signature.s, signature.timestamp,
+        { from: owner.address }
+      )
+      assert.isFalse(await isManager(claimHolder, accounts[7]), 'key was added before the sync.')
+
+      await instances.ERC725.sync(owner.ein, { from: accounts[8] })
+      assert.isTrue(await isManager(claimHolder, accounts[7]), 'key was not added.')
+
+      await instances.IdentityRegistry.removeAssociatedAddress({ from: accounts[7] })
+      await instances.ERC725.sync(owner.ein, { from: accounts[8] })
+      assert.isFalse(await isManager(claimHolder, accounts[7]), 'key was not removed.')
+      assert.isFalse(await instances.ERC725.isManagedAddressFor(owner.ein, accounts[7]), 'address is managed.')
+      assert.isTrue(await isManager(claimHolder, owner.address), 'owner key was removed.')
+    })
+
+    it('725 sync FAIL', async function () {
+      await assertRejected(instances.ERC725.sync(1), 'The identity does not have a 725.')
+
+      // 725s created outside of the resolver are linked but not managed by it
+      const user = users[0]
+      const external = await ClaimHolder.new({ from: user.address })
+      await instances.ERC725.claim725(external.address, { from: user.address })
+      assert.equal(await instances.ERC725.get725(1), external.address, '725 was not linked.')
+      await assertRejected(
+        instances.ERC725.sync(1), 'The resolver does not hold a management key of the 725.'
+      )
+    })
+
+    it('725 delegated claim', async function () {
+      await instances.ERC725.remove725({ from: owner.address })
+      assert.isFalse(await instances.ERC725.isManagedAddressFor(owner.ein, owner.address), 'owner is managed.')
+
+      const signature = await signMessage(
+        web3, 'ERC725RegistryResolver', 'claim725Delegated', instances.ERC725.address,
+        { contract: claimHolder.address, nonce: await instances.ERC725.nonceTracker(owner.address) },
+        { address: owner.address, method: 'prefixed' }
+      )
+      await instances.ERC725.claim725Delegated(
+        owner.address, claimHolder.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: provider }
+      )
+      assert.equal(await instances.ERC725.get725(owner.ein), claimHolder.address, '725 was not claimed.')
+      assert.isTrue(await instances.ERC725.isManagedAddressFor(owner.ein, owner.address), 'owner is not managed.')
+    })
+
+    it('725 remove FAIL', async function () {
+      await instances.IdentityRegistry.createIdentity(accounts[0], [], [], { from: accounts[9] })
+      await assertRejected(
+        instances.ERC725.remove725({ from: accounts[9] }), 'The calling identity does not have this resolver set.'
+      )
+    })
+
+    it('725 is handed over on recovery', async function () {
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: owner.ein, newAssociatedAddress: newAddress, timestamp: now() },
+        { address: newAddress, method: 'prefixed' }
+      )
+      await instances.IdentityRegistry.triggerRecovery(
+        owner.ein, newAddress, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: recoveryAddress }
+      )
+
+      assert.equal(await instances.ERC725.get725(owner.ein), claimHolder.address, '725 was unlinked.')
+      assert.isTrue(await isManager(claimHolder, newAddress), 'new address does not manage the 725.')
+      assert.isFalse(await isManager(claimHolder, owner.address), 'old address still manages the 725.')
+    })
+  })
 })
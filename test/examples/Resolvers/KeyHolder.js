@@ -0,0 +1,255 @@
+const { timeTravel, mine, defaultErrorMessage } = require('../../common')
+
+const KeyHolder = artifacts.require('./examples/Resolvers/ERC725/KeyHolder.sol')
+
+const MANAGEMENT_KEY = 1
+const ACTION_KEY = 2
+const oneDay = 60 * 60 * 24
+
+// convenience variables
+const instances = {}
+let manager
+let actors
+let payee
+
+function assertRejected (promise, reason) {
+  return promise
+    .then(() => assert.fail('', 'transaction should fail'))
+    .catch(error => {
+      if (error.message !== defaultErrorMessage) {
+        assert.include(error.message, reason, 'wrong rejection reason')
+      }
+    })
+}
+
+function keyOf (address) {
+  return web3.utils.soliditySha3({ t: 'address', v: address })
+}
+
+// requests a payment to the payee, returning the execution ID
+async function requestPayment (from) {
+  const receipt = await instances.KeyHolder.execute(payee, 1000, '0x', { from: from })
+  return receipt.logs.find(log => log.event === 'ExecutionRequested').args.executionId
+}
+
+async function getPending () {
+  return (await instances.KeyHolder.getPendingExecutions()).map(id => id.toNumber())
+}
+
+// the length of the pendingExecutions array of the KeyHolder, including executions that are no longer pending
+async function getPendingLength () {
+  return web3.utils.hexToNumber(await web3.eth.getStorageAt(instances.KeyHolder.address, 6))
+}
+
+contract('Testing KeyHolder Executions', function (accounts) {
+  manager = accounts[0]
+  actors = accounts.slice(1, 4)
+  payee = accounts[9]
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.KeyHolder = await KeyHolder.new({ from: manager })
+      for (const actor of actors) {
+        await instances.KeyHolder.addKey(keyOf(actor), ACTION_KEY, 1, { from: manager })
+      }
+      await web3.eth.sendTransaction({ from: manager, to: instances.KeyHolder.address, value: web3.utils.toWei('1') })
+    })
+  })
+
+  describe('Testing Thresholds', function () {
+    it('single approvals are enough by default', async function () {
+      assert.equal(await instances.KeyHolder.getThreshold(ACTION_KEY), 1, 'unexpected threshold.')
+      const balance = web3.utils.toBN(await web3.eth.getBalance(payee))
+      const id = await requestPayment(actors[0])
+
+      assert.isFalse(await instances.KeyHolder.isPending(id), 'execution is pending.')
+      assert.equal(
+        await web3.eth.getBalance(payee), balance.add(web3.utils.toBN(1000)).toString(), 'payment was not made.'
+      )
+    })
+
+    it('thresholds can be set', async function () {
+      await assertRejected(
+        instances.KeyHolder.setThreshold(ACTION_KEY, 2, { from: actors[0] }), 'Sender does not have management key'
+      )
+      await assertRejected(
+        instances.KeyHolder.setThreshold(ACTION_KEY, 0, { from: manager }), 'Threshold must be at least 1'
+      )
+      await assertRejected(
+        instances.KeyHolder.setThreshold(3, 1, { from: manager }), 'Thresholds apply to management and action keys'
+      )
+      // the management key and the three action keys can approve
+      await assertRejected(
+        instances.KeyHolder.setThreshold(ACTION_KEY, 5, { from: manager }), 'Threshold exceeds the number of keys'
+      )
+      await assertRejected(
+        instances.KeyHolder.setThreshold(MANAGEMENT_KEY, 2, { from: manager }), 'Threshold exceeds the number of keys'
+      )
+
+      const receipt = await instances.KeyHolder.setThreshold(ACTION_KEY, 2, { from: manager })
+      assert.equal(receipt.logs[0].event, 'ThresholdChanged', 'no event.')
+      assert.equal(await instances.KeyHolder.getThreshold(ACTION_KEY), 2, 'threshold was not set.')
+    })
+  })
+
+  describe('Testing Requests', function () {
+    it('executions can only be requested by keys of their purpose', async function () {
+      await assertRejected(
+        instances.KeyHolder.execute(payee, 1000, '0x', { from: payee }), 'Sender does not have action key'
+      )
+      const data = instances.KeyHolder.contract.methods.setExecutionTimeout(oneDay).encodeABI()
+      await assertRejected(
+        instances.KeyHolder.execute(instances.KeyHolder.address, 0, data, { from: actors[0] }),
+        'Sender does not have management key'
+      )
+      assert.deepEqual(await getPending(), [], 'unexpected pending executions.')
+    })
+  })
+
+  describe('Testing Approvals', function () {
+    it('executions wait for enough approvals', async function () {
+      const balance = await web3.eth.getBalance(payee)
+      const id = await requestPayment(actors[0])
+
+      assert.isTrue(await instances.KeyHolder.isPending(id), 'execution is not pending.')
+      assert.equal(await instances.KeyHolder.getApprovalCount(id), 1, 'unexpected approvals.')
+      assert.deepEqual(await getPending(), [id.toNumber()], 'unexpected pending executions.')
+      const execution = await instances.KeyHolder.getExecution(id)
+      assert.equal(execution.to, payee, 'unexpected destination.')
+      assert.equal(execution.purpose, ACTION_KEY, 'unexpected purpose.')
+      assert.deepEqual(execution.approvals, [keyOf(actors[0])], 'unexpected approvals.')
+      assert.equal(await web3.eth.getBalance(payee), balance, 'payment was made.')
+
+      await assertRejected(
+        instances.KeyHolder.approve(id, true, { from: actors[0] }), 'Key already approved this execution'
+      )
+      await assertRejected(instances.KeyHolder.approve(id, true, { from: payee }), 'Sender does not have action key')
+
+      const receipt = await instances.KeyHolder.approve(id, true, { from: actors[1] })
+      const approval = receipt.logs.find(log => log.event === 'ApprovalChanged')
+      assert.equal(approval.args.key, keyOf(actors[1]), 'unexpected key.')
+      assert.isTrue(approval.args.approved, 'unexpected approval.')
+      assert.equal(approval.args.approvals, 2, 'unexpected approvals.')
+      assert.isDefined(receipt.logs.find(log => log.event === 'Executed'), 'execution was not carried out.')
+
+      assert.isFalse(await instances.KeyHolder.isPending(id), 'execution is pending.')
+      assert.isTrue((await instances.KeyHolder.getExecution(id)).executed, 'execution was not carried out.')
+      assert.deepEqual(await getPending(), [], 'unexpected pending executions.')
+      assert.notEqual(await web3.eth.getBalance(payee), balance, 'payment was not made.')
+      await assertRejected(instances.KeyHolder.approve(id, true, { from: actors[2] }), 'Execution is not pending')
+    })
+
+    it('approvals can be withdrawn', async function () {
+      const id = await requestPayment(actors[0])
+      const receipt = await instances.KeyHolder.approve(id, false, { from: actors[0] })
+      const approval = receipt.logs.find(log => log.event === 'ApprovalChanged')
+      assert.isFalse(approval.args.approved, 'unexpected approval.')
+      assert.equal(approval.args.approvals, 0, 'unexpected approvals.')
+      assert.equal(await instances.KeyHolder.getApprovalCount(id), 0, 'approval was not withdrawn.')
+
+      await assertRejected(
+        instances.KeyHolder.approve(id, false, { from: actors[0] }), 'Key has not approved this execution'
+      )
+    })
+
+    it('approvals of removed keys do not count', async function () {
+      const id = await requestPayment(actors[0])
+      // sent raw, since web3 cannot decode the indexed array of the KeyRemoved event
+      await web3.eth.sendTransaction({
+        from: manager,
+        to: instances.KeyHolder.address,
+        data: instances.KeyHolder.contract.methods.removeKey(keyOf(actors[0]), ACTION_KEY).encodeABI(),
+        gas: 200000
+      })
+      assert.isFalse(await instances.KeyHolder.keyHasPurpose(keyOf(actors[0]), ACTION_KEY), 'key was not removed.')
+      await instances.KeyHolder.approve(id, true, { from: actors[1] })
+
+      assert.equal(await instances.KeyHolder.getApprovalCount(id), 1, 'approval of a removed key counts.')
+      assert.isTrue(await instances.KeyHolder.isPending(id), 'execution is not pending.')
+
+      await instances.KeyHolder.addKey(keyOf(actors[0]), ACTION_KEY, 1, { from: manager })
+      await instances.KeyHolder.approve(id, true, { from: actors[2] })
+      assert.isFalse(await instances.KeyHolder.isPending(id), 'execution is pending.')
+    })
+
+    it('failed executions stay pending', async function () {
+      const other = await KeyHolder.new({ from: manager })
+      const data = other.contract.methods.removeKey(keyOf(manager), MANAGEMENT_KEY).encodeABI()
+      const receipt = await instances.KeyHolder.execute(other.address, 0, data, { from: actors[0] })
+      const id = receipt.logs.find(log => log.event === 'ExecutionRequested').args.executionId
+
+      const failure = await instances.KeyHolder.approve(id, true, { from: actors[1] })
+      assert.isDefined(failure.logs.find(log => log.event === 'ExecutionFailed'), 'execution did not fail.')
+      assert.isTrue(await instances.KeyHolder.isPending(id), 'execution is not pending.')
+    })
+  })
+
+  describe('Testing Expiry', function () {
+    it('pending executions expire', async function () {
+      await assertRejected(
+        instances.KeyHolder.setExecutionTimeout(0, { from: manager }), 'Execution timeout must be positive'
+      )
+      await instances.KeyHolder.setExecutionTimeout(oneDay, { from: manager })
+      assert.equal(await instances.KeyHolder.getExecutionTimeout(), oneDay, 'timeout was not set.')
+
+      const id = await requestPayment(actors[0])
+      assert.include(await getPending(), id.toNumber(), 'execution is not pending.')
+
+      await timeTravel(oneDay)
+      await mine()
+      assert.isFalse(await instances.KeyHolder.isPending(id), 'execution is pending.')
+      assert.notInclude(await getPending(), id.toNumber(), 'expired execution is listed.')
+      await assertRejected(instances.KeyHolder.approve(id, true, { from: actors[1] }), 'Execution is not pending')
+    })
+
+    it('expired executions are pruned', async function () {
+      // outlast the executions requested with the default timeout
+      await timeTravel(7 * oneDay)
+      await mine()
+      assert.isAbove(await getPendingLength(), 0, 'no expired executions.')
+      const id = await requestPayment(actors[0])
+      assert.deepEqual(await getPending(), [id.toNumber()], 'unexpected pending executions.')
+      assert.equal(await getPendingLength(), 1, 'expired executions were not pruned.')
+    })
+  })
+
+  describe('Testing Management', function () {
+    it('management thresholds require executions', async function () {
+      const newManager = accounts[4]
+      await instances.KeyHolder.addKey(keyOf(newManager), MANAGEMENT_KEY, 1, { from: manager })
+      await instances.KeyHolder.setThreshold(MANAGEMENT_KEY, 2, { from: manager })
+
+      const newKey = keyOf(accounts[5])
+      await assertRejected(
+        instances.KeyHolder.addKey(newKey, ACTION_KEY, 1, { from: manager }),
+        'Management requires an approved execution'
+      )
+      await assertRejected(
+        instances.KeyHolder.removeKey(keyOf(actors[0]), ACTION_KEY, { from: manager }),
+        'Management requires an approved execution'
+      )
+
+      const data = instances.KeyHolder.contract.methods.addKey(newKey, ACTION_KEY, 1).encodeABI()
+      const receipt = await instances.KeyHolder.execute(instances.KeyHolder.address, 0, data, { from: manager })
+      const id = receipt.logs.find(log => log.event === 'ExecutionRequested').args.executionId
+      assert.equal((await instances.KeyHolder.getExecution(id)).purpose, MANAGEMENT_KEY, 'unexpected purpose.')
+
+      await assertRejected(
+        instances.KeyHolder.approve(id, true, { from: actors[0] }), 'Sender does not have management key'
+      )
+      await instances.KeyHolder.approve(id, true, { from: newManager })
+      assert.isTrue(await instances.KeyHolder.keyHasPurpose(newKey, ACTION_KEY), 'key was not added.')
+    })
+
+    it('keys cannot be removed below the threshold', async function () {
+      const newManager = accounts[4]
+      const data = instances.KeyHolder.contract.methods.removeKey(keyOf(newManager), MANAGEMENT_KEY).encodeABI()
+      const receipt = await instances.KeyHolder.execute(instances.KeyHolder.address, 0, data, { from: manager })
+      const id = receipt.logs.find(log => log.event === 'ExecutionRequested').args.executionId
+
+      const failure = await instances.KeyHolder.approve(id, true, { from: newManager })
+      assert.isDefined(failure.logs.find(log => log.event === 'ExecutionFailed'), 'execution did not fail.')
+      assert.isTrue(await instances.KeyHolder.keyHasPurpose(keyOf(newManager), MANAGEMENT_KEY), 'key was removed.')
+    })
+  })
+})
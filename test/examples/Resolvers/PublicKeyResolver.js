@@ -2,6 +2,8 @@ var _ = require('underscore')
 const ethUtil = require('ethereumjs-util')
 
 const { sign, verifyIdentity, defaultErrorMessage } = require('../../common')
+const { signMessage } = require('../../../lib/messages')
+const { derivePublicKey, encodePurpose, getKeyId, recoverPublicKey } = require('../../../lib/publicKeys')
 
 const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
 const PublicKeyResolver = artifacts.require('./examples/Resolvers/PublicKey/PublicKeyResolver.sol')
@@ -21,9 +23,18 @@ const privateKeys = [
 
 // convenience variables
 const instances = {}
+const signatures = {}
 let accountsPrivate
 let identity
 
+const purpose = encodePurpose('authentication')
+
+// compresses a 64 byte uncompressed secp256k1 key, prefixing x with 0x02 for even and 0x03 for odd y
+function compress (publicKey) {
+  const prefix = parseInt(publicKey.slice(-2), 16) % 2 === 0 ? '0x02' : '0x03'
+  return `${prefix}${publicKey.slice(2, 66)}`
+}
+
 function privateToPublic( privateKey){
   const pubKeyBuffer = ethUtil.privateToPublic(privateKey)
   const pubKeyHex = ethUtil.bufferToHex(pubKeyBuffer)
@@ -144,6 +155,7 @@ contract('Testing Public Key Resolver', function (accounts) {
         'I authorize the addition of a public key on my behalf.',
         identity.associatedAddresses[1].address,
         identity.associatedAddresses[1].public,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address),
         timestamp
       )
       const permission = await sign(
@@ -171,6 +183,7 @@ contract('Testing Public Key Resolver', function (accounts) {
         'I authorize the addition of a public key on my behalf.',
         identity.associatedAddresses[1].address,
         identity.associatedAddresses[1].public,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address),
         timestamp
       )
       const permission = await sign(
@@ -199,6 +212,7 @@ contract('Testing Public Key Resolver', function (accounts) {
         'Wrong message.',
         identity.associatedAddresses[1].address,
         identity.associatedAddresses[1].public,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address),
         timestamp
       )
       const permission = await sign(
@@ -226,6 +240,7 @@ contract('Testing Public Key Resolver', function (accounts) {
         'I authorize the addition of a public key on my behalf.',
         identity.associatedAddresses[1].address,
         identity.associatedAddresses[1].public,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address),
         timestamp
       )
       const permission = await sign(
@@ -238,6 +253,8 @@ contract('Testing Public Key Resolver', function (accounts) {
       )
       const pubKey = await instances.Resolver.getPublicKey(identity.associatedAddresses[1].address)
       assert.equal(pubKey, identity.associatedAddresses[1].public, 'public key was set incorrectly.')
+
+      signatures.addPublicKey = { permission: permission, timestamp: timestamp }
     })
 
     it('public key can be removed by delegator FAIL -- provider', async function () {
@@ -246,6 +263,7 @@ contract('Testing Public Key Resolver', function (accounts) {
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of a pubic key on my behalf.',
         identity.associatedAddresses[1].address,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address),
         timestamp
       )
       const permission = await sign(
@@ -272,6 +290,7 @@ contract('Testing Public Key Resolver', function (accounts) {
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of a public key on my behalf.',
         identity.associatedAddresses[1].address,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address),
         timestamp
       )
       const permission = await sign(
@@ -298,6 +317,7 @@ contract('Testing Public Key Resolver', function (accounts) {
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of a public key on my behalf.',
         identity.associatedAddresses[1].address,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address),
         timestamp
       )
       const permission = await sign(
@@ -324,6 +344,7 @@ contract('Testing Public Key Resolver', function (accounts) {
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of a public key on my behalf.',
         identity.associatedAddresses[1].address,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address),
         timestamp
       )
       const permission = await sign(
@@ -338,5 +359,319 @@ contract('Testing Public Key Resolver', function (accounts) {
       const pubKey = await instances.Resolver.getPublicKey(identity.associatedAddresses[1].address)
       assert.isTrue((pubKey == null), 'public key was removed incorrectly.')
     })
+
+    it('public key can be added by delegator FAIL -- replayed signature', async function () {
+      // the key was removed, so replaying the signature would add it again
+      const { permission, timestamp } = signatures.addPublicKey
+      await instances.Resolver.addPublicKeyDelegated(
+        identity.associatedAddresses[1].address, identity.associatedAddresses[1].public,
+        permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+        .then(() => assert.fail('able to add', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+
+      const pubKey = await instances.Resolver.getPublicKey(identity.associatedAddresses[1].address)
+      assert.isTrue((pubKey == null), 'public key was added again.')
+    })
+
+    it('signatures can be cancelled', async function () {
+      const timestamp = Math.round(new Date() / 1000) - 1
+      const nonce = await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address)
+      const permissionString = web3.utils.soliditySha3(
+        '0x19', '0x00', instances.Resolver.address,
+        'I authorize the addition of a public key on my behalf.',
+        identity.associatedAddresses[1].address,
+        identity.associatedAddresses[1].public,
+        nonce,
+        timestamp
+      )
+      const permission = await sign(
+        permissionString, identity.associatedAddresses[1].address, identity.associatedAddresses[1].private
+      )
+
+      await instances.Resolver.cancelSignature({ from: identity.associatedAddresses[1].address })
+      const newNonce = await instances.Resolver.nonceTracker(identity.associatedAddresses[1].address)
+      assert.isTrue(newNonce.eq(nonce.addn(1)), 'nonce was not incremented.')
+
+      await instances.Resolver.addPublicKeyDelegated(
+        identity.associatedAddresses[1].address, identity.associatedAddresses[1].public,
+        permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+        .then(() => assert.fail('able to add', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+    })
+  })
+
+  describe('Testing Key Types', function () {
+    it('keys of every type can be added', async function () {
+      const address = identity.associatedAddresses[1]
+      const keys = [
+        { keyType: 2, purpose: 'authentication', publicKey: compress(address.public) },
+        { keyType: 3, purpose: 'assertionMethod', publicKey: web3.utils.randomHex(32) },
+        { keyType: 4, purpose: 'keyAgreement', publicKey: web3.utils.randomHex(32) },
+        { keyType: 5, purpose: 'authentication', publicKey: web3.utils.randomHex(256) }
+      ]
+      for (const key of keys) {
+        const receipt = await instances.Resolver.addKey(
+          key.keyType, encodePurpose(key.purpose), key.publicKey, { from: address.address }
+        )
+        const event = receipt.logs.find(log => log.event === 'PublicKeyAdded')
+        assert.equal(event.args.keyId, getKeyId(key.keyType, key.publicKey), 'unexpected key ID.')
+        assert.equal(event.args.keyType, key.keyType, 'unexpected key type.')
+        assert.equal(event.args.addr, address.address, 'unexpected address.')
+      }
+
+      const keyIds = keys.map(key => getKeyId(key.keyType, key.publicKey))
+      assert.deepEqual(await instances.Resolver.getKeyIds(2), keyIds, 'unexpected key IDs of the EIN.')
+      assert.deepEqual(
+        await instances.Resolver.getKeyIdsByAddress(address.address), keyIds, 'unexpected key IDs of the address.'
+      )
+
+      const stored = await instances.Resolver.getKey(keyIds[2])
+      assert.equal(stored.ein, 2, 'unexpected EIN.')
+      assert.equal(stored.addr, address.address, 'unexpected address.')
+      assert.equal(stored.keyType, 4, 'unexpected key type.')
+      assert.equal(stored.purpose, encodePurpose('keyAgreement'), 'unexpected purpose.')
+      assert.equal(stored.publicKey, keys[2].publicKey, 'unexpected public key.')
+      instances.keyIds = keyIds
+    })
+
+    it('compressed keys are decompressed', async function () {
+      for (const account of accountsPrivate.slice(0, 5)) {
+        const publicKey = compress(account.public)
+        assert.equal(await instances.Resolver.calculateAddress(publicKey), account.address, 'unexpected address.')
+      }
+      await instances.Resolver.calculateAddress(`0x05${identity.associatedAddresses[1].public.slice(2, 66)}`)
+        .then(() => assert.fail('address was calculated', 'call should fail'))
+        .catch(error => {
+          if (error.message !== defaultErrorMessage) {
+            assert.include(error.message, 'Invalid compressed public key.', 'wrong rejection reason')
+          }
+        })
+    })
+
+    it('public key can be added FAIL -- secp256k1 key of another address', async function () {
+      for (const publicKey of [identity.associatedAddresses[0].public, compress(identity.associatedAddresses[0].public)]) {
+        await instances.Resolver.addKey(
+          publicKey.length === 130 ? 1 : 2, purpose, publicKey, { from: identity.associatedAddresses[1].address }
+        )
+          .then(() => assert.fail('public key was added', 'transaction should fail'))
+          .catch(error => assert.include(
+            error.message, 'The key is not of an associated address.', 'wrong rejection reason'
+          ))
+      }
+    })
+
+    it('public key can be added FAIL -- invalid key', async function () {
+      const from = { from: identity.associatedAddresses[1].address }
+      await instances.Resolver.addKey(3, purpose, web3.utils.randomHex(31), from)
+        .then(() => assert.fail('public key was added', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Invalid public key length.', 'wrong rejection reason'))
+      await instances.Resolver.addKey(5, purpose, web3.utils.randomHex(64), from)
+        .then(() => assert.fail('public key was added', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Invalid public key length.', 'wrong rejection reason'))
+      await instances.Resolver.addKey(6, purpose, web3.utils.randomHex(32), from)
+        .then(() => assert.fail('public key was added', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Unknown key type.', 'wrong rejection reason'))
+    })
+
+    it('public key can be removed FAIL -- key of another identity', async function () {
+      await instances.Resolver.addKey(
+        1, purpose, identity.associatedAddresses[0].public, { from: identity.associatedAddresses[0].address }
+      )
+      await instances.Resolver.removeKey(instances.keyIds[1], { from: identity.associatedAddresses[0].address })
+        .then(() => assert.fail('public key was removed', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Key is not a public key of the identity.', 'wrong rejection reason'
+        ))
+      await instances.Resolver.removeKey(
+        getKeyId(1, identity.associatedAddresses[0].public), { from: identity.associatedAddresses[0].address }
+      )
+    })
+
+    it('public keys can be removed by ID', async function () {
+      const receipt = await instances.Resolver.removeKey(
+        instances.keyIds[1], { from: identity.associatedAddresses[1].address }
+      )
+      const event = receipt.logs.find(log => log.event === 'PublicKeyRemoved')
+      assert.equal(event.args.keyId, instances.keyIds[1], 'unexpected key ID.')
+      assert.equal(event.args.keyType, 3, 'unexpected key type.')
+
+      const remaining = [instances.keyIds[0], instances.keyIds[3], instances.keyIds[2]]
+      assert.deepEqual(await instances.Resolver.getKeyIds(2), remaining, 'unexpected key IDs of the EIN.')
+      assert.deepEqual(
+        await instances.Resolver.getKeyIdsByAddress(identity.associatedAddresses[1].address), remaining,
+        'unexpected key IDs of the address.'
+      )
+      assert.equal((await instances.Resolver.getKey(instances.keyIds[1])).ein, 0, 'key was not removed.')
+    })
+
+    it('compressed and uncompressed keys have one ID', async function () {
+      const address = identity.associatedAddresses[1]
+      const compressed = compress(address.public)
+      assert.equal(
+        await instances.Resolver.getKeyId(2, compressed), await instances.Resolver.getKeyId(1, address.public),
+        'unexpected key ID.'
+      )
+      assert.equal(getKeyId(2, compressed), getKeyId(1, address.public), 'unexpected key ID in JavaScript.')
+
+      await instances.Resolver.addPublicKey(address.public, { from: address.address })
+        .then(() => assert.fail('public key was added', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Key was already added by someone.', 'wrong rejection reason'))
+      assert.equal(
+        await instances.Resolver.getPublicKey(address.address), address.public, 'public key was not decompressed.'
+      )
+      assert.deepEqual(await instances.Resolver.getAddresses(2), [address.address], 'unexpected addresses.')
+
+      await instances.Resolver.removePublicKey({ from: address.address })
+      assert.isNull(await instances.Resolver.getPublicKey(address.address), 'public key was not removed.')
+      assert.deepEqual(
+        await instances.Resolver.getKeyIds(2), [instances.keyIds[2], instances.keyIds[3]], 'unexpected key IDs.'
+      )
+    })
+  })
+
+  describe('Testing Sync', function () {
+    it('public keys of addresses removed by a recovery are revoked', async function () {
+      const oldAddress = identity.associatedAddresses[0]
+      const newAddress = accountsPrivate[9]
+      await instances.Resolver.addPublicKey(oldAddress.public, { from: oldAddress.address })
+      assert.deepEqual(await instances.Resolver.getAddresses(1), [oldAddress.address], 'unexpected addresses.')
+
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: 1, newAssociatedAddress: newAddress.address, timestamp: Math.round(new Date() / 1000) - 1 },
+        { address: newAddress.address, method: 'prefixed' }
+      )
+      await instances.IdentityRegistry.triggerRecovery(
+        1, newAddress.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.recoveryAddress.address }
+      )
+
+      const receipt = await instances.Resolver.sync(1, { from: accounts[5] })
+      const event = receipt.logs.find(log => log.event === 'PublicKeyRemoved')
+      assert.equal(event.args.addr, oldAddress.address, 'unexpected address.')
+      assert.isTrue(event.args.ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+
+      const pubKey = await instances.Resolver.getPublicKey(oldAddress.address)
+      assert.isTrue((pubKey == null), 'public key was not removed.')
+      assert.deepEqual(await instances.Resolver.getAddresses(1), [], 'address was not removed.')
+    })
+
+    it('public keys of associated addresses are kept', async function () {
+      const address = identity.associatedAddresses[1]
+      await instances.Resolver.addPublicKey(address.public, { from: address.address })
+
+      const receipt = await instances.Resolver.sync(2, { from: accounts[5] })
+      assert.isUndefined(receipt.logs.find(log => log.event === 'PublicKeyRemoved'), 'a public key was removed.')
+      assert.equal(await instances.Resolver.getPublicKey(address.address), address.public, 'public key was removed.')
+    })
+  })
+  describe('Testing Key Recovery', function () {
+    async function recoveryPermission (associatedAddress, signer, method) {
+      const timestamp = Math.round(new Date() / 1000) - 1
+      const permissionString = web3.utils.soliditySha3(
+        '0x19', '0x00', instances.Resolver.address,
+        'I authorize the addition of my recovered public key.',
+        associatedAddress.address, purpose,
+        await instances.Resolver.nonceTracker(associatedAddress.address),
+        timestamp
+      )
+      const permission = await sign(permissionString, signer.address, signer.private, method)
+      return { permission: permission, timestamp: timestamp }
+    }
+
+    it('Identities can be created', async function () {
+      for (const address of accountsPrivate.slice(6, 8)) {
+        await instances.IdentityRegistry.createIdentity(
+          identity.recoveryAddress.address, [identity.providers[0].address], identity.resolvers,
+          { from: address.address }
+        )
+      }
+    })
+
+    it('public keys are recovered from signatures', async function () {
+      const messageHash = web3.utils.randomHex(32)
+      for (const account of accountsPrivate.slice(0, 5)) {
+        const signature = await sign(messageHash, account.address, account.private)
+        assert.equal(
+          await instances.Resolver.recoverPublicKey(messageHash, signature.v, signature.r, signature.s), account.public,
+          'unexpected public key recovered by the resolver.'
+        )
+        assert.equal(recoverPublicKey(messageHash, signature), account.public, 'unexpected public key recovered.')
+        assert.equal(
+          ethUtil.bufferToHex(ethUtil.privateToPublic(account.private)), account.public, 'unexpected fixture key.'
+        )
+      }
+    })
+
+    it('public keys are derived from wallet signatures', async function () {
+      for (const account of accountsPrivate.slice(0, 5)) {
+        assert.equal(await derivePublicKey(web3, account.address), account.public, 'unexpected public key derived.')
+      }
+    })
+
+    it('recovered public key can be added', async function () {
+      const address = accountsPrivate[6]
+      const { permission, timestamp } = await recoveryPermission(address, { address: address.address }, 'prefixed')
+      const receipt = await instances.Resolver.addRecoveredPublicKey(
+        address.address, purpose, permission.v, permission.r, permission.s, timestamp, { from: address.address }
+      )
+      const event = receipt.logs.find(log => log.event === 'PublicKeyAdded')
+      assert.equal(event.args.keyId, getKeyId(1, address.public), 'unexpected key ID.')
+      assert.equal(event.args.publicKey, address.public, 'unexpected public key.')
+      assert.isFalse(event.args.delegated, 'addition was delegated.')
+
+      assert.equal(await instances.Resolver.getPublicKey(address.address), address.public, 'public key was not added.')
+    })
+
+    it('recovered public key can be added by delegator FAIL -- signature', async function () {
+      const address = accountsPrivate[7]
+      const { permission, timestamp } = await recoveryPermission(address, accountsPrivate[6])
+      await instances.Resolver.addRecoveredPublicKey(
+        address.address, purpose, permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+        .then(() => assert.fail('able to add', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+    })
+
+    it('recovered public key can be added by delegator FAIL -- not provider', async function () {
+      const address = accountsPrivate[7]
+      const { permission, timestamp } = await recoveryPermission(address, address)
+      await instances.Resolver.addRecoveredPublicKey(
+        address.address, purpose, permission.v, permission.r, permission.s, timestamp, { from: accounts[8] }
+      )
+        .then(() => assert.fail('able to add', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Only provider can be delegated.', 'wrong rejection reason'))
+    })
+
+    it('recovered public key can be added by delegator', async function () {
+      const address = accountsPrivate[7]
+      const { permission, timestamp } = await recoveryPermission(address, address)
+      signatures.addRecoveredPublicKey = { permission: permission, timestamp: timestamp }
+      const receipt = await instances.Resolver.addRecoveredPublicKey(
+        address.address, purpose, permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+      assert.isTrue(receipt.logs.find(log => log.event === 'PublicKeyAdded').args.delegated, 'addition was not delegated.')
+
+      assert.equal(await instances.Resolver.getPublicKey(address.address), address.public, 'public key was not added.')
+    })
+
+    it('recovered public key can be added by delegator FAIL -- replayed signature', async function () {
+      const address = accountsPrivate[7]
+      await instances.Resolver.removeKey(getKeyId(1, address.public), { from: address.address })
+
+      const { permission, timestamp } = signatures.addRecoveredPublicKey
+      await instances.Resolver.addRecoveredPublicKey(
+        address.address, purpose, permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+        .then(() => assert.fail('able to add', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+    })
   })
 })
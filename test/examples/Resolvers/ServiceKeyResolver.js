@@ -1,6 +1,7 @@
 var _ = require('underscore')
 
-const { sign, verifyIdentity, defaultErrorMessage } = require('../../common')
+const { sign, timeTravel, mine, verifyIdentity, defaultErrorMessage } = require('../../common')
+const { signMessage } = require('../../../lib/messages')
 
 const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
 const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
@@ -16,9 +17,15 @@ const privateKeys = [
 
 // convenience variables
 const instances = {}
+const signatures = {}
 let accountsPrivate
 let identity
 
+// delegated signatures are timestamped with the chain's time, which runs ahead after time travel
+async function now () {
+  return Number((await web3.eth.getBlock('latest')).timestamp)
+}
+
 contract('Testing Service Key Resolver', function (accounts) {
   accountsPrivate = accounts.map((account, i) => { return { address: account, private: privateKeys[i] } })
 
@@ -121,6 +128,7 @@ contract('Testing Service Key Resolver', function (accounts) {
         'I authorize the addition of a service key on my behalf.',
         services.p[1].address,
         services.names[1],
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -148,6 +156,7 @@ contract('Testing Service Key Resolver', function (accounts) {
         'I authorize the addition of a service key on my behalf.',
         services.p[1].address,
         services.names[1],
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -175,6 +184,7 @@ contract('Testing Service Key Resolver', function (accounts) {
         'Wrong message.',
         services.p[0].address,
         services.names[0],
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -202,6 +212,7 @@ contract('Testing Service Key Resolver', function (accounts) {
         'I authorize the addition of a service key on my behalf.',
         services.p[1].address,
         services.names[1],
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -218,6 +229,8 @@ contract('Testing Service Key Resolver', function (accounts) {
 
       const symbol = await instances.Resolver.getSymbol(services.p[1].address)
       assert.equal(symbol, services.names[1], 'service symbol was set incorrectly.')
+
+      signatures.addKey = { permission: permission, timestamp: timestamp }
     })
 
     it('service key can be removed by delegator FAIL -- provider', async function () {
@@ -226,6 +239,7 @@ contract('Testing Service Key Resolver', function (accounts) {
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of a service key on my behalf.',
         services.p[1].address,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -252,6 +266,7 @@ contract('Testing Service Key Resolver', function (accounts) {
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of a service key on my behalf.',
         services.p[1].address,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -278,6 +293,7 @@ contract('Testing Service Key Resolver', function (accounts) {
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of a service key on my behalf.',
         services.p[1].address,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -304,6 +320,7 @@ contract('Testing Service Key Resolver', function (accounts) {
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of a service key on my behalf.',
         services.p[1].address,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -348,6 +365,7 @@ contract('Testing Service Key Resolver', function (accounts) {
       const permissionString = web3.utils.soliditySha3(
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of all service keys on my behalf.',
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -373,6 +391,7 @@ contract('Testing Service Key Resolver', function (accounts) {
       const permissionString = web3.utils.soliditySha3(
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of all service keys on my behalf.',
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -398,6 +417,7 @@ contract('Testing Service Key Resolver', function (accounts) {
       const permissionString = web3.utils.soliditySha3(
         '0x19', '0x00', instances.Resolver.address,
         'Wrong message.',
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -426,6 +446,7 @@ contract('Testing Service Key Resolver', function (accounts) {
       const permissionString = web3.utils.soliditySha3(
         '0x19', '0x00', instances.Resolver.address,
         'I authorize the removal of all service keys on my behalf.',
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
         timestamp
       )
       const permission = await sign(
@@ -439,5 +460,326 @@ contract('Testing Service Key Resolver', function (accounts) {
       const aKeys = await instances.Resolver.getKeys(identity.identity)
       assert.equal(aKeys.length, 0, 'Keys were removed incorrectly.')
     })
+
+    it('service key can be added by delegator FAIL -- replayed signature', async function () {
+      // the key was removed, so replaying the signature would add it again
+      const { permission, timestamp } = signatures.addKey
+      await instances.Resolver.addKeyDelegated(
+        identity.associatedAddresses[0].address, services.p[1].address, services.names[1],
+        permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+        .then(() => assert.fail('able to add', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+
+      const isKeyFor = await instances.Resolver.isKeyFor(services.p[1].address, identity.identity)
+      assert.isFalse(isKeyFor, 'service key was added again.')
+    })
+
+    it('signatures can be cancelled', async function () {
+      const timestamp = Math.round(new Date() / 1000) - 1
+      const nonce = await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address)
+      const permissionString = web3.utils.soliditySha3(
+        '0x19', '0x00', instances.Resolver.address,
+        'I authorize the addition of a service key on my behalf.',
+        services.p[1].address,
+        services.names[1],
+        nonce,
+        timestamp
+      )
+      const permission = await sign(
+        permissionString, identity.associatedAddresses[0].address, identity.associatedAddresses[0].private
+      )
+
+      await instances.Resolver.cancelSignature({ from: identity.associatedAddresses[0].address })
+      const newNonce = await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address)
+      assert.isTrue(newNonce.eq(nonce.addn(1)), 'nonce was not incremented.')
+
+      await instances.Resolver.addKeyDelegated(
+        identity.associatedAddresses[0].address, services.p[1].address, services.names[1],
+        permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+        .then(() => assert.fail('able to add', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+    })
+  })
+
+  describe('Testing Expiry and Scope', function () {
+    it('service key can be added with an expiry and a scope', async function () {
+      const expiry = await now() + 60
+      const scopeLogin = await instances.Resolver.SCOPE_LOGIN()
+      const receipt = await instances.Resolver.addScopedKey(
+        accounts[6], services.names[0], expiry, scopeLogin, { from: identity.associatedAddresses[0].address }
+      )
+
+      const event = receipt.logs.find(log => log.event === 'KeyAdded')
+      assert.equal(event.args.expiry, expiry, 'unexpected expiry.')
+      assert.isTrue(event.args.scope.eq(scopeLogin), 'unexpected scope.')
+      assert.equal(await instances.Resolver.getExpiry(accounts[6]), expiry, 'expiry was set incorrectly.')
+      assert.isTrue((await instances.Resolver.getScope(accounts[6])).eq(scopeLogin), 'scope was set incorrectly.')
+
+      const scopeSign = await instances.Resolver.SCOPE_SIGN_TRANSACTIONS()
+      assert.isTrue(await instances.Resolver.isKeyFor(accounts[6], identity.identity), 'key is not valid.')
+      assert.isTrue(
+        await instances.Resolver.isKeyValidFor(accounts[6], identity.identity, scopeLogin), 'key is not valid for login.'
+      )
+      assert.isFalse(
+        await instances.Resolver.isKeyValidFor(accounts[6], identity.identity, scopeSign), 'key is valid for signing.'
+      )
+      assert.isFalse(
+        await instances.Resolver.isKeyValidFor(accounts[6], identity.identity, scopeLogin.or(scopeSign)),
+        'key is valid for login and signing.'
+      )
+    })
+
+    it('service key can be added with an expiry FAIL -- expiry in the past', async function () {
+      await instances.Resolver.addScopedKey(
+        accounts[7], services.names[0], await now() - 1, 1, { from: identity.associatedAddresses[0].address }
+      )
+        .then(() => assert.fail('service key was added', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Expiry must be in the future.', 'wrong rejection reason'))
+    })
+
+    it('expired service keys are not valid', async function () {
+      await timeTravel(120)
+      await mine()
+
+      assert.isFalse(await instances.Resolver.isKeyFor(accounts[6], identity.identity), 'expired key is valid.')
+      assert.isFalse(
+        await instances.Resolver.isKeyValidFor(accounts[6], identity.identity, 0), 'expired key is valid for no scope.'
+      )
+      assert.include(
+        await instances.Resolver.getKeys(identity.identity), accounts[6], 'expired key was removed.'
+      )
+    })
+
+    it('service key can be added by delegator with an expiry and a scope', async function () {
+      const timestamp = await now()
+      const expiry = timestamp + 60 * 60
+      const permissionString = web3.utils.soliditySha3(
+        '0x19', '0x00', instances.Resolver.address,
+        'I authorize the addition of a scoped service key on my behalf.',
+        accounts[7], services.names[1], expiry, 3,
+        await instances.Resolver.nonceTracker(identity.associatedAddresses[0].address),
+        timestamp
+      )
+      const permission = await sign(
+        permissionString, identity.associatedAddresses[0].address, identity.associatedAddresses[0].private
+      )
+
+      // the expiry and scope are signed
+      await instances.Resolver.addScopedKeyDelegated(
+        identity.associatedAddresses[0].address, accounts[7], services.names[1], expiry, 7,
+        permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+        .then(() => assert.fail('able to add', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+
+      await instances.Resolver.addScopedKeyDelegated(
+        identity.associatedAddresses[0].address, accounts[7], services.names[1], expiry, 3,
+        permission.v, permission.r, permission.s, timestamp,
+        { from: identity.providers[0].address }
+      )
+      assert.equal(await instances.Resolver.getExpiry(accounts[7]), expiry, 'expiry was set incorrectly.')
+      assert.isTrue(
+        await instances.Resolver.isKeyValidFor(accounts[7], identity.identity, 3), 'key is not valid for its scope.'
+      )
+    })
+
+    it('service keys never expire and are used for login by default, and removing them clears both', async function () {
+      await instances.Resolver.addKey(accounts[8], services.names[0], { from: identity.associatedAddresses[0].address })
+      assert.equal(await instances.Resolver.getExpiry(accounts[8]), 0, 'key expires.')
+      assert.equal(await instances.Resolver.getScope(accounts[8]), 1, 'key is not for login.')
+
+      await instances.Resolver.removeKey(accounts[8], { from: identity.associatedAddresses[0].address })
+      assert.equal(await instances.Resolver.getSymbol(accounts[8]), '', 'symbol was not cleared.')
+      assert.equal(await instances.Resolver.getExpiry(accounts[8]), 0, 'expiry was not cleared.')
+      assert.equal(await instances.Resolver.getScope(accounts[8]), 0, 'scope was not cleared.')
+    })
+  })
+
+  describe('Testing Symbol Lookups', function () {
+    const otherUser = accountsPrivate[8]
+
+    it('keys can be looked up by symbol', async function () {
+      await instances.IdentityRegistry.createIdentity(
+        identity.recoveryAddress.address, [], identity.resolvers, { from: otherUser.address }
+      )
+      await instances.Resolver.addKey(services.p[0].address, services.names[0], { from: otherUser.address })
+
+      const [ein1Keys, ein2Keys] = await Promise.all([1, 2].map(ein => {
+        return instances.Resolver.getKeysBySymbol(ein, services.names[0])
+      }))
+      assert.deepEqual(ein1Keys, [accounts[6]], 'unexpected keys of EIN 1.')
+      assert.deepEqual(ein2Keys, [services.p[0].address], 'unexpected keys of EIN 2.')
+      assert.deepEqual(
+        await instances.Resolver.getKeysBySymbol(1, services.names[1]), [accounts[7]], 'unexpected keys under sp2.'
+      )
+
+      const eins = await instances.Resolver.getEinsBySymbol(services.names[0])
+      assert.deepEqual(eins.map(ein => ein.toNumber()), [1, 2], 'unexpected EINs.')
+      assert.equal(await instances.Resolver.getKeyCountBySymbol(services.names[0]), 2, 'unexpected key count.')
+
+      assert.equal(await instances.Resolver.getEinByKey(services.p[0].address), 2, 'unexpected EIN of key.')
+      assert.equal(await instances.Resolver.getEinByKey(accounts[9]), 0, 'unknown key has an EIN.')
+    })
+
+    it('service key of another identity cannot be removed', async function () {
+      await instances.Resolver.removeKey(services.p[0].address, { from: identity.associatedAddresses[0].address })
+        .then(() => assert.fail('service key was removed', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Key is not a service key of the identity.', 'wrong rejection reason'
+        ))
+    })
+
+    it('removed keys are unindexed', async function () {
+      await instances.Resolver.removeKey(accounts[6], { from: identity.associatedAddresses[0].address })
+      assert.deepEqual(await instances.Resolver.getKeysBySymbol(1, services.names[0]), [], 'key was not unindexed.')
+      const eins = await instances.Resolver.getEinsBySymbol(services.names[0])
+      assert.deepEqual(eins.map(ein => ein.toNumber()), [2], 'EIN was not unindexed.')
+      assert.equal(await instances.Resolver.getKeyCountBySymbol(services.names[0]), 1, 'unexpected key count.')
+
+      await instances.Resolver.removeKeys({ from: otherUser.address })
+      assert.deepEqual(await instances.Resolver.getEinsBySymbol(services.names[0]), [], 'EIN was not unindexed.')
+      assert.equal(await instances.Resolver.getKeyCountBySymbol(services.names[0]), 0, 'unexpected key count.')
+      assert.equal(await instances.Resolver.getEinByKey(services.p[0].address), 0, 'removed key has an EIN.')
+    })
+  })
+
+  describe('Testing Symbol Owners', function () {
+    const owner = accountsPrivate[3]
+    const otherUser = accountsPrivate[8]
+    const symbol = 'sp3'
+
+    it('symbols with keys cannot be registered', async function () {
+      await instances.IdentityRegistry.createIdentity(identity.recoveryAddress.address, [], [], { from: owner.address })
+      await instances.Resolver.registerSymbol(services.names[1], { from: owner.address })
+        .then(() => assert.fail('symbol was registered', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'The symbol already has keys.', 'wrong rejection reason'))
+    })
+
+    it('symbols can be registered', async function () {
+      await instances.Resolver.registerSymbol(symbol, { from: owner.address })
+      assert.equal(await instances.Resolver.getSymbolOwner(symbol), 3, 'unexpected owner.')
+      assert.equal(await instances.Resolver.getSymbolOwner(services.names[0]), 0, 'unregistered symbol has an owner.')
+
+      await instances.Resolver.registerSymbol(symbol, { from: otherUser.address })
+        .then(() => assert.fail('symbol was registered again', 'transaction should fail'))
+        .catch(error => assert.include(error.message, 'The symbol is already registered.', 'wrong rejection reason'))
+    })
+
+    it('keys can be revoked by the owner of their symbol', async function () {
+      await instances.Resolver.addKey(services.p[0].address, symbol, { from: identity.associatedAddresses[0].address })
+      await instances.Resolver.addKey(services.p[1].address, symbol, { from: otherUser.address })
+
+      await instances.Resolver.revokeKeysBySymbol(symbol, [2], { from: identity.associatedAddresses[0].address })
+        .then(() => assert.fail('keys were revoked', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Only the owner of the symbol can call this function.', 'wrong rejection reason'
+        ))
+
+      const eins = await instances.Resolver.getEinsBySymbol(symbol)
+      await instances.Resolver.revokeKeysBySymbol(symbol, eins.concat([3]), { from: owner.address })
+      assert.deepEqual(await instances.Resolver.getEinsBySymbol(symbol), [], 'keys were not revoked.')
+      assert.equal(await instances.Resolver.getKeyCountBySymbol(symbol), 0, 'unexpected key count.')
+      assert.isFalse(await instances.Resolver.isKeyFor(services.p[0].address, 1), 'key is still valid.')
+      assert.deepEqual(await instances.Resolver.getKeys(1), [accounts[7]], 'keys under other symbols were revoked.')
+    })
+
+    it('symbols can be transferred', async function () {
+      await instances.Resolver.transferSymbol(symbol, 1, { from: otherUser.address })
+        .then(() => assert.fail('symbol was transferred', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Only the owner of the symbol can call this function.', 'wrong rejection reason'
+        ))
+      await instances.Resolver.transferSymbol(symbol, 1, { from: owner.address })
+      assert.equal(await instances.Resolver.getSymbolOwner(symbol), 1, 'unexpected owner.')
+      await instances.Resolver.revokeKeysBySymbol(symbol, [], { from: owner.address })
+        .then(() => assert.fail('previous owner revoked keys', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Only the owner of the symbol can call this function.', 'wrong rejection reason'
+        ))
+    })
+  })
+
+  describe('Testing Sync', function () {
+    const otherUser = accountsPrivate[8]
+    const newAddress = accountsPrivate[9]
+
+    it('keys of addresses removed by a recovery are revoked', async function () {
+      await instances.Resolver.addKey(services.p[1].address, services.names[0], { from: otherUser.address })
+
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: 2, newAssociatedAddress: newAddress.address, timestamp: await now() },
+        { address: newAddress.address, method: 'prefixed' }
+      )
+      await instances.IdentityRegistry.triggerRecovery(
+        2, newAddress.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.recoveryAddress.address }
+      )
+      assert.isFalse(await instances.Resolver.isKeyFor(services.p[1].address, 2), 'key is still valid.')
+      assert.deepEqual(await instances.Resolver.getKeys(2), [services.p[1].address], 'key was removed before sync.')
+
+      const receipt = await instances.Resolver.sync(2, { from: accounts[3] })
+      const event = receipt.logs.find(log => log.event === 'KeyRemoved')
+      assert.equal(event.args.key, services.p[1].address, 'unexpected key.')
+      assert.deepEqual(await instances.Resolver.getKeys(2), [], 'key was not removed.')
+      assert.deepEqual(await instances.Resolver.getKeysBySymbol(2, services.names[0]), [], 'key was not unindexed.')
+      assert.equal(await instances.Resolver.getEinByKey(services.p[1].address), 0, 'removed key has an EIN.')
+    })
+
+    it('keys of associated addresses are kept', async function () {
+      await instances.Resolver.addKey(services.p[1].address, services.names[0], { from: newAddress.address })
+      assert.equal(await instances.Resolver.getAddedBy(services.p[1].address), newAddress.address, 'unexpected adder.')
+
+      const receipt = await instances.Resolver.sync(2, { from: accounts[3] })
+      assert.isUndefined(receipt.logs.find(log => log.event === 'KeyRemoved'), 'a key was removed.')
+      assert.isTrue(await instances.Resolver.isKeyFor(services.p[1].address, 2), 'key is not valid.')
+      assert.deepEqual(await instances.Resolver.getKeys(1), [accounts[7]], 'keys of EIN 1 were changed.')
+    })
+
+    it('service keys can be removed FAIL -- resolver not set', async function () {
+      await instances.IdentityRegistry.removeResolvers(identity.resolvers, { from: newAddress.address })
+      await instances.Resolver.removeKeys({ from: newAddress.address })
+        .then(() => assert.fail('service keys were removed', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'The calling identity does not have this resolver set.', 'wrong rejection reason'
+        ))
+    })
+
+    it('keys are revoked after a destruction, without the resolver set', async function () {
+      await instances.IdentityRegistry.triggerDestruction(2, [], [], false, { from: otherUser.address })
+      assert.isFalse(await instances.Resolver.isKeyFor(services.p[1].address, 2), 'key is still valid.')
+
+      await instances.Resolver.sync(2, { from: accounts[3] })
+      assert.deepEqual(await instances.Resolver.getKeys(2), [], 'key was not removed.')
+      assert.equal(await instances.Resolver.getKeyCountBySymbol(services.names[0]), 0, 'unexpected key count.')
+    })
+  })
+
+  describe('Testing Resolver Callbacks', function () {
+    it('callbacks can only be called by the registry', async function () {
+      await instances.Resolver.onRemoval(1, '0x', { from: identity.associatedAddresses[0].address })
+        .then(() => assert.fail('keys were removed', 'transaction should fail'))
+        .catch(error => assert.include(
+          error.message, 'Only the IdentityRegistry can call this function.', 'wrong rejection reason'
+        ))
+    })
+
+    it('keys are removed with the resolver', async function () {
+      assert.deepEqual(await instances.Resolver.getKeys(1), [accounts[7]], 'unexpected keys.')
+      await instances.IdentityRegistry.removeResolvers(identity.resolvers, { from: identity.associatedAddresses[0].address })
+
+      assert.deepEqual(await instances.Resolver.getKeys(1), [], 'keys were not removed.')
+      assert.equal(await instances.Resolver.getEinByKey(accounts[7]), 0, 'removed key has an EIN.')
+      assert.isFalse(await instances.Resolver.isKeyFor(accounts[7], 1), 'key is still valid.')
+
+      await instances.IdentityRegistry.addResolvers(identity.resolvers, { from: identity.associatedAddresses[0].address })
+      await instances.Resolver.addKey(accounts[7], services.names[0], { from: identity.associatedAddresses[0].address })
+      assert.isTrue(await instances.Resolver.isKeyFor(accounts[7], 1), 'key was not added again.')
+    })
   })
 })
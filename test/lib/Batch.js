@@ -0,0 +1,118 @@
+const { signMessage } = require('../../lib/messages')
+const { BatchStepError, RevertError } = require('../../lib/errors')
+const IdentityRegistryClient = require('../../lib/IdentityRegistryClient')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+const BatchProvider = artifacts.require('./examples/Providers/Batch/BatchProvider.sol')
+const CallbackResolver = artifacts.require('./_testing/CallbackResolver.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let user
+
+async function addKeyData (signer, key, symbol) {
+  const nonce = await instances.ServiceKeyResolver.nonceTracker(user.address)
+  const signature = await signMessage(
+    web3, 'ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address,
+    { key: key, symbol: symbol, nonce: nonce }, signer
+  )
+  return instances.ServiceKeyResolver.contract.methods.addKeyDelegated(
+    user.address, key, symbol, signature.v, signature.r, signature.s, signature.timestamp
+  ).encodeABI()
+}
+
+contract('Testing Batch', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  user = accountsPrivate[1]
+  const relayer = accounts[9]
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+      instances.BatchProvider = await BatchProvider.new(instances.IdentityRegistry.address)
+      instances.client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address)
+    })
+  })
+
+  describe('Testing Batches', function () {
+    it('batches are encoded', async function () {
+      const batch = instances.client.batch(instances.BatchProvider.address)
+        .addResolvers([instances.ServiceKeyResolver.address])
+        .add(instances.ServiceKeyResolver.address, '0x12345678', 'custom')
+
+      const encoded = batch.encode()
+      assert.deepEqual(
+        encoded.destinations, [instances.IdentityRegistry.address, instances.ServiceKeyResolver.address],
+        'unexpected destinations.'
+      )
+      assert.deepEqual(encoded.dataLengths, [4 + 32 * 4, 4], 'unexpected data lengths.')
+      assert.isTrue(encoded.data.endsWith('12345678'), 'unexpected data.')
+      assert.deepEqual(batch.steps.map(step => step.description), ['addResolversFor', 'custom'])
+    })
+
+    it('Identity can be onboarded with a signed batch', async function () {
+      const createSignature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: user.address,
+          associatedAddress: user.address,
+          providers: [instances.BatchProvider.address],
+          resolvers: []
+        }, user
+      )
+      const batch = instances.client.batch(instances.BatchProvider.address)
+        .createIdentityDelegated(user.address, user.address, [instances.BatchProvider.address], [], createSignature)
+        .addResolvers([instances.ServiceKeyResolver.address])
+        .add(instances.ServiceKeyResolver.address, await addKeyData(user, accounts[5], 'batch'), 'addKeyDelegated')
+
+      const signature = await batch.sign(user)
+      await batch.executeDelegated(user.address, signature, { from: relayer })
+
+      const identity = await instances.client.getIdentity(1)
+      assert.deepEqual(identity.resolvers, [instances.ServiceKeyResolver.address], 'resolver was not added.')
+      assert.isTrue(await instances.ServiceKeyResolver.isKeyFor(accounts[5], 1), 'key was not added.')
+    })
+
+    it('resolvers can be added with data', async function () {
+      const resolvers = [
+        await CallbackResolver.new(instances.IdentityRegistry.address),
+        await CallbackResolver.new(instances.IdentityRegistry.address)
+      ]
+      await instances.client.batch(instances.BatchProvider.address)
+        .addResolversWithData(resolvers.map(resolver => resolver.address), ['0x1234', '0x'])
+        .execute({ from: user.address })
+
+      assert.equal(await resolvers[0].additionData(1), '0x1234', 'unexpected data.')
+      assert.equal(await resolvers[1].additionData(1), null, 'unexpected data.')
+      assert.isTrue(await instances.client.isResolverFor(1, resolvers[1].address), 'resolver was not added.')
+    })
+
+    it('failing steps are reported', async function () {
+      const batch = instances.client.batch(instances.BatchProvider.address)
+        .addProviders([accounts[6]])
+        .add(
+          instances.ServiceKeyResolver.address, await addKeyData(accountsPrivate[2], accounts[6], 'batch'),
+          'addKeyDelegated'
+        )
+
+      await batch.execute({ from: user.address })
+        .then(() => assert.fail('batch succeeded', 'batch should fail'))
+        .catch(error => {
+          assert.instanceOf(error, BatchStepError, 'step failure was not decoded.')
+          assert.instanceOf(error, RevertError, 'step failure is not a revert.')
+          assert.equal(error.code, 'BATCH_STEP_FAILED', 'wrong error code')
+          assert.equal(error.step, 1, 'wrong step')
+          assert.equal(error.stepCode, 'PERMISSION_DENIED', 'wrong step error code')
+          assert.equal(batch.steps[error.step].description, 'addKeyDelegated', 'unexpected step.')
+        })
+    })
+  })
+})
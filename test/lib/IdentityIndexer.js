@@ -0,0 +1,153 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { signMessage } = require('../../lib/messages')
+const IdentityIndexer = require('../../lib/IdentityIndexer')
+const IdentityRegistryClient = require('../../lib/IdentityRegistryClient')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297',
+  '0xce5e2ea9c47caba88b3421d75023bd8c359e2aaf897e519a10a256d931028ca1'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let checkpointFile
+
+// ensures that the indexed state of every EIN matches the registry
+async function verifyIndex (indexer) {
+  const nextEIN = await instances.IdentityRegistry.nextEIN()
+  const eins = indexer.getEINs()
+  assert.equal(eins.length, nextEIN.toNumber() - 1, 'unexpected number of indexed EINs.')
+
+  for (const ein of eins) {
+    const identity = await instances.client.getIdentity(ein)
+    assert.deepEqual(indexer.getIdentity(ein), identity, `EIN ${ein} was indexed incorrectly.`)
+    for (const address of identity.associatedAddresses) {
+      assert.isTrue(indexer.getEIN(address).eq(ein), 'associated address was indexed incorrectly.')
+    }
+  }
+}
+
+contract('Testing IdentityIndexer', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  const recoveryAddress = accounts[0]
+  const providers = accounts.slice(7, 9)
+  const resolvers = accounts.slice(8, 10)
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address)
+      instances.deploymentBlock = await web3.eth.getBlockNumber()
+      checkpointFile = path.join(os.tmpdir(), `IdentityIndexer-${instances.IdentityRegistry.address}.json`)
+    })
+  })
+
+  describe('Testing Indexing', function () {
+    it('identities are indexed', async function () {
+      for (const account of accounts.slice(1, 4)) {
+        await instances.client.createIdentity(recoveryAddress, providers.slice(0, 1), resolvers, { from: account })
+      }
+
+      const approvingAddress = accountsPrivate[1]
+      const addressToAdd = accountsPrivate[4]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.client.address,
+        { ein: 1, addressToAdd: addressToAdd.address }, addressToAdd
+      )
+      await instances.client.addAssociatedAddress(
+        approvingAddress.address, addressToAdd.address, signature, { from: approvingAddress.address }
+      )
+      await instances.client.addProviders(providers.slice(1, 2), { from: accounts[2] })
+      await instances.client.removeResolvers(resolvers.slice(0, 1), { from: accounts[3] })
+
+      instances.indexer = new IdentityIndexer(web3, instances.IdentityRegistry.address, {
+        checkpointFile: checkpointFile, fromBlock: instances.deploymentBlock, batchSize: 3
+      })
+      const checkpoint = await instances.indexer.sync()
+      assert.equal(checkpoint, await web3.eth.getBlockNumber(), 'unexpected checkpoint.')
+
+      await verifyIndex(instances.indexer)
+    })
+
+    it('queries are answered', async function () {
+      const toNumbers = eins => eins.map(ein => ein.toNumber())
+
+      assert.deepEqual(toNumbers(instances.indexer.getEINsWithProvider(providers[0])), [1, 2, 3])
+      assert.deepEqual(toNumbers(instances.indexer.getEINsWithProvider(providers[1])), [2])
+      assert.deepEqual(toNumbers(instances.indexer.getEINsWithResolver(resolvers[0])), [1, 2])
+      assert.deepEqual(toNumbers(instances.indexer.getEINsWithResolver(resolvers[1].toLowerCase())), [1, 2, 3])
+      assert.deepEqual(toNumbers(instances.indexer.getEINsWithRecoveryAddress(recoveryAddress)), [1, 2, 3])
+      assert.isUndefined(instances.indexer.getEIN(accounts[9]), 'address unexpectedly has an EIN.')
+      assert.isUndefined(instances.indexer.getIdentity(1337), 'EIN unexpectedly exists.')
+    })
+
+    it('removals reorder members like the registry', async function () {
+      await instances.client.addResolvers(accounts.slice(4, 7), { from: accounts[3] })
+      await instances.client.removeResolvers(accounts.slice(4, 5), { from: accounts[3] })
+      await instances.client.removeAssociatedAddress({ from: accounts[1] })
+
+      await instances.indexer.sync()
+      await verifyIndex(instances.indexer)
+    })
+  })
+
+  describe('Testing Recovery and Destruction', function () {
+    it('recovery and destruction are indexed', async function () {
+      await instances.client.triggerRecoveryAddressChange(accounts[9], { from: accounts[2] })
+
+      const newAssociatedAddress = accountsPrivate[5]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.client.address,
+        { ein: 1, newAssociatedAddress: newAssociatedAddress.address }, newAssociatedAddress
+      )
+      await instances.client.triggerRecovery(1, newAssociatedAddress.address, signature, { from: recoveryAddress })
+      await instances.client.triggerDestruction(1, [], [], false, { from: accounts[4] })
+
+      await instances.indexer.sync()
+      await verifyIndex(instances.indexer)
+
+      const lastRecovery = instances.indexer.getLastRecovery(1)
+      assert.deepEqual(lastRecovery.oldAssociatedAddresses, [accounts[4]], 'recovery was indexed incorrectly.')
+      assert.isUndefined(instances.indexer.getLastRecovery(2), 'EIN was unexpectedly recovered.')
+    })
+  })
+
+  describe('Testing Checkpoints', function () {
+    it('indexing resumes from the checkpoint', async function () {
+      const checkpoint = instances.indexer.checkpoint
+      await instances.client.createIdentity(recoveryAddress, [], [], { from: accounts[6] })
+
+      const indexer = new IdentityIndexer(web3, instances.IdentityRegistry.address, { checkpointFile: checkpointFile })
+      assert.equal(indexer.checkpoint, checkpoint, 'checkpoint was not loaded.')
+      assert.isTrue(indexer.getEIN(accounts[2]).eqn(2), 'state was not loaded.')
+      assert.isUndefined(indexer.getEIN(accounts[6]), 'state was loaded incorrectly.')
+
+      await indexer.sync()
+      assert.isTrue(indexer.getEIN(accounts[6]).eqn(4), 'new identity was not indexed.')
+      await verifyIndex(indexer)
+    })
+
+    it('checkpoints cannot be used for other registries', async function () {
+      assert.throws(
+        () => new IdentityIndexer(web3, accounts[0], { checkpointFile: checkpointFile }),
+        'The checkpoint file belongs to the registry'
+      )
+      fs.unlinkSync(checkpointFile)
+    })
+  })
+})
@@ -0,0 +1,357 @@
+const { verifyIdentity, timeTravel } = require('../common')
+const { signMessage } = require('../../lib/messages')
+const { signTypedMessage } = require('../../lib/typedData')
+const { RevertError } = require('../../lib/errors')
+const IdentityRegistryClient = require('../../lib/IdentityRegistryClient')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ResolverCatalog = artifacts.require('./ResolverCatalog.sol')
+const CallbackResolver = artifacts.require('./_testing/CallbackResolver.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297',
+  '0xce5e2ea9c47caba88b3421d75023bd8c359e2aaf897e519a10a256d931028ca1'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let identity
+
+async function expectRevert (promise, code) {
+  await promise
+    .then(() => assert.fail('call succeeded', 'call should fail'))
+    .catch(error => {
+      assert.instanceOf(error, RevertError, 'revert was not decoded.')
+      assert.equal(error.code, code, 'wrong error code')
+    })
+}
+
+contract('Testing IdentityRegistryClient', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  identity = {
+    recoveryAddress:     accountsPrivate[0],
+    associatedAddresses: accountsPrivate.slice(1, 4),
+    providers:           accountsPrivate.slice(4, 6).map(account => account.address),
+    resolvers:           accountsPrivate.slice(6, 7).map(account => account.address),
+    newAssociatedAddress: accountsPrivate[7]
+  }
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address)
+    })
+  })
+
+  describe('Testing Errors', function () {
+    it('reverts are decoded', async function () {
+      await expectRevert(instances.client.getIdentity(1337), 'IDENTITY_DOES_NOT_EXIST')
+      await expectRevert(instances.client.getEIN(accounts[0]), 'ADDRESS_HAS_NO_IDENTITY')
+      await expectRevert(
+        instances.client.addProvidersFor(1337, [], { from: accounts[0] }), 'PROVIDER_NOT_SET'
+      )
+    })
+  })
+
+  describe('Testing Identity Management', function () {
+    it('Identity can be created', async function () {
+      const { ein } = await instances.client.createIdentity(
+        identity.recoveryAddress.address, identity.providers.slice(0, 1), [],
+        { from: identity.associatedAddresses[0].address }
+      )
+      assert.isTrue(ein.eq(web3.utils.toBN(1)), 'unexpected EIN.')
+      identity.identity = ein
+
+      const onChainIdentity = await instances.client.getIdentity(ein)
+      assert.deepEqual(onChainIdentity, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [identity.associatedAddresses[0].address],
+        providers:           identity.providers.slice(0, 1),
+        resolvers:           []
+      }, 'unexpected identity.')
+
+      const onChainEIN = await instances.client.getEIN(identity.associatedAddresses[0].address)
+      assert.isTrue(onChainEIN.eq(ein), 'unexpected EIN.')
+    })
+
+    it('Identity can be created FAIL -- has an identity', async function () {
+      await expectRevert(
+        instances.client.createIdentity(
+          identity.recoveryAddress.address, [], [], { from: identity.associatedAddresses[0].address }
+        ),
+        'ADDRESS_HAS_IDENTITY'
+      )
+    })
+
+    it('Identity can be created delegated', async function () {
+      const signer = accountsPrivate[8]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.client.address, {
+          recoveryAddress: identity.recoveryAddress.address,
+          associatedAddress: signer.address,
+          providers: [],
+          resolvers: []
+        }, signer
+      )
+
+      await expectRevert(
+        instances.client.createIdentityDelegated(
+          identity.recoveryAddress.address, signer.address, identity.providers, [], signature, { from: accounts[0] }
+        ),
+        'PERMISSION_DENIED'
+      )
+
+      const { ein } = await instances.client.createIdentityDelegated(
+        identity.recoveryAddress.address, signer.address, [], [], signature, { from: accounts[0] }
+      )
+      assert.isTrue(ein.eq(web3.utils.toBN(2)), 'unexpected EIN.')
+    })
+
+    it('associated addresses can be added', async function () {
+      const approvingAddress = identity.associatedAddresses[0]
+      const addressToAdd = identity.associatedAddresses[1]
+      const args = { ein: identity.identity, addressToAdd: addressToAdd.address }
+
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.client.address, args, addressToAdd
+      )
+      await instances.client.addAssociatedAddress(
+        approvingAddress.address, addressToAdd.address, signature, { from: approvingAddress.address }
+      )
+
+      const delegatedArgs = { ein: identity.identity, addressToAdd: identity.associatedAddresses[2].address }
+      const approvingSignature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByApprovingAddress', instances.client.address,
+        delegatedArgs, approvingAddress
+      )
+      const addingSignature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.client.address,
+        delegatedArgs, identity.associatedAddresses[2]
+      )
+
+      await expectRevert(
+        instances.client.addAssociatedAddressDelegated(
+          approvingAddress.address, identity.associatedAddresses[2].address, addingSignature, approvingSignature,
+          { from: accounts[0] }
+        ),
+        'PERMISSION_DENIED_APPROVING_ADDRESS'
+      )
+
+      await instances.client.addAssociatedAddressDelegated(
+        approvingAddress.address, identity.associatedAddresses[2].address, approvingSignature, addingSignature,
+        { from: accounts[0] }
+      )
+
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: identity.associatedAddresses.map(account => account.address),
+        providers:           identity.providers.slice(0, 1),
+        resolvers:           []
+      })
+    })
+
+    it('associated addresses can be removed', async function () {
+      const addressToRemove = identity.associatedAddresses[2]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'removeAssociatedAddressDelegated', instances.client.address,
+        { ein: identity.identity, addressToRemove: addressToRemove.address }, addressToRemove
+      )
+      await instances.client.removeAssociatedAddressDelegated(addressToRemove.address, signature, { from: accounts[0] })
+
+      await instances.client.removeAssociatedAddress({ from: identity.associatedAddresses[1].address })
+
+      const identityAfter = await instances.client.getIdentity(identity.identity)
+      assert.deepEqual(
+        identityAfter.associatedAddresses, [identity.associatedAddresses[0].address], 'addresses were not removed.'
+      )
+    })
+
+    it('typed signatures are sent to the typed variants', async function () {
+      const approvingAddress = identity.associatedAddresses[0]
+      const addressToAdd = identity.associatedAddresses[2]
+      const args = { ein: identity.identity, addressToAdd: addressToAdd.address }
+
+      const approvingSignature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByApprovingAddress', instances.client.address,
+        args, approvingAddress
+      )
+      const addingSignature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.client.address, args, addressToAdd
+      )
+      assert.throws(
+        () => instances.client.variant('addAssociatedAddressDelegated', approvingSignature, addingSignature),
+        'Typed and raw signatures cannot be mixed.'
+      )
+
+      await instances.client.addAssociatedAddress(
+        approvingAddress.address, addressToAdd.address, addingSignature, { from: approvingAddress.address }
+      )
+      assert.isTrue(
+        await instances.client.isAssociatedAddressFor(identity.identity, addressToAdd.address), 'address was not added.'
+      )
+
+      const removingSignature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'removeAssociatedAddressDelegated', instances.client.address,
+        { ein: identity.identity, addressToRemove: addressToAdd.address }, addressToAdd
+      )
+      await instances.client.removeAssociatedAddressDelegated(
+        addressToAdd.address, removingSignature, { from: accounts[0] }
+      )
+      assert.isFalse(await instances.client.hasIdentity(addressToAdd.address), 'address was not removed.')
+    })
+
+    it('providers and resolvers can be managed', async function () {
+      const associatedAddress = identity.associatedAddresses[0].address
+      const provider = identity.providers[0]
+
+      await instances.client.addProviders(identity.providers.slice(1, 2), { from: associatedAddress })
+      await instances.client.addResolversFor(identity.identity, identity.resolvers, { from: provider })
+      assert.isTrue(await instances.client.isProviderFor(identity.identity, identity.providers[1]))
+      assert.isTrue(await instances.client.isResolverFor(identity.identity, identity.resolvers[0]))
+
+      await instances.client.removeProvidersFor(identity.identity, identity.providers.slice(1, 2), { from: provider })
+      await instances.client.removeResolvers(identity.resolvers, { from: associatedAddress })
+      await instances.client.addResolvers(identity.resolvers, { from: associatedAddress })
+      await instances.client.removeResolversFor(identity.identity, identity.resolvers, { from: provider })
+      await instances.client.addResolverFor(identity.identity, identity.resolvers[0], '0x1234', { from: provider })
+      await instances.client.removeResolverFor(identity.identity, identity.resolvers[0], '0x1234', { from: provider })
+      await instances.client.addProvidersFor(identity.identity, identity.providers.slice(1, 2), { from: provider })
+      await instances.client.removeProviders(identity.providers.slice(1, 2), { from: associatedAddress })
+
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [associatedAddress],
+        providers:           identity.providers.slice(0, 1),
+        resolvers:           []
+      })
+    })
+
+    it('resolvers can be added with data', async function () {
+      const resolvers = [
+        await CallbackResolver.new(instances.IdentityRegistry.address),
+        await CallbackResolver.new(instances.IdentityRegistry.address)
+      ]
+      const addresses = resolvers.map(resolver => resolver.address)
+
+      await instances.client.addResolversWithDataFor(
+        identity.identity, addresses, ['0x12', '0x3456'], { from: identity.providers[0] }
+      )
+      assert.equal(await resolvers[0].additionData(identity.identity), '0x12', 'unexpected data.')
+      assert.equal(await resolvers[1].additionData(identity.identity), '0x3456', 'unexpected data.')
+
+      await instances.client.removeResolvers(addresses, { from: identity.associatedAddresses[0].address })
+    })
+
+    it('providers and resolvers are described from a catalog', async function () {
+      const associatedAddress = identity.associatedAddresses[0].address
+      const catalog = await ResolverCatalog.new({ from: accounts[0] })
+      await catalog.addEntry(
+        identity.resolvers[0], 1, 'Resolver', 'A resolver.', '0x01ffc9a7', '1.0.0', { from: accounts[0] }
+      )
+      await catalog.setVerified(identity.resolvers[0], true, { from: accounts[0] })
+      await instances.client.addResolvers(identity.resolvers, { from: associatedAddress })
+
+      const described = await instances.client.describeIdentity(identity.identity, catalog.address)
+      assert.deepEqual(described.associatedAddresses, [associatedAddress], 'unexpected associated addresses.')
+      assert.deepEqual(described.resolvers, [{
+        address: identity.resolvers[0],
+        listed: true,
+        kind: 'resolver',
+        name: 'Resolver',
+        description: 'A resolver.',
+        interfaceId: '0x01ffc9a7',
+        version: '1.0.0',
+        verified: true,
+        author: accounts[0]
+      }], 'unexpected resolvers.')
+      assert.deepEqual(described.providers, [{
+        address: identity.providers[0],
+        listed: false,
+        kind: null,
+        name: null,
+        description: null,
+        interfaceId: null,
+        version: null,
+        verified: false,
+        author: null
+      }], 'unexpected providers.')
+
+      await instances.client.removeResolvers(identity.resolvers, { from: associatedAddress })
+    })
+  })
+
+  describe('Testing Recovery', function () {
+    it('recovery address can be changed', async function () {
+      await instances.client.triggerRecoveryAddressChangeFor(
+        identity.identity, accounts[9], { from: identity.providers[0] }
+      )
+
+      await expectRevert(
+        instances.client.triggerRecoveryAddressChange(
+          identity.recoveryAddress.address, { from: identity.associatedAddresses[0].address }
+        ),
+        'RECOVERY_ADDRESS_CHANGE_TOO_SOON'
+      )
+    })
+
+    it('recovery can be triggered', async function () {
+      const signer = identity.newAssociatedAddress
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.client.address,
+        { ein: identity.identity, newAssociatedAddress: signer.address }, signer
+      )
+
+      await expectRevert(
+        instances.client.triggerRecovery(identity.identity, signer.address, signature, { from: accounts[9] }),
+        'NOT_OLD_RECOVERY_ADDRESS'
+      )
+
+      const { oldAssociatedAddresses } = await instances.client.triggerRecovery(
+        identity.identity, signer.address, signature, { from: identity.recoveryAddress.address }
+      )
+      assert.deepEqual(oldAssociatedAddresses, [identity.associatedAddresses[0].address], 'unexpected old addresses.')
+      identity.oldAssociatedAddresses = oldAssociatedAddresses
+    })
+
+    it('identity can be destroyed', async function () {
+      await expectRevert(
+        instances.client.triggerDestruction(identity.identity, [], [], true, { from: accounts[0] }),
+        'NOT_OLD_ASSOCIATED_ADDRESS'
+      )
+
+      await instances.client.triggerDestruction(
+        identity.identity, [], [], true, { from: identity.oldAssociatedAddresses[0] }
+      )
+
+      const destroyedIdentity = await instances.client.getIdentity(identity.identity)
+      assert.deepEqual(destroyedIdentity, {
+        recoveryAddress:     '0x0000000000000000000000000000000000000000',
+        associatedAddresses: [],
+        providers:           [],
+        resolvers:           []
+      }, 'identity was not destroyed.')
+    })
+
+    it('destruction cannot be triggered after the recovery timeout', async function () {
+      const twoWeeks = 60 * 60 * 24 * 14
+      await timeTravel(twoWeeks)
+
+      await expectRevert(
+        instances.client.triggerDestruction(
+          identity.identity, [], [], true, { from: identity.oldAssociatedAddresses[0] }
+        ),
+        'RECOVERY_NOT_TRIGGERED'
+      )
+    })
+  })
+})
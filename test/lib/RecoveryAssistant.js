@@ -0,0 +1,193 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { timeTravel, mine } = require('../common')
+const { signMessage } = require('../../lib/messages')
+const { run } = require('../../lib/cli')
+const { computeChunks, RecoveryAssistant, RecoveryError } = require('../../lib/RecoveryAssistant')
+const IdentityRegistryClient = require('../../lib/IdentityRegistryClient')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297',
+  '0xce5e2ea9c47caba88b3421d75023bd8c359e2aaf897e519a10a256d931028ca1'
+]
+
+const twoWeeks = 60 * 60 * 24 * 14
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+
+async function expectRecoveryError (promise, code) {
+  await promise
+    .then(() => assert.fail('call succeeded', 'call should fail'))
+    .catch(error => {
+      assert.instanceOf(error, RecoveryError, 'wrong error type')
+      assert.equal(error.code, code, 'wrong error code')
+    })
+}
+
+// creates an Identity for the first address, adds the others, and recovers it to newAssociatedAddress
+async function createAndRecover (associatedAddresses, newAssociatedAddress) {
+  // signatures are timestamped with the chain's time, which runs ahead after time travel
+  const timestamp = Number((await web3.eth.getBlock('latest')).timestamp)
+  const { ein } = await instances.client.createIdentity(
+    accountsPrivate[0].address, [], [], { from: associatedAddresses[0].address }
+  )
+  for (const addressToAdd of associatedAddresses.slice(1)) {
+    const signature = await signMessage(
+      web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.client.address,
+      { ein: ein, addressToAdd: addressToAdd.address, timestamp: timestamp }, addressToAdd
+    )
+    await instances.client.addAssociatedAddress(
+      associatedAddresses[0].address, addressToAdd.address, signature, { from: associatedAddresses[0].address }
+    )
+  }
+
+  const signature = await signMessage(
+    web3, 'IdentityRegistry', 'triggerRecovery', instances.client.address,
+    { ein: ein, newAssociatedAddress: newAssociatedAddress.address, timestamp: timestamp }, newAssociatedAddress
+  )
+  await instances.client.triggerRecovery(
+    ein, newAssociatedAddress.address, signature, { from: accountsPrivate[0].address }
+  )
+  return ein
+}
+
+contract('Testing RecoveryAssistant', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  describe('Deploying Contracts', function () {
+    it('IdentityRegistry contract deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address)
+      instances.assistant = new RecoveryAssistant(web3, instances.IdentityRegistry.address, {
+        fromBlock: await web3.eth.getBlockNumber()
+      })
+    })
+  })
+
+  describe('Testing Chunks', function () {
+    it('chunks are computed', async function () {
+      assert.deepEqual(computeChunks(['0xa', '0xB', '0xc'], '0xb'), { firstChunk: ['0xa'], lastChunk: ['0xc'] })
+      assert.deepEqual(computeChunks(['0xa'], '0xa'), { firstChunk: [], lastChunk: [] })
+      assert.throws(() => computeChunks(['0xa'], '0xd'), RecoveryError, 'was not an associated address')
+    })
+  })
+
+  describe('Testing Destruction', function () {
+    it('EINs must have been recovered', async function () {
+      const { ein } = await instances.client.createIdentity(accounts[0], [], [], { from: accounts[9] })
+      await expectRecoveryError(instances.assistant.prepareDestruction(ein, accounts[9]), 'RECOVERY_NOT_TRIGGERED')
+    })
+
+    it('destruction is prepared', async function () {
+      instances.ein = await createAndRecover(accountsPrivate.slice(1, 4), accountsPrivate[4])
+
+      const recovery = await instances.assistant.getLatestRecovery(instances.ein)
+      assert.deepEqual(recovery.oldAssociatedAddresses, accounts.slice(1, 4), 'unexpected old addresses.')
+
+      const preparation = await instances.assistant.prepareDestruction(instances.ein, accounts[2])
+      assert.deepEqual(preparation.firstChunk, accounts.slice(1, 2), 'unexpected first chunk.')
+      assert.deepEqual(preparation.lastChunk, accounts.slice(3, 4), 'unexpected last chunk.')
+      assert.equal(preparation.deadline, recovery.timestamp + twoWeeks, 'unexpected deadline.')
+      assert.isUndefined(preparation.warning, 'unexpected warning.')
+
+      await expectRecoveryError(
+        instances.assistant.prepareDestruction(instances.ein, accounts[4]), 'NOT_OLD_ASSOCIATED_ADDRESS'
+      )
+    })
+
+    it('closing windows are warned about', async function () {
+      await timeTravel(twoWeeks - 60 * 60)
+      await mine()
+
+      const preparation = await instances.assistant.prepareDestruction(instances.ein, accounts[2])
+      assert.isBelow(preparation.secondsLeft, 60 * 60, 'unexpected seconds left.')
+      assert.include(preparation.warning, 'seconds are left to destroy EIN', 'no warning.')
+    })
+
+    it('Identity can be destroyed', async function () {
+      const result = await instances.assistant.triggerDestruction(instances.ein, true, { from: accounts[2] })
+      assert.isTrue(result.receipt.status, 'transaction failed.')
+
+      const identity = await instances.client.getIdentity(instances.ein)
+      assert.deepEqual(identity.associatedAddresses, [], 'identity was not destroyed.')
+    })
+
+    it('destruction cannot be triggered after the window closes', async function () {
+      await timeTravel(60 * 60)
+      await mine()
+      await expectRecoveryError(
+        instances.assistant.prepareDestruction(instances.ein, accounts[2]), 'RECOVERY_NOT_TRIGGERED'
+      )
+    })
+
+    it('destruction can be prepared until the deadline', async function () {
+      // the registry accepts destruction while block.timestamp <= timestamp + recoveryTimeout
+      const now = Number((await web3.eth.getBlock('latest')).timestamp)
+      const recovery = { timestamp: now - twoWeeks, recoveryTimeout: twoWeeks, oldAssociatedAddresses: [accounts[2]] }
+      const assistant = new RecoveryAssistant(web3, instances.IdentityRegistry.address)
+      assistant.getLatestRecovery = async () => recovery
+
+      const preparation = await assistant.prepareDestruction(instances.ein, accounts[2])
+      assert.equal(preparation.deadline, now, 'unexpected deadline.')
+      assert.equal(preparation.secondsLeft, 0, 'unexpected seconds left.')
+
+      recovery.timestamp -= 1
+      await expectRecoveryError(assistant.prepareDestruction(instances.ein, accounts[2]), 'RECOVERY_NOT_TRIGGERED')
+    })
+  })
+
+  describe('Testing Governance', function () {
+    it('deadlines use the recoveryTimeout in force at the recovery', async function () {
+      const ein = await createAndRecover(accountsPrivate.slice(1, 3), accountsPrivate[3])
+      const recovery = await instances.assistant.getLatestRecovery(ein)
+
+      const name = web3.utils.fromAscii('recoveryTimeout')
+      await instances.IdentityRegistry.proposeParameterChange(name, twoWeeks * 2, { from: accounts[0] })
+      await timeTravel(60 * 60 * 24 * 2)
+      await instances.IdentityRegistry.applyParameterChange(name, { from: accounts[0] })
+      await mine()
+
+      assert.deepEqual(
+        await instances.client.getRecovery(ein), { timestamp: recovery.timestamp, recoveryTimeout: twoWeeks },
+        'unexpected recorded recovery.'
+      )
+      const preparation = await instances.assistant.prepareDestruction(ein, accounts[2])
+      assert.equal(preparation.deadline, recovery.timestamp + twoWeeks, 'unexpected deadline.')
+    })
+  })
+
+  describe('Testing CLI', function () {
+    it('Identity can be destroyed without chunks', async function () {
+      const ein = await createAndRecover(accountsPrivate.slice(5, 8), accountsPrivate[8])
+
+      const password = 'password'
+      const keystore = path.join(os.tmpdir(), 'meta-identity-recovery.json')
+      fs.writeFileSync(keystore, JSON.stringify(web3.eth.accounts.encrypt(privateKeys[7], password)))
+
+      const result = await run([
+        'destroy', ein.toString(), '--keystore', keystore, '--password', password,
+        '--registry', instances.IdentityRegistry.address
+      ], web3)
+      fs.unlinkSync(keystore)
+
+      assert.deepEqual(result.firstChunk, accounts.slice(5, 7), 'unexpected first chunk.')
+      assert.deepEqual(result.lastChunk, [], 'unexpected last chunk.')
+      const identity = await instances.client.getIdentity(ein)
+      assert.deepEqual(identity.associatedAddresses, [], 'identity was not destroyed.')
+    })
+  })
+})
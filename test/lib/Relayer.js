@@ -0,0 +1,238 @@
+const http = require('http')
+
+const { signMessage } = require('../../lib/messages')
+const { Relayer } = require('../../lib/Relayer')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const MetaTransactionsProvider = artifacts.require('./examples/Providers/MetaTransactions/MetaTransactionsProvider.sol')
+const ContractWallet = artifacts.require('./_testing/ContractWallet.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297',
+  '0xce5e2ea9c47caba88b3421d75023bd8c359e2aaf897e519a10a256d931028ca1'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let user
+
+// sends a request to the relayer, resolving to the {status, body} of the response
+function request (method, path, payload) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1', port: instances.server.address().port, method: method, path: path,
+      headers: { 'Content-Type': 'application/json' }
+    }, response => {
+      let body = ''
+      response.on('data', chunk => { body += chunk })
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(body) }))
+    })
+    req.on('error', reject)
+    if (payload !== undefined) req.write(typeof payload === 'string' ? payload : JSON.stringify(payload))
+    req.end()
+  })
+}
+
+// builds a signed callViaProxyDelegated payload that calls identityExists on the registry
+async function callPayload (nonce) {
+  const destination = instances.IdentityRegistry.address
+  const data = instances.IdentityRegistry.contract.methods.identityExists(1).encodeABI()
+  const signature = await signMessage(
+    web3, 'MetaTransactionsProvider', 'callViaProxyDelegated', instances.MetaTransactionsProvider.address,
+    { ein: 1, destination: destination, data: data, viaExternal: false, nonce: nonce }, user
+  )
+  return Object.assign({
+    approvingAddress: user.address, destination: destination, data: data, viaExternal: false, nonce: nonce
+  }, signature)
+}
+
+contract('Testing Relayer', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+  user = accountsPrivate[1]
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.MetaTransactionsProvider = await MetaTransactionsProvider.new(instances.IdentityRegistry.address)
+    })
+
+    it('relayer started', async function () {
+      instances.relayer = new Relayer(web3, {
+        metaTransactionsProvider: instances.MetaTransactionsProvider.address,
+        identityRegistry: instances.IdentityRegistry.address,
+        privateKey: privateKeys[9]
+      })
+      instances.server = await instances.relayer.listen(0)
+    })
+  })
+
+  describe('Testing Identity Creation', function () {
+    it('Identity can be created FAIL -- signature', async function () {
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: user.address, associatedAddress: user.address, providers: [], resolvers: []
+        }, user
+      )
+      const response = await request('POST', '/createIdentityDelegated', Object.assign({
+        recoveryAddress: user.address, associatedAddress: user.address, resolvers: []
+      }, signature))
+
+      assert.equal(response.status, 400, 'unexpected status.')
+      assert.equal(response.body.error, 'Invalid signature.', 'wrong rejection reason')
+    })
+
+    it('Identity can be created', async function () {
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: user.address,
+          associatedAddress: user.address,
+          providers: [instances.MetaTransactionsProvider.address],
+          resolvers: []
+        }, user
+      )
+      const response = await request('POST', '/createIdentityDelegated', Object.assign({
+        recoveryAddress: user.address, associatedAddress: user.address, resolvers: []
+      }, signature))
+
+      assert.equal(response.status, 200, 'unexpected status.')
+      assert.equal(response.body.ein, '1', 'unexpected EIN.')
+      assert.equal(response.body.receipt.from, accounts[9].toLowerCase(), 'transaction was not sent by the relayer.')
+      assert.equal(response.body.transactionHash, response.body.receipt.transactionHash, 'unexpected hash.')
+      assert.isTrue(
+        await instances.IdentityRegistry.isProviderFor(1, instances.MetaTransactionsProvider.address),
+        'provider was not set.'
+      )
+    })
+
+    it('Identity can be created for a contract wallet', async function () {
+      const wallet = await ContractWallet.new(user.address)
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: user.address,
+          associatedAddress: wallet.address,
+          providers: [instances.MetaTransactionsProvider.address],
+          resolvers: []
+        }, user
+      )
+      const response = await request('POST', '/createIdentityDelegated', Object.assign({
+        recoveryAddress: user.address, associatedAddress: wallet.address, resolvers: []
+      }, signature))
+
+      assert.equal(response.status, 200, 'unexpected status.')
+      assert.equal(response.body.ein, '2', 'unexpected EIN.')
+    })
+  })
+
+  describe('Testing Calls', function () {
+    it('calls are relayed', async function () {
+      const response = await request('POST', '/callViaProxyDelegated', await callPayload(0))
+      assert.equal(response.status, 200, 'unexpected status.')
+
+      const transaction = await web3.eth.getTransaction(response.body.transactionHash)
+      assert.equal(transaction.from, accounts[9], 'transaction was not sent by the relayer.')
+      assert.equal(await instances.MetaTransactionsProvider.nonceTracker(1), 1, 'nonce was not incremented.')
+    })
+
+    it('calls are relayed FAIL -- signature', async function () {
+      const payload = await callPayload(1)
+      payload.viaExternal = true
+      const response = await request('POST', '/callViaProxyDelegated', payload)
+      assert.equal(response.status, 400, 'unexpected status.')
+      assert.equal(response.body.error, 'Invalid signature.', 'wrong rejection reason')
+    })
+
+    it('calls are relayed FAIL -- used nonce', async function () {
+      const response = await request('POST', '/callViaProxyDelegated', await callPayload(0))
+      assert.equal(response.status, 409, 'unexpected status.')
+      assert.equal(response.body.error, 'Nonce was already used.', 'wrong rejection reason')
+    })
+
+    it('calls are relayed FAIL -- revert', async function () {
+      const payload = await callPayload(1)
+      payload.data = instances.IdentityRegistry.contract.methods.getEIN(accounts[8]).encodeABI()
+      const signature = await signMessage(
+        web3, 'MetaTransactionsProvider', 'callViaProxyDelegated', instances.MetaTransactionsProvider.address,
+        { ein: 1, destination: payload.destination, data: payload.data, viaExternal: false, nonce: 1 }, user
+      )
+      const response = await request('POST', '/callViaProxyDelegated', Object.assign(payload, signature))
+      assert.equal(response.status, 422, 'unexpected status.')
+      assert.equal(response.body.code, 'CALL_FAILED', 'wrong rejection reason')
+    })
+
+    it('concurrent calls are submitted in nonce order', async function () {
+      const payloads = await Promise.all([1, 2, 3, 4].map(nonce => callPayload(nonce)))
+
+      // payloads arrive in reverse order, and the duplicate is rejected while the original is still queued
+      const requests = payloads.concat([payloads[1]]).reverse()
+      const responses = await Promise.all(requests.map(payload => request('POST', '/callViaProxyDelegated', payload)))
+      assert.deepEqual(responses.map(response => response.status).sort(), [200, 200, 200, 200, 409])
+
+      const relayed = responses
+        .map((response, i) => { return { nonce: requests[i].nonce, transactionHash: response.body.transactionHash } })
+        .filter(result => result.transactionHash !== undefined)
+        .sort((a, b) => a.nonce - b.nonce)
+      const blockNumbers = await Promise.all(relayed.map(async result => {
+        return (await web3.eth.getTransaction(result.transactionHash)).blockNumber
+      }))
+      assert.deepEqual(blockNumbers, blockNumbers.slice().sort((a, b) => a - b), 'calls were not ordered by nonce.')
+      assert.equal(await instances.MetaTransactionsProvider.nonceTracker(1), 5, 'nonces were not used.')
+    })
+
+    it('next nonces are served', async function () {
+      const response = await request('GET', '/nonce/1')
+      assert.deepEqual(response.body, { ein: '1', nonce: 5 }, 'unexpected nonce.')
+    })
+
+    it('calls with skipped nonces time out', async function () {
+      instances.relayer.pendingTimeout = 100
+      const response = await request('POST', '/callViaProxyDelegated', await callPayload(7))
+      assert.equal(response.status, 408, 'unexpected status.')
+    })
+  })
+
+  describe('Testing Server', function () {
+    it('malformed requests are rejected', async function () {
+      assert.equal((await request('POST', '/callViaProxyDelegated', '{')).status, 400, 'unexpected status.')
+      assert.equal((await request('POST', '/callViaProxyDelegated', {})).body.error, "Missing field 'approvingAddress'.")
+      assert.equal((await request('GET', '/unknown')).status, 404, 'unexpected status.')
+    })
+
+    it('oversized requests are rejected and their connections closed', async function () {
+      const agent = new http.Agent({ keepAlive: true })
+      let closed
+      const result = await new Promise((resolve, reject) => {
+        const req = http.request({
+          host: '127.0.0.1', port: instances.server.address().port, method: 'POST', path: '/callViaProxyDelegated',
+          headers: { 'Content-Type': 'application/json' }, agent: agent
+        }, response => {
+          let body = ''
+          response.on('data', chunk => { body += chunk })
+          response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(body) }))
+        })
+        // the request is never ended and asks to keep the connection alive, so only the relayer can close it
+        req.on('socket', socket => { closed = new Promise(resolve => socket.once('close', resolve)) })
+        req.on('error', () => {})
+        req.write(' '.repeat(1024 * 1024 + 1))
+      })
+      assert.equal(result.status, 413, 'unexpected status.')
+      assert.equal(result.body.error, 'Payload too large.', 'unexpected error.')
+      await Promise.race([
+        closed, new Promise((resolve, reject) => setTimeout(() => reject(new Error('connection left open')), 3000))
+      ])
+      agent.destroy()
+    })
+
+    it('relayer stopped', async function () {
+      await instances.relayer.close()
+    })
+  })
+})
@@ -0,0 +1,94 @@
+const { timeTravel, mine } = require('../common')
+const { getClaimHash, getClaimId, signClaim, verifyClaim, SCHEME_ECDSA } = require('../../lib/claims')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ClaimResolver = artifacts.require('./examples/Resolvers/Claims/ClaimResolver.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954'
+]
+
+const topic = 1
+const data = web3.utils.utf8ToHex('KYC passed')
+const oneDay = 60 * 60 * 24
+
+// convenience variables
+const instances = {}
+let config
+
+contract('Testing Claim Verification', function (accounts) {
+  const subject = accounts[1]
+  const issuer = { address: accounts[2], privateKey: privateKeys[2] }
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.ClaimResolver = await ClaimResolver.new(instances.IdentityRegistry.address)
+      config = {
+        web3: web3,
+        identityRegistry: instances.IdentityRegistry.address,
+        claimResolver: instances.ClaimResolver.address
+      }
+
+      await instances.IdentityRegistry.createIdentity(
+        accounts[0], [], [instances.ClaimResolver.address], { from: subject }
+      )
+      await instances.IdentityRegistry.createIdentity(accounts[0], [], [], { from: issuer.address })
+      await instances.ClaimResolver.registerTopic(topic, 2, { from: accounts[0] })
+      await instances.ClaimResolver.addIssuer(topic, 2, { from: issuer.address })
+    })
+  })
+
+  describe('Testing Verification', function () {
+    it('valid claims are verified', async function () {
+      const expiry = Number((await web3.eth.getBlock('latest')).timestamp) + oneDay
+      const claim = { ein: 1, topic: topic, expiry: expiry, data: data }
+      const signature = await signClaim(web3, instances.ClaimResolver.address, claim, issuer)
+      await instances.ClaimResolver.addClaim(
+        topic, SCHEME_ECDSA, issuer.address, signature, data, 'ipfs://claim', expiry, { from: subject }
+      )
+
+      const verification = await verifyClaim(config, getClaimId(1, 2, topic))
+      assert.isTrue(verification.valid, 'claim is not valid.')
+      assert.deepEqual(verification.errors, [], 'unexpected errors.')
+      assert.equal(verification.claim.issuer, issuer.address, 'unexpected issuer.')
+      assert.equal(verification.claim.data, data, 'unexpected data.')
+      assert.equal(verification.claim.uri, 'ipfs://claim', 'unexpected uri.')
+      assert.equal(verification.claim.expiry, expiry, 'unexpected expiry.')
+      assert.equal(
+        verification.claim.hash,
+        await instances.ClaimResolver.getClaimHash(1, topic, SCHEME_ECDSA, expiry, data),
+        'unexpected hash.'
+      )
+    })
+
+    it('missing claims are reported', async function () {
+      const verification = await verifyClaim(config, getClaimId(1, 2, topic + 1))
+      assert.isFalse(verification.valid, 'missing claim is valid.')
+      assert.deepEqual(verification.errors, ['CLAIM_DOES_NOT_EXIST'], 'unexpected errors.')
+      assert.isNull(verification.claim, 'unexpected claim.')
+    })
+
+    it('every failed check is reported', async function () {
+      const claimId = getClaimId(1, 2, topic)
+      const { claim } = await verifyClaim(config, claimId)
+      assert.equal(claim.hash, getClaimHash(instances.ClaimResolver.address, claim), 'unexpected hash.')
+
+      await instances.ClaimResolver.revokeClaim(claim.hash, { from: issuer.address })
+      await instances.ClaimResolver.removeIssuer(topic, 2, { from: issuer.address })
+      await timeTravel(oneDay)
+      await mine()
+      await instances.IdentityRegistry.removeAssociatedAddress({ from: issuer.address })
+
+      const verification = await verifyClaim(config, claimId)
+      assert.isFalse(verification.valid, 'claim is valid.')
+      assert.deepEqual(
+        verification.errors, ['ISSUER_NOT_ASSOCIATED', 'ISSUER_NOT_TRUSTED', 'CLAIM_REVOKED', 'CLAIM_EXPIRED'],
+        'unexpected errors.'
+      )
+      assert.isFalse(await instances.ClaimResolver.isClaimValid(claimId), 'claim is valid on chain.')
+    })
+  })
+})
@@ -0,0 +1,244 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ethUtil = require('ethereumjs-util')
+
+const { run, UsageError } = require('../../lib/cli')
+const { RevertError } = require('../../lib/errors')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const ResolverCatalog = artifacts.require('./ResolverCatalog.sol')
+const PublicKeyResolver = artifacts.require('./examples/Resolvers/PublicKey/PublicKeyResolver.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297',
+  '0xce5e2ea9c47caba88b3421d75023bd8c359e2aaf897e519a10a256d931028ca1'
+]
+
+const password = 'correct horse battery staple'
+
+// convenience variables
+const instances = {}
+const keystores = []
+
+// runs a CLI command as the account with the given index
+function cli (account, ...argv) {
+  return run(argv.concat(['--keystore', keystores[account]]), web3, {
+    META_IDENTITY_PASSWORD: password,
+    META_IDENTITY_REGISTRY: instances.IdentityRegistry.address
+  })
+}
+
+async function expectError (promise, errorClass, message) {
+  await promise
+    .then(() => assert.fail('command succeeded', 'command should fail'))
+    .catch(error => {
+      assert.instanceOf(error, errorClass, 'wrong error type')
+      assert.include(error.code || error.message, message, 'wrong rejection reason')
+    })
+}
+
+contract('Testing meta-identity CLI', function (accounts) {
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.PublicKeyResolver = await PublicKeyResolver.new(instances.IdentityRegistry.address)
+      instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+      instances.resolverOptions = [
+        '--public-key-resolver', instances.PublicKeyResolver.address,
+        '--service-key-resolver', instances.ServiceKeyResolver.address
+      ]
+    })
+
+    it('keystores created', async function () {
+      privateKeys.forEach((privateKey, i) => {
+        keystores[i] = path.join(os.tmpdir(), `meta-identity-${i}.json`)
+        fs.writeFileSync(keystores[i], JSON.stringify(web3.eth.accounts.encrypt(privateKey, password)))
+      })
+    })
+  })
+
+  describe('Testing Arguments', function () {
+    it('usage is printed', async function () {
+      assert.include((await run(['--help'], web3)).usage, 'Usage: meta-identity')
+    })
+
+    it('malformed commands are rejected', async function () {
+      await expectError(run(['unknown'], web3), UsageError, "Unknown command 'unknown'.")
+      await expectError(run(['providers', 'list'], web3), UsageError, "Unknown subcommand 'providers list'.")
+      await expectError(run(['toString'], web3), UsageError, "Unknown command 'toString'.")
+      await expectError(
+        run(['providers', 'constructor'], web3), UsageError, "Unknown subcommand 'providers constructor'."
+      )
+      await expectError(cli(1, 'create'), UsageError, 'Missing option --recovery-address.')
+      await expectError(run(['create', '--recovery-address'], web3), UsageError, 'Missing value for --recovery-address.')
+    })
+  })
+
+  describe('Testing Identity Management', function () {
+    it('Identity can be created', async function () {
+      const result = await cli(
+        1, 'create', '--recovery-address', accounts[0],
+        '--resolvers', `${instances.PublicKeyResolver.address},${instances.ServiceKeyResolver.address}`
+      )
+      assert.equal(result.ein, '1', 'unexpected EIN.')
+      assert.match(result.transactionHash, /^0x[0-9a-f]{64}$/, 'unexpected transaction hash.')
+
+      await expectError(cli(1, 'create', '--recovery-address', accounts[0]), RevertError, 'ADDRESS_HAS_IDENTITY')
+    })
+
+    it('Identity can be created delegated', async function () {
+      const signed = await cli(2, 'create', '--recovery-address', accounts[0], '--sign')
+      assert.equal(signed.function, 'IdentityRegistry.createIdentityDelegated', 'unexpected function.')
+      assert.equal(signed.signer, accounts[2], 'unexpected signer.')
+
+      const result = await cli(
+        9, 'create', '--recovery-address', accounts[0], '--for', accounts[2], '--signature', JSON.stringify(signed)
+      )
+      assert.equal(result.ein, '2', 'unexpected EIN.')
+    })
+
+    it('associated addresses can be added', async function () {
+      const signed = await cli(3, 'add-address', accounts[1], accounts[3], '--sign')
+      assert.equal(signed.function, 'IdentityRegistry.addAssociatedAddressByAddressToAdd', 'unexpected function.')
+
+      await cli(1, 'add-address', accounts[1], accounts[3], '--signature', JSON.stringify(signed.signature))
+      assert.isTrue(await instances.IdentityRegistry.isAssociatedAddressFor(1, accounts[3]), 'address was not added.')
+    })
+
+    it('associated addresses can be added delegated', async function () {
+      const approving = await cli(1, 'add-address', accounts[1], accounts[4], '--sign')
+      const adding = await cli(4, 'add-address', accounts[1], accounts[4], '--sign')
+      assert.equal(approving.function, 'IdentityRegistry.addAssociatedAddressByApprovingAddress', 'unexpected function.')
+
+      await cli(
+        9, 'add-address', accounts[1], accounts[4],
+        '--approving-signature', JSON.stringify(approving), '--adding-signature', JSON.stringify(adding)
+      )
+      assert.isTrue(await instances.IdentityRegistry.isAssociatedAddressFor(1, accounts[4]), 'address was not added.')
+    })
+
+    it('associated addresses can be removed', async function () {
+      const signed = await cli(3, 'remove-address', '--sign')
+      await cli(9, 'remove-address', '--for', accounts[3], '--signature', JSON.stringify(signed))
+      await cli(4, 'remove-address')
+
+      const identity = await instances.IdentityRegistry.getIdentity(1)
+      assert.deepEqual(identity.associatedAddresses, [accounts[1]], 'addresses were not removed.')
+    })
+
+    it('providers and resolvers can be managed', async function () {
+      await cli(1, 'providers', 'add', accounts[5], accounts[6])
+      await cli(5, 'resolvers', 'add', accounts[7], '--ein', '1')
+      await cli(5, 'providers', 'remove', accounts[6], '--ein', '1')
+      await cli(1, 'resolvers', 'remove', accounts[7])
+
+      const identity = await instances.IdentityRegistry.getIdentity(1)
+      assert.deepEqual(identity.providers, [accounts[5]], 'unexpected providers.')
+      assert.deepEqual(
+        identity.resolvers, [instances.PublicKeyResolver.address, instances.ServiceKeyResolver.address],
+        'unexpected resolvers.'
+      )
+    })
+
+    it('identities are shown with catalog metadata', async function () {
+      assert.deepEqual(
+        (await cli(1, 'identity')).resolvers,
+        [instances.PublicKeyResolver.address, instances.ServiceKeyResolver.address], 'unexpected resolvers.'
+      )
+
+      const catalog = await ResolverCatalog.new({ from: accounts[0] })
+      await catalog.addEntry(
+        instances.ServiceKeyResolver.address, 1, 'ServiceKeyResolver', '', '0x00000000', '1.0.0', { from: accounts[0] }
+      )
+      const identity = await cli(9, 'identity', '1', '--catalog', catalog.address)
+      assert.deepEqual(
+        identity.resolvers.map(resolver => resolver.name), [null, 'ServiceKeyResolver'], 'unexpected names.'
+      )
+      assert.deepEqual(identity.providers.map(provider => provider.listed), [false], 'unexpected providers.')
+    })
+  })
+
+  describe('Testing Resolvers', function () {
+    it('service keys can be managed', async function () {
+      await cli(1, 'service-key', 'add', accounts[7], 'sp1', '--expiry', '4102444800', ...instances.resolverOptions)
+
+      const signed = await cli(1, 'service-key', 'add', accounts[8], 'sp2', '--sign', ...instances.resolverOptions)
+      assert.equal(signed.function, 'ServiceKeyResolver.addKeyDelegated', 'unexpected function.')
+      await cli(
+        5, 'service-key', 'add', accounts[8], 'sp2', '--for', accounts[1], '--signature', JSON.stringify(signed),
+        ...instances.resolverOptions
+      )
+
+      assert.deepEqual(await cli(1, 'service-key', 'list', ...instances.resolverOptions), [
+        { key: accounts[7], symbol: 'sp1', expiry: '4102444800', scope: '1' },
+        { key: accounts[8], symbol: 'sp2', expiry: '0', scope: '1' }
+      ], 'unexpected service keys.')
+
+      await cli(1, 'service-key', 'remove', accounts[7], ...instances.resolverOptions)
+      assert.deepEqual(await cli(9, 'service-key', 'list', '1', ...instances.resolverOptions), [
+        { key: accounts[8], symbol: 'sp2', expiry: '0', scope: '1' }
+      ], 'service key was not removed.')
+    })
+
+    it('public keys can be managed', async function () {
+      await cli(1, 'public-key', 'set', ...instances.resolverOptions)
+
+      const result = await cli(9, 'public-key', 'get', accounts[1], ...instances.resolverOptions)
+      assert.deepEqual(result, {
+        address: accounts[1],
+        publicKey: ethUtil.bufferToHex(ethUtil.privateToPublic(privateKeys[1]))
+      }, 'unexpected public key.')
+
+      const unset = await cli(9, 'public-key', 'get', ...instances.resolverOptions)
+      assert.isNull(unset.publicKey, 'public key was unexpectedly set.')
+
+      const encryptionKey = web3.utils.randomHex(32)
+      await cli(
+        1, 'public-key', 'set', encryptionKey, '--type', 'x25519', '--purpose', 'keyAgreement',
+        ...instances.resolverOptions
+      )
+      const publicKeys = await cli(9, 'public-key', 'list', '1', ...instances.resolverOptions)
+      assert.deepEqual(publicKeys.map(key => [key.address, key.type, key.purpose]), [
+        [accounts[1], 'secp256k1', 'authentication'],
+        [accounts[1], 'x25519', 'keyAgreement']
+      ], 'unexpected public keys.')
+      assert.equal(publicKeys[1].publicKey, encryptionKey, 'unexpected encryption key.')
+
+      await cli(1, 'public-key', 'remove', publicKeys[1].keyId, ...instances.resolverOptions)
+      assert.lengthOf(
+        await cli(1, 'public-key', 'list', ...instances.resolverOptions), 1, 'public key was not removed.'
+      )
+    })
+  })
+
+  describe('Testing Recovery', function () {
+    it('recovery address can be changed', async function () {
+      await cli(1, 'recovery', 'change-address', accounts[9])
+      const identity = await instances.IdentityRegistry.getIdentity(1)
+      assert.equal(identity.recoveryAddress, accounts[9], 'recovery address was not changed.')
+    })
+
+    it('recovery can be triggered', async function () {
+      const signed = await cli(6, 'recovery', 'trigger', '1', '--sign')
+      const result = await cli(0, 'recovery', 'trigger', '1', accounts[6], '--signature', JSON.stringify(signed))
+      assert.deepEqual(result.oldAssociatedAddresses, [accounts[1]], 'unexpected old addresses.')
+    })
+
+    it('Identity can be destroyed', async function () {
+      await cli(1, 'destroy', '1', '--first-chunk', '', '--last-chunk', '', '--reset-resolvers')
+      assert.isFalse(await instances.IdentityRegistry.isAssociatedAddressFor(1, accounts[6]), 'identity was not destroyed.')
+
+      keystores.forEach(keystore => fs.unlinkSync(keystore))
+    })
+  })
+})
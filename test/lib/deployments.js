@@ -0,0 +1,153 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const deployments = require('../../lib/deployments')
+const { run } = require('../../lib/cli')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const PublicKeyResolver = artifacts.require('./examples/Resolvers/PublicKey/PublicKeyResolver.sol')
+const ERC1056 = artifacts.require('./examples/Resolvers/ERC1056/ERC1056.sol')
+
+const contractNames = [
+  'IdentityRegistry', 'ResolverCatalog', 'PublicKeyResolver', 'ServiceKeyResolver', 'ClaimResolver',
+  'ERC725RegistryResolver', 'EthereumDIDRegistry', 'ERC1056', 'MetaTransactionsProvider', 'BurnerProvider',
+  'BatchProvider'
+]
+
+// a deployer that deploys like truffle's, and records what it deployed
+function stubDeployer () {
+  return {
+    deployed: [],
+    deploy: async function (contract, ...args) {
+      const instance = await contract.new(...args)
+      contract.address = instance.address
+      contract.transactionHash = instance.transactionHash
+      this.deployed.push(contract.contractName)
+    }
+  }
+}
+
+// a copy of an artifact, so that setting its address does not affect other tests
+async function cloneContract (contract) {
+  const clone = contract.clone()
+  clone.setProvider(web3.currentProvider)
+  clone.defaults(contract.defaults())
+  await clone.detectNetwork()
+  return clone
+}
+
+contract('Testing Deployments', function (accounts) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'))
+
+  describe('Testing Migrations', function () {
+    it('every contract is in the address book', async function () {
+      const addressBook = deployments.load('development')
+      assert.sameMembers(Object.keys(addressBook), contractNames, 'unexpected contracts.')
+
+      for (const contractName of contractNames) {
+        const code = await web3.eth.getCode(addressBook[contractName].address)
+        assert.notEqual(code, '0x', `${contractName} was not deployed.`)
+      }
+      assert.equal(
+        deployments.getAddress('development', 'IdentityRegistry'), (await IdentityRegistry.deployed()).address,
+        'unexpected IdentityRegistry address.'
+      )
+      assert.equal(
+        deployments.getAddress('development', 'ERC1056'), (await ERC1056.deployed()).address,
+        'unexpected ERC1056 address.'
+      )
+    })
+
+    it('the CLI reads the address book', async function () {
+      const result = await run(['public-key', 'get', accounts[1], '--network', 'development'], web3)
+      assert.deepEqual(result, { address: accounts[1], publicKey: null }, 'unexpected result.')
+    })
+
+    it('missing deployments are reported', async function () {
+      assert.throws(
+        () => deployments.getAddress('unknown', 'IdentityRegistry', directory),
+        'No IdentityRegistry deployment found for network unknown'
+      )
+    })
+  })
+
+  describe('Testing Idempotency', function () {
+    it('contracts are deployed and recorded', async function () {
+      const contract = await cloneContract(IdentityRegistry)
+      const deployer = stubDeployer()
+
+      assert.isTrue(await deployments.deploy(deployer, 'test', contract, [], directory), 'contract was not deployed.')
+      assert.deepEqual(deployer.deployed, ['IdentityRegistry'], 'unexpected deployments.')
+
+      const deployment = deployments.load('test', directory).IdentityRegistry
+      assert.equal(deployment.address, contract.address, 'unexpected address.')
+      const receipt = await web3.eth.getTransactionReceipt(deployment.transactionHash)
+      assert.equal(deployment.blockNumber, receipt.blockNumber, 'unexpected block number.')
+    })
+
+    it('recorded contracts are skipped', async function () {
+      const contract = await cloneContract(IdentityRegistry)
+      const deployer = stubDeployer()
+
+      assert.isFalse(await deployments.deploy(deployer, 'test', contract, [], directory), 'contract was redeployed.')
+      assert.deepEqual(deployer.deployed, [], 'unexpected deployments.')
+      assert.equal(contract.address, deployments.getAddress('test', 'IdentityRegistry', directory), 'address not set.')
+    })
+
+    it('recorded contracts with other constructor arguments are redeployed', async function () {
+      const registry = deployments.getAddress('test', 'IdentityRegistry', directory)
+      const contract = await cloneContract(PublicKeyResolver)
+      assert.isTrue(
+        await deployments.deploy(stubDeployer(), 'test', contract, [registry.toLowerCase()], directory),
+        'contract was not deployed.'
+      )
+      const address = contract.address
+      assert.deepEqual(
+        deployments.load('test', directory).PublicKeyResolver.args, [registry.toLowerCase()], 'unexpected arguments.'
+      )
+
+      // addresses are compared regardless of their checksum
+      const deployer = stubDeployer()
+      assert.isFalse(
+        await deployments.deploy(deployer, 'test', contract, [registry], directory), 'contract was redeployed.'
+      )
+      assert.deepEqual(deployer.deployed, [], 'unexpected deployments.')
+
+      assert.isTrue(
+        await deployments.deploy(deployer, 'test', contract, [accounts[1]], directory), 'contract was not redeployed.'
+      )
+      assert.deepEqual(deployer.deployed, ['PublicKeyResolver'], 'unexpected deployments.')
+      assert.notEqual(deployments.getAddress('test', 'PublicKeyResolver', directory), address, 'address not updated.')
+    })
+
+    it('recorded contracts without constructor arguments fail', async function () {
+      const addressBook = deployments.load('test', directory)
+      delete addressBook.PublicKeyResolver.args
+      deployments.save('test', addressBook, directory)
+
+      const contract = await cloneContract(PublicKeyResolver)
+      await deployments.deploy(stubDeployer(), 'test', contract, [accounts[1]], directory)
+        .then(() => assert.fail('contract was skipped', 'deployment should fail'))
+        .catch(error => assert.include(
+          error.message, 'The PublicKeyResolver deployment of network test has no constructor args recorded',
+          'wrong rejection reason'
+        ))
+    })
+
+    it('recorded contracts without code are redeployed', async function () {
+      const addressBook = deployments.load('test', directory)
+      addressBook.IdentityRegistry.address = accounts[0]
+      deployments.save('test', addressBook, directory)
+
+      const contract = await cloneContract(IdentityRegistry)
+      const deployer = stubDeployer()
+
+      assert.isTrue(await deployments.deploy(deployer, 'test', contract, [], directory), 'contract was not redeployed.')
+      assert.notEqual(deployments.getAddress('test', 'IdentityRegistry', directory), accounts[0], 'address not updated.')
+
+      fs.unlinkSync(deployments.getFile('test', directory))
+      fs.rmdirSync(directory)
+    })
+  })
+})
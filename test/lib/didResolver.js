@@ -0,0 +1,180 @@
+const ethUtil = require('ethereumjs-util')
+const { Resolver } = require('did-resolver')
+
+const { timeTravel, mine } = require('../common')
+const { signMessage } = require('../../lib/messages')
+const { getResolver, parseEIN } = require('../../lib/didResolver')
+const { encodePurpose } = require('../../lib/publicKeys')
+const IdentityRegistryClient = require('../../lib/IdentityRegistryClient')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const PublicKeyResolver = artifacts.require('./examples/Resolvers/PublicKey/PublicKeyResolver.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297',
+  '0xce5e2ea9c47caba88b3421d75023bd8c359e2aaf897e519a10a256d931028ca1'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+
+function privateToPublic (privateKey) {
+  return ethUtil.bufferToHex(ethUtil.privateToPublic(privateKey))
+}
+
+contract('Testing did:meta Resolver', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  const recoveryAddress = accounts[0]
+  const associatedAddresses = accountsPrivate.slice(1, 3)
+  const serviceKeys = accounts.slice(5, 7)
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.PublicKeyResolver = await PublicKeyResolver.new(instances.IdentityRegistry.address)
+      instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+      instances.client = new IdentityRegistryClient(web3, instances.IdentityRegistry.address)
+
+      instances.resolver = new Resolver(getResolver({
+        web3: web3,
+        identityRegistry: instances.IdentityRegistry.address,
+        publicKeyResolver: instances.PublicKeyResolver.address,
+        serviceKeyResolver: instances.ServiceKeyResolver.address
+      }))
+    })
+
+    it('Identity can be created', async function () {
+      await instances.client.createIdentity(
+        recoveryAddress, [], [instances.PublicKeyResolver.address, instances.ServiceKeyResolver.address],
+        { from: associatedAddresses[0].address }
+      )
+
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.client.address,
+        { ein: 1, addressToAdd: associatedAddresses[1].address }, associatedAddresses[1]
+      )
+      await instances.client.addAssociatedAddress(
+        associatedAddresses[0].address, associatedAddresses[1].address, signature,
+        { from: associatedAddresses[0].address }
+      )
+
+      await instances.PublicKeyResolver.addPublicKey(
+        privateToPublic(associatedAddresses[0].privateKey), { from: associatedAddresses[0].address }
+      )
+      await instances.ServiceKeyResolver.addKey(serviceKeys[0], 'sp1', { from: associatedAddresses[0].address })
+      await instances.ServiceKeyResolver.addKey(serviceKeys[1], 'sp2', { from: associatedAddresses[1].address })
+    })
+  })
+
+  describe('Testing Resolution', function () {
+    it('EINs are parsed', async function () {
+      assert.equal(parseEIN('42'), '42')
+      assert.equal(parseEIN('0x2a'), '42')
+      assert.isUndefined(parseEIN('0xzz'))
+      assert.isUndefined(parseEIN('abc'))
+    })
+
+    it('DID documents are built', async function () {
+      const did = 'did:meta:1'
+      const document = await instances.resolver.resolve(did)
+
+      assert.deepEqual(document, {
+        '@context': 'https://w3id.org/did/v1',
+        id: did,
+        controller: `did:ethr:${recoveryAddress}`,
+        publicKey: [
+          {
+            id: `${did}#key-1`,
+            type: 'Secp256k1VerificationKey2018',
+            owner: did,
+            publicKeyHex: `04${privateToPublic(associatedAddresses[0].privateKey).slice(2)}`
+          },
+          {
+            id: `${did}#key-2`,
+            type: 'Secp256k1VerificationKey2018',
+            owner: did,
+            ethereumAddress: associatedAddresses[1].address.toLowerCase()
+          },
+          {
+            id: `${did}#service-key-1`,
+            type: 'Secp256k1VerificationKey2018',
+            owner: did,
+            ethereumAddress: serviceKeys[0].toLowerCase(),
+            symbol: 'sp1'
+          },
+          {
+            id: `${did}#service-key-2`,
+            type: 'Secp256k1VerificationKey2018',
+            owner: did,
+            ethereumAddress: serviceKeys[1].toLowerCase(),
+            symbol: 'sp2'
+          }
+        ],
+        authentication: ['key-1', 'key-2', 'service-key-1', 'service-key-2'].map(fragment => {
+          return { type: 'Secp256k1SignatureAuthentication2018', publicKey: `${did}#${fragment}` }
+        })
+      }, 'unexpected DID document.')
+
+      const hexDocument = await instances.resolver.resolve('did:meta:0x1')
+      assert.equal(hexDocument.id, 'did:meta:0x1', 'unexpected DID.')
+      assert.equal(hexDocument.publicKey.length, 4, 'hex EIN was resolved incorrectly.')
+    })
+
+    it('resolvers are optional', async function () {
+      const resolver = new Resolver(getResolver({ web3: web3, identityRegistry: instances.IdentityRegistry.address }))
+      const document = await resolver.resolve('did:meta:1')
+      assert.deepEqual(
+        document.publicKey.map(key => key.ethereumAddress),
+        associatedAddresses.map(account => account.address.toLowerCase()),
+        'unexpected public keys.'
+      )
+    })
+
+    it('expired service keys are left out', async function () {
+      const expiry = Number((await web3.eth.getBlock('latest')).timestamp) + 60
+      await instances.ServiceKeyResolver.addScopedKey(
+        accounts[7], 'sp3', expiry, 1, { from: associatedAddresses[0].address }
+      )
+      assert.equal((await instances.resolver.resolve('did:meta:1')).publicKey.length, 5, 'service key was left out.')
+
+      await timeTravel(120)
+      await mine()
+      const document = await instances.resolver.resolve('did:meta:1')
+      assert.equal(document.publicKey.length, 4, 'expired service key was resolved.')
+      assert.equal(document.authentication.length, 4, 'expired service key authenticates.')
+    })
+
+    it('other public keys are listed after the associated addresses', async function () {
+      const publicKey = web3.utils.randomHex(32)
+      await instances.PublicKeyResolver.addKey(
+        4, encodePurpose('keyAgreement'), publicKey, { from: associatedAddresses[1].address }
+      )
+
+      const document = await instances.resolver.resolve('did:meta:1')
+      assert.deepEqual(document.publicKey[2], {
+        id: 'did:meta:1#public-key-1',
+        type: 'X25519KeyAgreementKey2019',
+        owner: 'did:meta:1',
+        publicKeyHex: publicKey.slice(2),
+        purpose: 'keyAgreement'
+      }, 'unexpected public key.')
+      assert.equal(document.authentication.length, 4, 'the public key authenticates.')
+    })
+
+    it('unknown EINs resolve to null', async function () {
+      assert.isNull(await instances.resolver.resolve('did:meta:1337'), 'unknown EIN was resolved.')
+      assert.isNull(await instances.resolver.resolve('did:meta:abc'), 'malformed EIN was resolved.')
+    })
+  })
+})
@@ -0,0 +1,166 @@
+const { timeTravel, mine } = require('../common')
+const { signMessage } = require('../../lib/messages')
+const { buildDocument, getHistory, resolveEIN } = require('../../lib/ethrDid')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const EthereumDIDRegistry = artifacts.require('./_testing/examples/Resolvers/ERC1056/EthereumDIDRegistry.sol')
+const ERC1056 = artifacts.require('./examples/Resolvers/ERC1056/ERC1056.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff'
+]
+
+const oneDay = 60 * 60 * 24
+const publicKey = '0x02b97c30de767f084ce3080168ee293053ba33b235d7116a3263d29f1450936b71'
+
+function toBytes32 (string) {
+  return web3.utils.padRight(web3.utils.utf8ToHex(string), 64)
+}
+
+// convenience variables
+const instances = {}
+let config
+
+contract('Testing ethr DID Documents', function (accounts) {
+  const user = { address: accounts[1], privateKey: privateKeys[1] }
+  const did = `did:ethr:${user.address.toLowerCase()}`
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.EthereumDIDRegistry = await EthereumDIDRegistry.new()
+      instances.ERC1056 = await ERC1056.new(instances.IdentityRegistry.address, instances.EthereumDIDRegistry.address)
+      config = {
+        web3: web3,
+        erc1056: instances.ERC1056.address,
+        ethereumDIDRegistry: instances.EthereumDIDRegistry.address
+      }
+
+      await instances.IdentityRegistry.createIdentity(
+        accounts[0], [], [instances.ERC1056.address], { from: user.address }
+      )
+    })
+  })
+
+  describe('Testing Documents', function () {
+    it('EINs without a DID do not resolve', async function () {
+      assert.isNull(await resolveEIN(config, 1), 'unexpected document.')
+    })
+
+    it('initialized DIDs resolve to their owner', async function () {
+      const signature = await signMessage(
+        web3, 'EthereumDIDRegistry', 'changeOwnerSigned', instances.EthereumDIDRegistry.address,
+        { nonce: 0, identity: user.address, newOwner: instances.ERC1056.address }, user
+      )
+      await instances.ERC1056.initialize(user.address, signature.v, signature.r, signature.s, { from: user.address })
+
+      const document = await resolveEIN(config, 1)
+      assert.deepEqual(document, {
+        '@context': 'https://w3id.org/did/v1',
+        id: did,
+        publicKey: [{
+          id: `${did}#owner`,
+          type: 'Secp256k1VerificationKey2018',
+          owner: did,
+          ethereumAddress: instances.ERC1056.address.toLowerCase()
+        }],
+        authentication: [{ type: 'Secp256k1SignatureAuthentication2018', publicKey: `${did}#owner` }]
+      }, 'unexpected document.')
+    })
+
+    it('delegates and attributes are included', async function () {
+      await instances.ERC1056.addDelegate(toBytes32('veriKey'), accounts[2], oneDay, { from: user.address })
+      await instances.ERC1056.addDelegate(toBytes32('sigAuth'), accounts[3], oneDay * 2, { from: user.address })
+      await instances.ERC1056.setAttribute(
+        toBytes32('did/pub/Secp256k1/veriKey/hex'), publicKey, oneDay * 2, { from: user.address }
+      )
+      await instances.ERC1056.setAttribute(
+        toBytes32('did/svc/HubService'), web3.utils.utf8ToHex('https://hub.example.com'), oneDay * 2,
+        { from: user.address }
+      )
+
+      const history = await getHistory(config, user.address)
+      assert.deepEqual(
+        history.map(event => event.event),
+        ['DIDOwnerChanged', 'DIDDelegateChanged', 'DIDDelegateChanged', 'DIDAttributeChanged', 'DIDAttributeChanged'],
+        'unexpected history.'
+      )
+
+      const document = await resolveEIN(config, 1)
+      assert.deepEqual(document.publicKey.slice(1), [
+        {
+          id: `${did}#delegate-1`,
+          type: 'Secp256k1VerificationKey2018',
+          owner: did,
+          ethereumAddress: accounts[2].toLowerCase()
+        },
+        {
+          id: `${did}#delegate-2`,
+          type: 'Secp256k1VerificationKey2018',
+          owner: did,
+          ethereumAddress: accounts[3].toLowerCase()
+        },
+        {
+          id: `${did}#delegate-3`,
+          type: 'Secp256k1VerificationKey2018',
+          owner: did,
+          publicKeyHex: publicKey.slice(2)
+        }
+      ], 'unexpected public keys.')
+      assert.deepEqual(
+        document.authentication.slice(1),
+        [{ type: 'Secp256k1SignatureAuthentication2018', publicKey: `${did}#delegate-2` }],
+        'unexpected authentication.'
+      )
+      assert.deepEqual(
+        document.service, [{ type: 'HubService', serviceEndpoint: 'https://hub.example.com' }], 'unexpected services.'
+      )
+    })
+
+    it('expired and revoked entries are dropped', async function () {
+      await instances.ERC1056.revokeAttribute(
+        toBytes32('did/svc/HubService'), web3.utils.utf8ToHex('https://hub.example.com'), { from: user.address }
+      )
+      await timeTravel(oneDay + 1)
+      await mine()
+
+      const document = await resolveEIN(config, 1)
+      assert.deepEqual(
+        document.publicKey.map(key => key.ethereumAddress || key.publicKeyHex),
+        [instances.ERC1056.address.toLowerCase(), accounts[3].toLowerCase(), publicKey.slice(2)],
+        'unexpected public keys.'
+      )
+      assert.lengthOf(document.authentication, 2, 'unexpected authentication.')
+      assert.isUndefined(document.service, 'revoked service is listed.')
+    })
+
+    it('labelled DIDs resolve', async function () {
+      const other = { address: accounts[0], privateKey: privateKeys[0] }
+      const label = toBytes32('work')
+      const signature = await signMessage(
+        web3, 'EthereumDIDRegistry', 'changeOwnerSigned', instances.EthereumDIDRegistry.address,
+        { nonce: 0, identity: other.address, newOwner: instances.ERC1056.address }, other
+      )
+      await instances.ERC1056.bindDID(
+        label, other.address, signature.v, signature.r, signature.s, { from: user.address }
+      )
+
+      const document = await resolveEIN(config, 1, label)
+      assert.equal(document.id, `did:ethr:${other.address.toLowerCase()}`, 'unexpected DID.')
+      assert.isNull(await resolveEIN(config, 1, toBytes32('home')), 'unbound label resolves.')
+    })
+
+    it('detached DIDs no longer resolve from the EIN', async function () {
+      await instances.ERC1056.changeOwner(accounts[4], { from: user.address })
+      assert.isNull(await resolveEIN(config, 1), 'detached DID resolves.')
+      assert.equal(
+        await instances.EthereumDIDRegistry.identityOwner(user.address), accounts[4], 'owner was not changed.'
+      )
+
+      const history = await getHistory(config, user.address)
+      const document = buildDocument(user.address, history, 0)
+      assert.equal(document.publicKey[0].ethereumAddress, accounts[4].toLowerCase(), 'unexpected owner.')
+    })
+  })
+})
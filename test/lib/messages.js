@@ -0,0 +1,643 @@
+const ethUtil = require('ethereumjs-util')
+
+const { verifyIdentity } = require('../common')
+const { formats, hashMessage, sign, signMessage } = require('../../lib/messages')
+const { encodePurpose, getKeyId } = require('../../lib/publicKeys')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const PublicKeyResolver = artifacts.require('./examples/Resolvers/PublicKey/PublicKeyResolver.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+const ERC725RegistryResolver = artifacts.require('./examples/Resolvers/ERC725/ERC725RegistryResolver.sol')
+const MetaTransactionsProvider = artifacts.require('./examples/Providers/MetaTransactions/MetaTransactionsProvider.sol')
+const BatchProvider = artifacts.require('./examples/Providers/Batch/BatchProvider.sol')
+const EthereumDIDRegistry = artifacts.require('./_testing/examples/Resolvers/ERC1056/EthereumDIDRegistry.sol')
+const ERC1056 = artifacts.require('./examples/Resolvers/ERC1056/ERC1056.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297',
+  '0xce5e2ea9c47caba88b3421d75023bd8c359e2aaf897e519a10a256d931028ca1'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let identity
+
+contract('Testing Delegated Message Builders', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  identity = {
+    recoveryAddress:     accountsPrivate[0],
+    associatedAddresses: accountsPrivate.slice(1, 4),
+    providers:           accountsPrivate.slice(4, 5),
+    serviceKey:          accountsPrivate[6],
+    newAssociatedAddress: accountsPrivate[7]
+  }
+
+  // sign with both methods to ensure that builders are independent of how the hash is signed
+  const prefixed = signer => Object.assign({ method: 'prefixed' }, signer)
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.PublicKeyResolver = await PublicKeyResolver.new(instances.IdentityRegistry.address)
+      instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+      instances.ERC725RegistryResolver = await ERC725RegistryResolver.new(instances.IdentityRegistry.address)
+      instances.MetaTransactionsProvider = await MetaTransactionsProvider.new(instances.IdentityRegistry.address)
+      instances.BatchProvider = await BatchProvider.new(instances.IdentityRegistry.address)
+      instances.EthereumDIDRegistry = await EthereumDIDRegistry.new()
+      instances.ERC1056 = await ERC1056.new(instances.IdentityRegistry.address, instances.EthereumDIDRegistry.address)
+
+      identity.providers = identity.providers.map(provider => provider.address)
+        .concat(instances.MetaTransactionsProvider.address, instances.BatchProvider.address)
+      identity.resolvers = [
+        instances.PublicKeyResolver.address, instances.ServiceKeyResolver.address,
+        instances.ERC725RegistryResolver.address, instances.ERC1056.address
+      ]
+    })
+  })
+
+  describe('Testing Builders', function () {
+    it('builders match hand-built messages', async function () {
+      const timestamp = Math.round(new Date() / 1000) - 1
+      const expected = web3.utils.soliditySha3(
+        '0x19', '0x00', instances.IdentityRegistry.address,
+        'I authorize the creation of an Identity on my behalf.',
+        identity.recoveryAddress.address,
+        identity.associatedAddresses[0].address,
+        { t: 'address[]', v: identity.providers },
+        { t: 'address[]', v: identity.resolvers },
+        timestamp
+      )
+      const actual = hashMessage('IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+        recoveryAddress: identity.recoveryAddress.address,
+        associatedAddress: identity.associatedAddresses[0].address,
+        providers: identity.providers,
+        resolvers: identity.resolvers,
+        timestamp: timestamp
+      })
+      assert.equal(actual, expected, 'message was built incorrectly.')
+    })
+
+    it('builders require every argument', async function () {
+      assert.throws(
+        () => hashMessage('ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address, { key: accounts[0] }),
+        "Missing argument 'symbol' for ServiceKeyResolver.addKeyDelegated."
+      )
+      assert.throws(
+        () => hashMessage('ServiceKeyResolver', 'addKey', instances.ServiceKeyResolver.address, {}),
+        'Unknown delegated function ServiceKeyResolver.addKey.'
+      )
+    })
+
+    it('signing failures are rejected', async function () {
+      const messageHash = web3.utils.randomHex(32)
+      await sign(web3, messageHash, web3.utils.randomHex(20), undefined, 'prefixed')
+        .then(() => assert.fail('message was signed', 'signing should fail'))
+        .catch(error => assert.include(error.message, 'cannot sign data; no private key', 'wrong rejection reason'))
+      await sign(web3, messageHash, accounts[0], '0x00')
+        .then(() => assert.fail('message was signed', 'signing should fail'))
+        .catch(error => assert.include(error.message, 'private key length is invalid', 'wrong rejection reason'))
+    })
+
+    it('every format is tested', async function () {
+      const tested = [
+        'IdentityRegistry.createIdentityDelegated',
+        'IdentityRegistry.addAssociatedAddressByApprovingAddress',
+        'IdentityRegistry.addAssociatedAddressByAddressToAdd',
+        'IdentityRegistry.removeAssociatedAddressDelegated',
+        'IdentityRegistry.triggerRecovery',
+        'PublicKeyResolver.addPublicKeyDelegated',
+        'PublicKeyResolver.removePublicKeyDelegated',
+        'PublicKeyResolver.addKeyDelegated',
+        'PublicKeyResolver.removeKeyDelegated',
+        'PublicKeyResolver.addRecoveredPublicKey',
+        'ServiceKeyResolver.addKeyDelegated',
+        'ServiceKeyResolver.addScopedKeyDelegated',
+        'ServiceKeyResolver.removeKeyDelegated',
+        'ServiceKeyResolver.removeKeysDelegated',
+        'ERC725RegistryResolver.create725Delegated',
+        'ERC725RegistryResolver.claim725Delegated',
+        'MetaTransactionsProvider.callViaProxyDelegated',
+        'BatchProvider.executeBatchDelegated',
+        'ERC1056.changeOwnerDelegated',
+        'ERC1056.addDelegateDelegated',
+        'ERC1056.revokeDelegateDelegated',
+        'ERC1056.setAttributeDelegated',
+        'ERC1056.revokeAttributeDelegated',
+        'ERC1056.changeDIDOwnerDelegated',
+        'ERC1056.addDIDDelegateDelegated',
+        'ERC1056.revokeDIDDelegateDelegated',
+        'ERC1056.setDIDAttributeDelegated',
+        'ERC1056.revokeDIDAttributeDelegated',
+        'EthereumDIDRegistry.changeOwnerSigned'
+      ]
+      const all = Object.keys(formats).reduce((names, contractName) => {
+        return names.concat(Object.keys(formats[contractName]).map(functionName => `${contractName}.${functionName}`))
+      }, [])
+      assert.sameMembers(all, tested, 'untested message format.')
+    })
+  })
+
+  describe('Testing IdentityRegistry Messages', function () {
+    it('createIdentityDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: identity.recoveryAddress.address,
+          associatedAddress: signer.address,
+          providers: identity.providers,
+          resolvers: identity.resolvers
+        }, signer
+      )
+
+      await instances.IdentityRegistry.createIdentityDelegated(
+        identity.recoveryAddress.address, signer.address, identity.providers, identity.resolvers,
+        signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      identity.identity = web3.utils.toBN(1)
+
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [signer.address],
+        providers:           identity.providers,
+        resolvers:           identity.resolvers
+      })
+    })
+
+    it('addAssociatedAddressByAddressToAdd', async function () {
+      const approvingAddress = identity.associatedAddresses[0]
+      const addressToAdd = identity.associatedAddresses[1]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.IdentityRegistry.address,
+        { ein: identity.identity, addressToAdd: addressToAdd.address }, prefixed(addressToAdd)
+      )
+
+      await instances.IdentityRegistry.addAssociatedAddress(
+        approvingAddress.address, addressToAdd.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: approvingAddress.address }
+      )
+
+      const isAssociatedAddressFor = await instances.IdentityRegistry.isAssociatedAddressFor(
+        identity.identity, addressToAdd.address
+      )
+      assert.isTrue(isAssociatedAddressFor, 'associated address was not added.')
+    })
+
+    it('addAssociatedAddressByApprovingAddress', async function () {
+      const approvingAddress = identity.associatedAddresses[0]
+      const addressToAdd = identity.associatedAddresses[2]
+      const args = { ein: identity.identity, addressToAdd: addressToAdd.address }
+      const approvingSignature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByApprovingAddress', instances.IdentityRegistry.address,
+        args, approvingAddress
+      )
+      const addingSignature = await signMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.IdentityRegistry.address,
+        args, addressToAdd
+      )
+
+      await instances.IdentityRegistry.addAssociatedAddressDelegated(
+        approvingAddress.address, addressToAdd.address,
+        [approvingSignature.v, addingSignature.v],
+        [approvingSignature.r, addingSignature.r],
+        [approvingSignature.s, addingSignature.s],
+        [approvingSignature.timestamp, addingSignature.timestamp],
+        { from: identity.providers[0] }
+      )
+
+      const isAssociatedAddressFor = await instances.IdentityRegistry.isAssociatedAddressFor(
+        identity.identity, addressToAdd.address
+      )
+      assert.isTrue(isAssociatedAddressFor, 'associated address was not added.')
+    })
+
+    it('removeAssociatedAddressDelegated', async function () {
+      const addressToRemove = identity.associatedAddresses[2]
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'removeAssociatedAddressDelegated', instances.IdentityRegistry.address,
+        { ein: identity.identity, addressToRemove: addressToRemove.address }, addressToRemove
+      )
+
+      await instances.IdentityRegistry.removeAssociatedAddressDelegated(
+        addressToRemove.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const hasIdentity = await instances.IdentityRegistry.hasIdentity(addressToRemove.address)
+      assert.isFalse(hasIdentity, 'associated address was not removed.')
+    })
+  })
+
+  describe('Testing PublicKeyResolver Messages', function () {
+    it('addPublicKeyDelegated', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const publicKey = ethUtil.bufferToHex(ethUtil.privateToPublic(signer.privateKey))
+      const signature = await signMessage(
+        web3, 'PublicKeyResolver', 'addPublicKeyDelegated', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, publicKey: publicKey, nonce: nonce }, prefixed(signer)
+      )
+
+      await instances.PublicKeyResolver.addPublicKeyDelegated(
+        signer.address, publicKey, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const storedPublicKey = await instances.PublicKeyResolver.getPublicKey(signer.address)
+      assert.equal(storedPublicKey, publicKey, 'public key was not added.')
+    })
+
+    it('removePublicKeyDelegated', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const signature = await signMessage(
+        web3, 'PublicKeyResolver', 'removePublicKeyDelegated', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, nonce: nonce }, signer
+      )
+
+      await instances.PublicKeyResolver.removePublicKeyDelegated(
+        signer.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const storedPublicKey = await instances.PublicKeyResolver.getPublicKey(signer.address)
+      assert.isNull(storedPublicKey, 'public key was not removed.')
+    })
+
+    it('addKeyDelegated', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const publicKey = web3.utils.randomHex(32)
+      const purpose = encodePurpose('keyAgreement')
+      const signature = await signMessage(
+        web3, 'PublicKeyResolver', 'addKeyDelegated', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, keyType: 4, purpose: purpose, publicKey: publicKey, nonce: nonce },
+        prefixed(signer)
+      )
+
+      await instances.PublicKeyResolver.addKeyDelegated(
+        signer.address, 4, purpose, publicKey, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const storedKey = await instances.PublicKeyResolver.getKey(getKeyId(4, publicKey))
+      assert.equal(storedKey.publicKey, publicKey, 'public key was not added.')
+      identity.keyId = getKeyId(4, publicKey)
+    })
+
+    it('removeKeyDelegated', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const signature = await signMessage(
+        web3, 'PublicKeyResolver', 'removeKeyDelegated', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, keyId: identity.keyId, nonce: nonce }, signer
+      )
+
+      await instances.PublicKeyResolver.removeKeyDelegated(
+        signer.address, identity.keyId, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const storedKey = await instances.PublicKeyResolver.getKey(identity.keyId)
+      assert.equal(storedKey.ein, 0, 'public key was not removed.')
+    })
+
+    it('addRecoveredPublicKey', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const signature = await signMessage(
+        web3, 'PublicKeyResolver', 'addRecoveredPublicKey', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, purpose: encodePurpose('authentication'), nonce: nonce }, signer
+      )
+
+      await instances.PublicKeyResolver.addRecoveredPublicKey(
+        signer.address, encodePurpose('authentication'), signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const publicKey = ethUtil.bufferToHex(ethUtil.privateToPublic(signer.privateKey))
+      const storedPublicKey = await instances.PublicKeyResolver.getPublicKey(signer.address)
+      assert.equal(storedPublicKey, publicKey, 'public key was not recovered.')
+    })
+  })
+
+  describe('Testing ServiceKeyResolver Messages', function () {
+    it('addKeyDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(signer.address)
+      const signature = await signMessage(
+        web3, 'ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: identity.serviceKey.address, symbol: 'sp1', nonce: nonce }, signer
+      )
+
+      await instances.ServiceKeyResolver.addKeyDelegated(
+        signer.address, identity.serviceKey.address, 'sp1', signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const isKeyFor = await instances.ServiceKeyResolver.isKeyFor(identity.serviceKey.address, identity.identity)
+      assert.isTrue(isKeyFor, 'service key was not added.')
+    })
+
+    it('removeKeyDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(signer.address)
+      const signature = await signMessage(
+        web3, 'ServiceKeyResolver', 'removeKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: identity.serviceKey.address, nonce: nonce }, prefixed(signer)
+      )
+
+      await instances.ServiceKeyResolver.removeKeyDelegated(
+        signer.address, identity.serviceKey.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const isKeyFor = await instances.ServiceKeyResolver.isKeyFor(identity.serviceKey.address, identity.identity)
+      assert.isFalse(isKeyFor, 'service key was not removed.')
+    })
+
+    it('removeKeysDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(signer.address)
+      await instances.ServiceKeyResolver.addKey(identity.serviceKey.address, 'sp1', { from: signer.address })
+
+      const signature = await signMessage(
+        web3, 'ServiceKeyResolver', 'removeKeysDelegated', instances.ServiceKeyResolver.address,
+        { nonce: nonce }, signer
+      )
+
+      await instances.ServiceKeyResolver.removeKeysDelegated(
+        signer.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const isKeyFor = await instances.ServiceKeyResolver.isKeyFor(identity.serviceKey.address, identity.identity)
+      assert.isFalse(isKeyFor, 'service keys were not removed.')
+    })
+
+    it('addScopedKeyDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(signer.address)
+      const signature = await signMessage(
+        web3, 'ServiceKeyResolver', 'addScopedKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: identity.serviceKey.address, symbol: 'sp1', expiry: 0, scope: 3, nonce: nonce }, signer
+      )
+
+      await instances.ServiceKeyResolver.addScopedKeyDelegated(
+        signer.address, identity.serviceKey.address, 'sp1', 0, 3,
+        signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const isKeyValidFor = await instances.ServiceKeyResolver.isKeyValidFor(
+        identity.serviceKey.address, identity.identity, 3
+      )
+      assert.isTrue(isKeyValidFor, 'service key was not added.')
+    })
+  })
+
+  describe('Testing ERC725RegistryResolver Messages', function () {
+    it('create725Delegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ERC725RegistryResolver.nonceTracker(signer.address)
+
+      const signature = await signMessage(
+        web3, 'ERC725RegistryResolver', 'create725Delegated', instances.ERC725RegistryResolver.address,
+        { nonce: nonce }, prefixed(signer)
+      )
+
+      await instances.ERC725RegistryResolver.create725Delegated(
+        signer.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const erc725 = await instances.ERC725RegistryResolver.get725(identity.identity)
+      assert.notEqual(erc725, '0x0000000000000000000000000000000000000000', 'no 725 was created.')
+    })
+
+    it('claim725Delegated', async function () {
+      const signer = identity.associatedAddresses[1]
+      const erc725 = await instances.ERC725RegistryResolver.get725(identity.identity)
+      await instances.ERC725RegistryResolver.remove725({ from: signer.address })
+      const nonce = await instances.ERC725RegistryResolver.nonceTracker(signer.address)
+
+      const signature = await signMessage(
+        web3, 'ERC725RegistryResolver', 'claim725Delegated', instances.ERC725RegistryResolver.address,
+        { contract: erc725, nonce: nonce }, signer
+      )
+
+      await instances.ERC725RegistryResolver.claim725Delegated(
+        signer.address, erc725, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      assert.equal(await instances.ERC725RegistryResolver.get725(identity.identity), erc725, '725 was not claimed.')
+    })
+  })
+
+  describe('Testing MetaTransactionsProvider Messages', function () {
+    it('callViaProxyDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const destination = instances.IdentityRegistry.address
+      const data = instances.IdentityRegistry.contract.methods.identityExists(identity.identity.toString()).encodeABI()
+      const nonce = await instances.MetaTransactionsProvider.nonceTracker(identity.identity)
+
+      const signature = await signMessage(
+        web3, 'MetaTransactionsProvider', 'callViaProxyDelegated', instances.MetaTransactionsProvider.address,
+        { ein: identity.identity, destination: destination, data: data, viaExternal: false, nonce: nonce }, signer
+      )
+      assert.isUndefined(signature.timestamp, 'nonce based messages should not be timestamped.')
+
+      await instances.MetaTransactionsProvider.callViaProxyDelegated(
+        signer.address, destination, data, false, signature.v, signature.r, signature.s
+      )
+
+      const newNonce = await instances.MetaTransactionsProvider.nonceTracker(identity.identity)
+      assert.isTrue(newNonce.eq(nonce.addn(1)), 'call was not made.')
+    })
+  })
+
+  describe('Testing BatchProvider Messages', function () {
+    it('executeBatchDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const data = instances.IdentityRegistry.contract.methods.removeProvidersFor(0, []).encodeABI()
+      const batch = {
+        destinations: [instances.IdentityRegistry.address], data: data, dataLengths: [(data.length - 2) / 2]
+      }
+      const nonce = await instances.BatchProvider.nonceTracker(signer.address)
+
+      const signature = await signMessage(
+        web3, 'BatchProvider', 'executeBatchDelegated', instances.BatchProvider.address,
+        Object.assign({ approvingAddress: signer.address, nonce: nonce }, batch), prefixed(signer)
+      )
+      await instances.BatchProvider.executeBatchDelegated(
+        signer.address, batch.destinations, batch.data, batch.dataLengths, signature.v, signature.r, signature.s
+      )
+
+      const newNonce = await instances.BatchProvider.nonceTracker(signer.address)
+      assert.isTrue(newNonce.eq(nonce.addn(1)), 'batch was not executed.')
+    })
+  })
+
+  describe('Testing ERC1056 Messages', function () {
+    const delegateType = web3.utils.soliditySha3('delegateType')
+    const name = web3.utils.soliditySha3('name')
+    const value = '0x01'
+
+    it('changeOwnerSigned', async function () {
+      const signer = identity.associatedAddresses[0]
+      const signature = await signMessage(
+        web3, 'EthereumDIDRegistry', 'changeOwnerSigned', instances.EthereumDIDRegistry.address,
+        { nonce: 0, identity: signer.address, newOwner: instances.ERC1056.address }, signer
+      )
+
+      await instances.ERC1056.initialize(signer.address, signature.v, signature.r, signature.s, { from: signer.address })
+
+      const owner = await instances.EthereumDIDRegistry.identityOwner(signer.address)
+      assert.equal(owner, instances.ERC1056.address, 'DID was not initialized.')
+    })
+
+    const delegatedCalls = [
+      ['addDelegateDelegated', { delegateType: delegateType, validity: 10000 }],
+      ['revokeDelegateDelegated', { delegateType: delegateType }],
+      ['setAttributeDelegated', { name: name, value: value, validity: 10000 }],
+      ['revokeAttributeDelegated', { name: name, value: value }]
+    ]
+
+    for (const [functionName, args] of delegatedCalls) {
+      it(functionName, async function () {
+        const signer = identity.associatedAddresses[0]
+        const nonce = await instances.ERC1056.actionNonce(identity.identity)
+        const messageArgs = Object.assign({ delegate: identity.serviceKey.address, nonce: nonce }, args)
+
+        const signature = await signMessage(
+          web3, 'ERC1056', functionName, instances.ERC1056.address, messageArgs, prefixed(signer)
+        )
+
+        const callArgs = {
+          addDelegateDelegated: [messageArgs.delegateType, messageArgs.delegate, messageArgs.validity],
+          revokeDelegateDelegated: [messageArgs.delegateType, messageArgs.delegate],
+          setAttributeDelegated: [messageArgs.name, messageArgs.value, messageArgs.validity],
+          revokeAttributeDelegated: [messageArgs.name, messageArgs.value]
+        }[functionName]
+        await instances.ERC1056[functionName](signer.address, ...callArgs, signature.v, signature.r, signature.s)
+
+        const newNonce = await instances.ERC1056.actionNonce(identity.identity)
+        assert.isTrue(newNonce.eq(nonce.addn(1)), 'call was not made.')
+      })
+    }
+
+    const label = web3.utils.soliditySha3('label')
+    const labelledCalls = [
+      ['addDIDDelegateDelegated', { delegateType: delegateType, validity: 10000 }],
+      ['revokeDIDDelegateDelegated', { delegateType: delegateType }],
+      ['setDIDAttributeDelegated', { name: name, value: value, validity: 10000 }],
+      ['revokeDIDAttributeDelegated', { name: name, value: value }]
+    ]
+
+    it('bindDID', async function () {
+      const signer = identity.associatedAddresses[0]
+      const did = identity.associatedAddresses[1]
+      const signature = await signMessage(
+        web3, 'EthereumDIDRegistry', 'changeOwnerSigned', instances.EthereumDIDRegistry.address,
+        { nonce: 0, identity: did.address, newOwner: instances.ERC1056.address }, did
+      )
+
+      await instances.ERC1056.bindDID(
+        label, did.address, signature.v, signature.r, signature.s, { from: signer.address }
+      )
+      assert.equal(await instances.ERC1056.getDID(identity.identity, label), did.address, 'DID was not bound.')
+    })
+
+    for (const [functionName, args] of labelledCalls) {
+      it(functionName, async function () {
+        const signer = identity.associatedAddresses[0]
+        const nonce = await instances.ERC1056.actionNonce(identity.identity)
+        const messageArgs = Object.assign({ label: label, delegate: identity.serviceKey.address, nonce: nonce }, args)
+
+        const signature = await signMessage(
+          web3, 'ERC1056', functionName, instances.ERC1056.address, messageArgs, signer
+        )
+
+        const callArgs = {
+          addDIDDelegateDelegated: [messageArgs.delegateType, messageArgs.delegate, messageArgs.validity],
+          revokeDIDDelegateDelegated: [messageArgs.delegateType, messageArgs.delegate],
+          setDIDAttributeDelegated: [messageArgs.name, messageArgs.value, messageArgs.validity],
+          revokeDIDAttributeDelegated: [messageArgs.name, messageArgs.value]
+        }[functionName]
+        await instances.ERC1056[functionName](
+          signer.address, label, ...callArgs, signature.v, signature.r, signature.s
+        )
+
+        const newNonce = await instances.ERC1056.actionNonce(identity.identity)
+        assert.isTrue(newNonce.eq(nonce.addn(1)), 'call was not made.')
+      })
+    }
+
+    it('changeDIDOwnerDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const did = identity.associatedAddresses[1]
+      const nonce = await instances.ERC1056.actionNonce(identity.identity)
+      const signature = await signMessage(
+        web3, 'ERC1056', 'changeDIDOwnerDelegated', instances.ERC1056.address,
+        { label: label, newOwner: did.address, nonce: nonce }, prefixed(signer)
+      )
+
+      await instances.ERC1056.changeDIDOwnerDelegated(
+        signer.address, label, did.address, signature.v, signature.r, signature.s
+      )
+
+      const owner = await instances.EthereumDIDRegistry.identityOwner(did.address)
+      assert.equal(owner, did.address, 'owner was not changed.')
+    })
+
+    it('changeOwnerDelegated', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ERC1056.actionNonce(identity.identity)
+      const signature = await signMessage(
+        web3, 'ERC1056', 'changeOwnerDelegated', instances.ERC1056.address,
+        { newOwner: signer.address, nonce: nonce }, signer
+      )
+
+      await instances.ERC1056.changeOwnerDelegated(
+        signer.address, signer.address, signature.v, signature.r, signature.s
+      )
+
+      const owner = await instances.EthereumDIDRegistry.identityOwner(signer.address)
+      assert.equal(owner, signer.address, 'owner was not changed.')
+    })
+  })
+
+  describe('Testing Recovery Messages', function () {
+    it('triggerRecovery', async function () {
+      const signer = identity.newAssociatedAddress
+      const signature = await signMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: identity.identity, newAssociatedAddress: signer.address }, signer
+      )
+
+      await instances.IdentityRegistry.triggerRecovery(
+        identity.identity, signer.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.recoveryAddress.address }
+      )
+
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [signer.address],
+        providers:           [],
+        resolvers:           identity.resolvers
+      })
+    })
+  })
+})
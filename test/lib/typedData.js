@@ -0,0 +1,480 @@
+const ethUtil = require('ethereumjs-util')
+
+const { verifyIdentity } = require('../common')
+const { signMessage } = require('../../lib/messages')
+const { encodePurpose, getKeyId } = require('../../lib/publicKeys')
+const { buildTypedData, hashTypedData, primaryTypes, signTypedData, signTypedMessage } = require('../../lib/typedData')
+
+const IdentityRegistry = artifacts.require('./IdentityRegistry.sol')
+const PublicKeyResolver = artifacts.require('./examples/Resolvers/PublicKey/PublicKeyResolver.sol')
+const ServiceKeyResolver = artifacts.require('./examples/Resolvers/ServiceKey/ServiceKeyResolver.sol')
+const MetaTransactionsProvider = artifacts.require('./examples/Providers/MetaTransactions/MetaTransactionsProvider.sol')
+
+const privateKeys = [
+  '0x2665671af93f210ddb5d5ffa16c77fcf961d52796f2b2d7afd32cc5d886350a8',
+  '0x6bf410ff825d07346c110c5836b33ec76e7d1ee051283937392180b732aa3aff',
+  '0xccc3c84f02b038a5d60d93977ab11eb57005f368b5f62dad29486edeb4566954',
+  '0xfdf12368f9e0735dc01da9db58b1387236120359024024a31e611e82c8853d7f',
+  '0x44e02845db8861094c519d72d08acb7435c37c57e64ec5860fb15c5f626cb77c',
+  '0x12093c3cd8e0c6ceb7b1b397724cd82c4d84f81263f56a44f11d8bd3a61ffccb',
+  '0xf65450adda73b32e056ed24246d8d370e49fc88b427f96f37bbf23f6b132b93b',
+  '0x34a1f9ed996709f629d712d5b267d23f37be82bf8003a023264f71005f6486e6',
+  '0x1711e5c516428d875c14dac234f36bbf3b4622aeac00566483a8087ed5a97297',
+  '0xce5e2ea9c47caba88b3421d75023bd8c359e2aaf897e519a10a256d931028ca1'
+]
+
+// convenience variables
+const instances = {}
+let accountsPrivate
+let identity
+
+async function expectPermissionDenied (promise) {
+  await promise
+    .then(() => assert.fail('call succeeded', 'call should fail'))
+    .catch(error => assert.include(error.message, 'Permission denied.', 'wrong rejection reason'))
+}
+
+contract('Testing EIP-712 Typed Data', function (accounts) {
+  accountsPrivate = accounts.map((account, i) => { return { address: account, privateKey: privateKeys[i] } })
+
+  identity = {
+    recoveryAddress:     accountsPrivate[0],
+    associatedAddresses: accountsPrivate.slice(1, 4),
+    providers:           accountsPrivate.slice(4, 5),
+    serviceKey:          accountsPrivate[6],
+    newAssociatedAddress: accountsPrivate[7]
+  }
+
+  // signs via eth_signTypedData to ensure that payloads are hashed like wallets hash them
+  const node = signer => { return { address: signer.address } }
+
+  describe('Deploying Contracts', function () {
+    it('contracts deployed', async function () {
+      instances.IdentityRegistry = await IdentityRegistry.new()
+      instances.PublicKeyResolver = await PublicKeyResolver.new(instances.IdentityRegistry.address)
+      instances.ServiceKeyResolver = await ServiceKeyResolver.new(instances.IdentityRegistry.address)
+      instances.MetaTransactionsProvider = await MetaTransactionsProvider.new(instances.IdentityRegistry.address)
+
+      identity.providers = identity.providers.map(provider => provider.address)
+        .concat(instances.MetaTransactionsProvider.address)
+      identity.resolvers = [instances.PublicKeyResolver.address, instances.ServiceKeyResolver.address]
+    })
+  })
+
+  describe('Testing Payloads', function () {
+    it('payloads are built', async function () {
+      const typedData = buildTypedData('ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address, {
+        key: identity.serviceKey.address, symbol: 'sp1', nonce: 0, timestamp: 1
+      })
+      assert.deepEqual(typedData, {
+        types: {
+          EIP712Domain: [
+            { name: 'name', type: 'string' },
+            { name: 'version', type: 'string' },
+            { name: 'verifyingContract', type: 'address' }
+          ],
+          AddKey: [
+            { name: 'key', type: 'address' }, { name: 'symbol', type: 'string' },
+            { name: 'nonce', type: 'uint256' }, { name: 'timestamp', type: 'uint256' }
+          ]
+        },
+        domain: { name: 'ServiceKeyResolver', version: '1', verifyingContract: instances.ServiceKeyResolver.address },
+        primaryType: 'AddKey',
+        message: { key: identity.serviceKey.address, symbol: 'sp1', nonce: 0, timestamp: 1 }
+      }, 'unexpected payload.')
+
+      assert.throws(
+        () => buildTypedData('ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address, {}),
+        "Missing argument 'key' for ServiceKeyResolver.addKeyDelegated."
+      )
+      assert.throws(
+        () => buildTypedData('ERC1056', 'changeOwnerDelegated', instances.ServiceKeyResolver.address, {}),
+        'Unknown typed delegated function ERC1056.changeOwnerDelegated.'
+      )
+    })
+
+    it('payloads are hashed like eth_signTypedData', async function () {
+      const signer = identity.associatedAddresses[0]
+      const typedData = buildTypedData('ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address, {
+        key: identity.serviceKey.address, symbol: 'sp1', nonce: 0, timestamp: 1
+      })
+      const signature = await signTypedData(web3, typedData, node(signer))
+
+      const publicKey = ethUtil.ecrecover(
+        ethUtil.toBuffer(hashTypedData(typedData)), signature.v, ethUtil.toBuffer(signature.r),
+        ethUtil.toBuffer(signature.s)
+      )
+      assert.equal(
+        ethUtil.bufferToHex(ethUtil.pubToAddress(publicKey)), signer.address.toLowerCase(), 'unexpected signer.'
+      )
+    })
+
+    it('domain separators are set', async function () {
+      for (const contractName of Object.keys(primaryTypes)) {
+        const instance = instances[contractName]
+        const expected = web3.utils.soliditySha3(
+          web3.utils.soliditySha3('EIP712Domain(string name,string version,address verifyingContract)'),
+          web3.utils.soliditySha3({ t: 'string', v: contractName }),
+          web3.utils.soliditySha3({ t: 'string', v: '1' }),
+          { t: 'uint256', v: instance.address }
+        )
+        assert.equal(await instance.domainSeparator(), expected, `unexpected ${contractName} domain separator.`)
+      }
+    })
+  })
+
+  describe('Testing IdentityRegistry', function () {
+    it('createIdentityDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[0]
+      const signature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: identity.recoveryAddress.address,
+          associatedAddress: signer.address,
+          providers: identity.providers,
+          resolvers: identity.resolvers
+        }, signer
+      )
+
+      // raw signatures are not accepted by typed variants
+      const rawSignature = await signMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: identity.recoveryAddress.address,
+          associatedAddress: signer.address,
+          providers: identity.providers,
+          resolvers: identity.resolvers
+        }, signer
+      )
+      await expectPermissionDenied(instances.IdentityRegistry.createIdentityDelegatedTyped(
+        identity.recoveryAddress.address, signer.address, identity.providers, identity.resolvers,
+        rawSignature.v, rawSignature.r, rawSignature.s, rawSignature.timestamp,
+        { from: identity.providers[0] }
+      ))
+      // and vice versa
+      await expectPermissionDenied(instances.IdentityRegistry.createIdentityDelegated(
+        identity.recoveryAddress.address, signer.address, identity.providers, identity.resolvers,
+        signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      ))
+
+      await instances.IdentityRegistry.createIdentityDelegatedTyped(
+        identity.recoveryAddress.address, signer.address, identity.providers, identity.resolvers,
+        signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      identity.identity = web3.utils.toBN(1)
+
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [signer.address],
+        providers:           identity.providers,
+        resolvers:           identity.resolvers
+      })
+    })
+
+    it('addAssociatedAddressTyped', async function () {
+      const approvingAddress = identity.associatedAddresses[0]
+      const addressToAdd = identity.associatedAddresses[1]
+      const signature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.IdentityRegistry.address,
+        { ein: identity.identity, addressToAdd: addressToAdd.address }, node(addressToAdd)
+      )
+
+      await instances.IdentityRegistry.addAssociatedAddressTyped(
+        approvingAddress.address, addressToAdd.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: approvingAddress.address }
+      )
+
+      const isAssociatedAddressFor = await instances.IdentityRegistry.isAssociatedAddressFor(
+        identity.identity, addressToAdd.address
+      )
+      assert.isTrue(isAssociatedAddressFor, 'associated address was not added.')
+    })
+
+    it('addAssociatedAddressDelegatedTyped', async function () {
+      const approvingAddress = identity.associatedAddresses[0]
+      const addressToAdd = identity.associatedAddresses[2]
+      const args = { ein: identity.identity, addressToAdd: addressToAdd.address }
+      const approvingSignature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByApprovingAddress', instances.IdentityRegistry.address,
+        args, approvingAddress
+      )
+      const addingSignature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'addAssociatedAddressByAddressToAdd', instances.IdentityRegistry.address,
+        args, addressToAdd
+      )
+
+      // the signatures of the two structs cannot be swapped
+      await instances.IdentityRegistry.addAssociatedAddressDelegatedTyped(
+        approvingAddress.address, addressToAdd.address,
+        [addingSignature.v, approvingSignature.v],
+        [addingSignature.r, approvingSignature.r],
+        [addingSignature.s, approvingSignature.s],
+        [addingSignature.timestamp, approvingSignature.timestamp],
+        { from: identity.providers[0] }
+      )
+        .then(() => assert.fail('call succeeded', 'call should fail'))
+        .catch(error => assert.include(error.message, 'Permission denied from approving address.', 'wrong reason'))
+
+      await instances.IdentityRegistry.addAssociatedAddressDelegatedTyped(
+        approvingAddress.address, addressToAdd.address,
+        [approvingSignature.v, addingSignature.v],
+        [approvingSignature.r, addingSignature.r],
+        [approvingSignature.s, addingSignature.s],
+        [approvingSignature.timestamp, addingSignature.timestamp],
+        { from: identity.providers[0] }
+      )
+
+      const isAssociatedAddressFor = await instances.IdentityRegistry.isAssociatedAddressFor(
+        identity.identity, addressToAdd.address
+      )
+      assert.isTrue(isAssociatedAddressFor, 'associated address was not added.')
+    })
+
+    it('removeAssociatedAddressDelegatedTyped', async function () {
+      const addressToRemove = identity.associatedAddresses[2]
+      const signature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'removeAssociatedAddressDelegated', instances.IdentityRegistry.address,
+        { ein: identity.identity, addressToRemove: addressToRemove.address }, node(addressToRemove)
+      )
+
+      await instances.IdentityRegistry.removeAssociatedAddressDelegatedTyped(
+        addressToRemove.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const hasIdentity = await instances.IdentityRegistry.hasIdentity(addressToRemove.address)
+      assert.isFalse(hasIdentity, 'associated address was not removed.')
+    })
+  })
+
+  describe('Testing PublicKeyResolver', function () {
+    it('addPublicKeyDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const publicKey = ethUtil.bufferToHex(ethUtil.privateToPublic(signer.privateKey))
+      const signature = await signTypedMessage(
+        web3, 'PublicKeyResolver', 'addPublicKeyDelegated', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, publicKey: publicKey, nonce: nonce }, node(signer)
+      )
+
+      await instances.PublicKeyResolver.addPublicKeyDelegatedTyped(
+        signer.address, publicKey, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const storedPublicKey = await instances.PublicKeyResolver.getPublicKey(signer.address)
+      assert.equal(storedPublicKey, publicKey, 'public key was not added.')
+    })
+
+    it('removePublicKeyDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const signature = await signTypedMessage(
+        web3, 'PublicKeyResolver', 'removePublicKeyDelegated', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, nonce: nonce }, signer
+      )
+
+      await instances.PublicKeyResolver.removePublicKeyDelegatedTyped(
+        signer.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const storedPublicKey = await instances.PublicKeyResolver.getPublicKey(signer.address)
+      assert.isNull(storedPublicKey, 'public key was not removed.')
+    })
+
+    it('addKeyDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const publicKey = web3.utils.randomHex(32)
+      const purpose = encodePurpose('keyAgreement')
+      const signature = await signTypedMessage(
+        web3, 'PublicKeyResolver', 'addKeyDelegated', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, keyType: 4, purpose: purpose, publicKey: publicKey, nonce: nonce },
+        node(signer)
+      )
+
+      await instances.PublicKeyResolver.addKeyDelegatedTyped(
+        signer.address, 4, purpose, publicKey, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const storedKey = await instances.PublicKeyResolver.getKey(getKeyId(4, publicKey))
+      assert.equal(storedKey.publicKey, publicKey, 'public key was not added.')
+      identity.keyId = getKeyId(4, publicKey)
+    })
+
+    it('removeKeyDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[1]
+      const nonce = await instances.PublicKeyResolver.nonceTracker(signer.address)
+      const signature = await signTypedMessage(
+        web3, 'PublicKeyResolver', 'removeKeyDelegated', instances.PublicKeyResolver.address,
+        { associatedAddress: signer.address, keyId: identity.keyId, nonce: nonce }, signer
+      )
+
+      await instances.PublicKeyResolver.removeKeyDelegatedTyped(
+        signer.address, identity.keyId, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const storedKey = await instances.PublicKeyResolver.getKey(identity.keyId)
+      assert.equal(storedKey.ein, 0, 'public key was not removed.')
+    })
+  })
+
+  describe('Testing ServiceKeyResolver', function () {
+    it('addKeyDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(signer.address)
+      const signature = await signTypedMessage(
+        web3, 'ServiceKeyResolver', 'addKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: identity.serviceKey.address, symbol: 'sp1', nonce: nonce }, node(signer)
+      )
+
+      // signatures are bound to the resolver's domain
+      await expectPermissionDenied(instances.PublicKeyResolver.removePublicKeyDelegatedTyped(
+        signer.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      ))
+
+      await instances.ServiceKeyResolver.addKeyDelegatedTyped(
+        signer.address, identity.serviceKey.address, 'sp1', signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const isKeyFor = await instances.ServiceKeyResolver.isKeyFor(identity.serviceKey.address, identity.identity)
+      assert.isTrue(isKeyFor, 'service key was not added.')
+    })
+
+    it('removeKeyDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(signer.address)
+      const signature = await signTypedMessage(
+        web3, 'ServiceKeyResolver', 'removeKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: identity.serviceKey.address, nonce: nonce }, signer
+      )
+
+      await instances.ServiceKeyResolver.removeKeyDelegatedTyped(
+        signer.address, identity.serviceKey.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const isKeyFor = await instances.ServiceKeyResolver.isKeyFor(identity.serviceKey.address, identity.identity)
+      assert.isFalse(isKeyFor, 'service key was not removed.')
+    })
+
+    it('removeKeysDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(signer.address)
+      await instances.ServiceKeyResolver.addKey(identity.serviceKey.address, 'sp1', { from: signer.address })
+
+      const signature = await signTypedMessage(
+        web3, 'ServiceKeyResolver', 'removeKeysDelegated', instances.ServiceKeyResolver.address,
+        { nonce: nonce }, node(signer)
+      )
+
+      await instances.ServiceKeyResolver.removeKeysDelegatedTyped(
+        signer.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const isKeyFor = await instances.ServiceKeyResolver.isKeyFor(identity.serviceKey.address, identity.identity)
+      assert.isFalse(isKeyFor, 'service keys were not removed.')
+    })
+
+    it('addScopedKeyDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[0]
+      const nonce = await instances.ServiceKeyResolver.nonceTracker(signer.address)
+      const signature = await signTypedMessage(
+        web3, 'ServiceKeyResolver', 'addScopedKeyDelegated', instances.ServiceKeyResolver.address,
+        { key: identity.serviceKey.address, symbol: 'sp1', expiry: 0, scope: 3, nonce: nonce }, node(signer)
+      )
+
+      await instances.ServiceKeyResolver.addScopedKeyDelegatedTyped(
+        signer.address, identity.serviceKey.address, 'sp1', 0, 3,
+        signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.providers[0] }
+      )
+
+      const isKeyValidFor = await instances.ServiceKeyResolver.isKeyValidFor(
+        identity.serviceKey.address, identity.identity, 3
+      )
+      assert.isTrue(isKeyValidFor, 'service key was not added.')
+    })
+  })
+
+  describe('Testing MetaTransactionsProvider', function () {
+    it('createIdentityDelegatedTyped', async function () {
+      const signer = accountsPrivate[8]
+      const signature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'createIdentityDelegated', instances.IdentityRegistry.address, {
+          recoveryAddress: identity.recoveryAddress.address,
+          associatedAddress: signer.address,
+          providers: [instances.MetaTransactionsProvider.address],
+          resolvers: identity.resolvers
+        }, signer
+      )
+
+      await instances.MetaTransactionsProvider.createIdentityDelegatedTyped(
+        identity.recoveryAddress.address, signer.address, identity.resolvers,
+        signature.v, signature.r, signature.s, signature.timestamp
+      )
+
+      await verifyIdentity(web3.utils.toBN(2), instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [signer.address],
+        providers:           [instances.MetaTransactionsProvider.address],
+        resolvers:           identity.resolvers
+      })
+    })
+
+    it('callViaProxyDelegatedTyped', async function () {
+      const signer = identity.associatedAddresses[0]
+      const destination = instances.IdentityRegistry.address
+      const data = instances.IdentityRegistry.contract.methods.identityExists(identity.identity.toString()).encodeABI()
+      const nonce = await instances.MetaTransactionsProvider.nonceTracker(identity.identity)
+
+      const signature = await signTypedMessage(
+        web3, 'MetaTransactionsProvider', 'callViaProxyDelegated', instances.MetaTransactionsProvider.address,
+        { ein: identity.identity, destination: destination, data: data, viaExternal: false, nonce: nonce },
+        node(signer)
+      )
+      assert.isUndefined(signature.timestamp, 'nonce based messages should not be timestamped.')
+
+      await instances.MetaTransactionsProvider.callViaProxyDelegatedTyped(
+        signer.address, destination, data, false, signature.v, signature.r, signature.s
+      )
+
+      const newNonce = await instances.MetaTransactionsProvider.nonceTracker(identity.identity)
+      assert.isTrue(newNonce.eq(nonce.addn(1)), 'call was not made.')
+
+      // the nonce has been used
+      await expectPermissionDenied(instances.MetaTransactionsProvider.callViaProxyDelegatedTyped(
+        signer.address, destination, data, false, signature.v, signature.r, signature.s
+      ))
+    })
+  })
+
+  describe('Testing Recovery', function () {
+    it('triggerRecoveryTyped', async function () {
+      const signer = identity.newAssociatedAddress
+      const signature = await signTypedMessage(
+        web3, 'IdentityRegistry', 'triggerRecovery', instances.IdentityRegistry.address,
+        { ein: identity.identity, newAssociatedAddress: signer.address }, node(signer)
+      )
+
+      await instances.IdentityRegistry.triggerRecoveryTyped(
+        identity.identity, signer.address, signature.v, signature.r, signature.s, signature.timestamp,
+        { from: identity.recoveryAddress.address }
+      )
+
+      await verifyIdentity(identity.identity, instances.IdentityRegistry, {
+        recoveryAddress:     identity.recoveryAddress.address,
+        associatedAddresses: [signer.address],
+        providers:           [],
+        resolvers:           identity.resolvers
+      })
+    })
+  })
+})